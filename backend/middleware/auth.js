@@ -215,6 +215,72 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Middleware to authenticate calendar feeds with a feed token (?token=),
+// since calendar apps cannot send a JWT
+const feedTokenAuth = async (req, res, next) => {
+  try {
+    const token = typeof req.query.token === 'string' ? req.query.token : '';
+    if (!token) {
+      return sendErrorResponse(res, 401, 'Access denied. No feed token provided.');
+    }
+
+    const user = await User.findOne({ calendarFeedToken: User.hashFeedToken(token) });
+    if (!user) {
+      return sendErrorResponse(res, 401, 'Feed token is not valid. It may have been revoked.');
+    }
+
+    if (!user.isActive) {
+      return sendErrorResponse(res, 401, 'User account is deactivated.');
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Feed token middleware error:', error);
+    return sendErrorResponse(res, 500, 'Authentication error', error);
+  }
+};
+
+// Middleware to work out whose view of the items a request gets (req.viewer).
+// Admins can preview lists as an audience with ?previewAs=role:<role>,
+// group:<name> or user:<id>; everyone else always gets their own view.
+const previewAudience = async (req, res, next) => {
+  try {
+    const previewAs = req.query.previewAs;
+    if (!previewAs) {
+      req.viewer = req.user;
+      return next();
+    }
+
+    if (!req.user || !req.user.canPerformCRUD()) {
+      return sendErrorResponse(res, 403, 'Only admins can preview items as another audience');
+    }
+
+    const match = String(previewAs).match(/^(role|group|user):(.+)$/);
+    const kind = match && match[1];
+    const value = match && match[2].trim().toLowerCase();
+    if (kind === 'role' && User.schema.path('role').enumValues.includes(value)) {
+      req.viewer = { role: value, groups: [] };
+    } else if (kind === 'group' && value) {
+      // A member of the group without any other group or targeting
+      req.viewer = { role: 'user', groups: [value] };
+    } else if (kind === 'user' && /^[0-9a-f]{24}$/.test(value)) {
+      const user = await User.findById(value).select('role groups');
+      if (!user) {
+        return sendErrorResponse(res, 404, 'User to preview as not found');
+      }
+      req.viewer = user;
+    } else {
+      return sendErrorResponse(res, 400, 'previewAs must be role:<role>, group:<name> or user:<id>');
+    }
+
+    next();
+  } catch (error) {
+    console.error('Preview audience middleware error:', error);
+    return sendErrorResponse(res, 500, 'Audience preview error', error);
+  }
+};
+
 module.exports = {
   protect,
   checkRole,
@@ -227,5 +293,7 @@ module.exports = {
   asyncHandler,
   validateObjectId,
   optionalAuth,
+  feedTokenAuth,
+  previewAudience,
   sendErrorResponse
 };
\ No newline at end of file
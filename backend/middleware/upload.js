@@ -1,6 +1,8 @@
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs');
+const sharp = require('sharp');
+const { extensionsByMimetype, detectImageType, normalizeMimetype } = require('../utils/imageType');
+const { MAX_IMAGES_PER_ITEM } = require('../models/Item');
 
 // Helper function for error responses
 const sendUploadError = (res, message, statusCode = 400) => {
@@ -11,73 +13,9 @@ const sendUploadError = (res, message, statusCode = 400) => {
   });
 };
 
-// Ensure upload directory exists with proper error handling
-// Use /tmp for serverless environments like Vercel
-const uploadDir = process.env.UPLOAD_PATH || (process.env.NODE_ENV === 'production' ? '/tmp/uploads/' : './uploads/');
-
-const createUploadDirectory = () => {
-  try {
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-      console.log(`Upload directory created: ${uploadDir}`);
-    }
-    
-    // Check if directory is writable
-    fs.accessSync(uploadDir, fs.constants.W_OK);
-    console.log(`Upload directory is writable: ${uploadDir}`);
-  } catch (error) {
-    console.error('Error with upload directory:', error);
-    // In serverless, don't throw - just log and continue
-    if (process.env.NODE_ENV !== 'production') {
-      throw new Error(`Upload directory error: ${error.message}`);
-    }
-  }
-};
-
-// Initialize upload directory
-try {
-  createUploadDirectory();
-} catch (error) {
-  console.error('Failed to create upload directory:', error);
-}
-
-// Enhanced storage configuration
-// Use memory storage for serverless environments (Vercel)
-const storage = process.env.NODE_ENV === 'production' 
-  ? multer.memoryStorage() 
-  : multer.diskStorage({
-      destination: function (req, file, cb) {
-        try {
-          // Verify directory exists before each upload
-          if (!fs.existsSync(uploadDir)) {
-            createUploadDirectory();
-          }
-          cb(null, uploadDir);
-        } catch (error) {
-          console.error('Storage destination error:', error);
-          cb(error, null);
-        }
-      },
-      filename: function (req, file, cb) {
-        try {
-          // Sanitize original filename
-          const originalName = file.originalname.replace(/[^a-zA-Z0-9.-]/g, '_');
-          
-          // Create unique filename with timestamp
-          const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-          const extension = path.extname(originalName);
-          const baseName = path.basename(originalName, extension);
-          
-          const filename = `${file.fieldname}-${baseName}-${uniqueSuffix}${extension}`;
-          
-          console.log(`Generated filename: ${filename}`);
-          cb(null, filename);
-        } catch (error) {
-          console.error('Filename generation error:', error);
-          cb(error, null);
-        }
-      }
-    });
+// Keep uploads in memory; the configured storage driver persists them
+// (see storage/index.js)
+const storage = multer.memoryStorage();
 
 // Enhanced file filter with detailed validation
 const fileFilter = (req, file, cb) => {
@@ -144,15 +82,19 @@ const upload = multer({
   storage: storage,
   limits: {
     fileSize: 5 * 1024 * 1024, // 5MB limit
-    files: 1, // Only allow 1 file
+    files: MAX_IMAGES_PER_ITEM, // Up to one gallery's worth of images
     fieldSize: 1024 * 1024, // 1MB field size limit
     fieldNameSize: 100 // Field name size limit
   },
   fileFilter: fileFilter
 });
 
-// Middleware for single image upload
-const uploadSingleImage = upload.single('image');
+// Middleware for image uploads. "images" carries gallery uploads; the single
+// "image" field is still accepted for older clients.
+const uploadImages = upload.fields([
+  { name: 'image', maxCount: 1 },
+  { name: 'images', maxCount: MAX_IMAGES_PER_ITEM }
+]);
 
 // Error handling middleware for multer
 const handleUploadError = (error, req, res, next) => {
@@ -166,13 +108,13 @@ const handleUploadError = (error, req, res, next) => {
     if (error.code === 'LIMIT_FILE_COUNT') {
       return res.status(400).json({
         success: false,
-        message: 'Too many files. Only one image is allowed.'
+        message: `Too many files. Up to ${MAX_IMAGES_PER_ITEM} images are allowed.`
       });
     }
     if (error.code === 'LIMIT_UNEXPECTED_FILE') {
       return res.status(400).json({
         success: false,
-        message: 'Unexpected field name. Use "image" field for file upload.'
+        message: 'Unexpected field name. Use the "images" field for file uploads.'
       });
     }
   }
@@ -191,74 +133,158 @@ const handleUploadError = (error, req, res, next) => {
   });
 };
 
+// Check the uploaded bytes against the declared type and strip metadata.
+// fileFilter only sees the client-supplied mimetype and name, so this runs
+// once multer has the file contents in memory.
+const inspectUploadedImage = async (file) => {
+  const detectedType = detectImageType(file.buffer);
+  if (!detectedType) {
+    throw new Error('Invalid image content. The file is not a JPEG, PNG, GIF, WebP, BMP or TIFF image.');
+  }
+
+  const declaredType = normalizeMimetype(file.mimetype);
+  if (detectedType !== declaredType) {
+    throw new Error(`Invalid image content. The file is declared as ${declaredType} but contains ${detectedType} data.`);
+  }
+
+  const fileExtension = path.extname(file.originalname).toLowerCase();
+  if (!extensionsByMimetype[detectedType].includes(fileExtension)) {
+    throw new Error(`Invalid file extension: ${fileExtension} does not match ${detectedType} content.`);
+  }
+
+  let buffer = file.buffer;
+
+  // Phone photos carry GPS position and device details in EXIF. Re-encoding
+  // drops all metadata; rotate() first applies the EXIF orientation so the
+  // image still displays the right way up.
+  if (detectedType === 'image/jpeg') {
+    buffer = await sharp(file.buffer).rotate().jpeg({ quality: 92 }).toBuffer();
+  } else if (detectedType === 'image/png') {
+    buffer = await sharp(file.buffer).png().toBuffer();
+  }
+
+  return {
+    originalname: file.originalname,
+    mimetype: detectedType,
+    size: buffer.length,
+    buffer
+  };
+};
+
+// Collect the files multer accepted, in upload order
+const getUploadedFiles = (req) => {
+  const files = req.files || {};
+  return [...(files.image || []), ...(files.images || [])];
+};
+
+// Inspect every uploaded file and expose the results as req.uploadedFiles
+// (req.uploadedFile is the first one, for single-image handlers)
+const prepareUploadedFiles = async (req, res, next) => {
+  try {
+    req.uploadedFiles = [];
+    for (const file of getUploadedFiles(req)) {
+      req.uploadedFiles.push(await inspectUploadedImage(file));
+    }
+    req.uploadedFile = req.uploadedFiles[0];
+    next();
+  } catch (error) {
+    console.error('Upload inspection failed:', error.message);
+    return sendUploadError(res, error.message);
+  }
+};
+
 // Middleware to handle image upload with error handling
 const processImageUpload = (req, res, next) => {
-  uploadSingleImage(req, res, (error) => {
+  uploadImages(req, res, (error) => {
     if (error) {
       return handleUploadError(error, req, res, next);
     }
     
     // Check if file was uploaded
-    if (!req.file) {
+    if (getUploadedFiles(req).length === 0) {
       return res.status(400).json({
         success: false,
         message: 'No image file uploaded. Please select an image to upload.'
       });
     }
 
-    // Add file info to request for easy access
-    req.uploadedFile = {
-      filename: req.file.filename || req.file.originalname,
-      originalname: req.file.originalname,
-      mimetype: req.file.mimetype,
-      size: req.file.size,
-      path: req.file.path || null,
-      buffer: req.file.buffer || null
-    };
-
-    next();
+    // Validate the file contents and add file info to request for easy access
+    prepareUploadedFiles(req, res, next);
   });
 };
 
-// Function to delete uploaded file (cleanup on error or item deletion)
-const deleteUploadedFile = (filename) => {
-  try {
-    const filePath = path.join(uploadDir, filename);
-    if (fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
-      return true;
+// Middleware to handle optional image uploads (for update operations)
+const validateImageFile = (req, res, next) => {
+  uploadImages(req, res, (error) => {
+    if (error) {
+      return handleUploadError(error, req, res, next);
     }
-    return false;
-  } catch (error) {
-    console.error('Error deleting file:', error);
-    return false;
-  }
+
+    // Image update is optional; prepareUploadedFiles leaves an empty list
+    prepareUploadedFiles(req, res, next);
+  });
 };
 
-// Middleware to validate image file exists (for update operations)
-const validateImageFile = (req, res, next) => {
-  // This is for update operations where image might be optional
-  if (req.file) {
-    // If file is being uploaded, process it
-    return processImageUpload(req, res, next);
+// Bulk imports upload a CSV manifest and a ZIP archive of the images it names
+const MAX_IMPORT_FILE_SIZE = 50 * 1024 * 1024;
+
+const IMPORT_FILE_EXTENSIONS = {
+  manifest: '.csv',
+  images: '.zip'
+};
+
+const importFileFilter = (req, file, cb) => {
+  const fileExtension = path.extname(file.originalname || '').toLowerCase();
+  if (fileExtension !== IMPORT_FILE_EXTENSIONS[file.fieldname]) {
+    return cb(new Error(`Invalid file type: the ${file.fieldname} file must be a ${IMPORT_FILE_EXTENSIONS[file.fieldname]} file`), false);
   }
-  
-  // If no file uploaded, continue (image update is optional)
-  next();
+  cb(null, true);
 };
 
-// Function to get file URL
-const getFileUrl = (req, filename) => {
-  const protocol = req.protocol;
-  const host = req.get('host');
-  return `${protocol}://${host}/uploads/${filename}`;
+const uploadImportFiles = multer({
+  storage: storage,
+  limits: {
+    fileSize: MAX_IMPORT_FILE_SIZE,
+    files: 2,
+    fieldSize: 1024 * 1024,
+    fieldNameSize: 100
+  },
+  fileFilter: importFileFilter
+}).fields([
+  { name: 'manifest', maxCount: 1 },
+  { name: 'images', maxCount: 1 }
+]);
+
+// Middleware to handle the files of a bulk import. Their contents are
+// checked row by row by the import itself.
+const processImportUpload = (req, res, next) => {
+  uploadImportFiles(req, res, (error) => {
+    if (error) {
+      if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+        return sendUploadError(res, `File too large. Maximum size allowed is ${MAX_IMPORT_FILE_SIZE / (1024 * 1024)}MB.`);
+      }
+      if (error instanceof multer.MulterError) {
+        return sendUploadError(res, 'Upload one "manifest" CSV file and one "images" ZIP archive.');
+      }
+      return handleUploadError(error, req, res, next);
+    }
+
+    const files = req.files || {};
+    if (!files.manifest) {
+      return sendUploadError(res, 'No manifest uploaded. Please select a CSV manifest.');
+    }
+    if (!files.images) {
+      return sendUploadError(res, 'No images uploaded. Please select a ZIP archive of the images.');
+    }
+    next();
+  });
 };
 
 module.exports = {
-  uploadSingleImage,
+  uploadImages,
   processImageUpload,
   validateImageFile,
   handleUploadError,
-  deleteUploadedFile,
-  getFileUrl
-};
\ No newline at end of file
+  inspectUploadedImage,
+  processImportUpload
+};
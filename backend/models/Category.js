@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+// Categories form a tree. Each category keeps the ids of all its ancestors
+// (root first) so that a whole branch can be queried at once.
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a category name'],
+    trim: true,
+    maxlength: [50, 'Category name cannot be more than 50 characters']
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot be more than 200 characters']
+  },
+  parent: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  ancestors: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'Category'
+  }],
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+categorySchema.index({ ancestors: 1 });
+categorySchema.index({ parent: 1, name: 1 });
+
+// Turn a name into a URL-friendly slug: "Food & Drinks" -> "food-drinks"
+const slugify = (value) => String(value)
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '') || 'category';
+
+// Update the updatedAt field before saving
+categorySchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Static method to build a slug that no other category uses yet
+categorySchema.statics.generateSlug = async function(name, excludeId = null) {
+  const base = slugify(name);
+  let slug = base;
+  let suffix = 2;
+  while (await this.exists({ slug, ...(excludeId ? { _id: { $ne: excludeId } } : {}) })) {
+    slug = `${base}-${suffix}`;
+    suffix++;
+  }
+  return slug;
+};
+
+// Static method to get the ids of a category and all categories below it
+categorySchema.statics.getBranchIds = async function(categoryId) {
+  const descendants = await this.find({ ancestors: categoryId }).select('_id');
+  return [categoryId, ...descendants.map(category => category._id)];
+};
+
+// Instance method to move the category under a new parent (or to the root).
+// The ancestors of every category below it are rewritten as well.
+categorySchema.methods.moveTo = async function(parent) {
+  const Category = this.constructor;
+  const oldAncestors = this.ancestors.map(String);
+  const newAncestors = parent ? [...parent.ancestors, parent._id] : [];
+
+  this.parent = parent ? parent._id : null;
+  this.ancestors = newAncestors;
+
+  const descendants = await Category.find({ ancestors: this._id });
+  for (const descendant of descendants) {
+    // Keep the part of the path from this category downwards
+    const ownPath = descendant.ancestors.filter(id => !oldAncestors.includes(String(id)));
+    descendant.ancestors = [...newAncestors, ...ownPath];
+    await descendant.save();
+  }
+};
+
+// Instance method to check whether another category lies below this one
+categorySchema.methods.isAncestorOf = function(category) {
+  return category.ancestors.some(id => String(id) === String(this._id));
+};
+
+const Category = mongoose.model('Category', categorySchema);
+Category.slugify = slugify;
+
+module.exports = Category;
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const IMPORT_STATUSES = ['imported', 'undone'];
+
+// A bulk import: the items created from one manifest, so the whole batch can
+// be undone at once
+const importBatchSchema = new mongoose.Schema({
+  fileName: {
+    type: String,
+    trim: true
+  },
+  items: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'Item'
+  }],
+  itemCount: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: IMPORT_STATUSES,
+    default: 'imported'
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Set when the batch is undone and its items moved to the trash
+  undoneAt: {
+    type: Date
+  },
+  undoneBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+importBatchSchema.index({ createdAt: -1 });
+importBatchSchema.index({ createdBy: 1, createdAt: -1 });
+
+// Populate user information when querying
+importBatchSchema.pre(/^find/, function(next) {
+  this.populate({
+    path: 'createdBy',
+    select: 'name email role'
+  }).populate({
+    path: 'undoneBy',
+    select: 'name email role'
+  });
+  next();
+});
+
+const ImportBatch = mongoose.model('ImportBatch', importBatchSchema);
+
+ImportBatch.IMPORT_STATUSES = IMPORT_STATUSES;
+
+module.exports = ImportBatch;
@@ -1,4 +1,207 @@
 const mongoose = require('mongoose');
+const ItemRevision = require('./ItemRevision');
+const {
+  RECURRENCE_FREQUENCIES,
+  WEEKDAYS,
+  MAX_RECURRENCE_INTERVAL,
+  MAX_RECURRENCE_COUNT,
+  getLastOccurrenceEnd
+} = require('../utils/recurrence');
+const { MAX_VALIDITY_WINDOWS, TIME_PATTERN, isLiveAt } = require('../utils/validityWindows');
+const { isValidTimezone, getDefaultTimezone } = require('../utils/timezone');
+const { MAX_TAGS_PER_ITEM, MAX_TAG_LENGTH } = require('../utils/tags');
+const { paginateWithCursor } = require('../utils/cursor');
+const { AUDIENCE_ROLES, MAX_GROUP_LENGTH, EVERYONE_KEY, getAudienceKeys, getViewerKeys } = require('../utils/audience');
+const { MAX_LOCATION_LENGTH, MAX_CONFLICTS, getLocationKey, getConflictSpanEnd, findFirstOverlap } = require('../utils/conflicts');
+
+const MAX_IMAGES_PER_ITEM = 10;
+
+// Lifecycle statuses, computed from the date range and recurrence (never stored)
+const ITEM_STATUSES = ['upcoming', 'active', 'expiring-soon', 'expired'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Approval workflow: admins submit drafts for review and super admins
+// publish or reject them. Only published items are shown to users.
+const WORKFLOW_STATES = ['draft', 'pending_review', 'published', 'rejected'];
+
+// Workflow actions: the states they apply to, the state they lead to and the
+// roles allowed to take them
+const WORKFLOW_ACTIONS = {
+  submit: { from: ['draft', 'rejected'], to: 'pending_review', roles: ['admin', 'super_admin'] },
+  withdraw: { from: ['pending_review'], to: 'draft', roles: ['admin', 'super_admin'] },
+  approve: { from: ['pending_review'], to: 'published', roles: ['super_admin'] },
+  reject: { from: ['pending_review'], to: 'rejected', roles: ['super_admin'] },
+  unpublish: { from: ['published'], to: 'draft', roles: ['super_admin'] }
+};
+
+// Where an item is in its publishing schedule (computed from publishAt and
+// unpublishAt, never stored)
+const SCHEDULE_STATUSES = ['scheduled', 'visible', 'unpublished'];
+
+// Fields shown in an item's calendar event (utils/ics.js), including whether
+// it is in the trash; changing any of them bumps calendarSequence
+const CALENDAR_FIELDS = [
+  'title',
+  'note',
+  'category',
+  'tags',
+  'dateRange',
+  'timezone',
+  'recurrence',
+  'workflowState',
+  'isActive'
+];
+
+// Fields the item lists can be sorted by (sort parameter -> stored path)
+const SORT_FIELDS = {
+  start: 'dateRange.start',
+  end: 'dateRange.end',
+  created: 'createdAt',
+  updated: 'updatedAt',
+  duration: 'durationMs'
+};
+
+// Number of days before the end date during which an offer is "expiring soon"
+const getExpiringSoonDays = () => {
+  const days = parseInt(process.env.EXPIRING_SOON_DAYS, 10);
+  return Number.isNaN(days) || days < 0 ? 7 : days;
+};
+
+// A resized rendition of the item image, stored alongside the original
+const imageVariantSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  width: Number,
+  height: Number,
+  contentType: String
+}, { _id: false });
+
+// An image in the item gallery. The gallery keeps its upload/reorder order.
+const galleryImageSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  variants: {
+    thumbnail: imageVariantSchema,
+    medium: imageVariantSchema,
+    thumbnailWebp: imageVariantSchema,
+    mediumWebp: imageVariantSchema,
+    webp: imageVariantSchema
+  },
+  contentType: String,
+  originalName: String,
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A rule that repeats the date range, e.g. every weekend or monthly.
+// See utils/recurrence.js for how it is expanded into occurrences.
+const recurrenceSchema = new mongoose.Schema({
+  freq: {
+    type: String,
+    enum: RECURRENCE_FREQUENCIES,
+    required: [true, 'Please provide a recurrence frequency']
+  },
+  interval: {
+    type: Number,
+    default: 1,
+    min: [1, 'Recurrence interval must be at least 1'],
+    max: [MAX_RECURRENCE_INTERVAL, `Recurrence interval cannot be more than ${MAX_RECURRENCE_INTERVAL}`]
+  },
+  byWeekday: [{
+    type: String,
+    enum: WEEKDAYS
+  }],
+  until: {
+    type: Date
+  },
+  count: {
+    type: Number,
+    min: [1, 'Recurrence count must be at least 1'],
+    max: [MAX_RECURRENCE_COUNT, `Recurrence count cannot be more than ${MAX_RECURRENCE_COUNT}`]
+  }
+}, { _id: false });
+
+// Weekdays and hours during which the offer is valid, e.g. Mon–Fri 15:00–18:00.
+// See utils/validityWindows.js for how windows are evaluated.
+const validityWindowSchema = new mongoose.Schema({
+  days: {
+    type: [{
+      type: String,
+      enum: WEEKDAYS
+    }],
+    validate: {
+      validator: function(value) {
+        return value.length > 0;
+      },
+      message: 'A validity window needs at least one weekday'
+    }
+  },
+  startTime: {
+    type: String,
+    required: [true, 'Please provide a start time'],
+    match: [TIME_PATTERN, 'Start time must be in HH:MM format']
+  },
+  endTime: {
+    type: String,
+    required: [true, 'Please provide an end time'],
+    match: [TIME_PATTERN, 'End time must be in HH:MM format']
+  }
+}, { _id: false });
+
+// A workflow action taken on an item, kept as its review history
+const workflowEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: [...Object.keys(WORKFLOW_ACTIONS), 'edit'],
+    required: true
+  },
+  from: {
+    type: String,
+    enum: WORKFLOW_STATES
+  },
+  to: {
+    type: String,
+    enum: WORKFLOW_STATES,
+    required: true
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Comment cannot be more than 1000 characters']
+  },
+  actor: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Who may see an item; all lists empty means everyone (see utils/audience.js)
+const audienceSchema = new mongoose.Schema({
+  roles: [{
+    type: String,
+    enum: AUDIENCE_ROLES
+  }],
+  groups: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [MAX_GROUP_LENGTH, `Group names cannot be more than ${MAX_GROUP_LENGTH} characters`]
+  }],
+  users: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }]
+}, { _id: false });
 
 const itemSchema = new mongoose.Schema({
   image: {
@@ -6,6 +209,25 @@ const itemSchema = new mongoose.Schema({
     required: [true, 'Please provide an image'],
     trim: true
   },
+  imageVariants: {
+    thumbnail: imageVariantSchema,
+    medium: imageVariantSchema,
+    thumbnailWebp: imageVariantSchema,
+    mediumWebp: imageVariantSchema,
+    webp: imageVariantSchema
+  },
+  images: {
+    type: [galleryImageSchema],
+    validate: {
+      validator: function(value) {
+        return value.length <= MAX_IMAGES_PER_ITEM;
+      },
+      message: `An item cannot have more than ${MAX_IMAGES_PER_ITEM} images`
+    }
+  },
+  coverImage: {
+    type: mongoose.Schema.ObjectId
+  },
   dateRange: {
     start: {
       type: Date,
@@ -22,12 +244,130 @@ const itemSchema = new mongoose.Schema({
       }
     }
   },
+  // IANA timezone of the offer. The date range, recurrence and validity windows
+  // are wall-clock times in this zone; dates are stored as instants.
+  timezone: {
+    type: String,
+    default: getDefaultTimezone,
+    validate: {
+      validator: isValidTimezone,
+      message: 'Please provide a valid IANA timezone'
+    }
+  },
+  // Repeats the date range; null for a one-off offer
+  recurrence: {
+    type: recurrenceSchema,
+    default: null,
+    validate: {
+      validator: function(value) {
+        return !value || !value.until || !this.dateRange.start || value.until >= this.dateRange.start;
+      },
+      message: 'Recurrence must not end before the first occurrence starts'
+    }
+  },
+  // Limits the offer to these weekdays and hours; empty means valid all day
+  validityWindows: {
+    type: [validityWindowSchema],
+    validate: {
+      validator: function(value) {
+        return value.length <= MAX_VALIDITY_WINDOWS;
+      },
+      message: `An item cannot have more than ${MAX_VALIDITY_WINDOWS} validity windows`
+    }
+  },
+  // End of the last occurrence of a recurring item, null while it repeats forever.
+  // Derived from dateRange and recurrence so that status filters can query it.
+  recurrenceEnd: {
+    type: Date
+  },
+  // Length of the date range in milliseconds, stored so lists can sort by it
+  durationMs: {
+    type: Number
+  },
+  title: {
+    type: String,
+    required: [true, 'Please provide a title'],
+    trim: true,
+    maxlength: [120, 'Title cannot be more than 120 characters']
+  },
   note: {
     type: String,
     required: [true, 'Please provide a note'],
     trim: true,
     maxlength: [1000, 'Note cannot be more than 1000 characters']
   },
+  category: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  // Free-form labels, stored lowercase (see utils/tags.js)
+  tags: {
+    type: [{
+      type: String,
+      trim: true,
+      lowercase: true,
+      maxlength: [MAX_TAG_LENGTH, `Tags cannot be more than ${MAX_TAG_LENGTH} characters`]
+    }],
+    validate: {
+      validator: function(value) {
+        return value.length <= MAX_TAGS_PER_ITEM;
+      },
+      message: `An item cannot have more than ${MAX_TAGS_PER_ITEM} tags`
+    }
+  },
+  // Where the offer runs, e.g. a store or a region; empty for none
+  location: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [MAX_LOCATION_LENGTH, `Location cannot be more than ${MAX_LOCATION_LENGTH} characters`]
+  },
+  // Derived from location so that offers at the same place can be found
+  // regardless of case and spacing (see utils/conflicts.js)
+  locationKey: {
+    type: String,
+    default: ''
+  },
+  // When the item appears in and disappears from user lists, independent of
+  // the offer's own dates; null means right away and never
+  publishAt: {
+    type: Date,
+    default: null
+  },
+  unpublishAt: {
+    type: Date,
+    default: null,
+    validate: {
+      validator: function(value) {
+        return !value || !this.publishAt || value > this.publishAt;
+      },
+      message: 'Unpublish time must be after publish time'
+    }
+  },
+  // Approval state; new items start as drafts
+  workflowState: {
+    type: String,
+    enum: WORKFLOW_STATES,
+    default: 'draft'
+  },
+  // Comment of the last approval or rejection
+  reviewComment: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Review comment cannot be more than 1000 characters']
+  },
+  workflowHistory: [workflowEventSchema],
+  audience: {
+    type: audienceSchema,
+    default: () => ({})
+  },
+  // Derived from audience so that visibility can be checked with one indexed
+  // query; '*' when the item is for everyone
+  audienceKeys: {
+    type: [String],
+    default: [EVERYONE_KEY]
+  },
   createdBy: {
     type: mongoose.Schema.ObjectId,
     ref: 'User',
@@ -41,6 +381,35 @@ const itemSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Set when the item is moved to the trash (isActive: false)
+  deletedAt: {
+    type: Date
+  },
+  deletedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  // The item this one was duplicated or renewed from
+  duplicatedFrom: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Item'
+  },
+  // The bulk import that created this item
+  importBatch: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'ImportBatch'
+  },
+  // Incremented whenever a revision is recorded
+  revision: {
+    type: Number,
+    default: 0
+  },
+  // Incremented whenever the item's calendar event changes (see
+  // CALENDAR_FIELDS); calendar feeds use it as the event SEQUENCE
+  calendarSequence: {
+    type: Number,
+    default: 0
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -51,12 +420,135 @@ const itemSchema = new mongoose.Schema({
   }
 });
 
+// Keep image/imageVariants pointing at the gallery cover so that single-image
+// consumers (lists, the image endpoint) always show the cover
+itemSchema.pre('validate', function(next) {
+  if (this.images && this.images.length > 0) {
+    let cover = this.coverImage && this.images.id(this.coverImage);
+    if (!cover) {
+      cover = this.images[0];
+      this.coverImage = cover._id;
+    }
+    this.image = cover.key;
+    this.imageVariants = cover.variants ? cover.toObject().variants : undefined;
+  }
+  next();
+});
+
+itemSchema.index({ category: 1 });
+itemSchema.index({ tags: 1 });
+itemSchema.index({ 'dateRange.start': 1 });
+itemSchema.index({ 'dateRange.end': 1 });
+itemSchema.index({ createdBy: 1 });
+itemSchema.index({ workflowState: 1 });
+itemSchema.index({ publishAt: 1 });
+itemSchema.index({ unpublishAt: 1 });
+itemSchema.index({ audienceKeys: 1 });
+itemSchema.index({ importBatch: 1 });
+itemSchema.index({ locationKey: 1 });
+
+// Full-text search over the title, tags and note; title matches rank highest
+itemSchema.index(
+  { title: 'text', tags: 'text', note: 'text' },
+  { name: 'item_text_search', weights: { title: 10, tags: 5, note: 1 } }
+);
+
+// Items created before titles existed take the first line of their note
+itemSchema.pre('validate', function(next) {
+  if (!this.title && this.note) {
+    this.title = this.note.split('\n')[0].slice(0, 80).trim();
+  }
+  next();
+});
+
+// Keep recurrenceEnd and durationMs in step with the date range and recurrence rule
+itemSchema.pre('validate', function(next) {
+  if (this.recurrence && this.dateRange && this.dateRange.start && this.dateRange.end) {
+    this.recurrenceEnd = getLastOccurrenceEnd(this.dateRange, this.recurrence, this.timezone);
+  } else {
+    this.recurrenceEnd = undefined;
+  }
+  if (this.dateRange && this.dateRange.start && this.dateRange.end) {
+    this.durationMs = this.dateRange.end - this.dateRange.start;
+  }
+  next();
+});
+
+// Keep audienceKeys in step with the audience
+itemSchema.pre('validate', function(next) {
+  this.audienceKeys = getAudienceKeys(this.audience);
+  next();
+});
+
+// Keep locationKey in step with the location
+itemSchema.pre('validate', function(next) {
+  this.locationKey = getLocationKey(this.location);
+  next();
+});
+
 // Update the updatedAt field before saving
 itemSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
   next();
 });
 
+// Bump the calendar sequence when the item's calendar event changes, so that
+// calendar apps replace the copy they have. Moving to and restoring from the
+// trash and workflow transitions count, unlike for revisions.
+itemSchema.pre('save', function(next) {
+  if (!this.isNew && CALENDAR_FIELDS.some(field => this.isModified(field))) {
+    this.calendarSequence = (this.calendarSequence || 0) + 1;
+  }
+  next();
+});
+
+// Remember the loaded values so that saving can tell what changed
+itemSchema.post('init', function() {
+  this.$locals.revisionSnapshot = ItemRevision.takeSnapshot(this);
+});
+
+// Work out which tracked fields changed and prepare a revision for them.
+// Routes can set $locals.revisionAction/restoredFrom to describe the change.
+itemSchema.pre('save', function(next) {
+  const snapshot = ItemRevision.takeSnapshot(this);
+  const previousSnapshot = this.isNew ? {} : (this.$locals.revisionSnapshot || {});
+  const changes = ItemRevision.getChanges(previousSnapshot, snapshot);
+
+  if (this.isNew || changes.length > 0) {
+    const actor = this.isNew ? this.createdBy : (this.updatedBy || this.createdBy);
+    this.revision = (this.revision || 0) + 1;
+    this.$locals.pendingRevision = {
+      revision: this.revision,
+      action: this.isNew ? 'create' : (this.$locals.revisionAction || 'update'),
+      snapshot,
+      changes,
+      restoredFrom: this.$locals.restoredFrom,
+      changedBy: actor && actor._id ? actor._id : actor
+    };
+  }
+  next();
+});
+
+// Store the prepared revision once the item itself has been saved.
+// A failure here is logged rather than failing an update that already happened.
+itemSchema.post('save', async function() {
+  const pendingRevision = this.$locals.pendingRevision;
+  if (!pendingRevision) {
+    return;
+  }
+
+  this.$locals.pendingRevision = null;
+  this.$locals.revisionAction = null;
+  this.$locals.restoredFrom = null;
+  this.$locals.revisionSnapshot = pendingRevision.snapshot;
+
+  try {
+    await ItemRevision.create({ item: this._id, ...pendingRevision });
+  } catch (error) {
+    console.error(`Error recording revision ${pendingRevision.revision} of item ${this._id}:`, error);
+  }
+});
+
 // Populate user information when querying
 itemSchema.pre(/^find/, function(next) {
   this.populate({
@@ -65,24 +557,363 @@ itemSchema.pre(/^find/, function(next) {
   }).populate({
     path: 'updatedBy',
     select: 'name email role'
+  }).populate({
+    path: 'deletedBy',
+    select: 'name email role'
+  }).populate({
+    path: 'category',
+    select: 'name slug parent ancestors'
+  }).populate({
+    path: 'workflowHistory.actor',
+    select: 'name email role'
+  }).populate({
+    path: 'audience.users',
+    select: 'name email'
   });
   next();
 });
 
 // Static method to get items with pagination
-itemSchema.statics.getItemsWithPagination = function(page = 1, limit = 10, filter = {}) {
+itemSchema.statics.getItemsWithPagination = function(page = 1, limit = 10, filter = {}, sort = { createdAt: -1 }) {
   const skip = (page - 1) * limit;
   return this.find({ ...filter, isActive: true })
-    .sort({ createdAt: -1 })
+    .sort(sort)
     .skip(skip)
     .limit(limit);
 };
 
+// Static method to get the page of items after or before a cursor (see
+// utils/cursor). The sort must end with _id, as the ones from getSort do.
+itemSchema.statics.getItemsWithCursor = function(filter = {}, sort = { createdAt: -1, _id: -1 }, { after, before, limit = 10, select = '-image' } = {}) {
+  return paginateWithCursor(
+    (query, querySort, queryLimit) => this.find({ ...query, isActive: true }).sort(querySort).limit(queryLimit).select(select),
+    filter,
+    sort,
+    { after, before, limit }
+  );
+};
+
 // Static method to get items count
 itemSchema.statics.getItemsCount = function(filter = {}) {
   return this.countDocuments({ ...filter, isActive: true });
 };
 
+// Query filter on the end of an item's last occurrence; repeatsForever also
+// matches recurring items without an end
+const lastEndFilter = (condition, repeatsForever = false) => {
+  const filters = [
+    { recurrence: null, 'dateRange.end': condition },
+    { recurrence: { $ne: null }, recurrenceEnd: condition }
+  ];
+  if (repeatsForever) {
+    filters.push({ recurrence: { $ne: null }, recurrenceEnd: null });
+  }
+  return { $or: filters };
+};
+
+// Static method to build a query filter for one or more lifecycle statuses.
+// Mirrors the status virtual so filtered lists and badges always agree.
+// A recurring item runs from its first occurrence to the end of its last one.
+itemSchema.statics.getStatusFilter = function(statuses, now = new Date()) {
+  const expiringSoonUntil = new Date(now.getTime() + getExpiringSoonDays() * DAY_MS);
+
+  const conditions = {
+    upcoming: { 'dateRange.start': { $gt: now } },
+    active: { $and: [{ 'dateRange.start': { $lte: now } }, lastEndFilter({ $gt: expiringSoonUntil }, true)] },
+    'expiring-soon': { $and: [{ 'dateRange.start': { $lte: now } }, lastEndFilter({ $gte: now, $lte: expiringSoonUntil })] },
+    expired: lastEndFilter({ $lt: now })
+  };
+
+  const filters = [...new Set(statuses)].map(status => conditions[status]);
+  return filters.length === 1 ? filters[0] : { $or: filters };
+};
+
+// Static method to build query filters for start and end date ranges (all
+// bounds inclusive and optional). Like statuses, the end of a recurring item
+// is the end of its last occurrence. Returns a list of filters to combine with $and.
+itemSchema.statics.getDateRangeFilters = function({ startFrom, startTo, endFrom, endTo } = {}) {
+  const filters = [];
+  const start = {};
+  if (startFrom) {
+    start.$gte = startFrom;
+  }
+  if (startTo) {
+    start.$lte = startTo;
+  }
+  if (Object.keys(start).length > 0) {
+    filters.push({ 'dateRange.start': start });
+  }
+
+  const end = {};
+  if (endFrom) {
+    end.$gte = endFrom;
+  }
+  if (endTo) {
+    end.$lte = endTo;
+  }
+  if (Object.keys(end).length > 0) {
+    // Items that repeat forever end after any date, but before none
+    filters.push(lastEndFilter(end, !endTo));
+  }
+  return filters;
+};
+
+// Static method to build the sort for a list: the requested field, then the
+// newest items first so that pages are stable
+itemSchema.statics.getSort = function(sort = 'created', order = 'desc') {
+  const direction = order === 'asc' ? 1 : -1;
+  const path = SORT_FIELDS[sort] || SORT_FIELDS.created;
+  return path === 'createdAt' ? { createdAt: direction, _id: direction } : { [path]: direction, createdAt: -1, _id: -1 };
+};
+
+// Static method to fill in durationMs on items saved before it was stored
+itemSchema.statics.backfillDurations = async function() {
+  const result = await this.updateMany(
+    { durationMs: { $exists: false }, 'dateRange.start': { $ne: null }, 'dateRange.end': { $ne: null } },
+    [{ $set: { durationMs: { $subtract: ['$dateRange.end', '$dateRange.start'] } } }]
+  );
+  return result.modifiedCount;
+};
+
+// Static method to give items saved before calendar sequences existed the
+// sequence feeds used to derive from their revision (one more once trashed)
+itemSchema.statics.backfillCalendarSequences = async function() {
+  const result = await this.updateMany(
+    { calendarSequence: { $exists: false } },
+    [{
+      $set: {
+        calendarSequence: {
+          $add: [{ $ifNull: ['$revision', 0] }, { $cond: [{ $eq: ['$isActive', false] }, 1, 0] }]
+        }
+      }
+    }]
+  );
+  return result.modifiedCount;
+};
+
+// Static method to bump the calendar sequence of the items matching a filter,
+// for changes made elsewhere that show in their events (a category rename)
+itemSchema.statics.bumpCalendarSequences = async function(filter) {
+  const result = await this.updateMany(filter, { $inc: { calendarSequence: 1 } });
+  return result.modifiedCount;
+};
+
+// Static method to mark items saved before the approval workflow existed as
+// published, since every user could already see them
+itemSchema.statics.backfillWorkflowStates = async function() {
+  const result = await this.updateMany(
+    { workflowState: { $exists: false } },
+    { $set: { workflowState: 'published' } }
+  );
+  return result.modifiedCount;
+};
+
+// Static method to make items saved before audiences existed visible to
+// everyone, as they were
+itemSchema.statics.backfillAudiences = async function() {
+  const result = await this.updateMany(
+    { audienceKeys: { $exists: false } },
+    { $set: { audienceKeys: [EVERYONE_KEY] } }
+  );
+  return result.modifiedCount;
+};
+
+// Static method to build a query filter for a schedule status. $not also
+// matches items without the field, i.e. without a scheduled time.
+itemSchema.statics.getScheduleFilter = function(status, now = new Date()) {
+  const conditions = {
+    scheduled: { publishAt: { $gt: now } },
+    visible: { publishAt: { $not: { $gt: now } }, unpublishAt: { $not: { $lte: now } } },
+    unpublished: { unpublishAt: { $lte: now } }
+  };
+  return conditions[status];
+};
+
+// Static method to build the query filter for the items a user may see:
+// read-only users only ever see published items inside their publishing
+// schedule and meant for them. Admins see everything. The user may also be
+// a { _id, role, groups } viewer an admin previews the lists as. The filter
+// only uses top-level fields, so it can be merged into any other filter.
+itemSchema.statics.getVisibilityFilter = function(user, now = new Date()) {
+  if (!user || user.role !== 'user') {
+    return {};
+  }
+  return {
+    workflowState: 'published',
+    ...this.getScheduleFilter('visible', now),
+    audienceKeys: { $in: getViewerKeys(user) }
+  };
+};
+
+// Static method to build a query filter for items with an occurrence
+// overlapping the window [from, to)
+itemSchema.statics.getOccurrenceWindowFilter = function(from, to) {
+  return {
+    'dateRange.start': { $lt: to },
+    $or: [
+      { recurrence: null, 'dateRange.end': { $gt: from } },
+      { recurrence: { $ne: null }, recurrenceEnd: { $gt: from } },
+      { recurrence: { $ne: null }, recurrenceEnd: null }
+    ]
+  };
+};
+
+// Static method to list the ids of items matching a filter that are live at
+// a date. Occurrences and validity windows cannot be expressed as a query, so
+// running items are narrowed down in the database and checked here.
+itemSchema.statics.getLiveItemIds = async function(filter = {}, now = new Date()) {
+  const candidates = await this.find({
+    ...filter,
+    isActive: true,
+    $and: [...(filter.$and || []), this.getStatusFilter(['active', 'expiring-soon'], now)]
+  }).select('dateRange recurrence validityWindows timezone').lean();
+
+  return candidates.filter(item => isLiveAt(item, now)).map(item => item._id);
+};
+
+// Static method to find the items an offer competes with: other items in
+// its category or at its location (trash and rejected offers aside) whose
+// occurrences overlap its own. The offer may be an unsaved item or the
+// fields of one. Returns up to `limit` { item, reasons, overlap } entries.
+itemSchema.statics.findConflicts = async function(offer, { limit = MAX_CONFLICTS } = {}) {
+  const category = offer.category && offer.category._id ? offer.category._id : offer.category;
+  const locationKey = getLocationKey(offer.location);
+  const sameSlot = [
+    ...(category ? [{ category }] : []),
+    ...(locationKey ? [{ locationKey }] : [])
+  ];
+  if (sameSlot.length === 0) {
+    return [];
+  }
+
+  const candidates = await this.find({
+    isActive: true,
+    workflowState: { $ne: 'rejected' },
+    ...(offer._id && { _id: { $ne: offer._id } }),
+    $and: [
+      { $or: sameSlot },
+      this.getOccurrenceWindowFilter(new Date(offer.dateRange.start), getConflictSpanEnd(offer))
+    ]
+  }).select('-image').sort({ 'dateRange.start': 1 });
+
+  const conflicts = [];
+  for (const candidate of candidates) {
+    const overlap = findFirstOverlap(offer, candidate);
+    if (overlap) {
+      const reasons = [];
+      if (category && candidate.category && String(candidate.category._id) === String(category)) {
+        reasons.push('category');
+      }
+      if (locationKey && candidate.locationKey === locationKey) {
+        reasons.push('location');
+      }
+      conflicts.push({ item: candidate, reasons, overlap });
+      if (conflicts.length >= limit) {
+        break;
+      }
+    }
+  }
+  return conflicts;
+};
+
+// Instance method to move a single-image item (created before galleries
+// existed) into the gallery so its image can be managed like the others
+itemSchema.methods.ensureGallery = function() {
+  if (this.images.length === 0 && this.image) {
+    const { imageVariants } = this.toObject();
+    this.images.push({
+      key: this.image,
+      variants: imageVariants
+    });
+    this.coverImage = this.images[0]._id;
+  }
+  return this.images;
+};
+
+// Instance method to bring the tracked fields back to a revision snapshot.
+// Gallery images that are still on the item keep their current variants.
+itemSchema.methods.restoreSnapshot = function(snapshot) {
+  ItemRevision.REVISION_FIELDS.forEach(field => {
+    if (field === 'images' || field === 'coverImage' || snapshot[field] === undefined) {
+      return;
+    }
+    this.set(field, snapshot[field]);
+  });
+
+  // Revisions from before these fields existed describe one-off, uncategorised
+  // offers that are valid all day
+  if (snapshot.recurrence === undefined) {
+    this.recurrence = null;
+  }
+  if (snapshot.validityWindows === undefined) {
+    this.validityWindows = [];
+  }
+  if (snapshot.category === undefined) {
+    this.category = null;
+  }
+  if (snapshot.tags === undefined) {
+    this.tags = [];
+  }
+  if (snapshot.location === undefined) {
+    this.location = '';
+  }
+  if (snapshot.publishAt === undefined) {
+    this.publishAt = null;
+  }
+  if (snapshot.unpublishAt === undefined) {
+    this.unpublishAt = null;
+  }
+  if (snapshot.audience === undefined) {
+    this.audience = {};
+  }
+
+  // Items from before galleries existed have no images to restore
+  if (snapshot.images && snapshot.images.length > 0) {
+    this.images = snapshot.images.map(image => {
+      const currentImage = this.images.id(image._id);
+      return currentImage ? currentImage.toObject() : image;
+    });
+    this.coverImage = snapshot.coverImage;
+  }
+};
+
+// Static method to check if a user's role allows a workflow action
+itemSchema.statics.canTakeWorkflowAction = function(action, user) {
+  const transition = WORKFLOW_ACTIONS[action];
+  return Boolean(transition && user && transition.roles.includes(user.role));
+};
+
+// Instance method to check if a workflow action applies to the item's
+// current state. Returns an error message, or null if it does.
+itemSchema.methods.getWorkflowError = function(action) {
+  const transition = WORKFLOW_ACTIONS[action];
+  if (!transition.from.includes(this.workflowState)) {
+    return `Cannot ${action} an offer that is ${this.workflowState.replace('_', ' ')}`;
+  }
+  return null;
+};
+
+// Instance method to move the item to another workflow state and record who
+// did it. Approvals and rejections keep their comment as the review comment.
+itemSchema.methods.applyWorkflowAction = function(action, user, comment) {
+  const from = this.workflowState;
+  const to = action === 'edit' ? 'draft' : WORKFLOW_ACTIONS[action].to;
+  this.workflowState = to;
+  if (action === 'approve' || action === 'reject') {
+    this.reviewComment = comment || undefined;
+  } else if (action === 'submit') {
+    this.reviewComment = undefined;
+  }
+  this.workflowHistory.push({
+    action,
+    from,
+    to,
+    comment: comment || undefined,
+    actor: user._id,
+    at: new Date()
+  });
+};
+
 // Instance method to check if user can edit this item
 itemSchema.methods.canEdit = function(user) {
   // Super admin and admin can edit any item
@@ -110,14 +941,65 @@ itemSchema.virtual('durationDays').get(function() {
   return diffDays;
 });
 
-// Virtual to check if the item is expired
+// Virtual for the end of the last occurrence (null while the item repeats forever)
+itemSchema.virtual('lastOccurrenceEnd').get(function() {
+  if (!this.dateRange || !this.dateRange.end) {
+    return undefined;
+  }
+  return this.recurrence ? (this.recurrenceEnd || null) : this.dateRange.end;
+});
+
+// Virtual for the schedule status: scheduled (not shown to users yet),
+// visible or unpublished (no longer shown to users)
+itemSchema.virtual('scheduleStatus').get(function() {
+  const now = new Date();
+  if (this.publishAt && this.publishAt > now) {
+    return 'scheduled';
+  }
+  if (this.unpublishAt && this.unpublishAt <= now) {
+    return 'unpublished';
+  }
+  return 'visible';
+});
+
+// Virtual to check if the item is expired (its last occurrence has ended)
 itemSchema.virtual('isExpired').get(function() {
   const now = new Date();
-  return this.dateRange.end < now;
+  const lastEnd = this.lastOccurrenceEnd;
+  return Boolean(lastEnd) && lastEnd < now;
+});
+
+// Virtual for the lifecycle status: upcoming, active, expiring-soon or expired.
+// Recurring items stay active between occurrences until their last one ends.
+itemSchema.virtual('status').get(function() {
+  if (!this.dateRange || !this.dateRange.start || !this.dateRange.end) {
+    return undefined;
+  }
+  const now = new Date();
+  const lastEnd = this.lastOccurrenceEnd;
+  if (this.dateRange.start > now) {
+    return 'upcoming';
+  }
+  if (lastEnd && lastEnd < now) {
+    return 'expired';
+  }
+  if (lastEnd && lastEnd - now <= getExpiringSoonDays() * DAY_MS) {
+    return 'expiring-soon';
+  }
+  return 'active';
 });
 
 // Ensure virtual fields are serialized
 itemSchema.set('toJSON', { virtuals: true });
 itemSchema.set('toObject', { virtuals: true });
 
-module.exports = mongoose.model('Item', itemSchema);
\ No newline at end of file
+const Item = mongoose.model('Item', itemSchema);
+Item.MAX_IMAGES_PER_ITEM = MAX_IMAGES_PER_ITEM;
+Item.STATUSES = ITEM_STATUSES;
+Item.WORKFLOW_STATES = WORKFLOW_STATES;
+Item.SCHEDULE_STATUSES = SCHEDULE_STATUSES;
+Item.WORKFLOW_ACTIONS = Object.keys(WORKFLOW_ACTIONS);
+Item.SORT_FIELDS = Object.keys(SORT_FIELDS);
+Item.getExpiringSoonDays = getExpiringSoonDays;
+
+module.exports = Item;
\ No newline at end of file
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+
+// Item fields captured in every revision snapshot. The single image/imageVariants
+// fields are left out because they are derived from the gallery cover.
+const REVISION_FIELDS = [
+  'title',
+  'note',
+  'category',
+  'tags',
+  'location',
+  'dateRange',
+  'timezone',
+  'recurrence',
+  'validityWindows',
+  'publishAt',
+  'unpublishAt',
+  'audience',
+  'images',
+  'coverImage'
+];
+
+const REVISION_ACTIONS = ['create', 'update', 'restore'];
+
+// A changed field, with its normalized value before and after the change
+const revisionChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const itemRevisionSchema = new mongoose.Schema({
+  item: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Item',
+    required: true
+  },
+  revision: {
+    type: Number,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: REVISION_ACTIONS,
+    default: 'update'
+  },
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  changes: [revisionChangeSchema],
+  restoredFrom: {
+    type: Number
+  },
+  changedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+itemRevisionSchema.index({ item: 1, revision: -1 });
+
+// Populate user information when querying
+itemRevisionSchema.pre(/^find/, function(next) {
+  this.populate({
+    path: 'changedBy',
+    select: 'name email role'
+  });
+  next();
+});
+
+// Copy the tracked fields of an item into a plain object
+const takeSnapshot = (item) => {
+  const itemObj = item.toObject({ virtuals: false, depopulate: true });
+  const snapshot = {};
+  REVISION_FIELDS.forEach(field => {
+    if (itemObj[field] !== undefined) {
+      snapshot[field] = itemObj[field];
+    }
+  });
+  return snapshot;
+};
+
+// Reduce a field value to plain JSON so that it can be compared and shown in
+// diffs. Images are compared by id only: regenerated variants are not a change.
+const normalizeValue = (field, value) => {
+  if (field === 'images') {
+    return (value || []).map(image => String(image._id));
+  }
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+};
+
+// List the fields that differ between two snapshots
+const getChanges = (previousSnapshot, snapshot) => {
+  const changes = [];
+  REVISION_FIELDS.forEach(field => {
+    const from = normalizeValue(field, previousSnapshot[field]);
+    const to = normalizeValue(field, snapshot[field]);
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from, to });
+    }
+  });
+  return changes;
+};
+
+const ItemRevision = mongoose.model('ItemRevision', itemRevisionSchema);
+ItemRevision.REVISION_FIELDS = REVISION_FIELDS;
+ItemRevision.takeSnapshot = takeSnapshot;
+ItemRevision.getChanges = getChanges;
+
+module.exports = ItemRevision;
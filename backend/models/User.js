@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { MAX_GROUPS_PER_USER, MAX_GROUP_LENGTH } = require('../utils/audience');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -29,10 +31,34 @@ const userSchema = new mongoose.Schema({
     enum: ['user', 'admin', 'super_admin'],
     default: 'user'
   },
+  // Named groups used to target item audiences, stored lowercase
+  groups: {
+    type: [{
+      type: String,
+      trim: true,
+      lowercase: true,
+      maxlength: [MAX_GROUP_LENGTH, `Group names cannot be more than ${MAX_GROUP_LENGTH} characters`]
+    }],
+    validate: {
+      validator: function(value) {
+        return value.length <= MAX_GROUPS_PER_USER;
+      },
+      message: `A user cannot be in more than ${MAX_GROUPS_PER_USER} groups`
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
   },
+  // SHA-256 hash of the token that authenticates the user's calendar feed.
+  // The token itself is only shown when it is created.
+  calendarFeedToken: {
+    type: String,
+    select: false
+  },
+  calendarFeedTokenCreatedAt: {
+    type: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -43,6 +69,9 @@ const userSchema = new mongoose.Schema({
   }
 });
 
+userSchema.index({ groups: 1 });
+userSchema.index({ calendarFeedToken: 1 }, { unique: true, sparse: true });
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   // Only hash the password if it has been modified (or is new)
@@ -64,6 +93,20 @@ userSchema.methods.correctPassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Static method to hash a calendar feed token for lookup
+userSchema.statics.hashFeedToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Instance method to create a new calendar feed token, replacing (and so
+// revoking) any earlier one. Returns the token; only its hash is stored.
+userSchema.methods.createCalendarFeedToken = function() {
+  const token = crypto.randomBytes(24).toString('hex');
+  this.calendarFeedToken = this.constructor.hashFeedToken(token);
+  this.calendarFeedTokenCreatedAt = new Date();
+  return token;
+};
+
 // Static method to get users by role
 userSchema.statics.getUsersByRole = function(role) {
   return this.find({ role, isActive: true }).select('-password');
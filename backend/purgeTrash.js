@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Import trash helpers
+const { purgeExpiredTrash, getTrashRetentionDays } = require('./utils/trash');
+
+// Usage:
+//   node purgeTrash.js   - purge items that have been in the trash longer than TRASH_RETENTION_DAYS
+const purge = async () => {
+  let failed = false;
+
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB for trash purge...');
+
+    const purged = await purgeExpiredTrash();
+    console.log(`\n🎉 Done. ${purged} item(s) older than ${getTrashRetentionDays()} days purged from the trash.`);
+  } catch (error) {
+    failed = true;
+    console.error('❌ Error purging trash:', error);
+  } finally {
+    mongoose.disconnect();
+    console.log('\nDisconnected from MongoDB');
+    process.exit(failed ? 1 : 0);
+  }
+};
+
+// Run the purge
+purge();
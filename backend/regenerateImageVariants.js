@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Import Item model and image helpers
+const Item = require('./models/Item');
+const { regenerateItemImageVariants, deleteImageVariants } = require('./utils/imageVariants');
+
+// Usage:
+//   node regenerateImageVariants.js         - only items without variants
+//   node regenerateImageVariants.js --all   - every item
+const regenerateAll = process.argv.includes('--all');
+
+const regenerate = async () => {
+  let updated = 0;
+  let failed = 0;
+
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB for image variant generation...');
+
+    // The sized WebP variants were added last, so items without them are
+    // missing some variants
+    const filter = regenerateAll ? {} : {
+      $or: [
+        { 'imageVariants.mediumWebp': { $exists: false } },
+        { images: { $elemMatch: { 'variants.mediumWebp': { $exists: false } } } }
+      ]
+    };
+    const cursor = Item.find(filter).cursor();
+
+    for (let item = await cursor.next(); item != null; item = await cursor.next()) {
+      try {
+        const replacedVariants = await regenerateItemImageVariants(item);
+        await item.save();
+
+        for (const variants of replacedVariants) {
+          await deleteImageVariants(variants);
+        }
+
+        updated++;
+        console.log(`✅ Generated variants for item ${item._id}`);
+      } catch (error) {
+        failed++;
+        console.error(`❌ Failed to generate variants for item ${item._id}:`, error.message);
+      }
+    }
+
+    console.log(`\n🎉 Done. ${updated} item(s) updated, ${failed} failed.`);
+  } catch (error) {
+    console.error('❌ Error generating image variants:', error);
+  } finally {
+    mongoose.disconnect();
+    console.log('\nDisconnected from MongoDB');
+    process.exit(failed > 0 ? 1 : 0);
+  }
+};
+
+// Run the generator
+regenerate();
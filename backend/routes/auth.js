@@ -375,4 +375,62 @@ router.post('/verify-token', asyncHandler(async (req, res) => {
   }
 }));
 
-module.exports = router;
\ No newline at end of file
+// Helper function to describe the current user's calendar feed
+const getCalendarFeedStatus = (user) => ({
+  enabled: Boolean(user.calendarFeedTokenCreatedAt),
+  createdAt: user.calendarFeedTokenCreatedAt || null
+});
+
+// @desc    Get the status of the current user's calendar feed
+// @route   GET /api/auth/calendar-feed
+// @access  Private
+router.get('/calendar-feed', protect, asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: getCalendarFeedStatus(req.user)
+  });
+}));
+
+// @desc    Create a calendar feed token, revoking any earlier one
+// @route   POST /api/auth/calendar-feed
+// @access  Private
+//
+// The token is only returned here; calendar apps subscribe to the feed URL
+// with it (see GET /api/items/feed.ics).
+router.post('/calendar-feed', protect, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+  if (!user) {
+    return sendErrorResponse(res, 404, 'User not found');
+  }
+
+  const token = user.createCalendarFeedToken();
+  await user.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'Calendar feed link created',
+    data: {
+      ...getCalendarFeedStatus(user),
+      token,
+      url: `${req.protocol}://${req.get('host')}/api/items/feed.ics?token=${token}`
+    }
+  });
+}));
+
+// @desc    Revoke the current user's calendar feed token
+// @route   DELETE /api/auth/calendar-feed
+// @access  Private
+router.delete('/calendar-feed', protect, asyncHandler(async (req, res) => {
+  await User.updateOne(
+    { _id: req.user._id },
+    { $unset: { calendarFeedToken: 1, calendarFeedTokenCreatedAt: 1 } }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Calendar feed link revoked',
+    data: getCalendarFeedStatus({})
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,313 @@
+const express = require('express');
+const { body, validationResult, param } = require('express-validator');
+const Category = require('../models/Category');
+const Item = require('../models/Item');
+const { protect, superAdminOnly, authenticatedUser, previewAudience } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Helper function to sort categories into tree order: each category is
+// followed by its children, siblings sorted by name
+const sortAsTree = (categories) => {
+  const childrenByParent = new Map();
+  categories.forEach(category => {
+    const parentId = category.parent ? String(category.parent) : null;
+    if (!childrenByParent.has(parentId)) {
+      childrenByParent.set(parentId, []);
+    }
+    childrenByParent.get(parentId).push(category);
+  });
+
+  const sorted = [];
+  const visit = (parentId) => {
+    const children = (childrenByParent.get(parentId) || [])
+      .sort((a, b) => a.name.localeCompare(b.name));
+    children.forEach(child => {
+      sorted.push(child);
+      visit(String(child._id));
+    });
+  };
+  visit(null);
+  return sorted;
+};
+
+// Helper function to shape a category for API responses, with its depth and
+// the names along its path ("Food › Drinks › Coffee")
+const toCategoryResponse = (category, categoriesById, itemCounts = new Map()) => {
+  const categoryObj = category.toObject();
+  const pathNames = category.ancestors
+    .map(id => categoriesById.get(String(id)))
+    .filter(Boolean)
+    .map(ancestor => ancestor.name);
+  categoryObj.depth = category.ancestors.length;
+  categoryObj.path = [...pathNames, category.name].join(' › ');
+  categoryObj.itemCount = itemCounts.get(String(category._id)) || 0;
+  return categoryObj;
+};
+
+// Helper function to load a parent category from a request, checking that
+// moving `category` under it would not create a cycle
+const findParent = async (parentId, category = null) => {
+  if (!parentId) {
+    return { parent: null };
+  }
+  const parent = await Category.findById(parentId);
+  if (!parent) {
+    return { error: 'Parent category not found' };
+  }
+  if (category && (String(parent._id) === String(category._id) || category.isAncestorOf(parent))) {
+    return { error: 'A category cannot be moved below itself' };
+  }
+  return { parent };
+};
+
+// Validators shared by the create and update endpoints
+const validateCategoryBody = (isUpdate = false) => [
+  (isUpdate ? body('name').optional() : body('name'))
+    .trim()
+    .notEmpty()
+    .withMessage('Category name is required')
+    .isLength({ max: 50 })
+    .withMessage('Category name cannot be more than 50 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot be more than 200 characters'),
+  body('parent')
+    .optional({ nullable: true, checkFalsy: true })
+    .isMongoId()
+    .withMessage('Parent must be a valid category ID')
+];
+
+// @desc    Get all categories in tree order
+// @route   GET /api/categories
+// @access  Private (all authenticated users can read)
+router.get('/', [
+  protect,
+  authenticatedUser,
+  previewAudience
+], async (req, res) => {
+  try {
+    const categories = await Category.find();
+    const categoriesById = new Map(categories.map(category => [String(category._id), category]));
+
+    // Number of items filed directly under each category
+    const counts = await Item.aggregate([
+      { $match: { isActive: true, category: { $ne: null }, ...Item.getVisibilityFilter(req.viewer) } },
+      { $group: { _id: '$category', count: { $sum: 1 } } }
+    ]);
+    const itemCounts = new Map(counts.map(count => [String(count._id), count.count]));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        categories: sortAsTree(categories).map(category => toCategoryResponse(category, categoriesById, itemCounts))
+      }
+    });
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching categories'
+    });
+  }
+});
+
+// @desc    Create a category
+// @route   POST /api/categories
+// @access  Private (super_admin only)
+router.post('/', [
+  protect,
+  superAdminOnly,
+  ...validateCategoryBody()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, description } = req.body;
+
+    const { parent, error } = await findParent(req.body.parent);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const category = await Category.create({
+      name,
+      description,
+      slug: await Category.generateSlug(name),
+      parent: parent ? parent._id : null,
+      ancestors: parent ? [...parent.ancestors, parent._id] : [],
+      createdBy: req.user._id
+    });
+
+    console.log(`Category "${category.name}" created by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      data: {
+        category
+      }
+    });
+  } catch (error) {
+    console.error('Create category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating category'
+    });
+  }
+});
+
+// @desc    Rename, describe or move a category
+// @route   PUT /api/categories/:id
+// @access  Private (super_admin only)
+router.put('/:id', [
+  protect,
+  superAdminOnly,
+  param('id').isMongoId().withMessage('Invalid category ID'),
+  ...validateCategoryBody(true)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const { name, description } = req.body;
+    const renamed = name !== undefined && name !== category.name;
+
+    if (renamed) {
+      category.name = name;
+      category.slug = await Category.generateSlug(name, category._id);
+    }
+
+    if (description !== undefined) {
+      category.description = description;
+    }
+
+    // An empty parent moves the category to the top level
+    if (req.body.parent !== undefined && String(req.body.parent || '') !== String(category.parent || '')) {
+      const { parent, error } = await findParent(req.body.parent, category);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+      await category.moveTo(parent);
+    }
+
+    category.updatedBy = req.user._id;
+    await category.save();
+
+    // The category name is shown in the calendar events of its items
+    if (renamed) {
+      await Item.bumpCalendarSequences({ category: category._id });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Category updated successfully',
+      data: {
+        category
+      }
+    });
+  } catch (error) {
+    console.error('Update category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating category'
+    });
+  }
+});
+
+// @desc    Delete a category
+// @route   DELETE /api/categories/:id
+// @access  Private (super_admin only)
+//
+// Only empty categories can be deleted: move or delete their subcategories
+// and items first, so that nothing is left uncategorised by accident.
+router.delete('/:id', [
+  protect,
+  superAdminOnly,
+  param('id').isMongoId().withMessage('Invalid category ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const childCount = await Category.countDocuments({ parent: category._id });
+    if (childCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Category has ${childCount} subcategor${childCount === 1 ? 'y' : 'ies'}; move or delete them first`
+      });
+    }
+
+    // Items in the trash count too, since they can be restored
+    const itemCount = await Item.countDocuments({ category: category._id });
+    if (itemCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Category is used by ${itemCount} item(s); move them to another category first`
+      });
+    }
+
+    await Category.deleteOne({ _id: category._id });
+
+    console.log(`Category "${category.name}" deleted by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Category deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting category'
+    });
+  }
+});
+
+module.exports = router;
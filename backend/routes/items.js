@@ -1,8 +1,42 @@
 const express = require('express');
 const { body, validationResult, param, query } = require('express-validator');
 const Item = require('../models/Item');
-const { protect, canPerformCRUD, canDelete, authenticatedUser, asyncHandler } = require('../middleware/auth');
-const { processImageUpload, validateImageFile, deleteUploadedFile, getFileUrl } = require('../middleware/upload');
+const ItemRevision = require('../models/ItemRevision');
+const Category = require('../models/Category');
+const ImportBatch = require('../models/ImportBatch');
+const User = require('../models/User');
+const { protect, canPerformCRUD, canDelete, authenticatedUser, previewAudience, feedTokenAuth, asyncHandler } = require('../middleware/auth');
+const crypto = require('crypto');
+const { processImageUpload, validateImageFile, inspectUploadedImage, processImportUpload } = require('../middleware/upload');
+const { saveImage, readImage, deleteImage, copyImage, getImageUrl } = require('../storage');
+const { VARIANT_NAMES, generateImageVariants, regenerateItemImageVariants, deleteImageVariants } = require('../utils/imageVariants');
+const { getTrashRetentionDays, getPurgeDate, moveToTrash, purgeItem } = require('../utils/trash');
+const { normalizeRecurrence, expandOccurrences, getNextOccurrence } = require('../utils/recurrence');
+const { normalizeValidityWindows, isLiveAt } = require('../utils/validityWindows');
+const {
+  isValidTimezone,
+  getDefaultTimezone,
+  toWallClock,
+  fromWallClock,
+  parseDateInZone,
+  changeTimezone
+} = require('../utils/timezone');
+const { normalizeTags } = require('../utils/tags');
+const { normalizeAudience } = require('../utils/audience');
+const { parseSearchQuery, hasSearchTerms, getSearchHighlights } = require('../utils/search');
+const { CursorError, isCursorRequest } = require('../utils/cursor');
+const { EXPORT_FORMATS, CONTENT_TYPES, getItemExportColumns, writeExport } = require('../utils/export');
+const { ImportError, readManifest, parseImageNames, openImageArchive } = require('../utils/importManifest');
+const { detectImageType } = require('../utils/imageType');
+const { CONTENT_TYPE: CALENDAR_CONTENT_TYPE, writeCalendar } = require('../utils/ics');
+const { MAX_LOCATION_LENGTH, getConflictPolicy } = require('../utils/conflicts');
+const {
+  getExportImageUrlTtlHours,
+  getImageUrlExpiry,
+  signImagePath,
+  verifyImageSignature
+} = require('../utils/imageUrls');
+const { StreamClosedError } = require('../utils/streams');
 
 const router = express.Router();
 
@@ -20,12 +54,2783 @@ const sendErrorResponse = (res, statusCode, message, errors = null) => {
   return res.status(statusCode).json(response);
 };
 
+// Helper function to build the signed URL of an item image (see
+// utils/imageUrls.js). Gallery images are addressed by id; without one the
+// URL points at the cover image. The version parameter changes on every
+// update so browsers refetch the image. Exports pass a later expiry.
+const getItemImageUrl = (req, item, variant = null, imageId = null, expires = getImageUrlExpiry()) => {
+  const version = new Date(item.updatedAt || item.createdAt).getTime();
+  const imagePath = `${item._id}/${imageId ? `images/${imageId}` : 'image'}`;
+  const variantParam = variant ? `&variant=${variant}` : '';
+  const signature = signImagePath(imagePath, expires);
+  return `${req.protocol}://${req.get('host')}/api/items/${imagePath}?v=${version}${variantParam}&expires=${expires}&sig=${signature}`;
+};
+
+// Middleware to check the signature of an image request. Image URLs are only
+// handed out in responses about items the user can see.
+const verifySignedImageUrl = (req, res, next) => {
+  const imagePath = `${req.params.id}/${req.params.imageId ? `images/${req.params.imageId}` : 'image'}`;
+  if (!verifyImageSignature(imagePath, req.query.expires, req.query.sig)) {
+    return sendErrorResponse(res, 403, 'Image link is invalid or has expired');
+  }
+  next();
+};
+
+// Helper function to replace variant storage keys with their URLs
+const getVariantUrls = (req, item, variants, imageId = null) => {
+  const urls = {};
+  VARIANT_NAMES.forEach(name => {
+    const variant = variants && variants[name];
+    if (variant && variant.key) {
+      urls[name] = {
+        url: getItemImageUrl(req, item, name, imageId),
+        width: variant.width,
+        height: variant.height
+      };
+    }
+  });
+  return urls;
+};
+
+// Helper function to add the occurrence running now (or else the next one)
+// and whether the offer can be used right now. These depend on the time of
+// the request, so they are computed per response rather than as virtuals.
+const addCurrentOccurrence = (itemObj, item, now = new Date()) => {
+  if (!item.dateRange || !item.dateRange.start || !item.dateRange.end) {
+    return;
+  }
+  const occurrence = getNextOccurrence(item.dateRange, item.recurrence, now, item.timezone);
+  itemObj.nextOccurrence = occurrence ? { start: occurrence.start, end: occurrence.end } : null;
+  itemObj.isLive = isLiveAt(item, now);
+};
+
+// Helper function to shape an item for API responses.
+// The stored image (which may be a multi-megabyte base64 string) is never
+// sent to clients; they load it from the image endpoints instead.
+const toItemResponse = (req, item) => {
+  const itemObj = item.toObject();
+  addCurrentOccurrence(itemObj, item);
+  delete itemObj.image;
+  itemObj.imageUrl = getItemImageUrl(req, item);
+  itemObj.imageVariants = getVariantUrls(req, item, item.imageVariants);
+  itemObj.images = (item.images || []).map(image => ({
+    _id: image._id,
+    url: getItemImageUrl(req, item, null, image._id),
+    variants: getVariantUrls(req, item, image.variants, image._id),
+    originalName: image.originalName,
+    isCover: String(image._id) === String(item.coverImage)
+  }));
+  delete itemObj.audienceKeys;
+  delete itemObj.locationKey;
+  // The review process and audiences are internal to admins
+  if (req.user && req.user.role === 'user') {
+    delete itemObj.reviewComment;
+    delete itemObj.workflowHistory;
+    delete itemObj.audience;
+  }
+  return itemObj;
+};
+
+// Helper function to shape a revision for API responses.
+// Storage keys of snapshot images are internal and not sent to clients.
+const toRevisionResponse = (revision) => {
+  const revisionObj = revision.toObject();
+  if (revisionObj.snapshot && revisionObj.snapshot.images) {
+    revisionObj.snapshot.images = revisionObj.snapshot.images.map(image => ({
+      _id: image._id,
+      originalName: image.originalName
+    }));
+  }
+  return revisionObj;
+};
+
+// Helper function to generate variants for a new upload.
+// A failure here should not lose the upload itself, so it is only logged.
+const createImageVariants = async (file, imageKey) => {
+  try {
+    return await generateImageVariants(file.buffer, imageKey);
+  } catch (error) {
+    console.error('Error generating image variants:', error);
+    return undefined;
+  }
+};
+
+// Helper function to store uploaded files as gallery images.
+// If one of them fails, the ones already stored are removed again.
+const storeGalleryImages = async (files) => {
+  const galleryImages = [];
+  try {
+    for (const file of files) {
+      const key = await saveImage(file);
+      galleryImages.push({
+        key,
+        contentType: file.mimetype,
+        originalName: file.originalname
+      });
+      galleryImages[galleryImages.length - 1].variants = await createImageVariants(file, key);
+    }
+  } catch (error) {
+    await deleteGalleryImages(galleryImages);
+    throw error;
+  }
+  return galleryImages;
+};
+
+// Helper function to delete gallery images (and their variants) from storage
+const deleteGalleryImages = async (galleryImages) => {
+  for (const image of galleryImages) {
+    await deleteImage(image.key);
+    await deleteImageVariants(image.variants);
+  }
+};
+
+// Helper function to copy gallery images (and their variants) for a duplicated item.
+// If one of them fails, the copies already made are removed again.
+const copyGalleryImages = async (images) => {
+  const copies = [];
+  try {
+    for (const image of images) {
+      const copy = {
+        key: await copyImage(image.key, image.originalName),
+        contentType: image.contentType,
+        originalName: image.originalName,
+        variants: {}
+      };
+      copies.push(copy);
+
+      for (const name of VARIANT_NAMES) {
+        const variant = image.variants && image.variants[name];
+        if (variant && variant.key) {
+          copy.variants[name] = { ...variant, key: await copyImage(variant.key) };
+        }
+      }
+    }
+  } catch (error) {
+    await deleteGalleryImages(copies);
+    throw error;
+  }
+  return copies;
+};
+
+// Helper function to send a stored image with caching headers
+const sendStoredImage = async (req, res, image) => {
+  // The stored value is unique per upload, so its hash identifies the image content
+  const etag = `"${crypto.createHash('sha1').update(image).digest('hex')}"`;
+  // Browsers keep the image no longer than its signed URL is valid
+  const maxAge = Math.max(0, Math.min(86400, Math.floor((Number(req.query.expires) - Date.now()) / 1000)));
+  res.set({
+    'ETag': etag,
+    'Cache-Control': `private, max-age=${maxAge}`
+  });
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  // Let the storage provider serve the image directly through a temporary URL
+  const storageUrl = await getImageUrl(image, Math.max(maxAge, 60));
+  if (storageUrl && /^https?:\/\//.test(storageUrl)) {
+    return res.redirect(302, storageUrl);
+  }
+
+  const storedImage = await readImage(image);
+  if (!storedImage) {
+    return res.status(404).json({
+      success: false,
+      message: 'Image not found'
+    });
+  }
+
+  res.set({
+    'Content-Type': storedImage.contentType,
+    'Content-Length': storedImage.size
+  });
+
+  storedImage.stream.on('error', (streamError) => {
+    console.error('Image stream error:', streamError);
+    res.destroy(streamError);
+  });
+  storedImage.stream.pipe(res);
+};
+
+// Helper function to pick the stored key for a requested variant.
+// Falls back to the original when the variant has not been generated.
+const getVariantKey = (key, variants, variantName) => {
+  const variant = variantName && variants && variants[variantName];
+  return variant && variant.key ? variant.key : key;
+};
+
+// Helper function to parse the status query parameter ("active" or "upcoming,active")
+const parseStatuses = (value) => String(value).split(',').map(status => status.trim()).filter(Boolean);
+
+// Validator for the status query parameter of the list endpoints
+const validateStatusQuery = () => query('status')
+  .optional()
+  .custom(value => {
+    const statuses = parseStatuses(value);
+    return statuses.length > 0 && statuses.every(status => Item.STATUSES.includes(status));
+  })
+  .withMessage(`Status must be one or more of: ${Item.STATUSES.join(', ')}`);
+
+// Validators for the sort and date range parameters of the list endpoints.
+// Date bounds are inclusive; an empty value is ignored.
+const DATE_RANGE_PARAMS = ['startFrom', 'startTo', 'endFrom', 'endTo'];
+const validateListQuery = () => [
+  query('sort')
+    .optional()
+    .isIn([...Item.SORT_FIELDS, 'relevance'])
+    .withMessage(`Sort must be one of: ${[...Item.SORT_FIELDS, 'relevance'].join(', ')}`),
+  query('order')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('Order must be asc or desc'),
+  ...DATE_RANGE_PARAMS.map(name => query(name)
+    .optional({ checkFalsy: true })
+    .isISO8601()
+    .withMessage(`${name} must be a valid date`)
+    .bail()
+    .toDate()),
+  query('startTo')
+    .optional({ checkFalsy: true })
+    .custom((value, { req }) => !(req.query.startFrom instanceof Date) || value >= req.query.startFrom)
+    .withMessage('startTo must not be before startFrom'),
+  query('endTo')
+    .optional({ checkFalsy: true })
+    .custom((value, { req }) => !(req.query.endFrom instanceof Date) || value >= req.query.endFrom)
+    .withMessage('endTo must not be before endFrom')
+];
+
+// Validators for cursor pagination, offered next to page numbers: pass
+// pagination=cursor for the first page, then after/before with the returned cursors
+const validateCursorQuery = () => [
+  query('pagination')
+    .optional()
+    .isIn(['page', 'cursor'])
+    .withMessage('Pagination must be page or cursor'),
+  query(['after', 'before'])
+    .optional()
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Cursor must be a token returned by a previous page')
+];
+
+// Validator for the schedule status filter of the list endpoints
+const validateScheduleStatusQuery = () => query('scheduleStatus')
+  .optional({ checkFalsy: true })
+  .isIn(Item.SCHEDULE_STATUSES)
+  .withMessage(`Schedule status must be one of: ${Item.SCHEDULE_STATUSES.join(', ')}`);
+
+// Validator for the workflow state filter of the list endpoints
+const validateWorkflowStateQuery = () => query('workflowState')
+  .optional({ checkFalsy: true })
+  .isIn(Item.WORKFLOW_STATES)
+  .withMessage(`Workflow state must be one of: ${Item.WORKFLOW_STATES.join(', ')}`);
+
+// Helper function to send a published item back to draft when an admin
+// changes its content, so that the change is reviewed before users see it.
+// Super admins review their own changes.
+const reopenForReview = (item, user) => {
+  if (item.workflowState !== 'published' || user.role === 'super_admin') {
+    return;
+  }
+  const changes = ItemRevision.getChanges(item.$locals.revisionSnapshot || {}, ItemRevision.takeSnapshot(item));
+  if (changes.length > 0) {
+    item.applyWorkflowAction('edit', user);
+  }
+};
+
+// Helper function to save an admin's changes to the content of an item.
+// Every route that edits an item saves through here, so that a published
+// item always goes back for review when its content changes.
+const saveItemChanges = async (item, user) => {
+  item.updatedBy = user._id;
+  reopenForReview(item, user);
+  await item.save();
+};
+
+// Helper function to add the date range filters of a list request to a filter
+const applyDateRangeFilters = (filter, reqQuery) => {
+  const dateFilters = Item.getDateRangeFilters(reqQuery);
+  if (dateFilters.length > 0) {
+    filter.$and = [...(filter.$and || []), ...dateFilters];
+  }
+  return filter;
+};
+
+// Validator for the recurrence rule of the create and update endpoints.
+// Multipart forms send the rule as a JSON string; an empty value removes it.
+const validateRecurrenceBody = () => body('recurrence')
+  .optional({ nullable: true })
+  .custom(value => {
+    normalizeRecurrence(value);
+    return true;
+  });
+
+// Validator for the validity windows of the create and update endpoints.
+// Multipart forms send them as a JSON string; an empty value removes them.
+const validateValidityWindowsBody = () => body('validityWindows')
+  .optional({ nullable: true })
+  .custom(value => {
+    normalizeValidityWindows(value);
+    return true;
+  });
+
+// Validator for the timezone of the create and update endpoints
+const validateTimezoneBody = () => body('timezone')
+  .optional()
+  .custom(isValidTimezone)
+  .withMessage('Timezone must be a valid IANA timezone, e.g. Europe/Berlin');
+
+// Validators for the publishing schedule of the create and update endpoints.
+// An empty value removes the scheduled time.
+const validateScheduleBody = () => body(['publishAt', 'unpublishAt'])
+  .optional({ nullable: true, checkFalsy: true })
+  .isISO8601()
+  .withMessage('Publish and unpublish times must be valid ISO 8601 dates');
+
+// Helper function to read a scheduled time (a wall-clock time in the offer's
+// timezone without an offset, like the offer dates); empty means none
+const parseScheduleTime = (value, timezone) => (value ? parseDateInZone(value, timezone) : null);
+
+// Helper function to check that an item disappears after it appears
+const isUnpublishBeforePublish = (publishAt, unpublishAt) => {
+  return Boolean(publishAt && unpublishAt && unpublishAt <= publishAt);
+};
+
+// Validator for the category of the create, update and bulk endpoints.
+// An empty value removes the item from its category.
+const validateCategoryBody = () => body('category')
+  .optional({ nullable: true, checkFalsy: true })
+  .isMongoId()
+  .withMessage('Category must be a valid category ID');
+
+// Validator for the location of the create and update endpoints.
+// An empty value removes the location.
+const validateLocationBody = () => body('location')
+  .optional({ nullable: true })
+  .isString()
+  .withMessage('Location must be a string')
+  .trim()
+  .isLength({ max: MAX_LOCATION_LENGTH })
+  .withMessage(`Location cannot be more than ${MAX_LOCATION_LENGTH} characters`);
+
+// Validator for the tags of the create and update endpoints: an array,
+// a JSON array string or a comma-separated string
+const validateTagsBody = () => body('tags')
+  .optional({ nullable: true })
+  .custom(value => {
+    normalizeTags(value);
+    return true;
+  });
+
+// Validator for the audience of the create and update endpoints: an object
+// or a JSON string with roles, groups and users
+const validateAudienceBody = () => body('audience')
+  .optional({ nullable: true })
+  .custom(value => {
+    normalizeAudience(value);
+    return true;
+  });
+
+// Helper function to check that the users of a requested audience exist.
+// Returns the audience to store, or false if one of its users is unknown.
+const resolveAudience = async (input) => {
+  const audience = normalizeAudience(input);
+  if (audience.users.length > 0) {
+    const userCount = await User.countDocuments({ _id: { $in: audience.users } });
+    if (userCount !== audience.users.length) {
+      return false;
+    }
+  }
+  return audience;
+};
+
+// Helper function to check that a requested category exists.
+// Returns the category id to store (null for none), or false if it is unknown.
+const resolveCategory = async (categoryId) => {
+  if (!categoryId) {
+    return null;
+  }
+  return (await Category.exists({ _id: categoryId })) ? categoryId : false;
+};
+
+// Validators for the body of a new item, shared by POST /api/items and the
+// rows of a bulk import
+const validateNewItemBody = () => [
+  body('startDate')
+    .isISO8601()
+    .withMessage('Start date must be a valid ISO 8601 date'),
+  body('endDate')
+    .isISO8601()
+    .withMessage('End date must be a valid ISO 8601 date'),
+  body('title')
+    .trim()
+    .notEmpty()
+    .withMessage('Title is required')
+    .isLength({ max: 120 })
+    .withMessage('Title cannot be more than 120 characters'),
+  body('note')
+    .trim()
+    .notEmpty()
+    .withMessage('Note is required')
+    .isLength({ max: 1000 })
+    .withMessage('Note cannot be more than 1000 characters'),
+  validateCategoryBody(),
+  validateLocationBody(),
+  validateTagsBody(),
+  validateTimezoneBody(),
+  validateRecurrenceBody(),
+  validateValidityWindowsBody(),
+  validateScheduleBody(),
+  validateAudienceBody()
+];
+
+// Helper function to turn a validated new item body into the fields to store
+// (everything but the images). Returns { fields }, or { message } when the
+// values do not fit together or refer to unknown records.
+const prepareNewItem = async (itemBody) => {
+  const timezone = itemBody.timezone || getDefaultTimezone();
+  const recurrence = normalizeRecurrence(itemBody.recurrence, timezone);
+
+  // Validate date range (dates without an offset are wall-clock times in the offer's timezone)
+  const start = parseDateInZone(itemBody.startDate, timezone);
+  const end = parseDateInZone(itemBody.endDate, timezone);
+  if (end <= start) {
+    return { message: 'End date must be after start date' };
+  }
+
+  if (isRecurrenceBeforeStart(recurrence, start)) {
+    return { message: 'Recurrence must not end before the first occurrence starts' };
+  }
+
+  const publishAt = parseScheduleTime(itemBody.publishAt, timezone);
+  const unpublishAt = parseScheduleTime(itemBody.unpublishAt, timezone);
+  if (isUnpublishBeforePublish(publishAt, unpublishAt)) {
+    return { message: 'Unpublish time must be after publish time' };
+  }
+
+  const category = await resolveCategory(itemBody.category);
+  if (category === false) {
+    return { message: 'Category not found' };
+  }
+
+  const audience = await resolveAudience(itemBody.audience);
+  if (audience === false) {
+    return { message: 'Audience user not found' };
+  }
+
+  return {
+    fields: {
+      dateRange: { start, end },
+      timezone,
+      recurrence,
+      validityWindows: normalizeValidityWindows(itemBody.validityWindows),
+      publishAt,
+      unpublishAt,
+      title: itemBody.title,
+      note: itemBody.note,
+      category,
+      location: itemBody.location || '',
+      tags: normalizeTags(itemBody.tags),
+      audience
+    }
+  };
+};
+
+// Helper function to check if a user may save an offer despite conflicts
+// under the strict policy
+const canOverrideConflicts = (user) => Boolean(user && user.role === 'super_admin');
+
+// Helper function to shape a scheduling conflict for API responses
+const toConflictResponse = ({ item, reasons, overlap }) => ({
+  item: {
+    _id: item._id,
+    title: item.title,
+    category: item.category ? { _id: item.category._id, name: item.category.name } : null,
+    location: item.location,
+    dateRange: item.dateRange,
+    timezone: item.timezone,
+    recurrence: item.recurrence,
+    workflowState: item.workflowState
+  },
+  reasons,
+  overlap
+});
+
+// Helper function to describe the conflicts that block a save
+const getConflictMessage = (conflicts) => `This offer overlaps ${conflicts.length} other offer(s) in the same category or location`;
+
+// Helper function to send the response of a save blocked by conflicts
+const sendConflictResponse = (res, conflicts) => res.status(409).json({
+  success: false,
+  message: getConflictMessage(conflicts),
+  conflicts
+});
+
+// Helper function to look for scheduling conflicts of an offer about to be
+// saved (see Item.findConflicts). Returns { conflicts, blocked }: under the
+// strict policy conflicts block the save unless a super admin overrides them.
+const checkConflicts = async (req, offer) => {
+  const conflicts = await Item.findConflicts(offer);
+  const override = req.body.overrideConflicts === true || req.body.overrideConflicts === 'true';
+  const blocked = conflicts.length > 0
+    && getConflictPolicy() === 'strict'
+    && !(override && canOverrideConflicts(req.user));
+  return { conflicts: conflicts.map(toConflictResponse), blocked };
+};
+
+// Helper function to parse a comma-separated list query parameter
+const parseListQuery = (value) => String(value).split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean);
+
+// Helper function to check that a recurrence rule does not end before it starts
+const isRecurrenceBeforeStart = (recurrence, start) => {
+  return Boolean(recurrence && recurrence.until && recurrence.until < start);
+};
+
+// Validators for the filters shared by the item list and its export
+const validateItemFilterQuery = () => [
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search term cannot be more than 100 characters')
+    .bail()
+    .custom(value => !value || hasSearchTerms(parseSearchQuery(value)))
+    .withMessage('Search must include at least one word that is not excluded'),
+  query('showExpired')
+    .optional()
+    .isString()
+    .withMessage('showExpired must be a string'),
+  validateStatusQuery(),
+  query('duplicatedFrom')
+    .optional()
+    .isMongoId()
+    .withMessage('duplicatedFrom must be a valid item ID'),
+  query('importBatch')
+    .optional()
+    .isMongoId()
+    .withMessage('importBatch must be a valid import ID'),
+  query('validNow')
+    .optional()
+    .isBoolean()
+    .withMessage('validNow must be true or false'),
+  query('category')
+    .optional()
+    .isMongoId()
+    .withMessage('category must be a valid category ID'),
+  query('tags')
+    .optional()
+    .isString()
+    .withMessage('tags must be a comma-separated list'),
+  query('createdBy')
+    .optional({ checkFalsy: true })
+    .isMongoId()
+    .withMessage('createdBy must be a valid user ID'),
+  validateWorkflowStateQuery(),
+  validateScheduleStatusQuery(),
+  ...validateListQuery()
+];
+
+// Helper function to build the query filter of the item list (and its
+// export) from the request. Expects previewAudience to have set req.viewer.
+const buildItemFilter = async (req) => {
+  const search = req.query.search || '';
+  const showExpired = req.query.showExpired === 'true';
+
+  const filter = { isActive: true };
+
+  // Filter by lifecycle status (takes precedence over the older showExpired flag)
+  const now = new Date();
+  if (req.query.status) {
+    filter.$and = [Item.getStatusFilter(parseStatuses(req.query.status), now)];
+  } else if (showExpired) {
+    // Show only expired items (last occurrence ended)
+    filter.$and = [Item.getStatusFilter(['expired'], now)];
+  } else if (req.query.showExpired !== undefined) {
+    // Show only items that have not expired yet
+    filter.$and = [Item.getStatusFilter(['upcoming', 'active', 'expiring-soon'], now)];
+  }
+  // If showExpired is not provided at all, show all items (backward compatibility)
+
+  // Start and end date ranges
+  applyDateRangeFilters(filter, req.query);
+
+  // Copies and renewals of an item
+  if (req.query.duplicatedFrom) {
+    filter.duplicatedFrom = req.query.duplicatedFrom;
+  }
+
+  // Items created by one bulk import
+  if (req.query.importBatch) {
+    filter.importBatch = req.query.importBatch;
+  }
+
+  if (req.query.createdBy) {
+    filter.createdBy = req.query.createdBy;
+  }
+
+  // Admins can list the items in one workflow state or schedule status
+  // (e.g. the scheduled ones); users only ever see published items inside
+  // their schedule and meant for them, whatever they ask for. Admins
+  // previewing an audience get the same view as it.
+  if (req.query.workflowState) {
+    filter.workflowState = req.query.workflowState;
+  }
+  if (req.query.scheduleStatus) {
+    Object.assign(filter, Item.getScheduleFilter(req.query.scheduleStatus, now));
+  }
+  Object.assign(filter, Item.getVisibilityFilter(req.viewer, now));
+
+  // A category includes everything filed below it
+  if (req.query.category) {
+    filter.category = { $in: await Category.getBranchIds(req.query.category) };
+  }
+
+  // Items carrying all of the given tags
+  if (req.query.tags) {
+    const tags = parseListQuery(req.query.tags);
+    if (tags.length > 0) {
+      filter.tags = { $all: tags };
+    }
+  }
+
+  // Text search supports "exact phrases" and -excluded words
+  if (search) {
+    filter.$text = { $search: search };
+  }
+
+  // Offers that can (or cannot) be used right now, respecting occurrences
+  // and validity windows
+  if (req.query.validNow !== undefined) {
+    const liveIds = await Item.getLiveItemIds(filter, now);
+    filter._id = req.query.validNow === 'true' ? { $in: liveIds } : { $nin: liveIds };
+  }
+
+  return filter;
+};
+
+// Helper function to get the sort of the item list (and its export). Search
+// results are ranked by relevance unless another sort is asked for.
+const getItemSort = (req) => {
+  const search = req.query.search || '';
+  const sortBy = req.query.sort || (search ? 'relevance' : 'created');
+  const relevanceSort = Boolean(search) && sortBy === 'relevance';
+  const sort = relevanceSort
+    ? { score: { $meta: 'textScore' }, createdAt: -1, _id: -1 }
+    : Item.getSort(sortBy, req.query.order);
+  return { sort, relevanceSort };
+};
+
+// Largest window the occurrences endpoint expands, and the most occurrences it returns
+const MAX_OCCURRENCE_WINDOW_DAYS = 366;
+const MAX_OCCURRENCES = 1000;
+
 // @desc    Get all items (with pagination and filtering)
 // @route   GET /api/items
 // @access  Private (all authenticated users can read)
 router.get('/', [
   protect,
-  authenticatedUser,
+  authenticatedUser,
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  ...validateItemFilterQuery(),
+  ...validateCursorQuery(),
+  previewAudience
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const search = req.query.search || '';
+
+    const filter = await buildItemFilter(req);
+    const { sort, relevanceSort } = getItemSort(req);
+    // Without the stored image data; search results also carry their score
+    const projection = search ? { image: 0, score: { $meta: 'textScore' } } : '-image';
+
+    let items;
+    let pagination;
+    if (isCursorRequest(req.query)) {
+      // Scores are not stored, so they cannot be picked up again from a cursor
+      if (relevanceSort) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cursor pagination needs a sort other than relevance'
+        });
+      }
+      ({ docs: items, pagination } = await Item.getItemsWithCursor(filter, sort, {
+        after: req.query.after,
+        before: req.query.before,
+        limit,
+        select: projection
+      }));
+    } else {
+      items = await Item.getItemsWithPagination(page, limit, filter, sort).select(projection);
+      const totalItems = await Item.getItemsCount(filter);
+      const totalPages = Math.ceil(totalItems / limit);
+      pagination = {
+        currentPage: page,
+        totalPages,
+        totalItems,
+        limit,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      };
+    }
+
+    // Add image URLs to items, and where they match the search
+    const parsedSearch = search ? parseSearchQuery(search) : null;
+    const itemsWithUrls = items.map(item => {
+      const itemObj = toItemResponse(req, item);
+      if (parsedSearch) {
+        itemObj.searchScore = item.get('score');
+        delete itemObj.score;
+        itemObj.highlights = getSearchHighlights(item, parsedSearch);
+      }
+      return itemObj;
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        items: itemsWithUrls,
+        pagination
+      }
+    });
+  } catch (error) {
+    if (error instanceof CursorError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Get items error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching items'
+    });
+  }
+});
+
+// @desc    Get items in the trash
+// @route   GET /api/items/trash
+// @access  Private (super_admin only)
+router.get('/trash', [
+  protect,
+  canDelete,
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const filter = { isActive: false };
+
+    // Most recently deleted first
+    const items = await Item.find(filter)
+      .select('-image')
+      .sort({ deletedAt: -1, updatedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+    const totalItems = await Item.countDocuments(filter);
+    const totalPages = Math.ceil(totalItems / limit);
+
+    const itemsWithPurgeDates = items.map(item => {
+      const itemObj = toItemResponse(req, item);
+      itemObj.purgeAt = getPurgeDate(item);
+      return itemObj;
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        items: itemsWithPurgeDates,
+        retentionDays: getTrashRetentionDays(),
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalItems,
+          limit,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching trash'
+    });
+  }
+});
+
+// @desc    Get tags in use, most used first, for autocomplete
+// @route   GET /api/items/tags
+// @access  Private (all authenticated users can read)
+router.get('/tags', [
+  protect,
+  authenticatedUser,
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 30 })
+    .withMessage('Search term cannot be more than 30 characters'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+  previewAudience
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const search = (req.query.search || '').toLowerCase();
+    const limit = parseInt(req.query.limit) || 10;
+
+    const pipeline = [
+      { $match: { isActive: true, ...Item.getVisibilityFilter(req.viewer) } },
+      { $unwind: '$tags' }
+    ];
+    if (search) {
+      // Tags starting with the search term
+      const escaped = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      pipeline.push({ $match: { tags: { $regex: `^${escaped}` } } });
+    }
+    pipeline.push(
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: limit }
+    );
+
+    const tags = await Item.aggregate(pipeline);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        tags: tags.map(tag => ({ name: tag._id, count: tag.count }))
+      }
+    });
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching tags'
+    });
+  }
+});
+
+// @desc    Get the occurrences of all items within a date window, for calendars
+// @route   GET /api/items/occurrences
+// @access  Private (all authenticated users can read)
+//
+// Returns the items intersecting the window, filtered like GET /api/items.
+// Recurring items are expanded into one entry per occurrence. Each item is
+// listed once in data.items; occurrences refer to it by id.
+router.get('/occurrences', [
+  protect,
+  authenticatedUser,
+  query('from')
+    .isISO8601()
+    .withMessage('from must be a valid ISO 8601 date'),
+  query('to')
+    .isISO8601()
+    .withMessage('to must be a valid ISO 8601 date'),
+  ...validateItemFilterQuery(),
+  previewAudience
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const from = new Date(req.query.from);
+    const to = new Date(req.query.to);
+
+    if (to <= from) {
+      return sendErrorResponse(res, 400, 'to must be after from');
+    }
+    if (to - from > MAX_OCCURRENCE_WINDOW_DAYS * 24 * 60 * 60 * 1000) {
+      return sendErrorResponse(res, 400, `The window cannot be longer than ${MAX_OCCURRENCE_WINDOW_DAYS} days`);
+    }
+
+    const filter = await buildItemFilter(req);
+    filter.$and = [...(filter.$and || []), Item.getOccurrenceWindowFilter(from, to)];
+
+    const items = await Item.find(filter).select('-image').sort({ 'dateRange.start': 1 });
+
+    let occurrences = [];
+    items.forEach(item => {
+      expandOccurrences(item.dateRange, item.recurrence, { from, to, limit: MAX_OCCURRENCES, timezone: item.timezone })
+        .forEach(occurrence => occurrences.push({ item: item._id, ...occurrence }));
+    });
+    occurrences.sort((a, b) => a.start - b.start);
+
+    const truncated = occurrences.length > MAX_OCCURRENCES;
+    if (truncated) {
+      occurrences = occurrences.slice(0, MAX_OCCURRENCES);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        from,
+        to,
+        items: items.map(item => toItemResponse(req, item)),
+        occurrences,
+        truncated
+      }
+    });
+  } catch (error) {
+    console.error('Get occurrences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching occurrences'
+    });
+  }
+});
+
+// @desc    Export every item matching the list filters as CSV or Excel
+// @route   GET /api/items/export?format=csv|xlsx
+// @access  Private (all authenticated users can read)
+//
+// Takes the same filters and sort as GET /api/items and streams all matching
+// rows rather than a page.
+router.get('/export', [
+  protect,
+  authenticatedUser,
+  query('format')
+    .optional()
+    .isIn(EXPORT_FORMATS)
+    .withMessage(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`),
+  ...validateItemFilterQuery(),
+  previewAudience
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const format = req.query.format || 'csv';
+    const filter = await buildItemFilter(req);
+    const { sort, relevanceSort } = getItemSort(req);
+    const projection = relevanceSort ? { image: 0, score: { $meta: 'textScore' } } : '-image';
+    // Exported files outlive a session, so their image links last longer
+    const imageUrlExpiry = getImageUrlExpiry(Date.now(), getExportImageUrlTtlHours());
+    const columns = getItemExportColumns({
+      getImageUrl: item => getItemImageUrl(req, item, null, null, imageUrlExpiry),
+      includeReview: req.user.role !== 'user'
+    });
+
+    const cursor = Item.find(filter).select(projection).sort(sort).cursor();
+    const date = new Date().toISOString().slice(0, 10);
+    res.status(200);
+    res.set({
+      'Content-Type': CONTENT_TYPES[format],
+      'Content-Disposition': `attachment; filename="offers-${date}.${format}"`,
+      'Cache-Control': 'no-store'
+    });
+
+    try {
+      await writeExport(format, res, cursor, columns);
+    } catch (error) {
+      // The headers are gone, so the client can only see a broken download
+      if (!(error instanceof StreamClosedError)) {
+        console.error('Export items stream error:', error);
+      }
+      res.destroy(error);
+    }
+  } catch (error) {
+    console.error('Export items error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting items'
+    });
+  }
+});
+
+// @desc    Calendar (iCalendar) feed of the items matching the list filters
+// @route   GET /api/items/feed.ics?token=
+// @access  Private (calendar feed token of any active user)
+//
+// Takes the filters of GET /api/items, e.g. ?status=, ?category= or
+// ?createdBy=. Items moved to the trash stay in the feed as cancelled events
+// until they are purged, so calendar apps remove them too.
+router.get('/feed.ics', [
+  feedTokenAuth,
+  ...validateItemFilterQuery()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Feeds always show the token owner's own view
+    req.viewer = req.user;
+    const filter = await buildItemFilter(req);
+    const trashCutoff = new Date(Date.now() - getTrashRetentionDays() * 24 * 60 * 60 * 1000);
+    const sort = { 'dateRange.start': 1, _id: 1 };
+    const events = Item.find(filter).select('-image').sort(sort);
+    const cancelled = Item.find({ ...filter, isActive: false, deletedAt: { $gte: trashCutoff } })
+      .select('-image')
+      .sort(sort);
+
+    res.status(200);
+    res.set({
+      'Content-Type': CALENDAR_CONTENT_TYPE,
+      'Content-Disposition': 'inline; filename="offers.ics"',
+      'Cache-Control': 'private, no-cache'
+    });
+
+    try {
+      await writeCalendar(res, {
+        events,
+        cancelled,
+        name: 'Offers',
+        uidDomain: process.env.CALENDAR_UID_DOMAIN || req.hostname
+      });
+    } catch (error) {
+      // The headers are gone, so the client can only see a broken feed
+      if (!(error instanceof StreamClosedError)) {
+        console.error('Calendar feed stream error:', error);
+      }
+      res.destroy(error);
+    }
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while building calendar feed'
+    });
+  }
+});
+
+// Helper function to find categories by the value of a manifest cell: an
+// id, a slug or a name. Returns a lookup that gives the category id, or
+// throws an ImportError for unknown or ambiguous values.
+const getCategoryLookup = async () => {
+  const categories = await Category.find().select('name slug');
+  return (value) => {
+    const key = value.trim().toLowerCase();
+    const byIdOrSlug = categories.find(category => String(category._id) === key || category.slug === key);
+    if (byIdOrSlug) {
+      return String(byIdOrSlug._id);
+    }
+    const byName = categories.filter(category => category.name.toLowerCase() === key);
+    if (byName.length > 1) {
+      throw new ImportError(`Category "${value}" matches several categories; use its slug instead`);
+    }
+    if (byName.length === 0) {
+      throw new ImportError(`Category "${value}" not found`);
+    }
+    return String(byName[0]._id);
+  };
+};
+
+// Helper function to read and check the images a manifest row names
+const readImportImages = async (names, archive) => {
+  const files = [];
+  const errors = [];
+  for (const name of names) {
+    try {
+      const file = await archive.read(name);
+      if (!file) {
+        errors.push(`Image "${name}" is not in the ZIP archive`);
+        continue;
+      }
+      files.push(await inspectUploadedImage({
+        ...file,
+        mimetype: detectImageType(file.buffer) || 'application/octet-stream'
+      }));
+    } catch (error) {
+      errors.push(`Image "${name}": ${error.message}`);
+    }
+  }
+  return { files, errors };
+};
+
+// Helper function to check a manifest row as a new item, with the same rules
+// as POST /api/items. Returns the row result, and the fields and image names
+// to create the item from when the row is valid. The images are only checked
+// here; they are read again when the item is created, so that only one row's
+// images are held in memory at a time. Scheduling conflicts are reported per
+// row, and are errors where the conflict policy blocks them.
+const checkImportRow = async (req, { line, values }, archive, findCategory) => {
+  const errors = [];
+  const rowReq = { body: { ...values } };
+
+  if (values.category) {
+    try {
+      rowReq.body.category = findCategory(values.category);
+    } catch (error) {
+      if (!(error instanceof ImportError)) {
+        throw error;
+      }
+      errors.push(error.message);
+      delete rowReq.body.category;
+    }
+  }
+
+  for (const chain of validateNewItemBody()) {
+    await chain.run(rowReq);
+  }
+  errors.push(...validationResult(rowReq).array().map(error => error.msg));
+
+  let fields = null;
+  let conflicts = [];
+  if (errors.length === 0) {
+    const prepared = await prepareNewItem(rowReq.body);
+    if (prepared.message) {
+      errors.push(prepared.message);
+    } else {
+      let blocked;
+      ({ conflicts, blocked } = await checkConflicts(req, prepared.fields));
+      if (blocked) {
+        errors.push(getConflictMessage(conflicts));
+      }
+    }
+    fields = prepared.fields;
+  }
+
+  const imageNames = parseImageNames(values.images);
+  if (imageNames.length === 0) {
+    errors.push('At least one image is required');
+  } else if (imageNames.length > Item.MAX_IMAGES_PER_ITEM) {
+    errors.push(`An item cannot have more than ${Item.MAX_IMAGES_PER_ITEM} images`);
+  }
+  const { errors: imageErrors } = await readImportImages(imageNames.slice(0, Item.MAX_IMAGES_PER_ITEM), archive);
+  errors.push(...imageErrors);
+
+  return {
+    result: {
+      row: line,
+      title: values.title || '',
+      images: imageNames,
+      valid: errors.length === 0,
+      errors,
+      conflicts
+    },
+    fields,
+    imageNames
+  };
+};
+
+// Helper function to shape an import batch for API responses
+const toImportBatchResponse = (req, batch) => {
+  const batchObj = batch.toObject();
+  const createdById = batch.createdBy && (batch.createdBy._id || batch.createdBy);
+  batchObj.canUndo = batch.status === 'imported'
+    && (req.user.role === 'super_admin' || String(createdById) === String(req.user._id));
+  return batchObj;
+};
+
+// @desc    Import items from a CSV manifest and a ZIP archive of their images
+// @route   POST /api/items/import?dryRun=true
+// @access  Private (admin and super_admin only)
+//
+// Every row is checked with the rules of POST /api/items first. A dry run
+// only reports the results per row. Otherwise the items are created only if
+// every row is valid, and removed again if one of them fails, so an import
+// creates all of its items or none.
+router.post('/import', [
+  protect,
+  canPerformCRUD,
+  processImportUpload,
+  query('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be true or false')
+], async (req, res) => {
+  const createdItems = [];
+  let batch = null;
+  let failedRow = null;
+
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let manifest;
+    let archive;
+    try {
+      manifest = readManifest(req.files.manifest[0].buffer);
+      archive = await openImageArchive(req.files.images[0].buffer);
+    } catch (error) {
+      if (error instanceof ImportError) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      throw error;
+    }
+
+    const findCategory = await getCategoryLookup();
+    const checkedRows = [];
+    for (const row of manifest.rows) {
+      checkedRows.push(await checkImportRow(req, row, archive, findCategory));
+    }
+
+    const rows = checkedRows.map(checked => checked.result);
+    const invalid = rows.filter(row => !row.valid).length;
+    const summary = {
+      total: rows.length,
+      valid: rows.length - invalid,
+      invalid,
+      ignoredColumns: manifest.ignoredHeaders
+    };
+
+    if (req.query.dryRun === 'true') {
+      return res.status(200).json({
+        success: true,
+        message: invalid > 0
+          ? `${invalid} of ${rows.length} row(s) have errors`
+          : `All ${rows.length} row(s) are ready to import`,
+        data: {
+          dryRun: true,
+          summary,
+          rows
+        }
+      });
+    }
+
+    if (invalid > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Nothing was imported: ${invalid} row(s) have errors`,
+        data: {
+          summary,
+          rows
+        }
+      });
+    }
+
+    batch = await ImportBatch.create({
+      fileName: req.files.manifest[0].originalname,
+      createdBy: req.user._id
+    });
+
+    for (const checked of checkedRows) {
+      failedRow = checked.result.row;
+      const { files, errors: imageErrors } = await readImportImages(checked.imageNames, archive);
+      if (imageErrors.length > 0) {
+        throw new ImportError(imageErrors[0]);
+      }
+      const galleryImages = await storeGalleryImages(files);
+      try {
+        const item = await Item.create({
+          images: galleryImages,
+          ...checked.fields,
+          importBatch: batch._id,
+          createdBy: req.user._id
+        });
+        createdItems.push(item);
+        checked.result.itemId = item._id;
+      } catch (error) {
+        await deleteGalleryImages(galleryImages);
+        throw error;
+      }
+    }
+    failedRow = null;
+
+    batch.items = createdItems.map(item => item._id);
+    batch.itemCount = createdItems.length;
+    await batch.save();
+    await batch.populate('createdBy', 'name email role');
+
+    res.status(201).json({
+      success: true,
+      message: `${createdItems.length} item(s) imported`,
+      data: {
+        batch: toImportBatchResponse(req, batch),
+        summary,
+        rows
+      }
+    });
+  } catch (error) {
+    console.error('Import items error:', error);
+    // An import is all or nothing: remove what was created before the failure
+    for (const item of createdItems) {
+      try {
+        await purgeItem(item);
+      } catch (cleanupError) {
+        console.error(`Error removing imported item ${item._id}:`, cleanupError);
+      }
+    }
+    if (batch) {
+      await ImportBatch.deleteOne({ _id: batch._id }).catch(cleanupError => {
+        console.error(`Error removing import ${batch._id}:`, cleanupError);
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: failedRow
+        ? `Import failed at row ${failedRow}; nothing was imported`
+        : 'Server error while importing items',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Get recent bulk imports
+// @route   GET /api/items/imports
+// @access  Private (admin and super_admin only)
+router.get('/imports', [
+  protect,
+  canPerformCRUD,
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const batches = await ImportBatch.find()
+      .select('-items')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        imports: batches.map(batch => toImportBatchResponse(req, batch))
+      }
+    });
+  } catch (error) {
+    console.error('Get imports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching imports'
+    });
+  }
+});
+
+// @desc    Undo a bulk import by moving its items to the trash
+// @route   POST /api/items/imports/:batchId/undo
+// @access  Private (the admin who ran the import, or super_admin)
+//
+// Items edited since the import are trashed too; they can be restored from
+// the trash individually until they are purged.
+router.post('/imports/:batchId/undo', [
+  protect,
+  canPerformCRUD,
+  param('batchId').isMongoId().withMessage('Invalid import ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const batch = await ImportBatch.findById(req.params.batchId).select('-items');
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import not found'
+      });
+    }
+
+    if (req.user.role !== 'super_admin' && String(batch.createdBy._id) !== String(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the admin who ran an import or a super admin can undo it'
+      });
+    }
+
+    if (batch.status === 'undone') {
+      return res.status(400).json({
+        success: false,
+        message: 'This import has already been undone'
+      });
+    }
+
+    const items = await Item.find({ importBatch: batch._id, isActive: true });
+    for (const item of items) {
+      await moveToTrash(item, req.user._id);
+    }
+
+    batch.status = 'undone';
+    batch.undoneAt = new Date();
+    batch.undoneBy = req.user._id;
+    await batch.save();
+    await batch.populate('undoneBy', 'name email role');
+
+    res.status(200).json({
+      success: true,
+      message: `${items.length} imported item(s) moved to the trash`,
+      data: {
+        batch: toImportBatchResponse(req, batch),
+        trashed: items.length
+      }
+    });
+  } catch (error) {
+    console.error('Undo import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while undoing import'
+    });
+  }
+});
+
+// Maximum number of items a single bulk request may touch
+const MAX_BULK_ITEMS = 100;
+
+// Validators shared by the bulk endpoints
+const validateBulkItemIds = () => [
+  body('itemIds')
+    .isArray({ min: 1, max: MAX_BULK_ITEMS })
+    .withMessage(`itemIds must be an array of 1 to ${MAX_BULK_ITEMS} item IDs`),
+  body('itemIds.*')
+    .isMongoId()
+    .withMessage('Each itemId must be a valid MongoDB ID')
+];
+
+// Error for a single item of a bulk request; it fails that item, not the request
+class BulkItemError extends Error {}
+
+// Helper function to apply an operation to every requested item.
+// Each item succeeds or fails on its own; the results are returned in request order.
+// Ids are hexadecimal, so they are compared (and reported) in lower case.
+const runBulkOperation = async (req, operation) => {
+  const itemIds = [...new Set(req.body.itemIds.map(id => id.toLowerCase()))];
+  const items = await Item.find({ _id: { $in: itemIds }, isActive: true });
+  const itemsById = new Map(items.map(item => [String(item._id), item]));
+  const results = [];
+
+  for (const id of itemIds) {
+    const item = itemsById.get(id);
+    if (!item) {
+      results.push({ id, success: false, message: 'Item not found' });
+      continue;
+    }
+
+    try {
+      await operation(item);
+      results.push({ id, success: true, item: toItemResponse(req, item) });
+    } catch (error) {
+      if (!(error instanceof BulkItemError) && error.name !== 'ValidationError') {
+        console.error(`Bulk operation error for item ${id}:`, error);
+      }
+      const message = error.name === 'ValidationError'
+        ? Object.values(error.errors).map(val => val.message).join(', ')
+        : error.message;
+      results.push({ id, success: false, message });
+    }
+  }
+
+  return results;
+};
+
+// Helper function to send the per-item results of a bulk request
+const sendBulkResults = (res, results, verb) => {
+  const succeeded = results.filter(result => result.success).length;
+  const failed = results.length - succeeded;
+
+  res.status(200).json({
+    success: true,
+    message: `${succeeded} item(s) ${verb}${failed > 0 ? `, ${failed} failed` : ''}`,
+    data: {
+      succeeded,
+      failed,
+      results
+    }
+  });
+};
+
+// @desc    Move several items to the trash
+// @route   POST /api/items/bulk/delete
+// @access  Private (super_admin only)
+router.post('/bulk/delete', [
+  protect,
+  canDelete,
+  ...validateBulkItemIds()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const results = await runBulkOperation(req, item => moveToTrash(item, req.user._id));
+    sendBulkResults(res, results, 'moved to the trash');
+  } catch (error) {
+    console.error('Bulk delete error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting items'
+    });
+  }
+});
+
+// @desc    Set or shift the end date of several items
+// @route   PUT /api/items/bulk/end-date
+// @access  Private (admin and super_admin only)
+router.put('/bulk/end-date', [
+  protect,
+  canPerformCRUD,
+  ...validateBulkItemIds(),
+  body('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid ISO 8601 date'),
+  body('shiftDays')
+    .optional()
+    .isInt({ min: -3650, max: 3650 })
+    .withMessage('shiftDays must be a whole number of days between -3650 and 3650'),
+  body()
+    .custom(value => (value.endDate === undefined) !== (value.shiftDays === undefined))
+    .withMessage('Provide either endDate or shiftDays')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { endDate } = req.body;
+    // Whole calendar days in the item's timezone, so the end keeps its local
+    // time of day across DST changes
+    const shiftMs = parseInt(req.body.shiftDays, 10) * 24 * 60 * 60 * 1000;
+
+    const results = await runBulkOperation(req, async (item) => {
+      if (item.recurrence) {
+        throw new BulkItemError('Item repeats; change the end of its recurrence instead');
+      }
+      const end = endDate
+        ? parseDateInZone(endDate, item.timezone)
+        : fromWallClock(toWallClock(item.dateRange.end, item.timezone).getTime() + shiftMs, item.timezone);
+      if (end <= item.dateRange.start) {
+        throw new BulkItemError('End date must be after start date');
+      }
+      item.dateRange = { start: item.dateRange.start, end };
+      await saveItemChanges(item, req.user);
+    });
+
+    sendBulkResults(res, results, 'updated');
+  } catch (error) {
+    console.error('Bulk end date error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating items'
+    });
+  }
+});
+
+// @desc    Change the lifecycle status of several items
+// @route   PUT /api/items/bulk/status
+// @access  Private (admin and super_admin only)
+//
+// The status is computed from the date range, so this moves the dates:
+// "active" starts an upcoming item now, "expired" ends a running item now.
+router.put('/bulk/status', [
+  protect,
+  canPerformCRUD,
+  ...validateBulkItemIds(),
+  body('status')
+    .isIn(['active', 'expired'])
+    .withMessage('Status must be active or expired')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status } = req.body;
+
+    const results = await runBulkOperation(req, async (item) => {
+      const now = new Date();
+      const currentStatus = item.status;
+
+      // Moving the first occurrence would move every later one too
+      if (item.recurrence) {
+        throw new BulkItemError('Item repeats; edit its recurrence instead');
+      }
+
+      if (status === 'active') {
+        if (currentStatus === 'expired') {
+          throw new BulkItemError('Item has already ended; extend its end date instead');
+        }
+        if (currentStatus !== 'upcoming') {
+          return;
+        }
+        item.dateRange = { start: now, end: item.dateRange.end };
+      } else {
+        if (currentStatus === 'upcoming') {
+          throw new BulkItemError('Item has not started yet; delete it instead');
+        }
+        if (currentStatus === 'expired') {
+          return;
+        }
+        item.dateRange = { start: item.dateRange.start, end: now };
+      }
+
+      await saveItemChanges(item, req.user);
+    });
+
+    sendBulkResults(res, results, 'updated');
+  } catch (error) {
+    console.error('Bulk status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating items'
+    });
+  }
+});
+
+// @desc    Move several items to a category (or out of their category)
+// @route   PUT /api/items/bulk/category
+// @access  Private (admin and super_admin only)
+router.put('/bulk/category', [
+  protect,
+  canPerformCRUD,
+  ...validateBulkItemIds(),
+  validateCategoryBody()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const category = await resolveCategory(req.body.category);
+    if (category === false) {
+      return res.status(400).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const results = await runBulkOperation(req, async (item) => {
+      item.category = category;
+      await saveItemChanges(item, req.user);
+      await item.populate('category', 'name slug parent ancestors');
+    });
+
+    sendBulkResults(res, results, 'updated');
+  } catch (error) {
+    console.error('Bulk category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating items'
+    });
+  }
+});
+
+// @desc    Get single item
+// @route   GET /api/items/:id
+// @access  Private (all authenticated users can read)
+router.get('/:id', [
+  protect,
+  authenticatedUser,
+  param('id').isMongoId().withMessage('Invalid item ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Unpublished items do not exist for users
+    const item = await Item.findOne({ 
+      _id: req.params.id, 
+      isActive: true,
+      ...Item.getVisibilityFilter(req.user)
+    }).select('-image');
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      });
+    }
+
+    // Add image URL
+    const itemObj = toItemResponse(req, item);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        item: itemObj
+      }
+    });
+  } catch (error) {
+    console.error('Get item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching item'
+    });
+  }
+});
+
+// @desc    Get item image
+// @route   GET /api/items/:id/image
+// @access  Signed URL from an item response (<img> tags cannot send a bearer token)
+router.get('/:id/image', [
+  param('id').isMongoId().withMessage('Invalid item ID'),
+  verifySignedImageUrl,
+  query('variant')
+    .optional()
+    .isIn(VARIANT_NAMES)
+    .withMessage(`Variant must be one of: ${VARIANT_NAMES.join(', ')}`)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const item = await Item.findOne({ 
+      _id: req.params.id, 
+      isActive: true 
+    }).select('image imageVariants');
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      });
+    }
+
+    await sendStoredImage(req, res, getVariantKey(item.image, item.imageVariants, req.query.variant));
+  } catch (error) {
+    console.error('Get item image error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching item image'
+    });
+  }
+});
+
+// @desc    Get a gallery image of an item
+// @route   GET /api/items/:id/images/:imageId
+// @access  Signed URL from an item response (<img> tags cannot send a bearer token)
+router.get('/:id/images/:imageId', [
+  param('id').isMongoId().withMessage('Invalid item ID'),
+  param('imageId').isMongoId().withMessage('Invalid image ID'),
+  verifySignedImageUrl,
+  query('variant')
+    .optional()
+    .isIn(VARIANT_NAMES)
+    .withMessage(`Variant must be one of: ${VARIANT_NAMES.join(', ')}`)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const item = await Item.findOne({ 
+      _id: req.params.id, 
+      isActive: true 
+    }).select('images');
+
+    const image = item && item.images.id(req.params.imageId);
+
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        message: 'Image not found'
+      });
+    }
+
+    await sendStoredImage(req, res, getVariantKey(image.key, image.variants, req.query.variant));
+  } catch (error) {
+    console.error('Get gallery image error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching item image'
+    });
+  }
+});
+
+// @desc    Check an offer for scheduling conflicts before saving it
+// @route   POST /api/items/conflicts
+// @access  Private (admin and super_admin only)
+//
+// Takes the dates, timezone, recurrence, category and location of the form
+// (and itemId when editing, so the item is not reported against itself).
+// Also tells the form whether conflicts block saving and if the user may
+// override them.
+router.post('/conflicts', [
+  protect,
+  canPerformCRUD,
+  body('itemId')
+    .optional({ checkFalsy: true })
+    .isMongoId()
+    .withMessage('Invalid item ID'),
+  body('startDate')
+    .isISO8601()
+    .withMessage('Start date must be a valid ISO 8601 date'),
+  body('endDate')
+    .isISO8601()
+    .withMessage('End date must be a valid ISO 8601 date'),
+  validateCategoryBody(),
+  validateLocationBody(),
+  validateTimezoneBody(),
+  validateRecurrenceBody()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const timezone = req.body.timezone || getDefaultTimezone();
+    const start = parseDateInZone(req.body.startDate, timezone);
+    const end = parseDateInZone(req.body.endDate, timezone);
+    if (end <= start) {
+      return sendErrorResponse(res, 400, 'End date must be after start date');
+    }
+
+    const conflicts = await Item.findConflicts({
+      _id: req.body.itemId || null,
+      dateRange: { start, end },
+      timezone,
+      recurrence: normalizeRecurrence(req.body.recurrence, timezone),
+      category: req.body.category || null,
+      location: req.body.location
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        conflicts: conflicts.map(toConflictResponse),
+        policy: getConflictPolicy(),
+        canOverride: canOverrideConflicts(req.user)
+      }
+    });
+  } catch (error) {
+    console.error('Check conflicts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while checking conflicts'
+    });
+  }
+});
+
+// @desc    Create new item
+// @route   POST /api/items
+// @access  Private (admin and super_admin only)
+router.post('/', [
+  protect,
+  canPerformCRUD,
+  processImageUpload,
+  ...validateNewItemBody()
+], async (req, res) => {
+  let galleryImages = [];
+
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { fields, message } = await prepareNewItem(req.body);
+    if (message) {
+      return res.status(400).json({
+        success: false,
+        message
+      });
+    }
+
+    const { conflicts, blocked } = await checkConflicts(req, fields);
+    if (blocked) {
+      return sendConflictResponse(res, conflicts);
+    }
+
+    // Store the images through the configured storage driver
+    try {
+      galleryImages = await storeGalleryImages(req.uploadedFiles);
+    } catch (error) {
+      console.error('Error storing images:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error storing images: ' + error.message
+      });
+    }
+
+    // Create item (the first image becomes the cover)
+    const item = await Item.create({
+      images: galleryImages,
+      ...fields,
+      createdBy: req.user._id
+    });
+
+    // Populate user and category information
+    await item.populate('createdBy', 'name email role');
+    await item.populate('category', 'name slug parent ancestors');
+    await item.populate('audience.users', 'name email');
+
+    // Add image URL
+    const itemObj = toItemResponse(req, item);
+
+    res.status(201).json({
+      success: true,
+      message: 'Item created successfully',
+      data: {
+        item: itemObj,
+        conflicts
+      }
+    });
+  } catch (error) {
+    // Delete stored images if there's an error
+    await deleteGalleryImages(galleryImages);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(val => val.message).join(', ')
+      });
+    }
+    console.error('Create item error:', error);
+    console.error('Error stack:', error.stack);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating item',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Update item
+// @route   PUT /api/items/:id
+// @access  Private (admin and super_admin only)
+router.put('/:id', [
+  protect,
+  canPerformCRUD,
+  param('id').isMongoId().withMessage('Invalid item ID'),
+  validateImageFile, // Optional image upload
+  body('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid ISO 8601 date'),
+  body('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid ISO 8601 date'),
+  body('title')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Title cannot be empty')
+    .isLength({ max: 120 })
+    .withMessage('Title cannot be more than 120 characters'),
+  body('note')
+    .trim()
+    .notEmpty()
+    .withMessage('Note is required')
+    .isLength({ max: 1000 })
+    .withMessage('Note cannot be more than 1000 characters'),
+  validateCategoryBody(),
+  validateLocationBody(),
+  validateTagsBody(),
+  validateTimezoneBody(),
+  validateRecurrenceBody(),
+  validateValidityWindowsBody(),
+  validateScheduleBody(),
+  validateAudienceBody()
+], async (req, res) => {
+  let newImages = [];
+
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Find the item
+    const item = await Item.findOne({ 
+      _id: req.params.id, 
+      isActive: true 
+    });
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      });
+    }
+
+    const { startDate, endDate, note, timezone } = req.body;
+
+    // Handle timezone update. The offer keeps its wall-clock times in the new zone.
+    if (timezone && timezone !== item.timezone) {
+      item.dateRange = {
+        start: changeTimezone(item.dateRange.start, item.timezone, timezone),
+        end: changeTimezone(item.dateRange.end, item.timezone, timezone)
+      };
+      if (item.recurrence && item.recurrence.until) {
+        item.recurrence.until = changeTimezone(item.recurrence.until, item.timezone, timezone);
+      }
+      ['publishAt', 'unpublishAt'].forEach(field => {
+        if (item[field]) {
+          item[field] = changeTimezone(item[field], item.timezone, timezone);
+        }
+      });
+      item.timezone = timezone;
+    }
+
+    // Handle date range update
+    if (startDate || endDate) {
+      const currentStart = startDate ? parseDateInZone(startDate, item.timezone) : item.dateRange.start;
+      const currentEnd = endDate ? parseDateInZone(endDate, item.timezone) : item.dateRange.end;
+      
+      if (currentEnd <= currentStart) {
+        return res.status(400).json({
+          success: false,
+          message: 'End date must be after start date'
+        });
+      }
+      
+      item.dateRange = {
+        start: currentStart,
+        end: currentEnd
+      };
+    }
+
+    // Handle recurrence update (an empty value makes the item a one-off again)
+    if (req.body.recurrence !== undefined) {
+      item.recurrence = normalizeRecurrence(req.body.recurrence, item.timezone);
+    }
+
+    if (isRecurrenceBeforeStart(item.recurrence, item.dateRange.start)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Recurrence must not end before the first occurrence starts'
+      });
+    }
+
+    // Handle publishing schedule updates (an empty value removes the time)
+    ['publishAt', 'unpublishAt'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        item[field] = parseScheduleTime(req.body[field], item.timezone);
+      }
+    });
+
+    if (isUnpublishBeforePublish(item.publishAt, item.unpublishAt)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unpublish time must be after publish time'
+      });
+    }
+
+    // Handle validity windows update (an empty value makes the item valid all day)
+    if (req.body.validityWindows !== undefined) {
+      item.validityWindows = normalizeValidityWindows(req.body.validityWindows);
+    }
+
+    // Handle title, note, category and tag updates
+    if (req.body.title !== undefined) {
+      item.title = req.body.title;
+    }
+
+    item.note = note;
+
+    if (req.body.category !== undefined) {
+      const category = await resolveCategory(req.body.category);
+      if (category === false) {
+        return res.status(400).json({
+          success: false,
+          message: 'Category not found'
+        });
+      }
+      item.category = category;
+    }
+
+    if (req.body.location !== undefined) {
+      item.location = req.body.location || '';
+    }
+
+    if (req.body.tags !== undefined) {
+      item.tags = normalizeTags(req.body.tags);
+    }
+
+    if (req.body.audience !== undefined) {
+      const audience = await resolveAudience(req.body.audience);
+      if (audience === false) {
+        return res.status(400).json({
+          success: false,
+          message: 'Audience user not found'
+        });
+      }
+      item.audience = audience;
+    }
+
+    // Only changes to when or where the offer runs are checked for conflicts,
+    // so that offers which already overlap can still be edited otherwise
+    let conflicts = [];
+    const changedFields = ItemRevision.getChanges(item.$locals.revisionSnapshot || {}, ItemRevision.takeSnapshot(item))
+      .map(change => change.field);
+    if (['dateRange', 'timezone', 'recurrence', 'category', 'location'].some(field => changedFields.includes(field))) {
+      let blocked;
+      ({ conflicts, blocked } = await checkConflicts(req, item));
+      if (blocked) {
+        return sendConflictResponse(res, conflicts);
+      }
+    }
+
+    // Handle image uploads. A file in the single "image" field replaces the
+    // cover image (older clients); files in "images" are added to the gallery.
+    // Replaced images stay in storage so that older revisions can be restored.
+    if (req.uploadedFiles.length > 0) {
+      item.ensureGallery();
+      const replacesCover = Boolean(req.files && req.files.image);
+      const imageCount = item.images.length + req.uploadedFiles.length - (replacesCover ? 1 : 0);
+
+      if (imageCount > Item.MAX_IMAGES_PER_ITEM) {
+        return res.status(400).json({
+          success: false,
+          message: `An item cannot have more than ${Item.MAX_IMAGES_PER_ITEM} images`
+        });
+      }
+
+      newImages = await storeGalleryImages(req.uploadedFiles);
+      const imagesToAdd = [...newImages];
+
+      if (replacesCover) {
+        const cover = item.images.id(item.coverImage) || item.images[0];
+        const coverIndex = item.images.indexOf(cover);
+        item.images.splice(coverIndex, 1, imagesToAdd.shift());
+        item.coverImage = item.images[coverIndex]._id;
+      }
+
+      imagesToAdd.forEach(image => item.images.push(image));
+    }
+
+    // Update item
+    await saveItemChanges(item, req.user);
+    await item.populate('createdBy updatedBy', 'name email role');
+    await item.populate('category', 'name slug parent ancestors');
+    await item.populate('audience.users', 'name email');
+
+    // Add image URL
+    const itemObj = toItemResponse(req, item);
+
+    res.status(200).json({
+      success: true,
+      message: 'Item updated successfully',
+      data: {
+        item: itemObj,
+        conflicts
+      }
+    });
+  } catch (error) {
+    // Delete newly stored images if there's an error
+    await deleteGalleryImages(newImages);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(val => val.message).join(', ')
+      });
+    }
+    console.error('Update item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating item'
+    });
+  }
+});
+
+// @desc    Duplicate an item, e.g. to renew an expired offer for a new period
+// @route   POST /api/items/:id/duplicate
+// @access  Private (admin and super_admin only)
+router.post('/:id/duplicate', [
+  protect,
+  canPerformCRUD,
+  param('id').isMongoId().withMessage('Invalid item ID'),
+  body('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid ISO 8601 date'),
+  body('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid ISO 8601 date'),
+  body('shiftDays')
+    .optional()
+    .isInt({ min: -3650, max: 3650 })
+    .withMessage('shiftDays must be a whole number of days between -3650 and 3650'),
+  body()
+    .custom(value => value.shiftDays === undefined || (!value.startDate && !value.endDate))
+    .withMessage('Provide either startDate/endDate or shiftDays, not both')
+], async (req, res) => {
+  let copiedImages = [];
+
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const source = await Item.findOne({ 
+      _id: req.params.id, 
+      isActive: true 
+    });
+
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      });
+    }
+
+    // Work out the new period. A new start date without an end date keeps the
+    // original duration; shiftDays moves the whole range; otherwise it is unchanged.
+    const { startDate, endDate, shiftDays } = req.body;
+    const duration = source.dateRange.end - source.dateRange.start;
+    let start = source.dateRange.start;
+    let end = source.dateRange.end;
+
+    if (startDate || endDate) {
+      start = startDate ? parseDateInZone(startDate, source.timezone) : start;
+      end = endDate ? parseDateInZone(endDate, source.timezone) : new Date(start.getTime() + duration);
+    } else if (shiftDays !== undefined) {
+      // Whole calendar days in the item's timezone, keeping the local times of day
+      const shiftMs = parseInt(shiftDays, 10) * 24 * 60 * 60 * 1000;
+      start = fromWallClock(toWallClock(start, source.timezone).getTime() + shiftMs, source.timezone);
+      end = fromWallClock(toWallClock(end, source.timezone).getTime() + shiftMs, source.timezone);
+    }
+
+    if (end <= start) {
+      return res.status(400).json({
+        success: false,
+        message: 'End date must be after start date'
+      });
+    }
+
+    // A recurrence that ends on a date, and the publishing schedule, move
+    // along with the first occurrence. They move by the same wall-clock time
+    // in the item's timezone, so they keep their local times across DST changes.
+    const shiftMs = toWallClock(start, source.timezone) - toWallClock(source.dateRange.start, source.timezone);
+    const shiftTime = (date) => (
+      date ? fromWallClock(toWallClock(date, source.timezone).getTime() + shiftMs, source.timezone) : null
+    );
+    let recurrence = null;
+    if (source.recurrence) {
+      recurrence = source.recurrence.toObject();
+      if (recurrence.until) {
+        recurrence.until = shiftTime(recurrence.until);
+      }
+    }
+
+    // The copy is checked for conflicts like any new offer
+    const { conflicts, blocked } = await checkConflicts(req, {
+      dateRange: { start, end },
+      timezone: source.timezone,
+      recurrence,
+      category: source.category,
+      location: source.location
+    });
+    if (blocked) {
+      return sendConflictResponse(res, conflicts);
+    }
+
+    // The copy gets its own image files so either item can be purged independently
+    const sourceImages = source.ensureGallery().map(image => image.toObject());
+    const coverIndex = Math.max(sourceImages.findIndex(image => String(image._id) === String(source.coverImage)), 0);
+    try {
+      copiedImages = await copyGalleryImages(sourceImages);
+    } catch (error) {
+      console.error('Error copying images:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error copying images: ' + error.message
+      });
+    }
+
+    const item = new Item({
+      images: copiedImages,
+      dateRange: {
+        start,
+        end
+      },
+      timezone: source.timezone,
+      recurrence,
+      validityWindows: source.validityWindows.map(window => window.toObject()),
+      publishAt: shiftTime(source.publishAt),
+      unpublishAt: shiftTime(source.unpublishAt),
+      title: source.title,
+      note: source.note,
+      category: source.category ? source.category._id : null,
+      location: source.location,
+      tags: [...source.tags],
+      audience: source.audience.toObject({ depopulate: true }),
+      duplicatedFrom: source._id,
+      createdBy: req.user._id
+    });
+    item.coverImage = item.images[coverIndex]._id;
+    await item.save();
+    await item.populate('createdBy', 'name email role');
+    await item.populate('category', 'name slug parent ancestors');
+    await item.populate('audience.users', 'name email');
+
+    res.status(201).json({
+      success: true,
+      message: 'Item duplicated successfully',
+      data: {
+        item: toItemResponse(req, item),
+        conflicts
+      }
+    });
+  } catch (error) {
+    console.error('Duplicate item error:', error);
+    // Delete copied images if there's an error
+    await deleteGalleryImages(copiedImages);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while duplicating item'
+    });
+  }
+});
+
+// @desc    Regenerate image variants for all images of an item
+// @route   POST /api/items/:id/image/variants
+// @access  Private (admin and super_admin only)
+router.post('/:id/image/variants', [
+  protect,
+  canPerformCRUD,
+  param('id').isMongoId().withMessage('Invalid item ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const item = await Item.findOne({ 
+      _id: req.params.id, 
+      isActive: true 
+    });
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      });
+    }
+
+    const replacedVariants = await regenerateItemImageVariants(item);
+    await saveItemChanges(item, req.user);
+
+    for (const variants of replacedVariants) {
+      await deleteImageVariants(variants);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Image variants regenerated successfully',
+      data: {
+        item: toItemResponse(req, item)
+      }
+    });
+  } catch (error) {
+    console.error('Regenerate image variants error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while regenerating image variants'
+    });
+  }
+});
+
+// @desc    Add images to an item gallery
+// @route   POST /api/items/:id/images
+// @access  Private (admin and super_admin only)
+router.post('/:id/images', [
+  protect,
+  canPerformCRUD,
+  param('id').isMongoId().withMessage('Invalid item ID'),
+  processImageUpload
+], async (req, res) => {
+  let newImages = [];
+
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const item = await Item.findOne({ 
+      _id: req.params.id, 
+      isActive: true 
+    });
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      });
+    }
+
+    item.ensureGallery();
+    if (item.images.length + req.uploadedFiles.length > Item.MAX_IMAGES_PER_ITEM) {
+      return res.status(400).json({
+        success: false,
+        message: `An item cannot have more than ${Item.MAX_IMAGES_PER_ITEM} images`
+      });
+    }
+
+    newImages = await storeGalleryImages(req.uploadedFiles);
+    newImages.forEach(image => item.images.push(image));
+
+    await saveItemChanges(item, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: `${newImages.length} image(s) added successfully`,
+      data: {
+        item: toItemResponse(req, item)
+      }
+    });
+  } catch (error) {
+    console.error('Add item images error:', error);
+    // Delete newly stored images if there's an error
+    await deleteGalleryImages(newImages);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adding images'
+    });
+  }
+});
+
+// @desc    Reorder the images of an item gallery
+// @route   PUT /api/items/:id/images/order
+// @access  Private (admin and super_admin only)
+router.put('/:id/images/order', [
+  protect,
+  canPerformCRUD,
+  param('id').isMongoId().withMessage('Invalid item ID'),
+  body('imageIds')
+    .isArray({ min: 1 })
+    .withMessage('imageIds must be a non-empty array'),
+  body('imageIds.*')
+    .isMongoId()
+    .withMessage('Invalid image ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const item = await Item.findOne({ 
+      _id: req.params.id, 
+      isActive: true 
+    });
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      });
+    }
+
+    // The new order must list every gallery image exactly once
+    const { imageIds } = req.body;
+    const currentIds = item.images.map(image => String(image._id));
+    const isPermutation = imageIds.length === currentIds.length &&
+      new Set(imageIds).size === imageIds.length &&
+      imageIds.every(id => currentIds.includes(id));
+
+    if (!isPermutation) {
+      return res.status(400).json({
+        success: false,
+        message: 'imageIds must contain every image of the item exactly once'
+      });
+    }
+
+    item.images = imageIds.map(id => item.images.id(id).toObject());
+    await saveItemChanges(item, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Images reordered successfully',
+      data: {
+        item: toItemResponse(req, item)
+      }
+    });
+  } catch (error) {
+    console.error('Reorder item images error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reordering images'
+    });
+  }
+});
+
+// @desc    Set the cover image of an item
+// @route   PUT /api/items/:id/images/:imageId/cover
+// @access  Private (admin and super_admin only)
+router.put('/:id/images/:imageId/cover', [
+  protect,
+  canPerformCRUD,
+  param('id').isMongoId().withMessage('Invalid item ID'),
+  param('imageId').isMongoId().withMessage('Invalid image ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const item = await Item.findOne({ 
+      _id: req.params.id, 
+      isActive: true 
+    });
+
+    const image = item && item.images.id(req.params.imageId);
+
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        message: item ? 'Image not found' : 'Item not found'
+      });
+    }
+
+    item.coverImage = image._id;
+    await saveItemChanges(item, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Cover image updated successfully',
+      data: {
+        item: toItemResponse(req, item)
+      }
+    });
+  } catch (error) {
+    console.error('Set cover image error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while setting cover image'
+    });
+  }
+});
+
+// @desc    Remove an image from an item gallery
+// @route   DELETE /api/items/:id/images/:imageId
+// @access  Private (admin and super_admin only)
+router.delete('/:id/images/:imageId', [
+  protect,
+  canPerformCRUD,
+  param('id').isMongoId().withMessage('Invalid item ID'),
+  param('imageId').isMongoId().withMessage('Invalid image ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const item = await Item.findOne({ 
+      _id: req.params.id, 
+      isActive: true 
+    });
+
+    const image = item && item.images.id(req.params.imageId);
+
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        message: item ? 'Image not found' : 'Item not found'
+      });
+    }
+
+    // Every item needs at least one image
+    if (item.images.length === 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'An item must keep at least one image'
+      });
+    }
+
+    // Removing the cover makes the next first image the cover. The stored
+    // files are kept so that older revisions of the item can be restored.
+    if (String(image._id) === String(item.coverImage)) {
+      item.coverImage = undefined;
+    }
+    item.images.pull(image._id);
+    await saveItemChanges(item, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Image removed successfully',
+      data: {
+        item: toItemResponse(req, item)
+      }
+    });
+  } catch (error) {
+    console.error('Remove item image error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing image'
+    });
+  }
+});
+
+// @desc    Get the revision history of an item
+// @route   GET /api/items/:id/revisions
+// @access  Private (admin and super_admin only)
+router.get('/:id/revisions', [
+  protect,
+  canPerformCRUD,
+  param('id').isMongoId().withMessage('Invalid item ID'),
   query('page')
     .optional()
     .isInt({ min: 1 })
@@ -33,16 +2838,7 @@ router.get('/', [
   query('limit')
     .optional()
     .isInt({ min: 1, max: 100 })
-    .withMessage('Limit must be between 1 and 100'),
-  query('search')
-    .optional()
-    .trim()
-    .isLength({ max: 100 })
-    .withMessage('Search term cannot be more than 100 characters'),
-  query('showExpired')
-    .optional()
-    .isString()
-    .withMessage('showExpired must be a string')
+    .withMessage('Limit must be between 1 and 100')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -55,56 +2851,38 @@ router.get('/', [
       });
     }
 
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const search = req.query.search || '';
-    const showExpired = req.query.showExpired === 'true';
-
-    // Build filter
-    let filter = { isActive: true };
-    
-    // Filter by expired status
-    const now = new Date();
-    if (showExpired) {
-      // Show only expired items (end date < now)
-      filter['dateRange.end'] = { $lt: now };
-    } else if (req.query.showExpired !== undefined) {
-      // Show only active items (end date >= now)
-      filter['dateRange.end'] = { $gte: now };
-    }
-    // If showExpired is not provided at all, show all items (backward compatibility)
-    
-    if (search) {
-      filter.$or = [
-        { note: { $regex: search, $options: 'i' } }
-      ];
+    const item = await Item.findOne({ 
+      _id: req.params.id, 
+      isActive: true 
+    }).select('_id revision');
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      });
     }
 
-    // Get items with pagination
-    const items = await Item.getItemsWithPagination(page, limit, filter);
-    const totalItems = await Item.getItemsCount(filter);
-    const totalPages = Math.ceil(totalItems / limit);
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
 
-    // Add image URLs to items
-    const itemsWithUrls = items.map(item => {
-      const itemObj = item.toObject();
-      if (process.env.NODE_ENV === 'production' && item.image.startsWith('data:')) {
-        itemObj.imageUrl = item.image;
-      } else {
-        itemObj.imageUrl = getFileUrl(req, item.image);
-      }
-      console.log('📸 GET /items - Item ID:', item._id, 'Image:', item.image, 'URL:', itemObj.imageUrl);
-      return itemObj;
-    });
+    // Newest revision first
+    const revisions = await ItemRevision.find({ item: item._id })
+      .sort({ revision: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+    const totalRevisions = await ItemRevision.countDocuments({ item: item._id });
+    const totalPages = Math.ceil(totalRevisions / limit);
 
     res.status(200).json({
       success: true,
       data: {
-        items: itemsWithUrls,
+        currentRevision: item.revision,
+        revisions: revisions.map(toRevisionResponse),
         pagination: {
           currentPage: page,
           totalPages,
-          totalItems,
+          totalRevisions,
           limit,
           hasNext: page < totalPages,
           hasPrev: page > 1
@@ -112,21 +2890,22 @@ router.get('/', [
       }
     });
   } catch (error) {
-    console.error('Get items error:', error);
+    console.error('Get item revisions error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while fetching items'
+      message: 'Server error while fetching revisions'
     });
   }
 });
 
-// @desc    Get single item
-// @route   GET /api/items/:id
-// @access  Private (all authenticated users can read)
-router.get('/:id', [
+// @desc    Restore an item to an earlier revision
+// @route   POST /api/items/:id/revisions/:revisionId/restore
+// @access  Private (admin and super_admin only)
+router.post('/:id/revisions/:revisionId/restore', [
   protect,
-  authenticatedUser,
-  param('id').isMongoId().withMessage('Invalid item ID')
+  canPerformCRUD,
+  param('id').isMongoId().withMessage('Invalid item ID'),
+  param('revisionId').isMongoId().withMessage('Invalid revision ID')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -151,57 +2930,69 @@ router.get('/:id', [
       });
     }
 
-    // Add image URL
-    const itemObj = item.toObject();
-    if (process.env.NODE_ENV === 'production' && item.image.startsWith('data:')) {
-      itemObj.imageUrl = item.image;
-    } else {
-      itemObj.imageUrl = getFileUrl(req, item.image);
+    const revision = await ItemRevision.findOne({
+      _id: req.params.revisionId,
+      item: item._id
+    });
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
     }
 
+    // Restoring is recorded as a new revision, so it can be undone as well
+    item.restoreSnapshot(revision.snapshot);
+    item.$locals.revisionAction = 'restore';
+    item.$locals.restoredFrom = revision.revision;
+    await saveItemChanges(item, req.user);
+    await item.populate('createdBy updatedBy', 'name email role');
+
     res.status(200).json({
       success: true,
+      message: `Item restored to revision ${revision.revision}`,
       data: {
-        item: itemObj
+        item: toItemResponse(req, item)
       }
     });
   } catch (error) {
-    console.error('Get item error:', error);
+    console.error('Restore item revision error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while fetching item'
+      message: 'Server error while restoring revision'
     });
   }
 });
 
-// @desc    Create new item
-// @route   POST /api/items
-// @access  Private (admin and super_admin only)
-router.post('/', [
+// @desc    Take a workflow action on an item: submit it for review, withdraw
+//          it, approve (publish) or reject it, or unpublish it
+// @route   POST /api/items/:id/workflow
+// @access  Private (admin submits and withdraws; super_admin also reviews)
+router.post('/:id/workflow', [
   protect,
   canPerformCRUD,
-  processImageUpload,
-  body('startDate')
-    .isISO8601()
-    .withMessage('Start date must be a valid ISO 8601 date'),
-  body('endDate')
-    .isISO8601()
-    .withMessage('End date must be a valid ISO 8601 date'),
-  body('note')
+  param('id').isMongoId().withMessage('Invalid item ID'),
+  body('action')
+    .isIn(Item.WORKFLOW_ACTIONS)
+    .withMessage(`Action must be one of: ${Item.WORKFLOW_ACTIONS.join(', ')}`),
+  body('comment')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Comment must be a string')
+    .bail()
     .trim()
-    .notEmpty()
-    .withMessage('Note is required')
     .isLength({ max: 1000 })
-    .withMessage('Note cannot be more than 1000 characters')
+    .withMessage('Comment cannot be more than 1000 characters'),
+  body('comment')
+    .if(body('action').equals('reject'))
+    .notEmpty()
+    .withMessage('Please explain why the offer is rejected')
 ], async (req, res) => {
   try {
     // Check for validation errors
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-      // If there's an uploaded file and validation fails, delete it
-      if (req.uploadedFile) {
-        deleteUploadedFile(req.uploadedFile.filename);
-      }
       return res.status(400).json({
         success: false,
         message: 'Validation failed',
@@ -209,136 +3000,66 @@ router.post('/', [
       });
     }
 
-    const { startDate, endDate, note } = req.body;
+    const item = await Item.findOne({ 
+      _id: req.params.id, 
+      isActive: true 
+    });
 
-    // Validate date range
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-    
-    if (end <= start) {
-      // Delete uploaded file if validation fails
-      if (req.uploadedFile) {
-        deleteUploadedFile(req.uploadedFile.filename);
-      }
-      return res.status(400).json({
+    if (!item) {
+      return res.status(404).json({
         success: false,
-        message: 'End date must be after start date'
+        message: 'Item not found'
       });
     }
 
-    // Handle image storage based on environment
-    let imageData;
-    try {
-      // Check both req.file and req.uploadedFile for buffer
-      const buffer = (req.file && req.file.buffer) || (req.uploadedFile && req.uploadedFile.buffer);
-      const mimetype = (req.file && req.file.mimetype) || (req.uploadedFile && req.uploadedFile.mimetype);
-      
-      console.log('Upload debug:', {
-        hasFile: !!req.file,
-        hasUploadedFile: !!req.uploadedFile,
-        hasBuffer: !!buffer,
-        nodeEnv: process.env.NODE_ENV
-      });
-      
-      if (process.env.NODE_ENV === 'production' && buffer) {
-        // Store as base64 in production (serverless)
-        console.log('Storing image as base64, size:', buffer.length);
-        imageData = `data:${mimetype};base64,${buffer.toString('base64')}`;
-      } else if (req.uploadedFile && req.uploadedFile.filename) {
-        // Store filename in development
-        console.log('Storing image as filename:', req.uploadedFile.filename);
-        imageData = req.uploadedFile.filename;
-      } else {
-        console.error('No valid image data found in request');
-        console.error('req.file:', req.file);
-        console.error('req.uploadedFile:', req.uploadedFile);
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid image data'
-        });
-      }
-    } catch (error) {
-      console.error('Error processing image:', error);
-      return res.status(500).json({
+    const { action, comment } = req.body;
+    if (!Item.canTakeWorkflowAction(action, req.user)) {
+      return res.status(403).json({
         success: false,
-        message: 'Error processing image: ' + error.message
+        message: 'Only super admins can review offers'
       });
     }
 
-    // Create item
-    const item = await Item.create({
-      image: imageData,
-      dateRange: {
-        start: start,
-        end: end
-      },
-      note,
-      createdBy: req.user._id
-    });
-
-    // Populate user information
-    await item.populate('createdBy', 'name email role');
-
-    // Add image URL
-    const itemObj = item.toObject();
-    if (process.env.NODE_ENV === 'production' && item.image.startsWith('data:')) {
-      itemObj.imageUrl = item.image; // Return base64 directly
-    } else {
-      itemObj.imageUrl = getFileUrl(req, item.image);
+    const workflowError = item.getWorkflowError(action);
+    if (workflowError) {
+      return res.status(409).json({
+        success: false,
+        message: workflowError
+      });
     }
 
-    res.status(201).json({
+    item.applyWorkflowAction(action, req.user, comment);
+    await item.save();
+    await item.populate('workflowHistory.actor', 'name email role');
+
+    res.status(200).json({
       success: true,
-      message: 'Item created successfully',
+      message: `Item is now ${item.workflowState.replace('_', ' ')}`,
       data: {
-        item: itemObj
+        item: toItemResponse(req, item)
       }
     });
   } catch (error) {
-    console.error('Create item error:', error);
-    console.error('Error stack:', error.stack);
-    // Delete uploaded file if there's an error
-    if (req.uploadedFile && req.uploadedFile.filename && !req.uploadedFile.buffer) {
-      deleteUploadedFile(req.uploadedFile.filename);
-    }
+    console.error('Item workflow error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while creating item',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      message: 'Server error while updating the workflow state'
     });
   }
 });
 
-// @desc    Update item
-// @route   PUT /api/items/:id
-// @access  Private (admin and super_admin only)
-router.put('/:id', [
+// @desc    Delete item
+// @route   DELETE /api/items/:id
+// @access  Private (super_admin only)
+router.delete('/:id', [
   protect,
-  canPerformCRUD,
-  param('id').isMongoId().withMessage('Invalid item ID'),
-  validateImageFile, // Optional image upload
-  body('startDate')
-    .optional()
-    .isISO8601()
-    .withMessage('Start date must be a valid ISO 8601 date'),
-  body('endDate')
-    .optional()
-    .isISO8601()
-    .withMessage('End date must be a valid ISO 8601 date'),
-  body('note')
-    .optional()
-    .trim()
-    .isLength({ max: 1000 })
-    .withMessage('Note cannot be more than 1000 characters')
+  canDelete,
+  param('id').isMongoId().withMessage('Invalid item ID')
 ], async (req, res) => {
   try {
     // Check for validation errors
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-      // If there's an uploaded file and validation fails, delete it
-      if (req.uploadedFile) {
-        deleteUploadedFile(req.uploadedFile.filename);
-      }
       return res.status(400).json({
         success: false,
         message: 'Validation failed',
@@ -353,114 +3074,91 @@ router.put('/:id', [
     });
 
     if (!item) {
-      // Delete uploaded file if item not found
-      if (req.uploadedFile) {
-        deleteUploadedFile(req.uploadedFile.filename);
-      }
       return res.status(404).json({
         success: false,
         message: 'Item not found'
       });
     }
 
-    // Build update data
-    const updateData = { updatedBy: req.user._id };
-    const { startDate, endDate, note } = req.body;
+    // Soft delete: the item moves to the trash, where it can be restored until
+    // it is purged (together with its images) after the retention period
+    await moveToTrash(item, req.user._id);
 
-    // Handle date range update
-    if (startDate || endDate) {
-      const currentStart = startDate ? new Date(startDate) : item.dateRange.start;
-      const currentEnd = endDate ? new Date(endDate) : item.dateRange.end;
-      
-      if (currentEnd <= currentStart) {
-        // Delete uploaded file if validation fails
-        if (req.uploadedFile) {
-          deleteUploadedFile(req.uploadedFile.filename);
-        }
-        return res.status(400).json({
-          success: false,
-          message: 'End date must be after start date'
-        });
+    res.status(200).json({
+      success: true,
+      message: 'Item moved to the trash',
+      data: {
+        purgeAt: getPurgeDate(item)
       }
-      
-      updateData.dateRange = {
-        start: currentStart,
-        end: currentEnd
-      };
-    }
-
-    // Handle note update
-    if (note !== undefined) {
-      updateData.note = note;
-    }
+    });
+  } catch (error) {
+    console.error('Delete item error:', error);
+    console.error('Error stack:', error.stack);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting item',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
 
-    // Handle image update
-    if (req.uploadedFile || req.file) {
-      // Check for buffer in both req.file and req.uploadedFile
-      const buffer = (req.file && req.file.buffer) || (req.uploadedFile && req.uploadedFile.buffer);
-      const mimetype = (req.file && req.file.mimetype) || (req.uploadedFile && req.uploadedFile.mimetype);
-      const filename = req.uploadedFile && req.uploadedFile.filename;
-      
-      console.log('Update image debug:', {
-        hasFile: !!req.file,
-        hasUploadedFile: !!req.uploadedFile,
-        hasBuffer: !!buffer,
-        nodeEnv: process.env.NODE_ENV
-      });
-
-      // Handle base64 in production
-      if (process.env.NODE_ENV === 'production' && buffer) {
-        updateData.image = `data:${mimetype};base64,${buffer.toString('base64')}`;
-        console.log('Storing image as base64 (length):', updateData.image.length);
-      } else if (filename) {
-        // Delete old image file in development
-        if (item.image && !item.image.startsWith('data:')) {
-          deleteUploadedFile(item.image);
-        }
-        updateData.image = filename;
-        console.log('Storing image as filename:', filename);
-      }
+// @desc    Restore an item from the trash
+// @route   POST /api/items/:id/restore
+// @access  Private (super_admin only)
+router.post('/:id/restore', [
+  protect,
+  canDelete,
+  param('id').isMongoId().withMessage('Invalid item ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
     }
 
-    // Update item
-    const updatedItem = await Item.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true, runValidators: true }
-    ).populate('createdBy updatedBy', 'name email role');
+    const item = await Item.findOne({ 
+      _id: req.params.id, 
+      isActive: false 
+    });
 
-    // Add image URL
-    const itemObj = updatedItem.toObject();
-    if (process.env.NODE_ENV === 'production' && updatedItem.image.startsWith('data:')) {
-      itemObj.imageUrl = updatedItem.image;
-    } else {
-      itemObj.imageUrl = getFileUrl(req, updatedItem.image);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found in the trash'
+      });
     }
 
+    item.isActive = true;
+    item.deletedAt = undefined;
+    item.deletedBy = undefined;
+    item.updatedBy = req.user._id;
+    await item.save();
+
     res.status(200).json({
       success: true,
-      message: 'Item updated successfully',
+      message: 'Item restored successfully',
       data: {
-        item: itemObj
+        item: toItemResponse(req, item)
       }
     });
   } catch (error) {
-    console.error('Update item error:', error);
-    // Delete uploaded file if there's an error
-    if (req.uploadedFile) {
-      deleteUploadedFile(req.uploadedFile.filename);
-    }
+    console.error('Restore item error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while updating item'
+      message: 'Server error while restoring item'
     });
   }
 });
 
-// @desc    Delete item
-// @route   DELETE /api/items/:id
+// @desc    Permanently delete an item from the trash, with its images and history
+// @route   DELETE /api/items/:id/purge
 // @access  Private (super_admin only)
-router.delete('/:id', [
+router.delete('/:id/purge', [
   protect,
   canDelete,
   param('id').isMongoId().withMessage('Invalid item ID')
@@ -476,39 +3174,30 @@ router.delete('/:id', [
       });
     }
 
-    // Find the item
+    // Only trashed items can be purged, so a purge is always preceded by a delete
     const item = await Item.findOne({ 
       _id: req.params.id, 
-      isActive: true 
+      isActive: false 
     });
 
     if (!item) {
       return res.status(404).json({
         success: false,
-        message: 'Item not found'
+        message: 'Item not found in the trash'
       });
     }
 
-    // Soft delete (set isActive to false)
-    await Item.findByIdAndUpdate(req.params.id, { 
-      isActive: false,
-      updatedBy: req.user._id 
-    });
-
-    // Optionally delete the image file (uncomment if you want to delete files immediately)
-    // deleteUploadedFile(item.image);
+    await purgeItem(item);
 
     res.status(200).json({
       success: true,
-      message: 'Item deleted successfully'
+      message: 'Item permanently deleted'
     });
   } catch (error) {
-    console.error('Delete item error:', error);
-    console.error('Error stack:', error.stack);
+    console.error('Purge item error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while deleting item',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      message: 'Server error while purging item'
     });
   }
 });
@@ -526,7 +3215,12 @@ router.get('/my/items', [
   query('limit')
     .optional()
     .isInt({ min: 1, max: 100 })
-    .withMessage('Limit must be between 1 and 100')
+    .withMessage('Limit must be between 1 and 100'),
+  validateStatusQuery(),
+  validateWorkflowStateQuery(),
+  validateScheduleStatusQuery(),
+  ...validateListQuery(),
+  ...validateCursorQuery()
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -545,37 +3239,63 @@ router.get('/my/items', [
     // Filter by current user
     const filter = { createdBy: req.user._id };
 
-    // Get items with pagination
-    const items = await Item.getItemsWithPagination(page, limit, filter);
-    const totalItems = await Item.getItemsCount(filter);
-    const totalPages = Math.ceil(totalItems / limit);
+    if (req.query.workflowState) {
+      filter.workflowState = req.query.workflowState;
+    }
+    if (req.query.scheduleStatus) {
+      Object.assign(filter, Item.getScheduleFilter(req.query.scheduleStatus));
+    }
+
+    // Filter by lifecycle status
+    if (req.query.status) {
+      filter.$and = [Item.getStatusFilter(parseStatuses(req.query.status))];
+    }
+
+    // Start and end date ranges
+    applyDateRangeFilters(filter, req.query);
+
+    // Get items with pagination (without the stored image data).
+    // There is no search here, so sort=relevance falls back to newest first.
+    const sort = Item.getSort(req.query.sort, req.query.order);
+    let items;
+    let pagination;
+    if (isCursorRequest(req.query)) {
+      ({ docs: items, pagination } = await Item.getItemsWithCursor(filter, sort, {
+        after: req.query.after,
+        before: req.query.before,
+        limit
+      }));
+    } else {
+      items = await Item.getItemsWithPagination(page, limit, filter, sort).select('-image');
+      const totalItems = await Item.getItemsCount(filter);
+      const totalPages = Math.ceil(totalItems / limit);
+      pagination = {
+        currentPage: page,
+        totalPages,
+        totalItems,
+        limit,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      };
+    }
 
     // Add image URLs to all items
-    const itemsWithUrls = items.map(item => {
-      const itemObj = item.toObject();
-      if (process.env.NODE_ENV === 'production' && item.image.startsWith('data:')) {
-        itemObj.imageUrl = item.image;
-      } else {
-        itemObj.imageUrl = getFileUrl(req, item.image);
-      }
-      return itemObj;
-    });
+    const itemsWithUrls = items.map(item => toItemResponse(req, item));
 
     res.status(200).json({
       success: true,
       data: {
         items: itemsWithUrls,
-        pagination: {
-          currentPage: page,
-          totalPages,
-          totalItems,
-          limit,
-          hasNext: page < totalPages,
-          hasPrev: page > 1
-        }
+        pagination
       }
     });
   } catch (error) {
+    if (error instanceof CursorError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Get my items error:', error);
     res.status(500).json({
       success: false,
@@ -2,7 +2,12 @@ const express = require('express');
 const { body, validationResult, param, query } = require('express-validator');
 const User = require('../models/User');
 const Item = require('../models/Item');
-const { protect, canManageUsers, superAdminOnly } = require('../middleware/auth');
+const { protect, canManageUsers, superAdminOnly, adminOrSuperAdmin } = require('../middleware/auth');
+const { CursorError, isCursorRequest, paginateWithCursor } = require('../utils/cursor');
+const { MAX_GROUPS_PER_USER, MAX_GROUP_LENGTH, normalizeGroups } = require('../utils/audience');
+
+// Helper function to escape a search term for use in a regular expression
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
 const router = express.Router();
 
@@ -32,7 +37,21 @@ router.get('/', [
   query('isActive')
     .optional()
     .isBoolean()
-    .withMessage('isActive must be a boolean')
+    .withMessage('isActive must be a boolean'),
+  query('group')
+    .optional()
+    .trim()
+    .isLength({ max: MAX_GROUP_LENGTH })
+    .withMessage(`Group cannot be more than ${MAX_GROUP_LENGTH} characters`),
+  query('pagination')
+    .optional()
+    .isIn(['page', 'cursor'])
+    .withMessage('Pagination must be page or cursor'),
+  query(['after', 'before'])
+    .optional()
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Cursor must be a token returned by a previous page')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -61,6 +80,10 @@ router.get('/', [
     if (isActive !== undefined) {
       filter.isActive = isActive;
     }
+
+    if (req.query.group) {
+      filter.groups = req.query.group.toLowerCase();
+    }
     
     if (search) {
       filter.$or = [
@@ -69,13 +92,33 @@ router.get('/', [
       ];
     }
 
+    // Newest first; _id keeps the order stable between users created together
+    const sort = { createdAt: -1, _id: -1 };
+
+    // Cursor pagination (pagination=cursor, then after/before) skips the count
+    if (isCursorRequest(req.query)) {
+      const { docs: users, pagination } = await paginateWithCursor(
+        (query, querySort, queryLimit) => User.find(query).select('-password').sort(querySort).limit(queryLimit),
+        filter,
+        sort,
+        { after: req.query.after, before: req.query.before, limit }
+      );
+      return res.status(200).json({
+        success: true,
+        data: {
+          users,
+          pagination
+        }
+      });
+    }
+
     // Calculate pagination
     const skip = (page - 1) * limit;
 
     // Get users with pagination
     const users = await User.find(filter)
       .select('-password')
-      .sort({ createdAt: -1 })
+      .sort(sort)
       .skip(skip)
       .limit(limit);
 
@@ -97,6 +140,12 @@ router.get('/', [
       }
     });
   } catch (error) {
+    if (error instanceof CursorError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Get users error:', error);
     res.status(500).json({
       success: false,
@@ -105,6 +154,127 @@ router.get('/', [
   }
 });
 
+// @desc    Get user groups in use, largest first, for audiences and autocomplete
+// @route   GET /api/users/groups
+// @access  Private (admin and super_admin only)
+router.get('/groups', [
+  protect,
+  adminOrSuperAdmin,
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: MAX_GROUP_LENGTH })
+    .withMessage(`Search term cannot be more than ${MAX_GROUP_LENGTH} characters`),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const search = (req.query.search || '').toLowerCase();
+    const limit = parseInt(req.query.limit) || 50;
+
+    const pipeline = [
+      { $match: { isActive: true } },
+      { $unwind: '$groups' }
+    ];
+    if (search) {
+      // Groups starting with the search term
+      pipeline.push({ $match: { groups: { $regex: `^${escapeRegex(search)}` } } });
+    }
+    pipeline.push(
+      { $group: { _id: '$groups', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: limit }
+    );
+
+    const groups = await User.aggregate(pipeline);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        groups: groups.map(group => ({ name: group._id, count: group.count }))
+      }
+    });
+  } catch (error) {
+    console.error('Get user groups error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching user groups'
+    });
+  }
+});
+
+// @desc    Find active users by name or email, to pick them for an audience
+// @route   GET /api/users/directory
+// @access  Private (admin and super_admin only)
+router.get('/directory', [
+  protect,
+  adminOrSuperAdmin,
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search term cannot be more than 100 characters'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const search = req.query.search || '';
+    const limit = parseInt(req.query.limit) || 10;
+
+    const filter = { isActive: true };
+    if (search) {
+      const pattern = escapeRegex(search);
+      filter.$or = [
+        { name: { $regex: pattern, $options: 'i' } },
+        { email: { $regex: pattern, $options: 'i' } }
+      ];
+    }
+
+    // Only what is needed to recognise someone; admins cannot manage users
+    const users = await User.find(filter)
+      .select('name email')
+      .sort({ name: 1, _id: 1 })
+      .limit(limit);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        users
+      }
+    });
+  } catch (error) {
+    console.error('Get user directory error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while searching users'
+    });
+  }
+});
+
 // @desc    Get single user by ID
 // @route   GET /api/users/:id
 // @access  Private (super_admin only)
@@ -219,6 +389,58 @@ router.put('/:id/role', [
   }
 });
 
+// @desc    Update the groups a user belongs to
+// @route   PUT /api/users/:id/groups
+// @access  Private (super_admin only)
+router.put('/:id/groups', [
+  protect,
+  canManageUsers,
+  param('id').isMongoId().withMessage('Invalid user ID'),
+  body('groups')
+    .custom(value => {
+      normalizeGroups(value, MAX_GROUPS_PER_USER);
+      return true;
+    })
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.id).select('-password');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    user.groups = normalizeGroups(req.body.groups, MAX_GROUPS_PER_USER);
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'User groups updated successfully',
+      data: {
+        user
+      }
+    });
+  } catch (error) {
+    console.error('Update user groups error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating user groups'
+    });
+  }
+});
+
 // @desc    Toggle user account activation status
 // @route   PUT /api/users/:id/toggle-activation
 // @access  Private (super_admin only)
@@ -2,14 +2,17 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
-const path = require('path');
 require('dotenv').config();
 
 const connectDB = require('./config/database');
+const { scheduleTrashPurge } = require('./utils/trash');
+const { verifyImageSignature } = require('./utils/imageUrls');
+const Item = require('./models/Item');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const itemRoutes = require('./routes/items');
+const categoryRoutes = require('./routes/categories');
 const userRoutes = require('./routes/users');
 
 // Verify critical environment variables
@@ -40,6 +43,45 @@ console.log('✅ Environment check:', {
 // Connect to database
 connectDB();
 
+// Purge items that have been in the trash longer than the retention period
+scheduleTrashPurge();
+
+// Items saved before durations were stored need one to be sorted by duration
+Item.backfillDurations()
+  .then(count => {
+    if (count > 0) {
+      console.log(`⏱️ Stored the duration of ${count} item(s)`);
+    }
+  })
+  .catch(error => console.error('Duration backfill failed:', error));
+
+// Items from before the approval workflow were visible to everyone
+Item.backfillWorkflowStates()
+  .then(count => {
+    if (count > 0) {
+      console.log(`📝 Marked ${count} existing item(s) as published`);
+    }
+  })
+  .catch(error => console.error('Workflow state backfill failed:', error));
+
+// Items from before audiences existed were visible to everyone
+Item.backfillAudiences()
+  .then(count => {
+    if (count > 0) {
+      console.log(`👥 Opened ${count} existing item(s) to everyone`);
+    }
+  })
+  .catch(error => console.error('Audience backfill failed:', error));
+
+// Calendar feeds used to derive event sequences from revisions
+Item.backfillCalendarSequences()
+  .then(count => {
+    if (count > 0) {
+      console.log(`📅 Stored the calendar sequence of ${count} item(s)`);
+    }
+  })
+  .catch(error => console.error('Calendar sequence backfill failed:', error));
+
 const app = express();
 
 // Security middleware with custom configuration
@@ -55,6 +97,14 @@ const limiter = rateLimit({
   message: {
     success: false,
     message: 'Too many requests from this IP, please try again later.'
+  },
+  // Image requests are cacheable and a single page can load many of them.
+  // Only validly signed ones are exempt, so that ids and signatures cannot be
+  // probed freely.
+  skip: (req) => {
+    const match = req.method === 'GET'
+      && /^\/items\/([0-9a-fA-F]{24})\/(image|images\/[0-9a-fA-F]{24})$/.exec(req.path);
+    return Boolean(match) && verifyImageSignature(`${match[1]}/${match[2]}`, req.query.expires, req.query.sig);
   }
 });
 
@@ -120,12 +170,10 @@ app.options('*', cors(corsOptions));
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
-// Static file serving for uploads
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
-
 // API routes
 app.use('/api/auth', authLimiter, authRoutes);
 app.use('/api/items', itemRoutes);
+app.use('/api/categories', categoryRoutes);
 app.use('/api/users', userRoutes);
 
 // Simple health check endpoint (no auth required)
@@ -171,12 +219,37 @@ app.get('/api', (req, res) => {
       },
       items: {
         getAllItems: 'GET /api/items',
+        getOccurrences: 'GET /api/items/occurrences?from=&to=',
         getItem: 'GET /api/items/:id',
+        getItemImage: 'GET /api/items/:id/image',
+        regenerateImageVariants: 'POST /api/items/:id/image/variants',
+        getGalleryImage: 'GET /api/items/:id/images/:imageId',
+        addItemImages: 'POST /api/items/:id/images',
+        reorderItemImages: 'PUT /api/items/:id/images/order',
+        setCoverImage: 'PUT /api/items/:id/images/:imageId/cover',
+        removeItemImage: 'DELETE /api/items/:id/images/:imageId',
+        getItemRevisions: 'GET /api/items/:id/revisions',
+        restoreItemRevision: 'POST /api/items/:id/revisions/:revisionId/restore',
+        getTrash: 'GET /api/items/trash (super_admin only)',
+        restoreItem: 'POST /api/items/:id/restore (super_admin only)',
+        purgeItem: 'DELETE /api/items/:id/purge (super_admin only)',
+        duplicateItem: 'POST /api/items/:id/duplicate',
+        bulkDelete: 'POST /api/items/bulk/delete (super_admin only)',
+        bulkEndDate: 'PUT /api/items/bulk/end-date',
+        bulkStatus: 'PUT /api/items/bulk/status',
+        bulkCategory: 'PUT /api/items/bulk/category',
+        getTags: 'GET /api/items/tags?search=',
         createItem: 'POST /api/items',
         updateItem: 'PUT /api/items/:id',
         deleteItem: 'DELETE /api/items/:id',
         getMyItems: 'GET /api/items/my/items'
       },
+      categories: {
+        getCategories: 'GET /api/categories',
+        createCategory: 'POST /api/categories (super_admin only)',
+        updateCategory: 'PUT /api/categories/:id (super_admin only)',
+        deleteCategory: 'DELETE /api/categories/:id (super_admin only)'
+      },
       users: {
         getAllUsers: 'GET /api/users (super_admin only)',
         getUser: 'GET /api/users/:id (super_admin only)',
@@ -274,7 +347,7 @@ app.use((err, req, res, next) => {
   }
 
   if (err.code === 'LIMIT_FILE_COUNT') {
-    error.message = 'Too many files. Only 1 file is allowed.';
+    error.message = 'Too many files. Up to 10 images are allowed.';
     error.statusCode = 400;
   }
 
@@ -350,7 +423,6 @@ const server = app.listen(PORT, HOST, () => {
 📊 Environment: ${process.env.NODE_ENV || 'development'}
 🔗 API URL: http://localhost:${PORT}/api
 🏥 Health Check: http://localhost:${PORT}/health
-📁 Uploads: http://localhost:${PORT}/uploads
 🌐 Network: http://192.168.1.56:${PORT}/api
   `);
 });
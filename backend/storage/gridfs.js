@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// MongoDB GridFS storage driver. Files are stored in the application database,
+// which makes it usable on serverless hosts without a persistent disk.
+const bucketName = process.env.GRIDFS_BUCKET || 'images';
+
+let bucket;
+
+const getBucket = () => {
+  if (!mongoose.connection.db) {
+    throw new Error('GridFS storage requires an open MongoDB connection');
+  }
+  if (!bucket) {
+    bucket = new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName });
+  }
+  return bucket;
+};
+
+const findFile = async (key) => {
+  const files = await getBucket().find({ filename: key }).limit(1).toArray();
+  return files[0] || null;
+};
+
+const save = (buffer, { key, contentType }) => {
+  return new Promise((resolve, reject) => {
+    const uploadStream = getBucket().openUploadStream(key, {
+      metadata: { contentType }
+    });
+    uploadStream.once('error', reject);
+    uploadStream.once('finish', () => resolve(key));
+    uploadStream.end(buffer);
+  });
+};
+
+const read = async (key) => {
+  const file = await findFile(key);
+  if (!file) {
+    return null;
+  }
+  return {
+    contentType: (file.metadata && file.metadata.contentType) || 'application/octet-stream',
+    size: file.length,
+    stream: getBucket().openDownloadStream(file._id)
+  };
+};
+
+const remove = async (key) => {
+  const file = await findFile(key);
+  if (!file) {
+    return false;
+  }
+  await getBucket().delete(file._id);
+  return true;
+};
+
+// GridFS files are only reachable through the API
+const url = () => null;
+
+module.exports = {
+  save,
+  read,
+  delete: remove,
+  url
+};
@@ -0,0 +1,135 @@
+const path = require('path');
+const { Readable } = require('stream');
+
+// Storage adapters for uploaded images.
+//
+// Every driver exposes the same interface:
+//   save(buffer, { key, contentType })  -> Promise<key>
+//   read(key)                           -> Promise<{ stream, contentType, size } | null>
+//   delete(key)                         -> Promise<boolean>
+//   url(key, expiresIn)                 -> Promise<URL> the object can be fetched from
+//                                          for expiresIn seconds, or null when it is
+//                                          only reachable through the API
+//
+// The driver is selected with STORAGE_DRIVER (local, gridfs or s3). Serverless
+// deployments have no persistent disk, so production defaults to GridFS.
+const drivers = {
+  local: () => require('./localDisk'),
+  gridfs: () => require('./gridfs'),
+  s3: () => require('./s3')
+};
+
+const defaultDriver = process.env.NODE_ENV === 'production' ? 'gridfs' : 'local';
+const driverName = (process.env.STORAGE_DRIVER || defaultDriver).toLowerCase();
+
+let storage;
+
+// Get the configured storage driver (created on first use)
+const getStorage = () => {
+  if (!storage) {
+    if (!drivers[driverName]) {
+      throw new Error(`Unknown storage driver: ${driverName}. Use one of: ${Object.keys(drivers).join(', ')}`);
+    }
+    storage = drivers[driverName]();
+    console.log(`Image storage driver: ${driverName}`);
+  }
+  return storage;
+};
+
+// Generate a unique storage key that keeps a readable part of the original name
+const generateKey = (originalname, prefix = 'image') => {
+  const originalName = (originalname || 'upload').replace(/[^a-zA-Z0-9.-]/g, '_');
+  const extension = path.extname(originalName).toLowerCase();
+  const baseName = path.basename(originalName, path.extname(originalName));
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  return `${prefix}-${baseName}-${uniqueSuffix}${extension}`;
+};
+
+// Items created before storage drivers existed may hold the image inline as a data URL
+const isDataUrl = (image) => typeof image === 'string' && image.startsWith('data:');
+
+// Save an uploaded file and return its storage key
+const saveImage = (file) => {
+  return getStorage().save(file.buffer, {
+    key: generateKey(file.originalname),
+    contentType: file.mimetype
+  });
+};
+
+// Open a stored image for reading. Resolves to null when it cannot be found.
+const readImage = async (image) => {
+  if (!image) {
+    return null;
+  }
+
+  if (isDataUrl(image)) {
+    const match = /^data:([^;,]+);base64,(.*)$/s.exec(image);
+    if (!match) {
+      return null;
+    }
+    const buffer = Buffer.from(match[2], 'base64');
+    return {
+      contentType: match[1],
+      size: buffer.length,
+      stream: Readable.from([buffer])
+    };
+  }
+
+  return getStorage().read(image);
+};
+
+// Delete a stored image. Inline data URLs live on the item itself, so there is nothing to delete.
+const deleteImage = async (image) => {
+  if (!image || isDataUrl(image)) {
+    return false;
+  }
+
+  try {
+    return await getStorage().delete(image);
+  } catch (error) {
+    console.error('Error deleting stored image:', error);
+    return false;
+  }
+};
+
+// Copy a stored image to a new key so that the copy can be deleted independently.
+// Inline data URLs are values rather than references, so they are returned as is.
+const copyImage = async (image, originalname) => {
+  if (isDataUrl(image)) {
+    return image;
+  }
+
+  const storedImage = await readImage(image);
+  if (!storedImage) {
+    throw new Error(`Stored image ${image} not found`);
+  }
+
+  const chunks = [];
+  for await (const chunk of storedImage.stream) {
+    chunks.push(chunk);
+  }
+
+  return getStorage().save(Buffer.concat(chunks), {
+    key: generateKey(originalname || path.basename(image), 'copy'),
+    contentType: storedImage.contentType
+  });
+};
+
+// Get a temporary URL for a stored image, if the driver provides one
+const getImageUrl = async (image, expiresIn) => {
+  if (!image || isDataUrl(image)) {
+    return null;
+  }
+  return getStorage().url(image, expiresIn);
+};
+
+module.exports = {
+  getStorage,
+  generateKey,
+  isDataUrl,
+  saveImage,
+  readImage,
+  deleteImage,
+  copyImage,
+  getImageUrl
+};
@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+
+// Local disk storage driver. Files are written to UPLOAD_PATH and are only
+// served through the image endpoints.
+const uploadDir = process.env.UPLOAD_PATH || './uploads/';
+
+// Content types for the image extensions accepted by the upload middleware
+const contentTypesByExtension = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.bmp': 'image/bmp',
+  '.tiff': 'image/tiff'
+};
+
+// Ensure upload directory exists
+const createUploadDirectory = () => {
+  if (!fs.existsSync(uploadDir)) {
+    fs.mkdirSync(uploadDir, { recursive: true });
+    console.log(`Upload directory created: ${uploadDir}`);
+  }
+};
+
+// Keys are plain file names; never resolve anything outside the upload directory
+const resolvePath = (key) => path.join(uploadDir, path.basename(key));
+
+const save = async (buffer, { key }) => {
+  createUploadDirectory();
+  await fs.promises.writeFile(resolvePath(key), buffer);
+  return key;
+};
+
+const read = async (key) => {
+  const filePath = resolvePath(key);
+  try {
+    const stats = await fs.promises.stat(filePath);
+    return {
+      contentType: contentTypesByExtension[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+      size: stats.size,
+      stream: fs.createReadStream(filePath)
+    };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+const remove = async (key) => {
+  try {
+    await fs.promises.unlink(resolvePath(key));
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false;
+    }
+    throw error;
+  }
+};
+
+// Files on disk are only served through the API, which checks access
+const url = () => null;
+
+module.exports = {
+  save,
+  read,
+  delete: remove,
+  url
+};
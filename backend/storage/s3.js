@@ -0,0 +1,79 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+// S3-compatible storage driver (AWS S3, MinIO, Cloudflare R2, ...).
+// S3_ENDPOINT and S3_FORCE_PATH_STYLE=true point it at a MinIO server.
+const bucket = process.env.S3_BUCKET;
+
+if (!bucket) {
+  throw new Error('S3 storage requires S3_BUCKET to be set');
+}
+
+const client = new S3Client({
+  region: process.env.S3_REGION || 'us-east-1',
+  endpoint: process.env.S3_ENDPOINT || undefined,
+  forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+  credentials: process.env.S3_ACCESS_KEY_ID
+    ? {
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+      }
+    : undefined
+});
+
+const save = async (buffer, { key, contentType }) => {
+  await client.send(new PutObjectCommand({
+    Bucket: bucket,
+    Key: key,
+    Body: buffer,
+    ContentType: contentType
+  }));
+  return key;
+};
+
+const read = async (key) => {
+  try {
+    const object = await client.send(new GetObjectCommand({
+      Bucket: bucket,
+      Key: key
+    }));
+    return {
+      contentType: object.ContentType || 'application/octet-stream',
+      size: object.ContentLength,
+      stream: object.Body
+    };
+  } catch (error) {
+    if (error.name === 'NoSuchKey' || (error.$metadata && error.$metadata.httpStatusCode === 404)) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// S3 deletes are idempotent, so a missing key is not reported as an error
+const remove = async (key) => {
+  await client.send(new DeleteObjectCommand({
+    Bucket: bucket,
+    Key: key
+  }));
+  return true;
+};
+
+// Presigned URL of an object, so that clients download it from S3 directly
+// without the bucket being public
+const url = (key, expiresIn) => getSignedUrl(client, new GetObjectCommand({
+  Bucket: bucket,
+  Key: key
+}), { expiresIn });
+
+module.exports = {
+  save,
+  read,
+  delete: remove,
+  url
+};
@@ -0,0 +1,212 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  RecurrenceError,
+  normalizeRecurrence,
+  expandOccurrences,
+  getNextOccurrence,
+  getLastOccurrenceEnd
+} = require('../utils/recurrence');
+const { toWallClock } = require('../utils/timezone');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const range = (start, hours = 1) => ({
+  start: new Date(start),
+  end: new Date(new Date(start).getTime() + hours * HOUR_MS)
+});
+
+const starts = (occurrences) => occurrences.map(occurrence => occurrence.start.toISOString());
+
+test('normalizeRecurrence returns null for offers that do not repeat', () => {
+  assert.equal(normalizeRecurrence(null), null);
+  assert.equal(normalizeRecurrence(undefined), null);
+  assert.equal(normalizeRecurrence(''), null);
+  assert.equal(normalizeRecurrence('null'), null);
+});
+
+test('normalizeRecurrence parses JSON strings and fills in defaults', () => {
+  assert.deepEqual(normalizeRecurrence('{"freq":"weekly","byWeekday":["SU","MO"]}'), {
+    freq: 'weekly',
+    interval: 1,
+    byWeekday: ['SU', 'MO']
+  });
+  assert.deepEqual(normalizeRecurrence({ freq: 'daily', interval: '3', count: '5' }), {
+    freq: 'daily',
+    interval: 3,
+    byWeekday: [],
+    count: 5
+  });
+});
+
+test('normalizeRecurrence reads a bare until date as the end of that day in the timezone', () => {
+  const rule = normalizeRecurrence({ freq: 'daily', until: '2026-06-30' }, 'Europe/Berlin');
+  assert.equal(rule.until.toISOString(), '2026-06-30T21:59:59.999Z');
+});
+
+test('normalizeRecurrence rejects rules that cannot be used', () => {
+  const invalid = [
+    '{not json',
+    ['daily'],
+    { freq: 'yearly' },
+    { freq: 'daily', interval: 0 },
+    { freq: 'daily', interval: 100 },
+    { freq: 'daily', interval: 1.5 },
+    { freq: 'weekly', byWeekday: ['XX'] },
+    { freq: 'daily', byWeekday: ['MO'] },
+    { freq: 'daily', until: '2026-06-30', count: 3 },
+    { freq: 'daily', until: 'someday' },
+    { freq: 'daily', count: 0 },
+    { freq: 'daily', count: 501 }
+  ];
+  invalid.forEach(rule => {
+    assert.throws(() => normalizeRecurrence(rule), RecurrenceError, JSON.stringify(rule));
+  });
+});
+
+test('expandOccurrences returns the date range of an offer that does not repeat', () => {
+  const dateRange = range('2026-06-01T09:00:00Z', 2);
+  assert.deepEqual(expandOccurrences(dateRange, null), [{ index: 0, ...dateRange }]);
+  assert.deepEqual(expandOccurrences(dateRange, null, { from: new Date('2026-06-01T11:00:00Z') }), []);
+  assert.deepEqual(expandOccurrences(dateRange, null, { to: new Date('2026-06-01T09:00:00Z') }), []);
+});
+
+test('expandOccurrences repeats daily with an interval and a count', () => {
+  const occurrences = expandOccurrences(range('2026-06-01T09:00:00Z'), { freq: 'daily', interval: 2, count: 3 });
+  assert.deepEqual(starts(occurrences), [
+    '2026-06-01T09:00:00.000Z',
+    '2026-06-03T09:00:00.000Z',
+    '2026-06-05T09:00:00.000Z'
+  ]);
+  assert.deepEqual(occurrences.map(occurrence => occurrence.index), [0, 1, 2]);
+  assert.equal(occurrences[2].end.toISOString(), '2026-06-05T10:00:00.000Z');
+});
+
+test('expandOccurrences repeats weekly on the chosen weekdays, starting with the date range', () => {
+  // Wednesday 3 June 2026, then Mondays and Fridays every other week
+  const occurrences = expandOccurrences(range('2026-06-03T09:00:00Z'), {
+    freq: 'weekly',
+    interval: 2,
+    byWeekday: ['MO', 'FR'],
+    count: 5
+  });
+  assert.deepEqual(starts(occurrences), [
+    '2026-06-03T09:00:00.000Z',
+    '2026-06-05T09:00:00.000Z',
+    '2026-06-15T09:00:00.000Z',
+    '2026-06-19T09:00:00.000Z',
+    '2026-06-29T09:00:00.000Z'
+  ]);
+});
+
+test('expandOccurrences repeats monthly on the same day and skips months without it', () => {
+  const occurrences = expandOccurrences(range('2026-01-31T09:00:00Z'), { freq: 'monthly', count: 4 });
+  assert.deepEqual(starts(occurrences), [
+    '2026-01-31T09:00:00.000Z',
+    '2026-03-31T09:00:00.000Z',
+    '2026-05-31T09:00:00.000Z',
+    '2026-07-31T09:00:00.000Z'
+  ]);
+  assert.deepEqual(occurrences.map(occurrence => occurrence.index), [0, 1, 2, 3]);
+});
+
+test('expandOccurrences stops at the until date', () => {
+  const occurrences = expandOccurrences(range('2026-06-01T09:00:00Z'), {
+    freq: 'daily',
+    until: new Date('2026-06-03T09:00:00Z')
+  });
+  assert.equal(occurrences.length, 3);
+});
+
+test('expandOccurrences keeps the local time of day across DST changes', () => {
+  // 09:00 in Berlin is 08:00 UTC in winter and 07:00 UTC in summer
+  const occurrences = expandOccurrences(range('2026-03-27T08:00:00Z'), { freq: 'daily' }, {
+    limit: 4,
+    timezone: 'Europe/Berlin'
+  });
+  assert.deepEqual(starts(occurrences), [
+    '2026-03-27T08:00:00.000Z',
+    '2026-03-28T08:00:00.000Z',
+    '2026-03-29T07:00:00.000Z',
+    '2026-03-30T07:00:00.000Z'
+  ]);
+  occurrences.forEach(occurrence => {
+    assert.equal(toWallClock(occurrence.start, 'Europe/Berlin').getUTCHours(), 9);
+    assert.equal(occurrence.end - occurrence.start, HOUR_MS);
+  });
+});
+
+test('expandOccurrences only returns occurrences overlapping the window, up to the limit', () => {
+  const occurrences = expandOccurrences(range('2026-06-01T09:00:00Z', 2), { freq: 'daily' }, {
+    from: new Date('2026-06-03T10:00:00Z'),
+    to: new Date('2026-06-06T09:00:00Z')
+  });
+  // The occurrence of 3 June is still running at `from`; the one of 6 June starts at `to`
+  assert.deepEqual(starts(occurrences), [
+    '2026-06-03T09:00:00.000Z',
+    '2026-06-04T09:00:00.000Z',
+    '2026-06-05T09:00:00.000Z'
+  ]);
+  assert.deepEqual(occurrences.map(occurrence => occurrence.index), [2, 3, 4]);
+
+  const limited = expandOccurrences(range('2026-06-01T09:00:00Z'), { freq: 'daily' }, { limit: 2 });
+  assert.equal(limited.length, 2);
+});
+
+test('expandOccurrences skips ahead to the window without losing count of the occurrences', () => {
+  const timezone = 'America/New_York';
+  const from = new Date('2026-02-10T00:00:00Z');
+  const to = new Date('2026-04-10T00:00:00Z');
+  const rules = [
+    { freq: 'daily', interval: 3, count: 300 },
+    { freq: 'weekly', interval: 2, byWeekday: ['TU', 'SA'], count: 120 },
+    { freq: 'weekly', count: 60 },
+    { freq: 'monthly', count: 50 }
+  ];
+  for (const rule of rules) {
+    for (const start of ['2020-01-31T14:00:00Z', '2025-12-30T23:30:00Z']) {
+      const dateRange = range(start, 30);
+      // Expanding from the first occurrence and keeping the window must give the same result
+      const everything = expandOccurrences(dateRange, rule, { to, timezone })
+        .filter(occurrence => occurrence.end > from);
+      const windowed = expandOccurrences(dateRange, rule, { from, to, timezone });
+      assert.deepEqual(windowed, everything, `${JSON.stringify(rule)} from ${start}`);
+    }
+  }
+});
+
+test('expandOccurrences reads a window of a rule that started long ago without expanding it all', () => {
+  const occurrences = expandOccurrences(range('1970-01-05T09:00:00Z'), { freq: 'daily' }, {
+    from: new Date('2026-06-01T00:00:00Z'),
+    limit: 1
+  });
+  assert.equal(occurrences[0].start.toISOString(), '2026-06-01T09:00:00.000Z');
+  assert.equal(occurrences[0].index, Math.round((Date.UTC(2026, 5, 1) - Date.UTC(1970, 0, 5)) / DAY_MS));
+});
+
+test('getNextOccurrence returns the running occurrence, else the next one, else null', () => {
+  const dateRange = range('2026-06-01T09:00:00Z', 2);
+  const rule = { freq: 'daily', count: 3 };
+  assert.equal(getNextOccurrence(dateRange, rule, new Date('2026-06-02T10:00:00Z')).start.toISOString(), '2026-06-02T09:00:00.000Z');
+  assert.equal(getNextOccurrence(dateRange, rule, new Date('2026-06-02T12:00:00Z')).start.toISOString(), '2026-06-03T09:00:00.000Z');
+  assert.equal(getNextOccurrence(dateRange, rule, new Date('2026-06-03T11:00:00Z')), null);
+});
+
+test('getLastOccurrenceEnd finds the end of the last occurrence, or null for rules without an end', () => {
+  const dateRange = range('2026-06-01T09:00:00Z', 2);
+  assert.equal(getLastOccurrenceEnd(dateRange, null).toISOString(), '2026-06-01T11:00:00.000Z');
+  assert.equal(getLastOccurrenceEnd(dateRange, { freq: 'daily' }), null);
+  assert.equal(getLastOccurrenceEnd(dateRange, { freq: 'weekly', count: 3 }).toISOString(), '2026-06-15T11:00:00.000Z');
+  assert.equal(
+    getLastOccurrenceEnd(dateRange, { freq: 'daily', until: new Date('2026-06-10T08:00:00Z') }).toISOString(),
+    '2026-06-09T11:00:00.000Z'
+  );
+});
+
+test('getLastOccurrenceEnd looks back from a distant until date', () => {
+  const dateRange = range('2024-02-29T09:00:00Z');
+  // Only leap years have a 29 February
+  const end = getLastOccurrenceEnd(dateRange, { freq: 'monthly', interval: 12, until: new Date('2099-12-31T00:00:00Z') });
+  assert.equal(end.toISOString(), '2096-02-29T10:00:00.000Z');
+});
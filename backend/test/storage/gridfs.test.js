@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable, Writable } = require('stream');
+const mongoose = require('mongoose');
+
+// An in-memory stand-in for the parts of GridFSBucket the driver uses, so
+// that the driver can be tested without a MongoDB server
+const files = new Map();
+let nextId = 1;
+const bucketOptions = [];
+
+class FakeGridFSBucket {
+  constructor(db, options) {
+    bucketOptions.push(options);
+  }
+
+  openUploadStream(filename, { metadata }) {
+    const chunks = [];
+    return new Writable({
+      write(chunk, encoding, callback) {
+        chunks.push(chunk);
+        callback();
+      },
+      final(callback) {
+        const data = Buffer.concat(chunks);
+        const id = nextId++;
+        files.set(id, { _id: id, filename, length: data.length, metadata, data });
+        callback();
+      }
+    });
+  }
+
+  find({ filename }) {
+    const matches = [...files.values()].filter(file => file.filename === filename);
+    return {
+      limit: (count) => ({ toArray: async () => matches.slice(0, count) })
+    };
+  }
+
+  openDownloadStream(id) {
+    return Readable.from([files.get(id).data]);
+  }
+
+  async delete(id) {
+    files.delete(id);
+  }
+}
+
+Object.defineProperty(mongoose.mongo, 'GridFSBucket', { value: FakeGridFSBucket, configurable: true });
+process.env.GRIDFS_BUCKET = 'offer-images';
+const storage = require('../../storage/gridfs');
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+test('the driver needs an open MongoDB connection', async () => {
+  await assert.rejects(storage.read('image.png'), /open MongoDB connection/);
+});
+
+test('save stores the file with its content type in the configured bucket', async () => {
+  mongoose.connection.db = {};
+  const key = await storage.save(Buffer.from('png data'), { key: 'image-a.png', contentType: 'image/png' });
+  assert.equal(key, 'image-a.png');
+  assert.deepEqual(bucketOptions, [{ bucketName: 'offer-images' }]);
+  const [file] = [...files.values()];
+  assert.equal(file.filename, 'image-a.png');
+  assert.deepEqual(file.metadata, { contentType: 'image/png' });
+});
+
+test('read streams a stored file with its size and content type', async () => {
+  mongoose.connection.db = {};
+  await storage.save(Buffer.from('jpeg data'), { key: 'image-b.jpg', contentType: 'image/jpeg' });
+  const stored = await storage.read('image-b.jpg');
+  assert.equal(stored.contentType, 'image/jpeg');
+  assert.equal(stored.size, 9);
+  assert.equal((await readAll(stored.stream)).toString(), 'jpeg data');
+});
+
+test('read resolves to null for a missing file', async () => {
+  mongoose.connection.db = {};
+  assert.equal(await storage.read('missing.png'), null);
+});
+
+test('delete removes a file and reports whether there was one', async () => {
+  mongoose.connection.db = {};
+  await storage.save(Buffer.from('x'), { key: 'image-c.png', contentType: 'image/png' });
+  assert.equal(await storage.delete('image-c.png'), true);
+  assert.equal(await storage.read('image-c.png'), null);
+  assert.equal(await storage.delete('image-c.png'), false);
+});
+
+test('url is null, since files are only served through the API', async () => {
+  assert.equal(await storage.url('image-a.png', 60), null);
+});
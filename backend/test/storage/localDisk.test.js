@@ -0,0 +1,59 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The driver reads UPLOAD_PATH when it is loaded
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+process.env.UPLOAD_PATH = path.join(uploadDir, 'images');
+const storage = require('../../storage/localDisk');
+
+after(() => fs.rmSync(uploadDir, { recursive: true, force: true }));
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+test('save creates the upload directory and stores the file under its key', async () => {
+  const key = await storage.save(Buffer.from('png data'), { key: 'image-a.png', contentType: 'image/png' });
+  assert.equal(key, 'image-a.png');
+  assert.equal(fs.readFileSync(path.join(process.env.UPLOAD_PATH, key), 'utf8'), 'png data');
+});
+
+test('read streams a stored file with its size and a content type from its extension', async () => {
+  await storage.save(Buffer.from('jpeg data'), { key: 'image-b.JPG', contentType: 'image/jpeg' });
+  const stored = await storage.read('image-b.JPG');
+  assert.equal(stored.contentType, 'image/jpeg');
+  assert.equal(stored.size, 9);
+  assert.equal((await readAll(stored.stream)).toString(), 'jpeg data');
+
+  await storage.save(Buffer.from('?'), { key: 'image-c.bin' });
+  assert.equal((await storage.read('image-c.bin')).contentType, 'application/octet-stream');
+});
+
+test('read resolves to null for a missing file', async () => {
+  assert.equal(await storage.read('missing.png'), null);
+});
+
+test('keys never reach outside the upload directory', async () => {
+  await storage.save(Buffer.from('inside'), { key: '../../escape.png' });
+  assert.equal(fs.existsSync(path.join(process.env.UPLOAD_PATH, 'escape.png')), true);
+  assert.equal(fs.existsSync(path.join(uploadDir, 'escape.png')), false);
+  assert.equal((await readAll((await storage.read('../escape.png')).stream)).toString(), 'inside');
+});
+
+test('delete removes a file and reports whether there was one', async () => {
+  await storage.save(Buffer.from('x'), { key: 'image-d.png' });
+  assert.equal(await storage.delete('image-d.png'), true);
+  assert.equal(await storage.read('image-d.png'), null);
+  assert.equal(await storage.delete('image-d.png'), false);
+});
+
+test('url is null, since files are only served through the API', async () => {
+  assert.equal(await storage.url('image-a.png', 60), null);
+});
@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  isValidTimezone,
+  getDefaultTimezone,
+  toWallClock,
+  fromWallClock,
+  parseDateInZone,
+  changeTimezone
+} = require('../utils/timezone');
+
+test('isValidTimezone accepts IANA names and rejects anything else', () => {
+  assert.equal(isValidTimezone('Europe/Berlin'), true);
+  assert.equal(isValidTimezone('UTC'), true);
+  assert.equal(isValidTimezone('Mars/Olympus'), false);
+  assert.equal(isValidTimezone(''), false);
+  assert.equal(isValidTimezone(null), false);
+});
+
+test('getDefaultTimezone falls back to UTC for a missing or invalid DEFAULT_TIMEZONE', (t) => {
+  const previous = process.env.DEFAULT_TIMEZONE;
+  t.after(() => {
+    if (previous === undefined) {
+      delete process.env.DEFAULT_TIMEZONE;
+    } else {
+      process.env.DEFAULT_TIMEZONE = previous;
+    }
+  });
+
+  process.env.DEFAULT_TIMEZONE = 'America/New_York';
+  assert.equal(getDefaultTimezone(), 'America/New_York');
+  process.env.DEFAULT_TIMEZONE = 'Nowhere/Town';
+  assert.equal(getDefaultTimezone(), 'UTC');
+  delete process.env.DEFAULT_TIMEZONE;
+  assert.equal(getDefaultTimezone(), 'UTC');
+});
+
+test('toWallClock gives the local time in the zone as UTC fields', () => {
+  // Berlin is UTC+1 in winter and UTC+2 in summer
+  assert.equal(toWallClock('2026-01-15T12:00:00.000Z', 'Europe/Berlin').toISOString(), '2026-01-15T13:00:00.000Z');
+  assert.equal(toWallClock('2026-07-15T12:00:00.000Z', 'Europe/Berlin').toISOString(), '2026-07-15T14:00:00.000Z');
+  assert.equal(toWallClock('2026-07-15T12:00:00.250Z', 'UTC').toISOString(), '2026-07-15T12:00:00.250Z');
+});
+
+test('fromWallClock is the inverse of toWallClock outside DST changes', () => {
+  const instant = new Date('2026-03-10T08:30:00.000Z');
+  for (const timezone of ['UTC', 'Europe/Berlin', 'America/New_York', 'Asia/Kolkata', 'Australia/Sydney']) {
+    assert.equal(fromWallClock(toWallClock(instant, timezone), timezone).toISOString(), instant.toISOString(), timezone);
+  }
+});
+
+test('fromWallClock moves times skipped by a DST change to the hour after', () => {
+  // Berlin skips from 02:00 to 03:00 on 29 March 2026
+  const skipped = fromWallClock(Date.UTC(2026, 2, 29, 2, 30), 'Europe/Berlin');
+  assert.equal(skipped.toISOString(), '2026-03-29T01:30:00.000Z');
+  assert.equal(toWallClock(skipped, 'Europe/Berlin').toISOString(), '2026-03-29T03:30:00.000Z');
+});
+
+test('fromWallClock resolves times repeated by a DST change to one of them', () => {
+  // Berlin repeats 02:00-03:00 on 25 October 2026
+  const repeated = fromWallClock(Date.UTC(2026, 9, 25, 2, 30), 'Europe/Berlin');
+  assert.ok(['2026-10-25T00:30:00.000Z', '2026-10-25T01:30:00.000Z'].includes(repeated.toISOString()));
+  assert.equal(toWallClock(repeated, 'Europe/Berlin').toISOString(), '2026-10-25T02:30:00.000Z');
+});
+
+test('parseDateInZone reads dates without an offset as wall-clock times in the zone', () => {
+  assert.equal(parseDateInZone('2026-06-01', 'Europe/Berlin').toISOString(), '2026-05-31T22:00:00.000Z');
+  assert.equal(parseDateInZone('2026-06-01T15:30', 'America/New_York').toISOString(), '2026-06-01T19:30:00.000Z');
+  assert.equal(parseDateInZone('2026-06-01T15:30:45.5', 'UTC').toISOString(), '2026-06-01T15:30:45.500Z');
+});
+
+test('parseDateInZone keeps full timestamps as the instants they name', () => {
+  assert.equal(parseDateInZone('2026-06-01T15:30:00Z', 'Europe/Berlin').toISOString(), '2026-06-01T15:30:00.000Z');
+  assert.equal(parseDateInZone('2026-06-01T15:30:00+02:00', 'America/New_York').toISOString(), '2026-06-01T13:30:00.000Z');
+  assert.ok(Number.isNaN(parseDateInZone('not a date', 'UTC').getTime()));
+});
+
+test('changeTimezone keeps the wall-clock time in the new zone', () => {
+  const date = new Date('2026-06-01T09:00:00.000Z');
+  const moved = changeTimezone(date, 'UTC', 'Europe/Berlin');
+  assert.equal(moved.toISOString(), '2026-06-01T07:00:00.000Z');
+  assert.equal(toWallClock(moved, 'Europe/Berlin').toISOString(), '2026-06-01T09:00:00.000Z');
+});
@@ -0,0 +1,136 @@
+// Item audiences. An item can be limited to roles, named user groups and/or
+// individual users; an empty audience means everyone. A user sees an item if
+// they match any part of its audience.
+
+const mongoose = require('mongoose');
+
+// Only roles whose reads are filtered by audience (see Item.getVisibilityFilter);
+// admins always see every offer, so targeting their roles would do nothing.
+const AUDIENCE_ROLES = ['user'];
+const MAX_AUDIENCE_GROUPS = 20;
+const MAX_AUDIENCE_USERS = 100;
+const MAX_GROUPS_PER_USER = 20;
+const MAX_GROUP_LENGTH = 30;
+
+// Key stored on items that everyone may see
+const EVERYONE_KEY = '*';
+
+// Error for audiences that cannot be used
+class AudienceError extends Error {}
+
+// Parse and check group names: an array, a JSON array string or a
+// comma-separated string. Names are stored lowercase like tags.
+const normalizeGroups = (input, maxGroups = MAX_AUDIENCE_GROUPS) => {
+  let groups = input;
+  if (groups === undefined || groups === null || groups === '') {
+    return [];
+  }
+  if (typeof groups === 'string') {
+    const trimmed = groups.trim();
+    if (trimmed.startsWith('[')) {
+      try {
+        groups = JSON.parse(trimmed);
+      } catch (error) {
+        throw new AudienceError('Groups must be a valid JSON array');
+      }
+    } else {
+      groups = trimmed.split(',');
+    }
+  }
+  if (!Array.isArray(groups) || !groups.every(group => typeof group === 'string')) {
+    throw new AudienceError('Groups must be a list of strings');
+  }
+
+  const normalized = [...new Set(groups.map(group => group.trim().toLowerCase()).filter(Boolean))];
+  if (normalized.length > maxGroups) {
+    throw new AudienceError(`Cannot have more than ${maxGroups} groups`);
+  }
+  if (normalized.some(group => group.length > MAX_GROUP_LENGTH)) {
+    throw new AudienceError(`Group names cannot be more than ${MAX_GROUP_LENGTH} characters`);
+  }
+  return normalized;
+};
+
+// Parse and check an audience from a request: an object or a JSON string
+// (multipart forms) with optional roles, groups and users lists. An empty
+// value means everyone.
+const normalizeAudience = (input) => {
+  let audience = input;
+  if (audience === undefined || audience === null || audience === '') {
+    return { roles: [], groups: [], users: [] };
+  }
+  if (typeof audience === 'string') {
+    try {
+      audience = JSON.parse(audience);
+    } catch (error) {
+      throw new AudienceError('Audience must be valid JSON');
+    }
+  }
+  if (!audience || typeof audience !== 'object' || Array.isArray(audience)) {
+    throw new AudienceError('Audience must be an object with roles, groups and users');
+  }
+
+  const roles = audience.roles || [];
+  if (!Array.isArray(roles) || !roles.every(role => AUDIENCE_ROLES.includes(role))) {
+    throw new AudienceError(`Audience roles must be among: ${AUDIENCE_ROLES.join(', ')}`);
+  }
+
+  const users = audience.users || [];
+  if (!Array.isArray(users) || !users.every(id => typeof id === 'string' && mongoose.Types.ObjectId.isValid(id))) {
+    throw new AudienceError('Audience users must be a list of user ids');
+  }
+  const uniqueUsers = [...new Set(users)];
+  if (uniqueUsers.length > MAX_AUDIENCE_USERS) {
+    throw new AudienceError(`An audience cannot have more than ${MAX_AUDIENCE_USERS} users`);
+  }
+
+  return {
+    roles: [...new Set(roles)],
+    groups: normalizeGroups(audience.groups),
+    users: uniqueUsers
+  };
+};
+
+// Check if an audience is empty, i.e. the item is for everyone
+const isEveryone = (audience) => {
+  return !audience || ['roles', 'groups', 'users'].every(part => !audience[part] || audience[part].length === 0);
+};
+
+// Keys stored on an item so that visibility is a single indexed $in query:
+// role:<role>, group:<name> and user:<id>, or '*' for everyone. Users may be
+// populated documents or ids.
+const getAudienceKeys = (audience) => {
+  if (isEveryone(audience)) {
+    return [EVERYONE_KEY];
+  }
+  return [
+    ...(audience.roles || []).map(role => `role:${role}`),
+    ...(audience.groups || []).map(group => `group:${group}`),
+    ...(audience.users || []).map(user => `user:${user._id || user}`)
+  ];
+};
+
+// Keys a viewer matches: everyone, their role, their groups and themselves
+const getViewerKeys = (viewer) => {
+  const keys = [EVERYONE_KEY, `role:${viewer.role}`];
+  (viewer.groups || []).forEach(group => keys.push(`group:${group}`));
+  if (viewer._id) {
+    keys.push(`user:${viewer._id}`);
+  }
+  return keys;
+};
+
+module.exports = {
+  AUDIENCE_ROLES,
+  MAX_AUDIENCE_GROUPS,
+  MAX_AUDIENCE_USERS,
+  MAX_GROUPS_PER_USER,
+  MAX_GROUP_LENGTH,
+  EVERYONE_KEY,
+  AudienceError,
+  normalizeGroups,
+  normalizeAudience,
+  isEveryone,
+  getAudienceKeys,
+  getViewerKeys
+};
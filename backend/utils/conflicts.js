@@ -0,0 +1,84 @@
+// Scheduling conflicts: offers in the same category or at the same location
+// whose occurrences overlap. CONFLICT_POLICY decides whether conflicts are
+// only reported (warn) or stop the offer from being saved (strict).
+const { expandOccurrences, getLastOccurrenceEnd } = require('./recurrence');
+
+const CONFLICT_POLICIES = ['warn', 'strict'];
+const MAX_LOCATION_LENGTH = 120;
+
+// Most conflicts reported for one offer
+const MAX_CONFLICTS = 20;
+
+// How far ahead offers that repeat forever are compared
+const CONFLICT_HORIZON_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Occurrences expanded per offer when two offers are compared
+const MAX_COMPARED_OCCURRENCES = 1000;
+
+// Conflict policy from the environment; anything but "strict" only warns
+const getConflictPolicy = () => {
+  const policy = (process.env.CONFLICT_POLICY || '').trim().toLowerCase();
+  return CONFLICT_POLICIES.includes(policy) ? policy : 'warn';
+};
+
+// Key two locations are compared by, so that case and spacing do not matter.
+// An empty key means the offer has no location.
+const getLocationKey = (location) => String(location || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+// End of the span an offer ({ dateRange, recurrence, timezone }) is checked
+// over: the end of its last occurrence, or CONFLICT_HORIZON_DAYS from its
+// start (or from now, once it has started) when it repeats forever
+const getConflictSpanEnd = (offer) => {
+  const lastEnd = getLastOccurrenceEnd(offer.dateRange, offer.recurrence, offer.timezone);
+  if (lastEnd) {
+    return lastEnd;
+  }
+  return new Date(Math.max(new Date(offer.dateRange.start).getTime(), Date.now()) + CONFLICT_HORIZON_DAYS * DAY_MS);
+};
+
+// Find the first time two offers run at once. Returns { start, end } of
+// the overlap, or null when their occurrences never overlap.
+const findFirstOverlap = (first, second) => {
+  const from = new Date(Math.max(new Date(first.dateRange.start), new Date(second.dateRange.start)));
+  const to = new Date(Math.min(getConflictSpanEnd(first), getConflictSpanEnd(second)));
+  if (to <= from) {
+    return null;
+  }
+
+  const expand = (offer) => expandOccurrences(offer.dateRange, offer.recurrence, {
+    from,
+    to,
+    limit: MAX_COMPARED_OCCURRENCES,
+    timezone: offer.timezone
+  });
+  const a = expand(first);
+  const b = expand(second);
+
+  // Both lists are in start order; step past whichever occurrence ends first
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    const start = new Date(Math.max(a[i].start, b[j].start));
+    const end = new Date(Math.min(a[i].end, b[j].end));
+    if (start < end) {
+      return { start, end };
+    }
+    if (a[i].end <= b[j].end) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return null;
+};
+
+module.exports = {
+  CONFLICT_POLICIES,
+  MAX_LOCATION_LENGTH,
+  MAX_CONFLICTS,
+  getConflictPolicy,
+  getLocationKey,
+  getConflictSpanEnd,
+  findFirstOverlap
+};
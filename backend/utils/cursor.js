@@ -0,0 +1,142 @@
+// Cursor (keyset) pagination. A cursor is an opaque token holding the sort
+// values of the row it points at, so the next page starts right after that
+// row even while rows are added or removed, and no count or skip is needed.
+// Every sort must end with _id so that the order is total.
+
+const mongoose = require('mongoose');
+
+// Error for cursors that cannot be used with the current request
+class CursorError extends Error {}
+
+// Keep dates and ids recognisable inside the JSON of a token
+const encodeValue = (value) => {
+  if (value instanceof Date) {
+    return { $date: value.toISOString() };
+  }
+  if (value instanceof mongoose.Types.ObjectId) {
+    return { $oid: value.toHexString() };
+  }
+  return value === undefined ? null : value;
+};
+
+const decodeValue = (value) => {
+  if (value && typeof value === 'object') {
+    if (typeof value.$date === 'string') {
+      return new Date(value.$date);
+    }
+    if (typeof value.$oid === 'string' && mongoose.Types.ObjectId.isValid(value.$oid)) {
+      return new mongoose.Types.ObjectId(value.$oid);
+    }
+    throw new CursorError('Invalid cursor');
+  }
+  return value;
+};
+
+// A short description of a sort, stored in tokens so that a cursor from one
+// ordering is not used with another
+const describeSort = (sort) => Object.entries(sort).map(([path, direction]) => `${path}:${direction}`).join(',');
+
+// Read a (possibly nested) path of a document or lean object
+const getPathValue = (doc, path) => {
+  if (typeof doc.get === 'function') {
+    return doc.get(path);
+  }
+  return path.split('.').reduce((value, key) => (value == null ? value : value[key]), doc);
+};
+
+// Build the token pointing at a document
+const encodeCursor = (doc, sort) => {
+  const payload = {
+    s: describeSort(sort),
+    v: Object.keys(sort).map(path => encodeValue(getPathValue(doc, path)))
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// Read the sort values out of a token, checking it was made for this sort
+const decodeCursor = (token, sort) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new CursorError('Invalid cursor');
+  }
+  if (!payload || !Array.isArray(payload.v)) {
+    throw new CursorError('Invalid cursor');
+  }
+  if (payload.s !== describeSort(sort) || payload.v.length !== Object.keys(sort).length) {
+    throw new CursorError('Cursor does not match the requested sort order');
+  }
+  return payload.v.map(decodeValue);
+};
+
+// Filter for the rows after (or, going backwards, before) the given sort
+// values: (a > x) or (a = x and b > y) or ...
+const buildKeysetFilter = (sort, values, backwards = false) => {
+  const paths = Object.keys(sort);
+  const alternatives = paths.map((path, index) => {
+    const ascending = sort[path] === 1;
+    const operator = ascending !== backwards ? '$gt' : '$lt';
+    const condition = {};
+    paths.slice(0, index).forEach((previousPath, previousIndex) => {
+      condition[previousPath] = values[previousIndex];
+    });
+    condition[path] = { [operator]: values[index] };
+    return condition;
+  });
+  return { $or: alternatives };
+};
+
+// Reverse every direction of a sort
+const invertSort = (sort) => Object.fromEntries(Object.entries(sort).map(([path, direction]) => [path, -direction]));
+
+// Fetch one page of rows around a cursor. `find(filter, sort, limit)` must
+// return the query to run (so callers can select and populate). Without a
+// cursor the first page is returned. The pagination object carries the
+// cursors of the neighbouring pages.
+const paginateWithCursor = async (find, filter, sort, { after, before, limit = 10 } = {}) => {
+  if (after && before) {
+    throw new CursorError('Use either after or before, not both');
+  }
+
+  const backwards = Boolean(before);
+  const token = after || before;
+  const querySort = backwards ? invertSort(sort) : sort;
+  // The keyset condition joins the filter's $and, so top-level operators
+  // such as $text stay where MongoDB expects them
+  const query = token
+    ? { ...filter, $and: [...(filter.$and || []), buildKeysetFilter(sort, decodeCursor(token, sort), backwards)] }
+    : filter;
+
+  // One extra row tells whether there is another page
+  const docs = await find(query, querySort, limit + 1);
+  const hasMore = docs.length > limit;
+  const page = docs.slice(0, limit);
+  if (backwards) {
+    page.reverse();
+  }
+
+  const hasNext = backwards ? true : hasMore;
+  const hasPrev = backwards ? hasMore : Boolean(after);
+  return {
+    docs: page,
+    pagination: {
+      limit,
+      hasNext: hasNext && page.length > 0,
+      hasPrev: hasPrev && page.length > 0,
+      nextCursor: hasNext && page.length > 0 ? encodeCursor(page[page.length - 1], sort) : null,
+      prevCursor: hasPrev && page.length > 0 ? encodeCursor(page[0], sort) : null
+    }
+  };
+};
+
+// Whether a list request asks for cursor pagination rather than page numbers
+const isCursorRequest = (query) => Boolean(query.after || query.before || query.pagination === 'cursor');
+
+module.exports = {
+  CursorError,
+  isCursorRequest,
+  encodeCursor,
+  decodeCursor,
+  paginateWithCursor
+};
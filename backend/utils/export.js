@@ -0,0 +1,127 @@
+// Item exports. Rows are written one at a time as they come out of a query
+// cursor, so an export of every item never holds the whole list in memory.
+const { assertWritable, writeChunk } = require('./streams');
+const ExcelJS = require('exceljs');
+const { toWallClock } = require('./timezone');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Wall-clock time of a date in a timezone, which spreadsheets show as is
+const toLocalTime = (date, timezone) => (date ? toWallClock(date, timezone || 'UTC') : null);
+
+// Columns of an item export: header, width in characters (xlsx) and value.
+// Values are strings, numbers, dates (wall-clock times) or null. Review
+// fields are only exported for admins.
+const getItemExportColumns = ({ getImageUrl, includeReview = false }) => {
+  const columns = [
+    { header: 'ID', width: 26, value: item => String(item._id) },
+    { header: 'Title', width: 40, value: item => item.title },
+    { header: 'Category', width: 24, value: item => (item.category ? item.category.name : null) },
+    { header: 'Location', width: 24, value: item => item.location || null },
+    { header: 'Tags', width: 24, value: item => item.tags.join(', ') },
+    { header: 'Start', width: 18, value: item => toLocalTime(item.dateRange.start, item.timezone) },
+    { header: 'End', width: 18, value: item => toLocalTime(item.dateRange.end, item.timezone) },
+    { header: 'Timezone', width: 20, value: item => item.timezone },
+    { header: 'Duration (hours)', width: 16, value: item => Math.round(((item.dateRange.end - item.dateRange.start) / HOUR_MS) * 100) / 100 },
+    { header: 'Repeats until', width: 18, value: item => (item.recurrence ? toLocalTime(item.recurrenceEnd, item.timezone) || 'Forever' : null) },
+    { header: 'Status', width: 14, value: item => item.status },
+    { header: 'Note', width: 60, value: item => item.note },
+    { header: 'Created by', width: 24, value: item => (item.createdBy ? item.createdBy.name : null) },
+    { header: 'Created at', width: 18, value: item => toLocalTime(item.createdAt, item.timezone) },
+    { header: 'Updated by', width: 24, value: item => (item.updatedBy ? item.updatedBy.name : null) },
+    { header: 'Updated at', width: 18, value: item => toLocalTime(item.updatedAt, item.timezone) },
+    { header: 'Image URL', width: 60, value: item => getImageUrl(item) }
+  ];
+  if (includeReview) {
+    columns.splice(11, 0,
+      { header: 'Review state', width: 16, value: item => item.workflowState },
+      { header: 'Show from', width: 18, value: item => toLocalTime(item.publishAt, item.timezone) },
+      { header: 'Hide from', width: 18, value: item => toLocalTime(item.unpublishAt, item.timezone) }
+    );
+  }
+  return columns;
+};
+
+// Format a value for a CSV cell. Dates are written as "YYYY-MM-DD HH:mm".
+// Text starting with a formula character is prefixed with a quote so that
+// spreadsheet apps do not run it.
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = value instanceof Date ? value.toISOString().slice(0, 16).replace('T', ' ') : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Stream items from a cursor to a writable stream as CSV. A byte order mark
+// lets Excel detect UTF-8.
+const writeCsv = async (stream, cursor, columns) => {
+  await writeChunk(stream, `\uFEFF${columns.map(column => toCsvCell(column.header)).join(',')}\r\n`);
+  let count = 0;
+  for await (const item of cursor) {
+    await writeChunk(stream, `${columns.map(column => toCsvCell(column.value(item))).join(',')}\r\n`);
+    count += 1;
+  }
+  stream.end();
+  return count;
+};
+
+// Stream items from a cursor to a writable stream as an Excel workbook with
+// one "Offers" sheet. Rows are committed as they are written.
+const writeXlsx = async (stream, cursor, columns) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+  const worksheet = workbook.addWorksheet('Offers', { views: [{ state: 'frozen', ySplit: 1 }] });
+  worksheet.columns = columns.map(column => ({ header: column.header, width: column.width }));
+  worksheet.getRow(1).font = { bold: true };
+  worksheet.getRow(1).commit();
+
+  let count = 0;
+  for await (const item of cursor) {
+    // The workbook writer does not notice when the client goes away
+    assertWritable(stream);
+    const row = worksheet.addRow(columns.map(column => column.value(item)));
+    row.eachCell(cell => {
+      if (cell.value instanceof Date) {
+        cell.numFmt = 'yyyy-mm-dd hh:mm';
+      }
+    });
+    row.commit();
+    count += 1;
+  }
+  worksheet.commit();
+  await workbook.commit();
+  return count;
+};
+
+const WRITERS = {
+  csv: writeCsv,
+  xlsx: writeXlsx
+};
+
+// Stream an export in the given format. The cursor is closed once the export
+// is written or has failed. Returns the number of rows written.
+const writeExport = async (format, stream, cursor, columns) => {
+  try {
+    return await WRITERS[format](stream, cursor, columns);
+  } finally {
+    await cursor.close();
+  }
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  CONTENT_TYPES,
+  getItemExportColumns,
+  toCsvCell,
+  writeExport
+};
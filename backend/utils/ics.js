@@ -0,0 +1,279 @@
+// iCalendar (RFC 5545) feeds of items. Each item is one VEVENT whose UID
+// never changes and whose SEQUENCE is the item's calendar sequence, so
+// calendar apps replace an event when the offer changes and drop it when it
+// is cancelled.
+// Recurring items become RRULEs, which utils/recurrence.js is modelled on.
+const { writeChunk } = require('./streams');
+const { toWallClock } = require('./timezone');
+
+const CONTENT_TYPE = 'text/calendar; charset=utf-8';
+const PRODUCT_ID = '-//Offers//Offer calendar//EN';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// Years of DST changes described before the first and after the last event
+const TIMEZONE_MARGIN_YEARS = 1;
+
+// Years ahead of now that DST changes are described for events that repeat
+// forever. Calendar apps keep the last offset after the last change listed.
+const OPEN_ENDED_TIMEZONE_YEARS = 10;
+const YEAR_MS = 365 * DAY_MS;
+
+// Fields needed to work out which timezones a feed uses, and when
+const TIMEZONE_FIELDS = { timezone: 1, dateRange: 1, recurrence: 1, recurrenceEnd: 1 };
+
+// Escape a TEXT value
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Fold a content line into lines of at most 75 octets, without splitting
+// multi-byte characters
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let length = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards the limit
+    if (length + size > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      length = 0;
+    }
+    current += char;
+    length += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+// Format the UTC fields of a date as YYYYMMDDTHHMMSS
+const formatDateTime = (date) => date.toISOString().slice(0, 19).replace(/[-:]/g, '');
+
+// An instant in UTC: 20260601T090000Z
+const formatUtc = (date) => `${formatDateTime(new Date(date))}Z`;
+
+// A UTC offset in milliseconds as +HHMM
+const formatOffset = (offset) => {
+  const minutes = Math.round(Math.abs(offset) / MINUTE_MS);
+  const sign = offset < 0 ? '-' : '+';
+  return `${sign}${String(Math.floor(minutes / 60)).padStart(2, '0')}${String(minutes % 60).padStart(2, '0')}`;
+};
+
+const getOffset = (time, timezone) => toWallClock(time, timezone).getTime() - time;
+
+// A date-time property: in UTC for UTC items, otherwise the wall-clock time
+// with the item's timezone
+const formatDateProperty = (name, date, timezone) => {
+  if (timezone === 'UTC') {
+    return `${name}:${formatUtc(date)}`;
+  }
+  return `${name};TZID=${timezone}:${formatDateTime(toWallClock(date, timezone))}`;
+};
+
+// Turn a recurrence rule into an RRULE value
+const formatRecurrence = (recurrence) => {
+  const parts = [`FREQ=${recurrence.freq.toUpperCase()}`];
+  if (recurrence.interval && recurrence.interval > 1) {
+    parts.push(`INTERVAL=${recurrence.interval}`);
+  }
+  if (recurrence.byWeekday && recurrence.byWeekday.length > 0) {
+    parts.push(`BYDAY=${recurrence.byWeekday.join(',')}`);
+  }
+  if (recurrence.until) {
+    parts.push(`UNTIL=${formatUtc(recurrence.until)}`);
+  }
+  if (recurrence.count) {
+    parts.push(`COUNT=${recurrence.count}`);
+  }
+  return parts.join(';');
+};
+
+// Find the instants at which a zone's UTC offset changes between two times.
+// Offsets are sampled daily, then each change is narrowed down to the minute.
+const findOffsetChanges = (timezone, from, to) => {
+  const changes = [];
+  let previous = from;
+  let previousOffset = getOffset(previous, timezone);
+  for (let time = from + DAY_MS; time <= to + DAY_MS; time += DAY_MS) {
+    const offset = getOffset(time, timezone);
+    if (offset !== previousOffset) {
+      let low = previous;
+      let high = time;
+      while (high - low > MINUTE_MS) {
+        const middle = low + Math.floor((high - low) / 2 / MINUTE_MS) * MINUTE_MS;
+        if (getOffset(middle, timezone) === previousOffset) {
+          low = middle;
+        } else {
+          high = middle;
+        }
+      }
+      changes.push({ time: high, from: previousOffset, to: offset });
+    }
+    previous = time;
+    previousOffset = offset;
+  }
+  return changes;
+};
+
+// Build a VTIMEZONE for a zone, covering the given span of times. Each
+// offset change is listed as its own observance with the local time it
+// happens at, which every calendar app understands.
+const buildTimezone = (timezone, from, to) => {
+  const start = Date.UTC(new Date(from).getUTCFullYear() - TIMEZONE_MARGIN_YEARS, 0, 1);
+  const end = Date.UTC(new Date(to).getUTCFullYear() + TIMEZONE_MARGIN_YEARS + 1, 0, 1);
+  const initialOffset = getOffset(start, timezone);
+  const changes = findOffsetChanges(timezone, start, end);
+  // The first observance comes from the offset the zone changes back to, so
+  // that it is labelled as daylight saving time when that is in effect
+  const observances = [
+    { time: start, from: changes.length > 0 ? changes[0].to : initialOffset, to: initialOffset },
+    ...changes
+  ];
+
+  // The larger offset of a change is daylight saving time
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timezone}`];
+  observances.forEach(({ time, from: offsetFrom, to: offsetTo }) => {
+    const kind = offsetTo > offsetFrom ? 'DAYLIGHT' : 'STANDARD';
+    lines.push(
+      `BEGIN:${kind}`,
+      `DTSTART:${formatDateTime(new Date(time + offsetFrom))}`,
+      `TZOFFSETFROM:${formatOffset(offsetFrom)}`,
+      `TZOFFSETTO:${formatOffset(offsetTo)}`,
+      `END:${kind}`
+    );
+  });
+  lines.push('END:VTIMEZONE');
+  return lines;
+};
+
+// Build the VEVENT of an item. Cancelled events are items in the trash;
+// moving an item there bumps its calendar sequence, so calendar apps take
+// the cancellation over the last version they saw.
+const buildEvent = (item, { uidDomain, cancelled = false }) => {
+  const timezone = item.timezone || 'UTC';
+  const categories = [
+    ...(item.category ? [item.category.name] : []),
+    ...(item.tags || [])
+  ];
+  const sequence = item.calendarSequence || 0;
+  let status = 'CONFIRMED';
+  if (cancelled) {
+    status = 'CANCELLED';
+  } else if (item.workflowState && item.workflowState !== 'published') {
+    // Only admins see drafts and offers waiting for review
+    status = 'TENTATIVE';
+  }
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:item-${item._id}@${uidDomain}`,
+    `DTSTAMP:${formatUtc(item.updatedAt || item.createdAt)}`,
+    formatDateProperty('DTSTART', item.dateRange.start, timezone),
+    formatDateProperty('DTEND', item.dateRange.end, timezone)
+  ];
+  if (item.recurrence && item.recurrence.freq) {
+    lines.push(`RRULE:${formatRecurrence(item.recurrence)}`);
+  }
+  lines.push(
+    `SEQUENCE:${sequence}`,
+    `STATUS:${status}`,
+    `SUMMARY:${escapeText(item.title || '')}`,
+    `DESCRIPTION:${escapeText(item.note || '')}`
+  );
+  if (categories.length > 0) {
+    lines.push(`CATEGORIES:${categories.map(escapeText).join(',')}`);
+  }
+  lines.push(
+    `CREATED:${formatUtc(item.createdAt)}`,
+    `LAST-MODIFIED:${formatUtc(item.updatedAt || item.createdAt)}`,
+    'END:VEVENT'
+  );
+  return lines;
+};
+
+// Write content lines to a stream, waiting for the client to catch up
+const writeLines = (stream, lines) => writeChunk(stream, lines.map(line => `${foldLine(line)}\r\n`).join(''));
+
+// Find the span of times each timezone of a feed is used over, in a first
+// pass over the queries that only loads the scheduling fields. Events that
+// repeat forever are covered until OPEN_ENDED_TIMEZONE_YEARS from now.
+const collectTimezoneSpans = async (queries) => {
+  const timezones = new Map();
+  for (const query of queries) {
+    const cursor = query.clone().projection(TIMEZONE_FIELDS).lean().cursor();
+    try {
+      for await (const item of cursor) {
+        const timezone = item.timezone || 'UTC';
+        if (timezone === 'UTC') {
+          continue;
+        }
+        const start = new Date(item.dateRange.start).getTime();
+        const openEnded = item.recurrence && !item.recurrenceEnd;
+        const end = openEnded
+          ? Date.now() + OPEN_ENDED_TIMEZONE_YEARS * YEAR_MS
+          : new Date(item.recurrenceEnd || item.dateRange.end).getTime();
+        const span = timezones.get(timezone) || { from: start, to: end };
+        timezones.set(timezone, { from: Math.min(span.from, start), to: Math.max(span.to, end, start) });
+      }
+    } finally {
+      await cursor.close();
+    }
+  }
+  return timezones;
+};
+
+// Stream a calendar of items to a writable stream: the events of the
+// `events` query, then the cancelled events of the `cancelled` query. The
+// timezones the events use are described first, as some calendar apps
+// expect, so the queries are read twice.
+// Returns the number of events written.
+const writeCalendar = async (stream, { events, cancelled, name, uidDomain }) => {
+  const timezones = await collectTimezoneSpans(cancelled ? [events, cancelled] : [events]);
+
+  await writeLines(stream, [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ]);
+  for (const [timezone, span] of timezones) {
+    await writeLines(stream, buildTimezone(timezone, span.from, span.to));
+  }
+
+  let count = 0;
+  const sources = [{ query: events, cancelled: false }];
+  if (cancelled) {
+    sources.push({ query: cancelled, cancelled: true });
+  }
+  for (const source of sources) {
+    const cursor = source.query.cursor();
+    try {
+      for await (const item of cursor) {
+        await writeLines(stream, buildEvent(item, { uidDomain, cancelled: source.cancelled }));
+        count += 1;
+      }
+    } finally {
+      await cursor.close();
+    }
+  }
+
+  await writeLines(stream, ['END:VCALENDAR']);
+  stream.end();
+  return count;
+};
+
+module.exports = {
+  CONTENT_TYPE,
+  escapeText,
+  foldLine,
+  formatRecurrence,
+  buildTimezone,
+  buildEvent,
+  writeCalendar
+};
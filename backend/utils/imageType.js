@@ -0,0 +1,54 @@
+// Detect image formats from their magic bytes instead of trusting the
+// client-supplied mimetype or file extension.
+const signatures = [
+  { mimetype: 'image/jpeg', offset: 0, bytes: [0xFF, 0xD8, 0xFF] },
+  { mimetype: 'image/png', offset: 0, bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+  { mimetype: 'image/gif', offset: 0, bytes: [0x47, 0x49, 0x46, 0x38] }, // GIF8
+  { mimetype: 'image/bmp', offset: 0, bytes: [0x42, 0x4D] }, // BM
+  { mimetype: 'image/tiff', offset: 0, bytes: [0x49, 0x49, 0x2A, 0x00] }, // little-endian
+  { mimetype: 'image/tiff', offset: 0, bytes: [0x4D, 0x4D, 0x00, 0x2A] } // big-endian
+];
+
+// Extensions that are valid for each detected format
+const extensionsByMimetype = {
+  'image/jpeg': ['.jpg', '.jpeg'],
+  'image/png': ['.png'],
+  'image/gif': ['.gif'],
+  'image/webp': ['.webp'],
+  'image/bmp': ['.bmp'],
+  'image/tiff': ['.tiff', '.tif']
+};
+
+const matchesAt = (buffer, offset, bytes) => {
+  if (buffer.length < offset + bytes.length) {
+    return false;
+  }
+  return bytes.every((byte, index) => buffer[offset + index] === byte);
+};
+
+// Returns the detected mimetype, or null if the content is not a supported image
+const detectImageType = (buffer) => {
+  if (!Buffer.isBuffer(buffer)) {
+    return null;
+  }
+
+  // WebP is a RIFF container: "RIFF" <size> "WEBP"
+  if (matchesAt(buffer, 0, [0x52, 0x49, 0x46, 0x46]) && matchesAt(buffer, 8, [0x57, 0x45, 0x42, 0x50])) {
+    return 'image/webp';
+  }
+
+  const signature = signatures.find(({ offset, bytes }) => matchesAt(buffer, offset, bytes));
+  return signature ? signature.mimetype : null;
+};
+
+// image/jpg is a common, non-standard alias for image/jpeg
+const normalizeMimetype = (mimetype) => {
+  const normalized = (mimetype || '').toLowerCase();
+  return normalized === 'image/jpg' ? 'image/jpeg' : normalized;
+};
+
+module.exports = {
+  extensionsByMimetype,
+  detectImageType,
+  normalizeMimetype
+};
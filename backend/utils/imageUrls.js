@@ -0,0 +1,55 @@
+// Signed image URLs. Image endpoints are loaded by <img> tags, which cannot
+// send a bearer token, so item responses carry image URLs signed with an
+// expiry instead. Only users who can see an item get its URLs.
+const crypto = require('crypto');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// How long a signed image URL stays valid
+const getImageUrlTtlHours = () => {
+  const hours = parseInt(process.env.IMAGE_URL_TTL_HOURS, 10);
+  return Number.isNaN(hours) || hours < 1 ? 24 : hours;
+};
+
+// How long image URLs in exports stay valid. Exported files are kept and
+// shared, so their links last longer than the ones the app loads.
+const getExportImageUrlTtlHours = () => {
+  const days = parseInt(process.env.EXPORT_IMAGE_URL_TTL_DAYS, 10);
+  return (Number.isNaN(days) || days < 1 ? 30 : days) * 24;
+};
+
+const getSecret = () => process.env.IMAGE_URL_SECRET || process.env.JWT_SECRET;
+
+// Expiry of URLs signed now. It is rounded up to a quarter of the lifetime
+// so that URLs stay the same for a while and browsers can cache the images.
+const getImageUrlExpiry = (now = Date.now(), ttlHours = getImageUrlTtlHours()) => {
+  const ttl = ttlHours * HOUR_MS;
+  const step = ttl / 4;
+  return Math.ceil((now + ttl) / step) * step;
+};
+
+// Signature of an image path ("<itemId>/image" or "<itemId>/images/<imageId>")
+// valid until `expires` (milliseconds since the epoch)
+const signImagePath = (imagePath, expires) => crypto
+  .createHmac('sha256', getSecret())
+  .update(`${imagePath}:${expires}`)
+  .digest('base64url');
+
+// Check the signature and expiry of an image request
+const verifyImageSignature = (imagePath, expires, signature, now = Date.now()) => {
+  const expiresAt = Number(expires);
+  if (!signature || !Number.isFinite(expiresAt) || expiresAt <= now) {
+    return false;
+  }
+  const expected = Buffer.from(signImagePath(imagePath, expiresAt));
+  const actual = Buffer.from(String(signature));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+module.exports = {
+  getImageUrlTtlHours,
+  getExportImageUrlTtlHours,
+  getImageUrlExpiry,
+  signImagePath,
+  verifyImageSignature
+};
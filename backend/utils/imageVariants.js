@@ -0,0 +1,150 @@
+const path = require('path');
+const sharp = require('sharp');
+const { getStorage, generateKey, readImage, deleteImage, isDataUrl } = require('../storage');
+
+// Renditions generated for every uploaded image. Thumbnails are used in lists,
+// the medium size in cards, and the full size in the image viewer. The
+// thumbnail, medium and full sizes also come as WebP, for browsers that
+// support it.
+const VARIANTS = {
+  thumbnail: { width: 200, height: 200 },
+  medium: { width: 800, height: 800 },
+  thumbnailWebp: { width: 200, height: 200, format: 'webp' },
+  mediumWebp: { width: 800, height: 800, format: 'webp' },
+  webp: { format: 'webp' }
+};
+
+const VARIANT_NAMES = Object.keys(VARIANTS);
+
+// JPEG and WebP keep their format; everything else (GIF, BMP, TIFF) becomes PNG
+const getOutputFormat = (inputFormat) => {
+  if (inputFormat === 'jpeg' || inputFormat === 'webp') {
+    return inputFormat;
+  }
+  return 'png';
+};
+
+// Derive a variant key from the original key, e.g. image-offer-123.png -> image-offer-123-thumbnail-lq2x9k.png
+// The generation stamp keeps regenerated variants from overwriting the ones still in use.
+const getVariantKey = (baseKey, name, format, stamp) => {
+  const extension = path.extname(baseKey);
+  const baseName = extension ? baseKey.slice(0, -extension.length) : baseKey;
+  return `${baseName}-${name}-${stamp}.${format === 'jpeg' ? 'jpg' : format}`;
+};
+
+// Read a stream into a buffer
+const streamToBuffer = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+// Generate and store all variants for an image buffer.
+// Returns an object keyed by variant name, as stored on Item.imageVariants.
+const generateImageVariants = async (buffer, originalKey) => {
+  const metadata = await sharp(buffer).metadata();
+  // Inline (data URL) originals have no key of their own to derive names from
+  const baseKey = isDataUrl(originalKey) ? generateKey('legacy') : originalKey;
+  const stamp = Date.now().toString(36);
+  const variants = {};
+
+  try {
+    for (const name of VARIANT_NAMES) {
+      const options = VARIANTS[name];
+      const format = options.format || getOutputFormat(metadata.format);
+
+      let pipeline = sharp(buffer).rotate();
+      if (options.width) {
+        pipeline = pipeline.resize({
+          width: options.width,
+          height: options.height,
+          fit: 'inside',
+          withoutEnlargement: true
+        });
+      }
+
+      const { data, info } = await pipeline
+        .toFormat(format, { quality: 82 })
+        .toBuffer({ resolveWithObject: true });
+
+      const key = await getStorage().save(data, {
+        key: getVariantKey(baseKey, name, format, stamp),
+        contentType: `image/${info.format}`
+      });
+
+      variants[name] = {
+        key,
+        width: info.width,
+        height: info.height,
+        contentType: `image/${info.format}`
+      };
+    }
+  } catch (error) {
+    // Don't leave half a set of variants behind
+    await deleteImageVariants(variants);
+    throw error;
+  }
+
+  return variants;
+};
+
+// Generate variants for an already stored image (used to backfill existing items)
+const regenerateImageVariants = async (image) => {
+  const storedImage = await readImage(image);
+  if (!storedImage) {
+    throw new Error('Original image not found');
+  }
+  const buffer = await streamToBuffer(storedImage.stream);
+  return generateImageVariants(buffer, image);
+};
+
+// Regenerate variants for every gallery image of an item (the cover included).
+// The item is modified but not saved; the replaced variants are returned so the
+// caller can delete them once the item has been saved.
+const regenerateItemImageVariants = async (item) => {
+  item.ensureGallery();
+  const generatedVariants = [];
+  const replacedVariants = [];
+
+  try {
+    for (const image of item.images) {
+      generatedVariants.push(await regenerateImageVariants(image.key));
+    }
+  } catch (error) {
+    for (const variants of generatedVariants) {
+      await deleteImageVariants(variants);
+    }
+    throw error;
+  }
+
+  item.images.forEach((image, index) => {
+    replacedVariants.push(image.toObject().variants);
+    image.variants = generatedVariants[index];
+  });
+
+  return replacedVariants;
+};
+
+// Delete every stored variant of an image
+const deleteImageVariants = async (variants) => {
+  if (!variants) {
+    return;
+  }
+  for (const name of VARIANT_NAMES) {
+    if (variants[name] && variants[name].key) {
+      await deleteImage(variants[name].key);
+    }
+  }
+};
+
+module.exports = {
+  VARIANTS,
+  VARIANT_NAMES,
+  generateImageVariants,
+  regenerateImageVariants,
+  regenerateItemImageVariants,
+  deleteImageVariants,
+  streamToBuffer
+};
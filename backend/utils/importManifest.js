@@ -0,0 +1,210 @@
+// Bulk import files: a CSV manifest with one offer per row and a ZIP archive
+// of the images the rows refer to by file name.
+const path = require('path');
+const JSZip = require('jszip');
+
+const MAX_IMPORT_ROWS = 200;
+const MAX_IMPORT_IMAGE_SIZE = 5 * 1024 * 1024;
+
+// Error for manifests and archives that cannot be read at all
+class ImportError extends Error {}
+
+// Manifest columns and the headers accepted for them (case-insensitive).
+// The headers of an item export are accepted too, so an export can be
+// edited and imported again.
+const MANIFEST_COLUMNS = {
+  title: ['title'],
+  note: ['note', 'description'],
+  startDate: ['startdate', 'start date', 'start'],
+  endDate: ['enddate', 'end date', 'end'],
+  timezone: ['timezone'],
+  category: ['category'],
+  location: ['location'],
+  tags: ['tags'],
+  images: ['images', 'image', 'image files'],
+  publishAt: ['publishat', 'show from'],
+  unpublishAt: ['unpublishat', 'hide from']
+};
+
+const REQUIRED_COLUMNS = ['title', 'note', 'startDate', 'endDate', 'images'];
+const DATE_COLUMNS = ['startDate', 'endDate', 'publishAt', 'unpublishAt'];
+
+// Parse CSV text (RFC 4180: quoted fields may contain commas, quotes and
+// line breaks) into rows of strings, each with the line it starts on
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') {
+          line += 1;
+        }
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i += 1;
+      }
+      row.push(field);
+      rows.push({ line: rowLine, values: row });
+      row = [];
+      field = '';
+      line += 1;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw new ImportError(`Unterminated quoted field starting on line ${rowLine}`);
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push({ line: rowLine, values: row });
+  }
+
+  // Blank lines are not rows
+  return rows.filter(entry => entry.values.some(value => value.trim() !== ''));
+};
+
+// Find the manifest column a header belongs to, or null if it is unknown
+const getColumnForHeader = (header) => {
+  const normalized = header.trim().toLowerCase();
+  const match = Object.entries(MANIFEST_COLUMNS).find(([, headers]) => headers.includes(normalized));
+  return match ? match[0] : null;
+};
+
+// Dates from spreadsheets often use a space instead of the ISO "T"
+const normalizeDateValue = (value) => value.replace(/^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2})/, '$1T$2');
+
+// Exports guard text starting with a formula character with a quote
+// (see utils/export.js); it is dropped again so an export can be re-imported
+const normalizeTextValue = (value) => value.replace(/^'(?=[=+\-@])/, '');
+
+// Read a CSV manifest. Returns the rows as { line, values } keyed by column
+// name, and the headers that were ignored.
+const readManifest = (buffer) => {
+  const rows = parseCsv(buffer.toString('utf8'));
+  if (rows.length === 0) {
+    throw new ImportError('The manifest is empty');
+  }
+
+  const headers = rows[0].values.map(getColumnForHeader);
+  const missing = REQUIRED_COLUMNS.filter(column => !headers.includes(column));
+  if (missing.length > 0) {
+    throw new ImportError(`The manifest is missing the column(s): ${missing.join(', ')}`);
+  }
+
+  const dataRows = rows.slice(1);
+  if (dataRows.length === 0) {
+    throw new ImportError('The manifest has no offers');
+  }
+  if (dataRows.length > MAX_IMPORT_ROWS) {
+    throw new ImportError(`A manifest cannot have more than ${MAX_IMPORT_ROWS} offers`);
+  }
+
+  return {
+    rows: dataRows.map(({ line, values }) => {
+      const row = {};
+      headers.forEach((column, index) => {
+        if (column) {
+          const value = (values[index] || '').trim();
+          row[column] = DATE_COLUMNS.includes(column) ? normalizeDateValue(value) : normalizeTextValue(value);
+        }
+      });
+      return { line, values: row };
+    }),
+    ignoredHeaders: rows[0].values.filter((header, index) => !headers[index] && header.trim())
+  };
+};
+
+// Split the images cell of a row into file names ("a.jpg; b.jpg")
+const parseImageNames = (value) => (value || '').split(/[;|\n]/).map(name => name.trim()).filter(Boolean);
+
+// Archive entries are looked up by file name, ignoring folders and case
+const getArchiveKey = (name) => path.posix.basename(name.replace(/\\/g, '/')).toLowerCase();
+
+// Unpack an archive entry, refusing entries that unpack to more than an
+// upload may be. The sizes in the archive directory are whatever the
+// uploader wrote there, so the unpacked bytes are counted instead and
+// unpacking stops as soon as there are too many.
+const readEntry = (entry, name) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  const stream = entry.nodeStream('nodebuffer');
+  stream.on('data', chunk => {
+    size += chunk.length;
+    if (size > MAX_IMPORT_IMAGE_SIZE) {
+      stream.destroy();
+      reject(new ImportError(`${name} is larger than ${MAX_IMPORT_IMAGE_SIZE / (1024 * 1024)}MB`));
+      return;
+    }
+    chunks.push(chunk);
+  });
+  stream.on('end', () => resolve(Buffer.concat(chunks)));
+  stream.on('error', reject);
+});
+
+// Open a ZIP archive of images. Returns a lookup that reads an image by the
+// file name used in the manifest, or null if the archive has no such file.
+const openImageArchive = async (buffer) => {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (error) {
+    throw new ImportError('The images file is not a valid ZIP archive');
+  }
+
+  const entries = new Map();
+  zip.forEach((name, entry) => {
+    const baseName = path.posix.basename(name);
+    // Skip folders and the metadata files some archivers add
+    if (entry.dir || name.startsWith('__MACOSX/') || baseName.startsWith('.')) {
+      return;
+    }
+    entries.set(getArchiveKey(name), entry);
+  });
+
+  return {
+    size: entries.size,
+    has: (name) => entries.has(getArchiveKey(name)),
+    // Read an image. Nothing is cached, so every read unpacks the entry again
+    // and callers can drop the buffer once they are done with it.
+    read: async (name) => {
+      const entry = entries.get(getArchiveKey(name));
+      if (!entry) {
+        return null;
+      }
+      return { originalname: path.posix.basename(entry.name), buffer: await readEntry(entry, name) };
+    }
+  };
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  MAX_IMPORT_IMAGE_SIZE,
+  MANIFEST_COLUMNS,
+  ImportError,
+  parseCsv,
+  readManifest,
+  parseImageNames,
+  openImageArchive
+};
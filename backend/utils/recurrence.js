@@ -0,0 +1,284 @@
+// Recurrence rules for offers that repeat, modelled on iCalendar RRULEs:
+// a frequency, an interval, optional weekdays and an optional until/count limit.
+// The item's date range is the first occurrence; every occurrence lasts as long.
+// Rules are expanded in the item's timezone, so occurrences keep their local
+// time of day across DST changes.
+
+const { toWallClock, fromWallClock, parseDateInZone } = require('./timezone');
+
+const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+// Weekday codes in JavaScript getDay() order
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const MAX_RECURRENCE_INTERVAL = 99;
+const MAX_RECURRENCE_COUNT = 500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+// Error for a recurrence rule that cannot be used
+class RecurrenceError extends Error {}
+
+// Parse and check a recurrence rule from a request. Multipart forms send it as
+// a JSON string. Returns null when the item should not repeat.
+// An until date without a time means the end of that day in the item's timezone.
+const normalizeRecurrence = (input, timezone = 'UTC') => {
+  let rule = input;
+  if (typeof rule === 'string') {
+    if (rule.trim() === '' || rule === 'null') {
+      return null;
+    }
+    try {
+      rule = JSON.parse(rule);
+    } catch (error) {
+      throw new RecurrenceError('Recurrence must be valid JSON');
+    }
+  }
+  if (rule === null || rule === undefined) {
+    return null;
+  }
+  if (typeof rule !== 'object' || Array.isArray(rule)) {
+    throw new RecurrenceError('Recurrence must be an object');
+  }
+
+  if (!RECURRENCE_FREQUENCIES.includes(rule.freq)) {
+    throw new RecurrenceError(`Recurrence frequency must be one of: ${RECURRENCE_FREQUENCIES.join(', ')}`);
+  }
+
+  const interval = rule.interval === undefined || rule.interval === null ? 1 : Number(rule.interval);
+  if (!Number.isInteger(interval) || interval < 1 || interval > MAX_RECURRENCE_INTERVAL) {
+    throw new RecurrenceError(`Recurrence interval must be a whole number between 1 and ${MAX_RECURRENCE_INTERVAL}`);
+  }
+
+  const byWeekday = rule.byWeekday || [];
+  if (!Array.isArray(byWeekday) || !byWeekday.every(day => WEEKDAYS.includes(day))) {
+    throw new RecurrenceError(`Recurrence weekdays must be any of: ${WEEKDAYS.join(', ')}`);
+  }
+  if (byWeekday.length > 0 && rule.freq !== 'weekly') {
+    throw new RecurrenceError('Recurrence weekdays can only be used with a weekly frequency');
+  }
+
+  const hasUntil = rule.until !== undefined && rule.until !== null && rule.until !== '';
+  const hasCount = rule.count !== undefined && rule.count !== null && rule.count !== '';
+  if (hasUntil && hasCount) {
+    throw new RecurrenceError('Recurrence can end on a date or after a number of occurrences, not both');
+  }
+
+  const normalized = {
+    freq: rule.freq,
+    interval,
+    byWeekday: WEEKDAYS.filter(day => byWeekday.includes(day))
+  };
+
+  if (hasUntil) {
+    // A date without a time covers that whole day
+    const untilValue = /^\d{4}-\d{2}-\d{2}$/.test(rule.until) ? `${rule.until}T23:59:59.999` : rule.until;
+    const until = parseDateInZone(untilValue, timezone);
+    if (Number.isNaN(until.getTime())) {
+      throw new RecurrenceError('Recurrence until must be a valid date');
+    }
+    normalized.until = until;
+  }
+
+  if (hasCount) {
+    const count = Number(rule.count);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_RECURRENCE_COUNT) {
+      throw new RecurrenceError(`Recurrence count must be a whole number between 1 and ${MAX_RECURRENCE_COUNT}`);
+    }
+    normalized.count = count;
+  }
+
+  return normalized;
+};
+
+// Start of the week (Monday, as in RRULE's default WKST) containing a
+// wall-clock date, keeping its time of day
+const getWeekStart = (date) => {
+  const mondayOffset = (date.getUTCDay() + 6) % 7;
+  return new Date(date.getTime() - mondayOffset * DAY_MS);
+};
+
+// Wall-clock start of the occurrence `period` months after the first one,
+// or null when that month has no such day
+const getMonthlyStart = (start, period) => {
+  const day = start.getUTCDate();
+  const candidate = new Date(Date.UTC(
+    start.getUTCFullYear(),
+    start.getUTCMonth() + period,
+    day,
+    start.getUTCHours(),
+    start.getUTCMinutes(),
+    start.getUTCSeconds(),
+    start.getUTCMilliseconds()
+  ));
+  return candidate.getUTCDate() === day ? candidate : null;
+};
+
+// Generate the wall-clock starts of a rule in order as { index, start }, where
+// index counts the occurrences from 0 for the first one. Whole periods that
+// start before the wall-clock date `skipTo` are skipped arithmetically, so
+// the cost depends on how many occurrences are read, not on how long ago
+// the rule began. The generator never ends on its own; callers stop it.
+function* generateStarts(start, recurrence, skipTo = null) {
+  const interval = recurrence.interval || 1;
+  const skipMs = skipTo ? Math.max(0, skipTo - start) : 0;
+
+  if (recurrence.freq === 'daily') {
+    const firstPeriod = Math.floor(skipMs / (interval * DAY_MS));
+    for (let period = firstPeriod; ; period++) {
+      yield { index: period, start: new Date(start.getTime() + period * interval * DAY_MS) };
+    }
+  }
+
+  if (recurrence.freq === 'weekly') {
+    const weekdays = recurrence.byWeekday && recurrence.byWeekday.length > 0
+      ? recurrence.byWeekday
+      : [WEEKDAYS[start.getUTCDay()]];
+    // Monday-first offsets of the chosen weekdays within a week
+    const offsets = weekdays
+      .map(day => (WEEKDAYS.indexOf(day) + 6) % 7)
+      .sort((a, b) => a - b);
+    const weekStart = getWeekStart(start);
+    // Weekdays of the first week that come after the first occurrence
+    const firstWeekCount = offsets.filter(offset => weekStart.getTime() + offset * DAY_MS > start.getTime()).length;
+    const firstPeriod = Math.floor((skipTo ? Math.max(0, skipTo - weekStart) : 0) / (interval * WEEK_MS));
+
+    // As with an RRULE's DTSTART, the date range itself is always the first occurrence
+    let index = 0;
+    if (firstPeriod === 0) {
+      yield { index: index++, start };
+    } else {
+      index = 1 + firstWeekCount + (firstPeriod - 1) * offsets.length;
+    }
+    for (let period = firstPeriod; ; period++) {
+      for (const offset of offsets) {
+        const candidate = new Date(weekStart.getTime() + period * interval * WEEK_MS + offset * DAY_MS);
+        if (candidate > start) {
+          yield { index: index++, start: candidate };
+        }
+      }
+    }
+  }
+
+  if (recurrence.freq === 'monthly') {
+    // Same day of the month; months without that day are skipped. Only days
+    // after the 28th are ever missing, so the skipped periods are only
+    // counted one by one for those.
+    const skipMonths = skipTo
+      ? (skipTo.getUTCFullYear() - start.getUTCFullYear()) * 12 + skipTo.getUTCMonth() - start.getUTCMonth() - 1
+      : 0;
+    const firstPeriod = Math.max(0, Math.floor(skipMonths / interval));
+    let index = firstPeriod;
+    if (start.getUTCDate() > 28) {
+      index = 0;
+      for (let period = 0; period < firstPeriod; period++) {
+        if (getMonthlyStart(start, period * interval)) {
+          index++;
+        }
+      }
+    }
+    for (let period = firstPeriod; ; period++) {
+      const candidate = getMonthlyStart(start, period * interval);
+      if (candidate) {
+        yield { index: index++, start: candidate };
+      }
+    }
+  }
+}
+
+// Expand a date range and recurrence rule into concrete occurrences.
+// Only occurrences overlapping [from, to) are returned, at most `limit` of them.
+// Each occurrence is { index, start, end }, where index counts from 0 for the first one.
+// An unbounded rule must be read with `to` or `limit`.
+const expandOccurrences = (dateRange, recurrence, { from = null, to = null, limit = Infinity, timezone = 'UTC' } = {}) => {
+  const start = new Date(dateRange.start);
+  const end = new Date(dateRange.end);
+  const occurrences = [];
+
+  if (!recurrence || !recurrence.freq) {
+    if ((!from || end > from) && (!to || start < to) && limit > 0) {
+      occurrences.push({ index: 0, start, end });
+    }
+    return occurrences;
+  }
+
+  const until = recurrence.until ? new Date(recurrence.until) : null;
+  const localStart = toWallClock(start, timezone);
+  const localDuration = toWallClock(end, timezone) - localStart;
+  // Occurrences starting more than one duration before `from` cannot overlap
+  // it; a day more leaves room for DST shifts between wall clock and instants
+  const skipTo = from ? new Date(toWallClock(from, timezone).getTime() - localDuration - DAY_MS) : null;
+
+  for (const { index, start: localOccurrenceStart } of generateStarts(localStart, recurrence, skipTo)) {
+    const occurrenceStart = index === 0 ? start : fromWallClock(localOccurrenceStart, timezone);
+    if (recurrence.count && index >= recurrence.count) {
+      break;
+    }
+    if (until && occurrenceStart > until) {
+      break;
+    }
+    if (to && occurrenceStart >= to) {
+      break;
+    }
+    if (occurrences.length >= limit) {
+      break;
+    }
+
+    const occurrenceEnd = index === 0
+      ? end
+      : fromWallClock(localOccurrenceStart.getTime() + localDuration, timezone);
+    if (!from || occurrenceEnd > from) {
+      occurrences.push({ index, start: occurrenceStart, end: occurrenceEnd });
+    }
+  }
+
+  return occurrences;
+};
+
+// The occurrence running at `now`, or else the next one to start.
+// Returns null once the last occurrence has ended.
+const getNextOccurrence = (dateRange, recurrence, now = new Date(), timezone = 'UTC') => {
+  const [occurrence] = expandOccurrences(dateRange, recurrence, { from: now, limit: 1, timezone });
+  return occurrence || null;
+};
+
+// End of the last occurrence, or null when the rule repeats forever
+const getLastOccurrenceEnd = (dateRange, recurrence, timezone = 'UTC') => {
+  if (!recurrence || !recurrence.freq) {
+    return new Date(dateRange.end);
+  }
+  if (!recurrence.until && !recurrence.count) {
+    return null;
+  }
+  if (recurrence.count) {
+    const [last] = expandOccurrences(dateRange, recurrence, { timezone }).slice(-1);
+    return last ? last.end : new Date(dateRange.end);
+  }
+
+  // Look back from the until date over a span that doubles until it holds
+  // an occurrence, instead of expanding the rule from its first occurrence
+  const start = new Date(dateRange.start);
+  const until = new Date(recurrence.until);
+  const duration = new Date(dateRange.end) - start;
+  for (let span = 2 * WEEK_MS; ; span *= 2) {
+    const from = new Date(Math.max(start.getTime(), until.getTime() - duration - span));
+    const occurrences = expandOccurrences(dateRange, recurrence, { from, timezone });
+    if (occurrences.length > 0 || from <= start) {
+      const last = occurrences[occurrences.length - 1];
+      return last ? last.end : new Date(dateRange.end);
+    }
+  }
+};
+
+module.exports = {
+  RECURRENCE_FREQUENCIES,
+  WEEKDAYS,
+  MAX_RECURRENCE_INTERVAL,
+  MAX_RECURRENCE_COUNT,
+  RecurrenceError,
+  normalizeRecurrence,
+  expandOccurrences,
+  getNextOccurrence,
+  getLastOccurrenceEnd
+};
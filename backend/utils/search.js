@@ -0,0 +1,148 @@
+// Full-text search helpers. Matching and ranking are done by the MongoDB text
+// index on title, tags and note; these helpers parse the same query syntax
+// (words, "quoted phrases", -excluded words) to point out where items match.
+
+// Longest note excerpt returned with a search result
+const SNIPPET_LENGTH = 160;
+
+// Split a search string into words, phrases and excluded words, following
+// the $text syntax: "a phrase" must appear as written, -word must not appear
+const parseSearchQuery = (search) => {
+  const parsed = { terms: [], phrases: [], excluded: [] };
+  const tokenPattern = /(-?)"([^"]*)"|(\S+)/g;
+  let match;
+  while ((match = tokenPattern.exec(String(search || ''))) !== null) {
+    if (match[2] !== undefined) {
+      const phrase = match[2].trim().toLowerCase();
+      if (phrase) {
+        parsed[match[1] ? 'excluded' : 'phrases'].push(phrase);
+      }
+    } else {
+      const word = match[3].toLowerCase();
+      if (word.startsWith('-')) {
+        if (word.length > 1) {
+          parsed.excluded.push(word.slice(1));
+        }
+      } else {
+        parsed.terms.push(word);
+      }
+    }
+  }
+  return parsed;
+};
+
+// A text search needs at least one word or phrase that is not excluded
+const hasSearchTerms = (parsed) => parsed.terms.length > 0 || parsed.phrases.length > 0;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Strip common English endings so that "offers" also marks "offer" and
+// "offering", roughly like the stemming of the text index
+const stem = (word) => {
+  const stemmed = word.replace(/(ing|ed|es|s)$/, '');
+  return stemmed.length >= 3 ? stemmed : word;
+};
+
+// Build one pattern matching every searched word (as a word prefix) and phrase
+const buildHighlightPattern = (parsed) => {
+  const parts = [
+    ...parsed.phrases.map(escapeRegex),
+    ...parsed.terms
+      .map(term => term.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, ''))
+      .filter(Boolean)
+      .map(term => `(?<![\\p{L}\\p{N}])${escapeRegex(stem(term))}[\\p{L}\\p{N}]*`)
+  ];
+  if (parts.length === 0) {
+    return null;
+  }
+  // Longest first, so a phrase wins over the words inside it
+  parts.sort((a, b) => b.length - a.length);
+  return new RegExp(parts.join('|'), 'giu');
+};
+
+// Offsets of every match of the pattern in a text
+const findMatches = (text, pattern) => {
+  const matches = [];
+  pattern.lastIndex = 0;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (match[0].length === 0) {
+      pattern.lastIndex++;
+      continue;
+    }
+    matches.push({ start: match.index, end: match.index + match[0].length });
+  }
+  return matches;
+};
+
+// Cut an excerpt of about `length` characters around the first match,
+// shifting the match offsets to the excerpt
+const buildSnippet = (text, matches, length = SNIPPET_LENGTH) => {
+  if (text.length <= length) {
+    return { text, matches };
+  }
+  const first = matches[0];
+  let start = Math.max(0, first.start - Math.floor(length / 3));
+  // Start and end on word boundaries where possible
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < first.start) {
+      start = space + 1;
+    }
+  }
+  let end = Math.min(text.length, start + length);
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > first.end) {
+      end = space;
+    }
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const offset = prefix.length - start;
+  return {
+    text: `${prefix}${text.slice(start, end)}${suffix}`,
+    matches: matches
+      .filter(match => match.start >= start && match.end <= end)
+      .map(match => ({ start: match.start + offset, end: match.end + offset }))
+  };
+};
+
+// Where an item matches a search: the title, an excerpt of the note and the
+// matching tags, each as { field, text, matches: [{ start, end }] }. Clients
+// mark text[start, end) as highlighted.
+const getSearchHighlights = (item, parsed) => {
+  const pattern = buildHighlightPattern(parsed);
+  if (!pattern) {
+    return [];
+  }
+
+  const highlights = [];
+  const title = item.title || '';
+  const titleMatches = findMatches(title, pattern);
+  if (titleMatches.length > 0) {
+    highlights.push({ field: 'title', text: title, matches: titleMatches });
+  }
+
+  const note = item.note || '';
+  const noteMatches = findMatches(note, pattern);
+  if (noteMatches.length > 0) {
+    highlights.push({ field: 'note', ...buildSnippet(note, noteMatches) });
+  }
+
+  (item.tags || []).forEach(tag => {
+    const tagMatches = findMatches(tag, pattern);
+    if (tagMatches.length > 0) {
+      highlights.push({ field: 'tags', text: tag, matches: tagMatches });
+    }
+  });
+  return highlights;
+};
+
+module.exports = {
+  SNIPPET_LENGTH,
+  parseSearchQuery,
+  hasSearchTerms,
+  getSearchHighlights
+};
@@ -0,0 +1,55 @@
+// Writing long responses (exports, calendar feeds) chunk by chunk. A client
+// that disconnects never drains the response, so waiting for 'drain' alone
+// would leave the request, and the cursor feeding it, open forever.
+
+// Error for a response whose client has gone away
+class StreamClosedError extends Error {
+  constructor() {
+    super('Client closed the connection');
+  }
+}
+
+// Throw when a stream can no longer be written to
+const assertWritable = (stream) => {
+  if (stream.destroyed || stream.writableEnded) {
+    throw new StreamClosedError();
+  }
+};
+
+// Wait until a stream drains, or fail when it closes or errors first
+const waitForDrain = (stream) => new Promise((resolve, reject) => {
+  const cleanup = () => {
+    stream.off('drain', onDrain);
+    stream.off('close', onClose);
+    stream.off('error', onError);
+  };
+  const onDrain = () => {
+    cleanup();
+    resolve();
+  };
+  const onClose = () => {
+    cleanup();
+    reject(new StreamClosedError());
+  };
+  const onError = (error) => {
+    cleanup();
+    reject(error);
+  };
+  stream.on('drain', onDrain);
+  stream.on('close', onClose);
+  stream.on('error', onError);
+});
+
+// Write a chunk to a stream, waiting for the client to catch up
+const writeChunk = async (stream, chunk) => {
+  assertWritable(stream);
+  if (!stream.write(chunk)) {
+    await waitForDrain(stream);
+  }
+};
+
+module.exports = {
+  StreamClosedError,
+  assertWritable,
+  writeChunk
+};
@@ -0,0 +1,48 @@
+// Free-form item tags. Tags are stored lowercase and trimmed, so "Summer "
+// and "summer" are the same tag.
+
+const MAX_TAGS_PER_ITEM = 20;
+const MAX_TAG_LENGTH = 30;
+
+// Error for tags that cannot be used
+class TagError extends Error {}
+
+// Parse and check tags from a request: an array, a JSON array string or a
+// comma-separated string. Returns the unique tags in their original order.
+const normalizeTags = (input) => {
+  let tags = input;
+  if (tags === undefined || tags === null || tags === '') {
+    return [];
+  }
+  if (typeof tags === 'string') {
+    const trimmed = tags.trim();
+    if (trimmed.startsWith('[')) {
+      try {
+        tags = JSON.parse(trimmed);
+      } catch (error) {
+        throw new TagError('Tags must be a valid JSON array');
+      }
+    } else {
+      tags = trimmed.split(',');
+    }
+  }
+  if (!Array.isArray(tags) || !tags.every(tag => typeof tag === 'string')) {
+    throw new TagError('Tags must be a list of strings');
+  }
+
+  const normalized = [...new Set(tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+  if (normalized.length > MAX_TAGS_PER_ITEM) {
+    throw new TagError(`An item cannot have more than ${MAX_TAGS_PER_ITEM} tags`);
+  }
+  if (normalized.some(tag => tag.length > MAX_TAG_LENGTH)) {
+    throw new TagError(`Tags cannot be more than ${MAX_TAG_LENGTH} characters`);
+  }
+  return normalized;
+};
+
+module.exports = {
+  MAX_TAGS_PER_ITEM,
+  MAX_TAG_LENGTH,
+  TagError,
+  normalizeTags
+};
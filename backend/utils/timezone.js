@@ -0,0 +1,108 @@
+// Offers store their dates as instants and carry an IANA timezone; the dates
+// people enter are wall-clock times in that zone. These helpers convert
+// between the two. A "wall-clock date" is a Date whose UTC fields hold the
+// local time, which keeps date arithmetic on it free of DST jumps.
+
+// Formatters are expensive to create, so one is kept per zone
+const formatters = new Map();
+
+const getFormatter = (timezone) => {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timezone);
+};
+
+// Check whether a value is an IANA timezone name known to the runtime
+const isValidTimezone = (timezone) => {
+  if (typeof timezone !== 'string' || timezone.trim() === '') {
+    return false;
+  }
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Zone for offers that do not specify one
+const getDefaultTimezone = () => {
+  const timezone = process.env.DEFAULT_TIMEZONE;
+  return isValidTimezone(timezone) ? timezone : 'UTC';
+};
+
+// Convert an instant into a wall-clock date in a zone
+const toWallClock = (date, timezone = 'UTC') => {
+  const instant = new Date(date);
+  const parts = {};
+  getFormatter(timezone).formatToParts(instant).forEach(part => {
+    parts[part.type] = part.value;
+  });
+  return new Date(Date.UTC(
+    Number(parts.year),
+    Number(parts.month) - 1,
+    Number(parts.day),
+    Number(parts.hour),
+    Number(parts.minute),
+    Number(parts.second),
+    instant.getUTCMilliseconds()
+  ));
+};
+
+// Offset of a zone from UTC at an instant, in milliseconds
+const getTimezoneOffset = (date, timezone) => toWallClock(date, timezone) - new Date(date);
+
+// Convert a wall-clock date in a zone into an instant. Times skipped by a DST
+// change resolve to the hour after; repeated times resolve to the later one.
+const fromWallClock = (wallClock, timezone = 'UTC') => {
+  const localTime = new Date(wallClock).getTime();
+  const firstGuess = localTime - getTimezoneOffset(localTime, timezone);
+  const offset = getTimezoneOffset(firstGuess, timezone);
+  return new Date(localTime - offset);
+};
+
+// Dates without an offset ("2026-06-01" or "2026-06-01T15:30") are wall-clock times
+const LOCAL_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?)?$/;
+
+// Parse a date from a request. Dates without an offset are read as wall-clock
+// times in the zone; full ISO 8601 timestamps are instants already.
+const parseDateInZone = (value, timezone = 'UTC') => {
+  const match = typeof value === 'string' && value.match(LOCAL_DATE_PATTERN);
+  if (!match) {
+    return new Date(value);
+  }
+  const [, year, month, day, hour = 0, minute = 0, second = 0, millisecond = '0'] = match;
+  return fromWallClock(Date.UTC(
+    Number(year),
+    Number(month) - 1,
+    Number(day),
+    Number(hour),
+    Number(minute),
+    Number(second),
+    Number(millisecond.padEnd(3, '0'))
+  ), timezone);
+};
+
+// Move an instant to the same wall-clock time in another zone
+const changeTimezone = (date, fromTimezone, toTimezone) => {
+  return fromWallClock(toWallClock(date, fromTimezone), toTimezone);
+};
+
+module.exports = {
+  isValidTimezone,
+  getDefaultTimezone,
+  toWallClock,
+  fromWallClock,
+  parseDateInZone,
+  changeTimezone
+};
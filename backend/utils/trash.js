@@ -0,0 +1,124 @@
+const Item = require('../models/Item');
+const ItemRevision = require('../models/ItemRevision');
+const { deleteImage } = require('../storage');
+const { VARIANT_NAMES } = require('./imageVariants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Number of days a deleted item stays in the trash before it is purged
+const getTrashRetentionDays = () => {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+  return Number.isNaN(days) || days < 1 ? 30 : days;
+};
+
+// Items deleted before the trash existed have no deletedAt; their last update is used instead
+const getDeletedAt = (item) => item.deletedAt || item.updatedAt;
+
+// Date on which a trashed item will be purged automatically
+const getPurgeDate = (item) => {
+  return new Date(new Date(getDeletedAt(item)).getTime() + getTrashRetentionDays() * DAY_MS);
+};
+
+// Move an item to the trash. It can be restored until it is purged.
+const moveToTrash = async (item, userId) => {
+  item.isActive = false;
+  item.deletedAt = new Date();
+  item.deletedBy = userId;
+  item.updatedBy = userId;
+  await item.save();
+  return item;
+};
+
+// Collect every stored key of an image entry (original and variants)
+const addImageKeys = (keys, image, variants) => {
+  if (image) {
+    keys.add(image);
+  }
+  VARIANT_NAMES.forEach(name => {
+    if (variants && variants[name] && variants[name].key) {
+      keys.add(variants[name].key);
+    }
+  });
+};
+
+// Permanently delete an item, its revisions and all images it ever referenced.
+// Revisions keep replaced and removed gallery images, so those are included too.
+const purgeItem = async (item) => {
+  const revisions = await ItemRevision.find({ item: item._id }).select('snapshot');
+  const keys = new Set();
+
+  addImageKeys(keys, item.image, item.imageVariants);
+  (item.images || []).forEach(image => addImageKeys(keys, image.key, image.variants));
+  revisions.forEach(revision => {
+    const images = (revision.snapshot && revision.snapshot.images) || [];
+    images.forEach(image => addImageKeys(keys, image.key, image.variants));
+  });
+
+  await ItemRevision.deleteMany({ item: item._id });
+  await Item.deleteOne({ _id: item._id });
+
+  // Storage is cleaned up last so a failure can never leave an item without its images
+  for (const key of keys) {
+    await deleteImage(key);
+  }
+
+  return keys.size;
+};
+
+// Purge every item that has been in the trash longer than the retention period
+const purgeExpiredTrash = async () => {
+  const cutoff = new Date(Date.now() - getTrashRetentionDays() * DAY_MS);
+  const items = await Item.find({
+    isActive: false,
+    $or: [
+      { deletedAt: { $lt: cutoff } },
+      { deletedAt: { $exists: false }, updatedAt: { $lt: cutoff } }
+    ]
+  });
+
+  let purged = 0;
+  for (const item of items) {
+    try {
+      await purgeItem(item);
+      purged++;
+    } catch (error) {
+      console.error(`Error purging item ${item._id}:`, error);
+    }
+  }
+  return purged;
+};
+
+// Run purgeExpiredTrash periodically inside the API process.
+// TRASH_PURGE_INTERVAL_HOURS=0 disables it (e.g. when a cron job runs `npm run trash:purge`).
+const scheduleTrashPurge = () => {
+  const hours = parseFloat(process.env.TRASH_PURGE_INTERVAL_HOURS || '6');
+  if (!(hours > 0)) {
+    return null;
+  }
+
+  const run = async () => {
+    try {
+      const purged = await purgeExpiredTrash();
+      if (purged > 0) {
+        console.log(`🗑️ Purged ${purged} item(s) from the trash`);
+      }
+    } catch (error) {
+      console.error('Scheduled trash purge failed:', error);
+    }
+  };
+
+  const timer = setInterval(run, hours * HOUR_MS);
+  // Don't keep the process alive just for the purge
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  getTrashRetentionDays,
+  getPurgeDate,
+  moveToTrash,
+  purgeItem,
+  purgeExpiredTrash,
+  scheduleTrashPurge
+};
@@ -0,0 +1,111 @@
+// Validity windows limit an offer to certain weekdays and hours within each
+// occurrence, e.g. Mon–Fri 15:00–18:00. A window whose end time is before its
+// start time runs past midnight; its weekdays refer to the day it starts.
+// Times are wall-clock times in the item's timezone, like its date range.
+
+const { WEEKDAYS, getNextOccurrence } = require('./recurrence');
+const { toWallClock } = require('./timezone');
+
+const MAX_VALIDITY_WINDOWS = 10;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Error for validity windows that cannot be used
+class ValidityWindowError extends Error {}
+
+// Minutes since midnight of an "HH:MM" time
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Parse and check validity windows from a request. Multipart forms send them
+// as a JSON string. Returns an empty array when the offer is valid all day.
+const normalizeValidityWindows = (input) => {
+  let windows = input;
+  if (typeof windows === 'string') {
+    if (windows.trim() === '') {
+      return [];
+    }
+    try {
+      windows = JSON.parse(windows);
+    } catch (error) {
+      throw new ValidityWindowError('Validity windows must be valid JSON');
+    }
+  }
+  if (windows === null || windows === undefined) {
+    return [];
+  }
+  if (!Array.isArray(windows)) {
+    throw new ValidityWindowError('Validity windows must be an array');
+  }
+  if (windows.length > MAX_VALIDITY_WINDOWS) {
+    throw new ValidityWindowError(`An item cannot have more than ${MAX_VALIDITY_WINDOWS} validity windows`);
+  }
+
+  return windows.map(window => {
+    if (!window || typeof window !== 'object') {
+      throw new ValidityWindowError('Each validity window must be an object');
+    }
+    const days = window.days || [];
+    if (!Array.isArray(days) || days.length === 0 || !days.every(day => WEEKDAYS.includes(day))) {
+      throw new ValidityWindowError(`Validity window days must be one or more of: ${WEEKDAYS.join(', ')}`);
+    }
+    if (!TIME_PATTERN.test(window.startTime) || !TIME_PATTERN.test(window.endTime)) {
+      throw new ValidityWindowError('Validity window times must be in HH:MM format');
+    }
+    if (window.startTime === window.endTime) {
+      throw new ValidityWindowError('Validity window end time must differ from its start time');
+    }
+    return {
+      days: WEEKDAYS.filter(day => days.includes(day)),
+      startTime: window.startTime,
+      endTime: window.endTime
+    };
+  });
+};
+
+// Check whether a date falls inside any of the windows in a timezone.
+// Without windows the offer is valid at any time.
+const isWithinValidityWindows = (windows, date = new Date(), timezone = 'UTC') => {
+  if (!windows || windows.length === 0) {
+    return true;
+  }
+
+  const localDate = toWallClock(date, timezone);
+  const weekday = WEEKDAYS[localDate.getUTCDay()];
+  const previousWeekday = WEEKDAYS[(localDate.getUTCDay() + 6) % 7];
+  const minutes = localDate.getUTCHours() * 60 + localDate.getUTCMinutes();
+
+  return windows.some(window => {
+    const start = toMinutes(window.startTime);
+    const end = toMinutes(window.endTime);
+
+    if (start < end) {
+      return window.days.includes(weekday) && minutes >= start && minutes < end;
+    }
+    // Past midnight: the evening part on its own days, the early hours on the day after
+    return (window.days.includes(weekday) && minutes >= start)
+      || (window.days.includes(previousWeekday) && minutes < end);
+  });
+};
+
+// Check whether an item (a document or plain object) is live at a date:
+// inside one of its occurrences and inside one of its validity windows
+const isLiveAt = (item, date = new Date()) => {
+  if (!item.dateRange || !item.dateRange.start || !item.dateRange.end) {
+    return false;
+  }
+  const timezone = item.timezone || 'UTC';
+  const occurrence = getNextOccurrence(item.dateRange, item.recurrence, date, timezone);
+  return Boolean(occurrence) && occurrence.start <= date && isWithinValidityWindows(item.validityWindows, date, timezone);
+};
+
+module.exports = {
+  MAX_VALIDITY_WINDOWS,
+  TIME_PATTERN,
+  ValidityWindowError,
+  normalizeValidityWindows,
+  isWithinValidityWindows,
+  isLiveAt
+};
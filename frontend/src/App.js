@@ -7,8 +7,12 @@ import Register from './components/Register';
 import Dashboard from './components/Dashboard';
 import ItemList from './components/ItemList';
 import ItemForm from './components/ItemForm';
-import ExpiredItems from './components/ExpiredItems';
 import UserManagement from './components/UserManagement';
+import CategoryManagement from './components/CategoryManagement';
+import Trash from './components/Trash';
+import ImportWizard from './components/ImportWizard';
+import OfferCalendar from './components/OfferCalendar';
+import ReviewQueue from './components/ReviewQueue';
 import Header from './components/Layout/Header';
 import Footer from './components/Layout/Footer';
 import { ToastContainer } from 'react-toastify';
@@ -83,11 +87,21 @@ function AppContent() {
           </ProtectedRoute>
         }
       />
+      {/* Expired items are a status tab of the item list */}
       <Route
         path="/items/expired"
+        element={<Navigate to="/items?status=expired" replace />}
+      />
+      {/* Offers waiting for their publish time (admins) */}
+      <Route
+        path="/items/scheduled"
+        element={<Navigate to="/items?schedule=scheduled" replace />}
+      />
+      <Route
+        path="/items/calendar"
         element={
           <ProtectedRoute>
-            <ExpiredItems />
+            <OfferCalendar />
           </ProtectedRoute>
         }
       />
@@ -99,6 +113,14 @@ function AppContent() {
           </ProtectedRoute>
         }
       />
+      <Route
+        path="/items/import"
+        element={
+          <ProtectedRoute requiredPermissions={['create']}>
+            <ImportWizard />
+          </ProtectedRoute>
+        }
+      />
       <Route
         path="/items/edit/:id"
         element={
@@ -107,6 +129,22 @@ function AppContent() {
           </ProtectedRoute>
         }
       />
+      <Route
+        path="/review"
+        element={
+          <ProtectedRoute requiredPermissions={['review']}>
+            <ReviewQueue />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/trash"
+        element={
+          <ProtectedRoute requiredPermissions={['delete']}>
+            <Trash />
+          </ProtectedRoute>
+        }
+      />
       <Route
         path="/users"
         element={
@@ -115,6 +153,14 @@ function AppContent() {
           </ProtectedRoute>
         }
       />
+      <Route
+        path="/categories"
+        element={
+          <ProtectedRoute requiredPermissions={['manageUsers']}>
+            <CategoryManagement />
+          </ProtectedRoute>
+        }
+      />
       
       {/* Default redirect */}
           <Route 
@@ -0,0 +1,209 @@
+import React, { useState, useEffect } from 'react';
+import apiService from '../services/api';
+import TagInput from './TagInput';
+import { AUDIENCE_ROLES, MAX_AUDIENCE_GROUPS, MAX_AUDIENCE_USERS, isEveryone } from '../utils/audience';
+
+const controlStyle = {
+  padding: '8px 12px',
+  fontSize: '0.95em',
+  borderRadius: '8px',
+  border: '2px solid #e5e7eb'
+};
+
+const hintStyle = { display: 'block', fontSize: '0.85em', color: '#6b7280', marginBottom: '4px' };
+
+// User groups in use that start with the search term
+export const fetchGroupSuggestions = async (search) => {
+  const response = await apiService.getUserGroups({ search, limit: 8 });
+  return response.data.groups.map(group => group.name);
+};
+
+// Audience section of ItemForm: the roles, groups and individual users an
+// offer is meant for. Nothing selected means everyone.
+const AudienceEditor = ({ value, onChange, disabled }) => {
+  const [userSearch, setUserSearch] = useState('');
+  const [userResults, setUserResults] = useState([]);
+
+  // Look up users once typing pauses
+  useEffect(() => {
+    const search = userSearch.trim();
+    if (!search) {
+      setUserResults([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await apiService.searchUserDirectory({ search, limit: 8 });
+        if (!cancelled) {
+          setUserResults(response.data.users.filter(user => !value.users.some(u => u._id === user._id)));
+        }
+      } catch (error) {
+        console.error('Search users error:', error);
+      }
+    }, 250);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [userSearch, value.users]);
+
+  const toggleRole = (role) => {
+    const roles = value.roles.includes(role) ? value.roles.filter(r => r !== role) : [...value.roles, role];
+    onChange({ ...value, roles });
+  };
+
+  const addUser = (user) => {
+    if (value.users.length < MAX_AUDIENCE_USERS) {
+      onChange({ ...value, users: [...value.users, user] });
+    }
+    setUserSearch('');
+    setUserResults([]);
+  };
+
+  const removeUser = (userId) => {
+    onChange({ ...value, users: value.users.filter(user => user._id !== userId) });
+  };
+
+  return (
+    <div className="form-group" style={{ marginBottom: '24px' }}>
+      <span className="form-label" style={{
+        display: 'block',
+        marginBottom: '8px',
+        fontWeight: '600',
+        color: '#374151',
+        fontSize: '0.95em'
+      }}>
+        👥 Audience
+        <span style={{ color: '#6b7280', fontWeight: 'normal', fontSize: '0.9em' }}> (optional)</span>
+      </span>
+
+      <span style={hintStyle}>Roles</span>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginBottom: '12px' }}>
+        {AUDIENCE_ROLES.map(role => {
+          const selected = value.roles.includes(role.value);
+          return (
+            <button
+              key={role.value}
+              type="button"
+              onClick={() => toggleRole(role.value)}
+              disabled={disabled}
+              aria-pressed={selected}
+              style={{
+                padding: '6px 10px',
+                borderRadius: '8px',
+                border: selected ? '2px solid #11998e' : '2px solid #e5e7eb',
+                background: selected ? '#11998e' : 'white',
+                color: selected ? 'white' : '#374151',
+                fontWeight: '600',
+                cursor: 'pointer'
+              }}
+            >
+              {role.label}
+            </button>
+          );
+        })}
+      </div>
+
+      <span style={hintStyle}>Groups</span>
+      <div style={{ marginBottom: '12px' }}>
+        <TagInput
+          value={value.groups}
+          onChange={(groups) => onChange({ ...value, groups })}
+          disabled={disabled}
+          placeholder="Add a group, e.g. sales"
+          maxTags={MAX_AUDIENCE_GROUPS}
+          fetchSuggestions={fetchGroupSuggestions}
+          noun="group"
+        />
+      </div>
+
+      <label htmlFor="audience-user-search" style={hintStyle}>People</label>
+      {value.users.length > 0 && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginBottom: '8px' }}>
+          {value.users.map(user => (
+            <span key={user._id} style={{
+              display: 'inline-flex',
+              alignItems: 'center',
+              gap: '4px',
+              padding: '3px 10px',
+              borderRadius: '999px',
+              background: '#ecfdf5',
+              color: '#047857',
+              fontSize: '0.85em',
+              fontWeight: '600'
+            }}>
+              {user.name || user.email || 'Unknown user'}
+              {!disabled && (
+                <button
+                  type="button"
+                  onClick={() => removeUser(user._id)}
+                  aria-label={`Remove ${user.name || 'user'}`}
+                  style={{ background: 'none', border: 'none', color: '#047857', cursor: 'pointer', padding: 0, lineHeight: 1 }}
+                >
+                  ✕
+                </button>
+              )}
+            </span>
+          ))}
+        </div>
+      )}
+      <div style={{ position: 'relative' }}>
+        <input
+          type="search"
+          id="audience-user-search"
+          value={userSearch}
+          onChange={(e) => setUserSearch(e.target.value)}
+          disabled={disabled || value.users.length >= MAX_AUDIENCE_USERS}
+          placeholder="Search by name or email..."
+          style={{ ...controlStyle, width: '100%' }}
+        />
+        {userResults.length > 0 && (
+          <ul style={{
+            position: 'absolute',
+            top: '100%',
+            left: 0,
+            right: 0,
+            zIndex: 10,
+            margin: '4px 0 0',
+            padding: '4px 0',
+            listStyle: 'none',
+            background: 'white',
+            borderRadius: '10px',
+            boxShadow: '0 4px 12px rgba(0, 0, 0, 0.12)'
+          }}>
+            {userResults.map(user => (
+              <li key={user._id}>
+                <button
+                  type="button"
+                  onClick={() => addUser(user)}
+                  style={{
+                    width: '100%',
+                    textAlign: 'left',
+                    padding: '6px 12px',
+                    background: 'none',
+                    border: 'none',
+                    cursor: 'pointer',
+                    fontSize: '0.9em'
+                  }}
+                >
+                  {user.name} <span style={{ color: '#6b7280' }}>{user.email}</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <p style={{ fontSize: '0.85em', color: '#6b7280', marginTop: '8px' }}>
+        {isEveryone(value)
+          ? 'Everyone can see this offer once it is published.'
+          : 'Only users matching one of the roles, groups or people above see this offer. Admins always see it.'}
+      </p>
+    </div>
+  );
+};
+
+export default AudienceEditor;
@@ -0,0 +1,169 @@
+import React, { useState } from 'react';
+import { getCategoryOptions } from '../utils/categories';
+
+const controlStyle = {
+  padding: '8px 12px',
+  borderRadius: '8px',
+  border: '2px solid #e5e7eb',
+  fontSize: '0.9em'
+};
+
+const buttonStyle = {
+  padding: '8px 14px',
+  borderRadius: '8px',
+  border: 'none',
+  fontWeight: '600',
+  fontSize: '0.9em',
+  cursor: 'pointer',
+  color: 'white',
+  background: '#667eea'
+};
+
+// Actions for the items selected in ItemList. Each handler receives the
+// action's input; the parent runs the request and reports per-item results.
+const BulkActionBar = ({
+  selectedCount,
+  canUpdate,
+  canDelete,
+  busy,
+  onSetEndDate,
+  onShiftEndDate,
+  onSetStatus,
+  categories = [],
+  onSetCategory,
+  onDelete,
+  onClear
+}) => {
+  const [endDate, setEndDate] = useState('');
+  const [shiftDays, setShiftDays] = useState('7');
+  // An empty value removes the category
+  const [category, setCategory] = useState('');
+
+  if (selectedCount === 0) {
+    return null;
+  }
+
+  return (
+    <div style={{
+      position: 'sticky',
+      top: '90px',
+      zIndex: 50,
+      display: 'flex',
+      alignItems: 'center',
+      flexWrap: 'wrap',
+      gap: '12px',
+      padding: '14px 20px',
+      marginBottom: '20px',
+      borderRadius: '12px',
+      background: '#eef2ff',
+      border: '2px solid #c7d2fe',
+      boxShadow: '0 4px 12px rgba(0, 0, 0, 0.08)'
+    }}>
+      <strong style={{ color: '#3730a3' }}>{selectedCount} selected</strong>
+
+      {canUpdate && (
+        <>
+          <span style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+            <input
+              type="date"
+              value={endDate}
+              onChange={(e) => setEndDate(e.target.value)}
+              disabled={busy}
+              aria-label="New end date"
+              style={controlStyle}
+            />
+            <button
+              type="button"
+              onClick={() => onSetEndDate(endDate)}
+              disabled={busy || !endDate}
+              style={buttonStyle}
+            >
+              Set end date
+            </button>
+          </span>
+
+          <span style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+            <input
+              type="number"
+              value={shiftDays}
+              onChange={(e) => setShiftDays(e.target.value)}
+              disabled={busy}
+              aria-label="Days to shift the end date by"
+              style={{ ...controlStyle, width: '80px' }}
+            />
+            <button
+              type="button"
+              onClick={() => onShiftEndDate(parseInt(shiftDays, 10))}
+              disabled={busy || !shiftDays || Number.isNaN(parseInt(shiftDays, 10))}
+              style={buttonStyle}
+            >
+              Shift end (days)
+            </button>
+          </span>
+
+          <button
+            type="button"
+            onClick={() => onSetStatus('active')}
+            disabled={busy}
+            style={{ ...buttonStyle, background: '#059669' }}
+          >
+            Start now
+          </button>
+          <button
+            type="button"
+            onClick={() => onSetStatus('expired')}
+            disabled={busy}
+            style={{ ...buttonStyle, background: '#d97706' }}
+          >
+            End now
+          </button>
+
+          <span style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+            <select
+              value={category}
+              onChange={(e) => setCategory(e.target.value)}
+              disabled={busy}
+              aria-label="New category"
+              style={controlStyle}
+            >
+              <option value="">No category</option>
+              {getCategoryOptions(categories).map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={() => onSetCategory(category)}
+              disabled={busy}
+              style={buttonStyle}
+            >
+              Set category
+            </button>
+          </span>
+        </>
+      )}
+
+      {canDelete && (
+        <button
+          type="button"
+          onClick={onDelete}
+          disabled={busy}
+          style={{ ...buttonStyle, background: '#ef4444' }}
+        >
+          Delete
+        </button>
+      )}
+
+      <button
+        type="button"
+        onClick={onClear}
+        disabled={busy}
+        style={{ ...buttonStyle, background: 'none', color: '#4b5563', marginLeft: 'auto' }}
+      >
+        Clear selection
+      </button>
+    </div>
+  );
+};
+
+export default BulkActionBar;
@@ -0,0 +1,175 @@
+import React, { useState, useEffect } from 'react';
+import apiService from '../services/api';
+import { toast } from 'react-toastify';
+
+// Add the list filters to a feed URL
+const withFilters = (url, filters) => {
+  const query = new URLSearchParams(
+    Object.entries(filters).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  ).toString();
+  return query ? `${url}&${query}` : url;
+};
+
+// Dialog for subscribing to the offers of the current list in a calendar app.
+// The feed link carries a personal token, which is only shown right after it
+// is created; creating a new link revokes the old one.
+const CalendarFeedDialog = ({ filters, onClose }) => {
+  const [feed, setFeed] = useState(null);
+  const [feedUrl, setFeedUrl] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    const fetchFeed = async () => {
+      try {
+        const response = await apiService.getCalendarFeed();
+        setFeed(response.data);
+      } catch (error) {
+        toast.error('Failed to load the calendar feed');
+        console.error('Fetch calendar feed error:', error);
+      }
+    };
+    fetchFeed();
+  }, []);
+
+  const handleCreate = async () => {
+    if (feed?.enabled && !window.confirm('Create a new link? Calendars subscribed to the old link stop updating.')) {
+      return;
+    }
+
+    try {
+      setBusy(true);
+      const response = await apiService.createCalendarFeed();
+      setFeed(response.data);
+      setFeedUrl(response.data.url);
+    } catch (error) {
+      toast.error(error.message || 'Failed to create a calendar feed link');
+      console.error('Create calendar feed error:', error);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRevoke = async () => {
+    if (!window.confirm('Revoke the calendar feed link? Subscribed calendars stop updating.')) {
+      return;
+    }
+
+    try {
+      setBusy(true);
+      const response = await apiService.revokeCalendarFeed();
+      setFeed(response.data);
+      setFeedUrl(null);
+      toast.success(response.message);
+    } catch (error) {
+      toast.error(error.message || 'Failed to revoke the calendar feed link');
+      console.error('Revoke calendar feed error:', error);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const subscriptionUrl = feedUrl ? withFilters(feedUrl, filters) : null;
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(subscriptionUrl);
+      toast.success('Feed link copied');
+    } catch (error) {
+      toast.error('Could not copy the link; select and copy it instead');
+    }
+  };
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        backgroundColor: 'rgba(0, 0, 0, 0.5)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 9999,
+        padding: '20px'
+      }}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-labelledby="calendar-feed-title"
+        style={{
+          background: 'white',
+          borderRadius: '12px',
+          padding: '28px',
+          width: '100%',
+          maxWidth: '520px',
+          boxShadow: '0 8px 32px rgba(0, 0, 0, 0.3)'
+        }}
+      >
+        <h2 id="calendar-feed-title" style={{ fontSize: '1.3em', marginBottom: '8px' }}>📅 Calendar Feed</h2>
+        <p style={{ color: '#6b7280', fontSize: '0.9em', marginBottom: '20px' }}>
+          Subscribe to the offers matching the current filters in Google Calendar, Outlook or Apple Calendar.
+          Changes and deletions show up the next time your calendar app refreshes.
+        </p>
+
+        {!feed ? (
+          <p style={{ color: '#6b7280' }}>Loading...</p>
+        ) : subscriptionUrl ? (
+          <>
+            <label htmlFor="calendar-feed-url" className="form-label" style={{ display: 'block', fontWeight: '600', marginBottom: '6px' }}>
+              Feed link
+            </label>
+            <input
+              type="text"
+              id="calendar-feed-url"
+              className="form-input"
+              value={subscriptionUrl}
+              readOnly
+              onFocus={(e) => e.target.select()}
+              style={{ width: '100%', marginBottom: '8px', fontSize: '0.85em' }}
+            />
+            <p style={{ color: '#b45309', fontSize: '0.85em', marginBottom: '16px' }}>
+              Keep this link private: anyone with it can read your offers. It is only shown now.
+            </p>
+            <div className="d-flex gap-2" style={{ flexWrap: 'wrap', marginBottom: '16px' }}>
+              <button type="button" onClick={handleCopy} className="btn btn-primary">
+                📋 Copy link
+              </button>
+              <a href={subscriptionUrl.replace(/^https?:/, 'webcal:')} className="btn btn-secondary">
+                Open in calendar app
+              </a>
+            </div>
+          </>
+        ) : feed.enabled ? (
+          <p style={{ fontSize: '0.9em', marginBottom: '16px' }}>
+            You created a feed link on {new Date(feed.createdAt).toLocaleDateString()}. Links are only shown
+            once; create a new one to subscribe another calendar.
+          </p>
+        ) : (
+          <p style={{ fontSize: '0.9em', marginBottom: '16px' }}>You have no calendar feed link yet.</p>
+        )}
+
+        <div className="d-flex gap-2" style={{ flexWrap: 'wrap', justifyContent: 'flex-end' }}>
+          {feed && (
+            <button type="button" onClick={handleCreate} className="btn btn-secondary" disabled={busy}>
+              {feed.enabled ? '↻ New link' : '➕ Create link'}
+            </button>
+          )}
+          {feed?.enabled && (
+            <button type="button" onClick={handleRevoke} className="btn btn-danger" disabled={busy}>
+              Revoke
+            </button>
+          )}
+          <button type="button" onClick={onClose} className="btn btn-outline">
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CalendarFeedDialog;
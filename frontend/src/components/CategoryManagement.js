@@ -0,0 +1,291 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import apiService from '../services/api';
+import { toast } from 'react-toastify';
+import { getCategoryOptions } from '../utils/categories';
+
+const emptyForm = { name: '', description: '', parent: '' };
+
+const controlStyle = {
+  padding: '10px 12px',
+  fontSize: '0.95em',
+  borderRadius: '8px',
+  border: '2px solid #e5e7eb',
+  width: '100%'
+};
+
+const CategoryManagement = () => {
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [formData, setFormData] = useState(emptyForm);
+  // Id of the category being edited, or null when creating one
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+
+  const fetchCategories = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await apiService.getCategories();
+      setCategories(response.data.categories);
+    } catch (error) {
+      toast.error('Failed to fetch categories');
+      console.error('Fetch categories error:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchCategories();
+  }, [fetchCategories]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleEdit = (category) => {
+    setEditingId(category._id);
+    setFormData({
+      name: category.name,
+      description: category.description || '',
+      parent: category.parent || ''
+    });
+  };
+
+  const handleCancel = () => {
+    setEditingId(null);
+    setFormData(emptyForm);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!formData.name.trim()) {
+      toast.error('Category name is required');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      if (editingId) {
+        await apiService.updateCategory(editingId, formData);
+        toast.success('Category updated');
+      } else {
+        await apiService.createCategory(formData);
+        toast.success('Category created');
+      }
+      handleCancel();
+      fetchCategories();
+    } catch (error) {
+      toast.error(error.message || 'Failed to save category');
+      console.error('Save category error:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (category) => {
+    if (!window.confirm(`Delete the category "${category.name}"?`)) {
+      return;
+    }
+
+    try {
+      setBusyId(category._id);
+      await apiService.deleteCategory(category._id);
+      toast.success('Category deleted');
+      if (editingId === category._id) {
+        handleCancel();
+      }
+      fetchCategories();
+    } catch (error) {
+      // Categories with subcategories or items cannot be deleted
+      toast.error(error.message || 'Failed to delete category');
+      console.error('Delete category error:', error);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (loading && categories.length === 0) {
+    return (
+      <div className="loading-container">
+        <div className="loading-spinner"></div>
+        <p>Loading categories...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ padding: 'clamp(16px, 3vw, 24px)', maxWidth: '1400px', margin: '0 auto' }}>
+      <div className="page-header" style={{ marginBottom: '24px' }}>
+        <Link to="/items" style={{
+          display: 'inline-flex',
+          alignItems: 'center',
+          gap: '8px',
+          textDecoration: 'none',
+          color: '#667eea',
+          fontWeight: '600',
+          marginBottom: '15px',
+          padding: '10px 16px',
+          borderRadius: '8px',
+          background: '#f0f9ff'
+        }}>
+          ← Back to Items
+        </Link>
+        <h1 className="page-title" style={{ fontSize: 'clamp(1.5em, 5vw, 2em)', marginBottom: '8px' }}>🏷️ Categories</h1>
+        <p className="page-subtitle" style={{ color: '#6b7280', fontSize: 'clamp(0.9em, 2.5vw, 1em)' }}>
+          Organise offers into categories and subcategories. Filtering by a category includes everything below it.
+        </p>
+      </div>
+
+      <div className="card" style={{
+        borderRadius: '12px',
+        boxShadow: '0 4px 12px rgba(0, 0, 0, 0.08)',
+        border: 'none',
+        marginBottom: '24px',
+        padding: '24px'
+      }}>
+        <h2 style={{ fontSize: '1.2em', fontWeight: '600', marginBottom: '16px' }}>
+          {editingId ? '✏️ Edit Category' : '➕ New Category'}
+        </h2>
+        <form onSubmit={handleSubmit} style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))',
+          gap: '12px',
+          alignItems: 'end'
+        }}>
+          <div>
+            <label htmlFor="category-name" style={{ display: 'block', fontWeight: '600', marginBottom: '6px' }}>Name</label>
+            <input
+              id="category-name"
+              name="name"
+              type="text"
+              value={formData.name}
+              onChange={handleChange}
+              maxLength={50}
+              disabled={saving}
+              style={controlStyle}
+            />
+          </div>
+          <div>
+            <label htmlFor="category-parent" style={{ display: 'block', fontWeight: '600', marginBottom: '6px' }}>Parent</label>
+            <select
+              id="category-parent"
+              name="parent"
+              value={formData.parent}
+              onChange={handleChange}
+              disabled={saving}
+              style={controlStyle}
+            >
+              <option value="">— Top level —</option>
+              {/* A category cannot be moved below itself */}
+              {getCategoryOptions(categories, editingId).map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="category-description" style={{ display: 'block', fontWeight: '600', marginBottom: '6px' }}>Description</label>
+            <input
+              id="category-description"
+              name="description"
+              type="text"
+              value={formData.description}
+              onChange={handleChange}
+              maxLength={200}
+              disabled={saving}
+              style={controlStyle}
+            />
+          </div>
+          <div className="d-flex gap-2">
+            <button type="submit" className="btn btn-primary" disabled={saving}>
+              {saving ? 'Saving...' : editingId ? 'Save' : 'Create'}
+            </button>
+            {editingId && (
+              <button type="button" className="btn btn-secondary" onClick={handleCancel} disabled={saving}>
+                Cancel
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
+
+      <div className="card" style={{
+        borderRadius: '12px',
+        boxShadow: '0 4px 12px rgba(0, 0, 0, 0.08)',
+        border: 'none',
+        overflow: 'hidden'
+      }}>
+        <div className="card-header" style={{
+          background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+          padding: '24px',
+          borderBottom: 'none'
+        }}>
+          <h2 className="card-title" style={{
+            color: 'white',
+            margin: 0,
+            fontSize: '1.5em',
+            fontWeight: '600'
+          }}>
+            🏷️ All Categories ({categories.length})
+          </h2>
+        </div>
+        <div className="card-content">
+          {categories.length === 0 ? (
+            <div className="text-center" style={{ padding: '40px 20px' }}>
+              <div style={{ fontSize: '3em', marginBottom: '12px' }}>📂</div>
+              <p style={{ color: '#6b7280' }}>No categories yet.</p>
+            </div>
+          ) : (
+            <div className="table-responsive">
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>Name</th>
+                    <th>Description</th>
+                    <th>Offers</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {categories.map((category) => (
+                    <tr key={category._id}>
+                      <td style={{ paddingLeft: `${12 + category.depth * 24}px` }}>
+                        {category.depth > 0 && <span style={{ color: '#9ca3af' }}>└ </span>}
+                        <strong>{category.name}</strong>
+                        <div style={{ fontSize: '0.8em', color: '#9ca3af' }}>{category.slug}</div>
+                      </td>
+                      <td style={{ maxWidth: '300px', color: '#6b7280' }}>{category.description || '—'}</td>
+                      <td>{category.itemCount}</td>
+                      <td>
+                        <div className="d-flex gap-2">
+                          <button
+                            onClick={() => handleEdit(category)}
+                            className="btn btn-sm btn-secondary"
+                            disabled={Boolean(busyId) || saving}
+                          >
+                            ✏️ Edit
+                          </button>
+                          <button
+                            onClick={() => handleDelete(category)}
+                            className="btn btn-sm btn-danger"
+                            disabled={Boolean(busyId) || saving}
+                          >
+                            Delete
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CategoryManagement;
@@ -0,0 +1,64 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import WorkflowBadge from './WorkflowBadge';
+import { formatInTimezone } from '../utils/dates';
+
+const REASON_LABELS = {
+  category: 'same category',
+  location: 'same location'
+};
+
+// Offers that overlap the one about to be saved, with the first time each
+// runs at the same time. Under the strict conflict policy only users allowed
+// to override can save anyway.
+const ConflictWarning = ({ check, onOverride, onCancel, disabled }) => {
+  const { conflicts, policy, canOverride } = check;
+  const blocked = policy === 'strict' && !canOverride;
+
+  return (
+    <div role="alert" style={{
+      background: blocked ? '#fee2e2' : '#fef3c7',
+      border: `1px solid ${blocked ? '#fca5a5' : '#fcd34d'}`,
+      borderRadius: '10px',
+      padding: '16px 20px',
+      marginBottom: '20px'
+    }}>
+      <p style={{ margin: '0 0 12px', fontWeight: '600', color: blocked ? '#991b1b' : '#92400e' }}>
+        ⚠️ This offer overlaps {conflicts.length} other offer(s) in the same category or location
+      </p>
+      <ul style={{ margin: '0 0 12px', paddingLeft: '20px' }}>
+        {conflicts.map(({ item, reasons, overlap }) => (
+          <li key={item._id} style={{ marginBottom: '8px', fontSize: '0.9em' }}>
+            <Link to={`/items/edit/${item._id}`} target="_blank" rel="noopener noreferrer" style={{ fontWeight: '600', color: '#374151' }}>
+              {item.title}
+            </Link>{' '}
+            <WorkflowBadge state={item.workflowState} style={{ padding: '2px 8px', fontSize: '0.8em' }} />
+            <div style={{ color: '#6b7280' }}>
+              {reasons.map(reason => REASON_LABELS[reason]).join(' and ')}
+              {reasons.includes('category') && item.category && ` (${item.category.name})`}
+              {reasons.includes('location') && item.location && ` (${item.location})`}
+              {' · '}both run {formatInTimezone(overlap.start, item.timezone)} – {formatInTimezone(overlap.end, item.timezone)}
+            </div>
+          </li>
+        ))}
+      </ul>
+      {blocked && (
+        <p style={{ margin: '0 0 12px', fontSize: '0.9em', color: '#991b1b' }}>
+          Overlapping offers are not allowed. Change the dates, category or location, or ask a super admin.
+        </p>
+      )}
+      <div className="d-flex gap-2" style={{ flexWrap: 'wrap' }}>
+        {!blocked && (
+          <button type="button" className="btn btn-primary" onClick={onOverride} disabled={disabled}>
+            Save anyway
+          </button>
+        )}
+        <button type="button" className="btn btn-secondary" onClick={onCancel} disabled={disabled}>
+          Back to editing
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ConflictWarning;
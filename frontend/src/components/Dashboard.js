@@ -4,6 +4,16 @@ import { Link, useNavigate } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import apiService from '../services/api';
 import { hasPermissions } from '../utils/permissions';
+import { getMediumUrl, getImageSrcSet, getImageWebpSrcSet } from '../utils/images';
+import ImageLightbox from './ImageLightbox';
+import { showUndoToast } from './UndoToast';
+import StatusBadge from './StatusBadge';
+import WorkflowBadge from './WorkflowBadge';
+import { describeRecurrence } from '../utils/recurrence';
+import { formatInTimezone } from '../utils/dates';
+import { describeValidityWindow } from '../utils/validityWindows';
+import LiveBadge from './LiveBadge';
+import ZonedDateRange from './ZonedDateRange';
 
 const Dashboard = () => {
   const { user, logout } = useAuth();
@@ -45,7 +55,7 @@ const Dashboard = () => {
 
     try {
       await apiService.deleteItem(itemId);
-      toast.success('Item deleted successfully');
+      showUndoToast('Item moved to the trash', () => handleUndoDelete(itemId));
       fetchItems();
     } catch (error) {
       toast.error('Failed to delete item');
@@ -53,6 +63,17 @@ const Dashboard = () => {
     }
   };
 
+  const handleUndoDelete = async (itemId) => {
+    try {
+      await apiService.restoreItem(itemId);
+      toast.success('Item restored');
+      fetchItems();
+    } catch (error) {
+      toast.error('Failed to restore item');
+      console.error('Restore item error:', error);
+    }
+  };
+
   const handleLogout = async () => {
     try {
       await logout();
@@ -151,7 +172,7 @@ const Dashboard = () => {
               </div>
             </Link>
 
-            <Link to="/items/expired" style={{ 
+            <Link to="/items?status=expired" style={{ 
               textDecoration: 'none',
               padding: '20px',
               borderRadius: '12px',
@@ -377,45 +398,73 @@ const Dashboard = () => {
                     }}>
                       <div style={{ position: 'relative', overflow: 'hidden' }}>
                         {item.imageUrl ? (
-                          <img 
-                            src={item.imageUrl} 
-                            alt={item.note}
-                            onClick={(e) => {
-                              e.preventDefault();
-                              setSelectedImage(item.imageUrl);
-                            }}
-                            style={{
-                              width: '100%',
-                              height: '220px',
-                              objectFit: 'contain',
-                              backgroundColor: '#f9fafb',
-                              transition: 'transform 0.4s ease',
-                              cursor: 'pointer'
-                            }}
-                            onMouseEnter={(e) => e.target.style.transform = 'scale(1.05)'}
-                            onMouseLeave={(e) => e.target.style.transform = 'scale(1)'}
-                            onError={(e) => {
-                              console.error('Image load error:', item.imageUrl);
-                              e.target.style.display = 'none';
-                              e.target.nextElementSibling.style.display = 'flex';
-                            }}
-                          />
+                          <picture style={{ display: 'block' }}>
+                            <source
+                              type="image/webp"
+                              srcSet={getImageWebpSrcSet(item)}
+                              sizes="(max-width: 600px) 100vw, 400px"
+                            />
+                            <img 
+                              src={getMediumUrl(item)} 
+                              srcSet={getImageSrcSet(item)}
+                              sizes="(max-width: 600px) 100vw, 400px"
+                              alt={item.title}
+                              loading="lazy"
+                              onClick={(e) => {
+                                e.preventDefault();
+                                setSelectedImage(item);
+                              }}
+                              style={{
+                                width: '100%',
+                                height: '220px',
+                                objectFit: 'contain',
+                                backgroundColor: '#f9fafb',
+                                transition: 'transform 0.4s ease',
+                                cursor: 'pointer'
+                              }}
+                              onMouseEnter={(e) => e.target.style.transform = 'scale(1.05)'}
+                              onMouseLeave={(e) => e.target.style.transform = 'scale(1)'}
+                              onError={(e) => {
+                                console.error('Image load error:', item.imageUrl);
+                                const picture = e.target.parentElement;
+                                picture.style.display = 'none';
+                                picture.nextElementSibling.style.display = 'flex';
+                              }}
+                            />
+                          </picture>
                         ) : null}
-                        <div style={{
+                        <StatusBadge status={item.status} style={{
                           position: 'absolute',
                           top: '10px',
                           right: '10px',
-                          background: 'rgba(255, 255, 255, 0.95)',
-                          backdropFilter: 'blur(10px)',
-                          padding: '6px 12px',
-                          borderRadius: '20px',
                           fontSize: '0.8em',
-                          fontWeight: '600',
-                          color: '#667eea',
                           boxShadow: '0 4px 12px rgba(0, 0, 0, 0.1)'
-                        }}>
-                          New
-                        </div>
+                        }} />
+                        {/* Users only see published offers; admins see the others marked */}
+                        {canUpdate && item.workflowState !== 'published' && (
+                          <WorkflowBadge state={item.workflowState} style={{
+                            position: 'absolute',
+                            top: '10px',
+                            left: '10px',
+                            fontSize: '0.8em',
+                            boxShadow: '0 4px 12px rgba(0, 0, 0, 0.1)'
+                          }} />
+                        )}
+                        {item.images?.length > 1 && (
+                          <div style={{
+                            position: 'absolute',
+                            bottom: '10px',
+                            right: '10px',
+                            background: 'rgba(0, 0, 0, 0.6)',
+                            padding: '4px 10px',
+                            borderRadius: '20px',
+                            fontSize: '0.8em',
+                            fontWeight: '600',
+                            color: 'white'
+                          }}>
+                            🖼️ {item.images.length}
+                          </div>
+                        )}
                       </div>
                       <div style={{
                         display: 'none',
@@ -430,6 +479,19 @@ const Dashboard = () => {
                         🖼️
                       </div>
                       <div style={{ padding: '24px' }}>
+                        <h4 style={{
+                          margin: '0 0 6px',
+                          fontSize: '1.15em',
+                          fontWeight: '700',
+                          color: '#111827'
+                        }}>
+                          {item.title}
+                        </h4>
+                        {item.category && (
+                          <div style={{ fontSize: '0.85em', color: '#667eea', fontWeight: '600', marginBottom: '8px' }}>
+                            📂 {item.category.name}
+                          </div>
+                        )}
                         <p style={{ 
                           color: '#1f2937', 
                           marginBottom: '16px',
@@ -440,6 +502,22 @@ const Dashboard = () => {
                         }}>
                           {item.note}
                         </p>
+                        {item.tags?.length > 0 && (
+                          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', marginBottom: '16px' }}>
+                            {item.tags.map(tag => (
+                              <span key={tag} style={{
+                                padding: '2px 8px',
+                                borderRadius: '999px',
+                                background: '#eef2ff',
+                                color: '#4338ca',
+                                fontSize: '0.8em',
+                                fontWeight: '600'
+                              }}>
+                                #{tag}
+                              </span>
+                            ))}
+                          </div>
+                        )}
                         <div style={{ 
                           fontSize: '0.875em',
                           color: '#6b7280',
@@ -454,8 +532,37 @@ const Dashboard = () => {
                             gap: '8px'
                           }}>
                             <span style={{ fontSize: '1.2em' }}>📅</span>
-                            <span>{new Date(item.dateRange.start).toLocaleDateString()} - {new Date(item.dateRange.end).toLocaleDateString()}</span>
+                            <ZonedDateRange item={item} />
                           </div>
+                          {item.recurrence && (
+                            <div style={{
+                              display: 'flex',
+                              alignItems: 'center',
+                              gap: '8px'
+                            }}>
+                              <span style={{ fontSize: '1.2em' }}>🔁</span>
+                              <span>
+                                {describeRecurrence(item.recurrence, item.timezone)}
+                                {item.nextOccurrence && ` · next ${formatInTimezone(item.nextOccurrence.start, item.timezone)}`}
+                              </span>
+                            </div>
+                          )}
+                          {item.validityWindows?.length > 0 && (
+                            <div style={{
+                              display: 'flex',
+                              alignItems: 'flex-start',
+                              gap: '8px',
+                              marginTop: '8px'
+                            }}>
+                              <span style={{ fontSize: '1.2em' }}>🕒</span>
+                              <span>
+                                {item.validityWindows.map((window, index) => (
+                                  <div key={index}>{describeValidityWindow(window)}</div>
+                                ))}
+                              </span>
+                            </div>
+                          )}
+                          <LiveBadge item={item} style={{ marginTop: '8px' }} />
                         </div>
                         <div style={{ display: 'flex', gap: '10px' }}>
                           {canUpdate && (
@@ -586,71 +693,9 @@ const Dashboard = () => {
         </div>
       </div>
 
-      {/* Image Viewer Modal */}
+      {/* Image Gallery Lightbox */}
       {selectedImage && (
-        <div
-          onClick={() => setSelectedImage(null)}
-          style={{
-            position: 'fixed',
-            top: 0,
-            left: 0,
-            right: 0,
-            bottom: 0,
-            backgroundColor: 'rgba(0, 0, 0, 0.9)',
-            display: 'flex',
-            alignItems: 'center',
-            justifyContent: 'center',
-            zIndex: 9999,
-            padding: '20px',
-            cursor: 'pointer',
-            animation: 'fadeIn 0.2s ease-out'
-          }}
-        >
-          <button
-            onClick={() => setSelectedImage(null)}
-            style={{
-              position: 'absolute',
-              top: '20px',
-              right: '20px',
-              background: 'white',
-              border: 'none',
-              borderRadius: '50%',
-              width: '48px',
-              height: '48px',
-              fontSize: '24px',
-              cursor: 'pointer',
-              display: 'flex',
-              alignItems: 'center',
-              justifyContent: 'center',
-              boxShadow: '0 4px 12px rgba(0, 0, 0, 0.3)',
-              zIndex: 10000,
-              transition: 'all 0.2s'
-            }}
-            onMouseEnter={(e) => {
-              e.currentTarget.style.transform = 'scale(1.1)';
-              e.currentTarget.style.background = '#f3f4f6';
-            }}
-            onMouseLeave={(e) => {
-              e.currentTarget.style.transform = 'scale(1)';
-              e.currentTarget.style.background = 'white';
-            }}
-          >
-            ✕
-          </button>
-          <img
-            src={selectedImage}
-            alt="Full size"
-            onClick={(e) => e.stopPropagation()}
-            style={{
-              maxWidth: '90%',
-              maxHeight: '90%',
-              objectFit: 'contain',
-              borderRadius: '12px',
-              boxShadow: '0 8px 32px rgba(0, 0, 0, 0.5)',
-              cursor: 'default'
-            }}
-          />
-        </div>
+        <ImageLightbox item={selectedImage} onClose={() => setSelectedImage(null)} />
       )}
     </div>
   );
@@ -0,0 +1,159 @@
+import React from 'react';
+import { SORT_OPTIONS, DATE_FILTERS, DEFAULT_SORT, DEFAULT_ORDER } from '../utils/itemFilters';
+import { WORKFLOW_STATES } from '../utils/workflow';
+
+const controlStyle = {
+  width: '100%',
+  padding: '8px 12px',
+  borderRadius: '8px',
+  border: '2px solid #e5e7eb',
+  fontSize: '0.95em'
+};
+
+const labelStyle = {
+  display: 'block',
+  fontWeight: '600',
+  color: '#374151',
+  fontSize: '0.9em',
+  marginBottom: '6px'
+};
+
+// Side panel with the sort and advanced filters of ItemList. Values are the
+// URL parameters; every change is passed to onChange as { param: value }.
+// The review state filter is only offered to admins (showWorkflow).
+const FilterDrawer = ({ searchParams, onChange, onClear, onClose, users = [], currentUserId, searching, showWorkflow }) => {
+  const sort = searchParams.get('sort') || (searching ? 'relevance' : DEFAULT_SORT);
+  const order = searchParams.get('order') || DEFAULT_ORDER;
+  const createdBy = searchParams.get('createdBy') || '';
+
+  return (
+    <>
+      <div
+        onClick={onClose}
+        style={{ position: 'fixed', inset: 0, background: 'rgba(0, 0, 0, 0.3)', zIndex: 1100 }}
+      />
+      <aside
+        role="dialog"
+        aria-label="Filters"
+        style={{
+          position: 'fixed',
+          top: 0,
+          right: 0,
+          bottom: 0,
+          width: 'min(360px, 100vw)',
+          background: 'white',
+          zIndex: 1101,
+          boxShadow: '-8px 0 24px rgba(0, 0, 0, 0.15)',
+          padding: '24px',
+          overflowY: 'auto'
+        }}
+      >
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
+          <h2 style={{ margin: 0, fontSize: '1.3em', fontWeight: '700' }}>⚙️ Filters</h2>
+          <button
+            type="button"
+            onClick={onClose}
+            aria-label="Close filters"
+            style={{ background: 'none', border: 'none', fontSize: '1.3em', cursor: 'pointer' }}
+          >
+            ✕
+          </button>
+        </div>
+
+        <div style={{ marginBottom: '20px' }}>
+          <label htmlFor="filter-sort" style={labelStyle}>Sort by</label>
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <select
+              id="filter-sort"
+              value={sort}
+              onChange={(e) => onChange({ sort: e.target.value })}
+              style={controlStyle}
+            >
+              {searching && <option value="relevance">Relevance</option>}
+              {SORT_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <select
+              value={order}
+              onChange={(e) => onChange({ order: e.target.value })}
+              disabled={sort === 'relevance'}
+              aria-label="Sort order"
+              style={{ ...controlStyle, width: 'auto' }}
+            >
+              <option value="desc">Descending</option>
+              <option value="asc">Ascending</option>
+            </select>
+          </div>
+        </div>
+
+        {DATE_FILTERS.map(({ from, to, label }) => (
+          <div key={from} style={{ marginBottom: '20px' }}>
+            <span style={labelStyle}>{label}</span>
+            <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+              <input
+                type="date"
+                value={searchParams.get(from) || ''}
+                max={searchParams.get(to) || undefined}
+                onChange={(e) => onChange({ [from]: e.target.value })}
+                aria-label={`${label} from`}
+                style={controlStyle}
+              />
+              <span>–</span>
+              <input
+                type="date"
+                value={searchParams.get(to) || ''}
+                min={searchParams.get(from) || undefined}
+                onChange={(e) => onChange({ [to]: e.target.value })}
+                aria-label={`${label} until`}
+                style={controlStyle}
+              />
+            </div>
+          </div>
+        ))}
+        <p style={{ fontSize: '0.8em', color: '#6b7280', marginTop: '-10px', marginBottom: '20px' }}>
+          Recurring offers end with their last occurrence.
+        </p>
+
+        <div style={{ marginBottom: '24px' }}>
+          <label htmlFor="filter-created-by" style={labelStyle}>Created by</label>
+          <select
+            id="filter-created-by"
+            value={createdBy}
+            onChange={(e) => onChange({ createdBy: e.target.value })}
+            style={controlStyle}
+          >
+            <option value="">Anyone</option>
+            {currentUserId && <option value={currentUserId}>Me</option>}
+            {users.filter(user => user._id !== currentUserId).map(user => (
+              <option key={user._id} value={user._id}>{user.name}</option>
+            ))}
+          </select>
+        </div>
+
+        {showWorkflow && (
+          <div style={{ marginBottom: '24px' }}>
+            <label htmlFor="filter-workflow-state" style={labelStyle}>Review state</label>
+            <select
+              id="filter-workflow-state"
+              value={searchParams.get('workflowState') || ''}
+              onChange={(e) => onChange({ workflowState: e.target.value })}
+              style={controlStyle}
+            >
+              <option value="">Any</option>
+              {Object.entries(WORKFLOW_STATES).map(([value, { label }]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        <button type="button" className="btn btn-secondary" onClick={onClear} style={{ width: '100%' }}>
+          Clear filters
+        </button>
+      </aside>
+    </>
+  );
+};
+
+export default FilterDrawer;
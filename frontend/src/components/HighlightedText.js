@@ -0,0 +1,44 @@
+import React from 'react';
+
+// Text with search matches marked. `highlight` is one entry of an item's
+// search highlights ({ field, text, matches: [{ start, end }] }); without it
+// the fallback text is shown as is.
+const HighlightedText = ({ highlight, fallback = '' }) => {
+  if (!highlight) {
+    return <>{fallback}</>;
+  }
+
+  const { text, matches } = highlight;
+  const parts = [];
+  let position = 0;
+  matches.forEach((match, index) => {
+    if (match.start > position) {
+      parts.push(text.slice(position, match.start));
+    }
+    parts.push(
+      <mark key={index} style={{ background: '#fef08a', color: 'inherit', padding: '0 1px', borderRadius: '2px' }}>
+        {text.slice(match.start, match.end)}
+      </mark>
+    );
+    position = match.end;
+  });
+  if (position < text.length) {
+    parts.push(text.slice(position));
+  }
+  return <>{parts}</>;
+};
+
+/**
+ * Find the search highlight of an item for a field
+ * @param {object} item - Item returned by a search
+ * @param {string} field - 'title', 'note' or 'tags'
+ * @param {string} text - For tags, the tag to look for
+ * @returns {object|undefined} - Highlight { field, text, matches }
+ */
+export const getHighlight = (item, field, text) => {
+  return (item.highlights || []).find(highlight => (
+    highlight.field === field && (text === undefined || highlight.text === text)
+  ));
+};
+
+export default HighlightedText;
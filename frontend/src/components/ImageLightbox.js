@@ -0,0 +1,199 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { getGalleryImages, getGalleryImageSrcSet, getGalleryImageWebpSrcSet } from '../utils/images';
+
+const navButtonStyle = {
+  position: 'absolute',
+  top: '50%',
+  transform: 'translateY(-50%)',
+  background: 'rgba(255, 255, 255, 0.9)',
+  border: 'none',
+  borderRadius: '50%',
+  width: '48px',
+  height: '48px',
+  fontSize: '24px',
+  cursor: 'pointer',
+  display: 'flex',
+  alignItems: 'center',
+  justifyContent: 'center',
+  boxShadow: '0 4px 12px rgba(0, 0, 0, 0.3)',
+  zIndex: 10000
+};
+
+// Full-screen viewer for the image gallery of an item.
+// Opens on the cover image; arrow keys browse, Escape closes.
+const ImageLightbox = ({ item, onClose }) => {
+  const images = getGalleryImages(item);
+  const coverIndex = Math.max(images.findIndex(image => image.isCover), 0);
+  const [index, setIndex] = useState(coverIndex);
+  const hasMultiple = images.length > 1;
+
+  const showPrevious = useCallback(() => {
+    setIndex(current => (current - 1 + images.length) % images.length);
+  }, [images.length]);
+
+  const showNext = useCallback(() => {
+    setIndex(current => (current + 1) % images.length);
+  }, [images.length]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        onClose();
+      } else if (e.key === 'ArrowLeft' && hasMultiple) {
+        showPrevious();
+      } else if (e.key === 'ArrowRight' && hasMultiple) {
+        showNext();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose, hasMultiple, showPrevious, showNext]);
+
+  const image = images[index];
+  if (!image) {
+    return null;
+  }
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        backgroundColor: 'rgba(0, 0, 0, 0.9)',
+        display: 'flex',
+        flexDirection: 'column',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 9999,
+        padding: '20px',
+        cursor: 'pointer',
+        animation: 'fadeIn 0.2s ease-out'
+      }}
+    >
+      <button
+        onClick={onClose}
+        aria-label="Close"
+        style={{
+          position: 'absolute',
+          top: '20px',
+          right: '20px',
+          background: 'white',
+          border: 'none',
+          borderRadius: '50%',
+          width: '48px',
+          height: '48px',
+          fontSize: '24px',
+          cursor: 'pointer',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          boxShadow: '0 4px 12px rgba(0, 0, 0, 0.3)',
+          zIndex: 10000
+        }}
+      >
+        ✕
+      </button>
+
+      {hasMultiple && (
+        <div style={{
+          position: 'absolute',
+          top: '30px',
+          left: '50%',
+          transform: 'translateX(-50%)',
+          color: 'white',
+          fontWeight: '600',
+          background: 'rgba(0, 0, 0, 0.5)',
+          padding: '6px 14px',
+          borderRadius: '20px'
+        }}>
+          {index + 1} / {images.length}
+        </div>
+      )}
+
+      {hasMultiple && (
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            showPrevious();
+          }}
+          aria-label="Previous image"
+          style={{ ...navButtonStyle, left: '20px' }}
+        >
+          ‹
+        </button>
+      )}
+
+      <picture key={image._id} style={{ display: 'contents' }}>
+        <source type="image/webp" srcSet={getGalleryImageWebpSrcSet(image)} sizes="90vw" />
+        <img
+          src={image.url}
+          srcSet={getGalleryImageSrcSet(image)}
+          sizes="90vw"
+          alt={`Full size ${index + 1} of ${images.length}`}
+          onClick={(e) => e.stopPropagation()}
+          style={{
+            maxWidth: '90%',
+            maxHeight: hasMultiple ? '75%' : '90%',
+            objectFit: 'contain',
+            borderRadius: '12px',
+            boxShadow: '0 8px 32px rgba(0, 0, 0, 0.5)',
+            cursor: 'default'
+          }}
+        />
+      </picture>
+
+      {hasMultiple && (
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            showNext();
+          }}
+          aria-label="Next image"
+          style={{ ...navButtonStyle, right: '20px' }}
+        >
+          ›
+        </button>
+      )}
+
+      {hasMultiple && (
+        <div
+          onClick={(e) => e.stopPropagation()}
+          style={{
+            display: 'flex',
+            gap: '8px',
+            marginTop: '16px',
+            maxWidth: '90%',
+            overflowX: 'auto',
+            cursor: 'default'
+          }}
+        >
+          {images.map((galleryImage, imageIndex) => (
+            <img
+              key={galleryImage._id}
+              src={galleryImage.variants?.thumbnail?.url || galleryImage.url}
+              alt={`Thumbnail ${imageIndex + 1}`}
+              onClick={() => setIndex(imageIndex)}
+              style={{
+                width: '64px',
+                height: '64px',
+                objectFit: 'cover',
+                borderRadius: '6px',
+                cursor: 'pointer',
+                border: imageIndex === index ? '3px solid #11998e' : '3px solid transparent',
+                opacity: imageIndex === index ? 1 : 0.6,
+                flexShrink: 0
+              }}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ImageLightbox;
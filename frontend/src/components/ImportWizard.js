@@ -0,0 +1,386 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import apiService from '../services/api';
+import { toast } from 'react-toastify';
+import { downloadBlob } from '../utils/download';
+
+// Columns of the manifest template; see the README for every accepted header
+const TEMPLATE_CSV = [
+  'Title,Note,Start,End,Timezone,Category,Location,Tags,Images,Show from,Hide from',
+  '"Pizza 2 for 1","Every large pizza comes with a second one free",2026-06-01 11:00,2026-06-30 22:00,Europe/Berlin,Food,Downtown,"pizza, lunch",pizza.jpg;pizza-2.jpg,,'
+].join('\r\n');
+
+const fileInputStyle = {
+  display: 'block',
+  width: '100%',
+  padding: '10px',
+  borderRadius: '8px',
+  border: '2px dashed #e5e7eb',
+  background: '#f9fafb'
+};
+
+const labelStyle = {
+  display: 'block',
+  marginBottom: '8px',
+  fontWeight: '600',
+  color: '#374151',
+  fontSize: '0.95em'
+};
+
+const cardStyle = {
+  borderRadius: '12px',
+  boxShadow: '0 4px 12px rgba(0, 0, 0, 0.08)',
+  border: 'none',
+  overflow: 'hidden',
+  marginBottom: '24px'
+};
+
+const formatDateTime = (dateString) => (dateString ? new Date(dateString).toLocaleString() : '—');
+
+// Bulk import: pick a CSV manifest and a ZIP of its images, check every row
+// with a dry run, then import them all at once. An import can be undone.
+const ImportWizard = () => {
+  const [manifestFile, setManifestFile] = useState(null);
+  const [imagesFile, setImagesFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [result, setResult] = useState(null);
+  const [checking, setChecking] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [imports, setImports] = useState([]);
+  const [undoingId, setUndoingId] = useState(null);
+
+  const fetchImports = useCallback(async () => {
+    try {
+      const response = await apiService.getImports({ limit: 10 });
+      setImports(response.data.imports);
+    } catch (error) {
+      console.error('Fetch imports error:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchImports();
+  }, [fetchImports]);
+
+  const buildFormData = () => {
+    const formData = new FormData();
+    formData.append('manifest', manifestFile);
+    formData.append('images', imagesFile);
+    return formData;
+  };
+
+  // A new file invalidates the last check
+  const handleFileChange = (setFile) => (e) => {
+    setFile(e.target.files[0] || null);
+    setPreview(null);
+    setResult(null);
+  };
+
+  const handleCheck = async (e) => {
+    e.preventDefault();
+    try {
+      setChecking(true);
+      const response = await apiService.importItems(buildFormData(), { dryRun: true });
+      setPreview(response.data);
+    } catch (error) {
+      toast.error(error.message || 'Failed to check the import files');
+      console.error('Check import error:', error);
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const handleImport = async () => {
+    try {
+      setImporting(true);
+      const response = await apiService.importItems(buildFormData());
+      setResult(response.data);
+      setPreview(null);
+      toast.success(response.message);
+      fetchImports();
+    } catch (error) {
+      toast.error(error.message || 'Failed to import offers');
+      console.error('Import error:', error);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleUndo = async (batch) => {
+    if (!window.confirm(`Move the ${batch.itemCount} offer(s) of this import to the trash?`)) {
+      return;
+    }
+
+    try {
+      setUndoingId(batch._id);
+      const response = await apiService.undoImport(batch._id);
+      toast.success(response.message);
+      if (result && result.batch._id === batch._id) {
+        setResult({ ...result, batch: response.data.batch });
+      }
+      fetchImports();
+    } catch (error) {
+      toast.error(error.message || 'Failed to undo import');
+      console.error('Undo import error:', error);
+    } finally {
+      setUndoingId(null);
+    }
+  };
+
+  const handleStartOver = () => {
+    setManifestFile(null);
+    setImagesFile(null);
+    setPreview(null);
+    setResult(null);
+  };
+
+  const step = result ? 3 : preview ? 2 : 1;
+
+  return (
+    <div style={{ padding: 'clamp(16px, 3vw, 24px)', maxWidth: '1400px', margin: '0 auto' }}>
+      <div className="page-header" style={{ marginBottom: '24px' }}>
+        <Link to="/items" style={{
+          display: 'inline-flex',
+          alignItems: 'center',
+          gap: '8px',
+          textDecoration: 'none',
+          color: '#667eea',
+          fontWeight: '600',
+          marginBottom: '15px',
+          padding: '10px 16px',
+          borderRadius: '8px',
+          background: '#f0f9ff'
+        }}>
+          ← Back to Items
+        </Link>
+        <h1 className="page-title" style={{ fontSize: 'clamp(1.5em, 5vw, 2em)', marginBottom: '8px' }}>📥 Import Offers</h1>
+        <p className="page-subtitle" style={{ color: '#6b7280', fontSize: 'clamp(0.9em, 2.5vw, 1em)' }}>
+          Step {step} of 3: {['choose the files', 'check the rows', 'done'][step - 1]}
+        </p>
+      </div>
+
+      {step === 1 && (
+        <div className="card" style={cardStyle}>
+          <div className="card-content" style={{ padding: '24px' }}>
+            <form onSubmit={handleCheck}>
+              <p style={{ color: '#6b7280', marginTop: 0 }}>
+                The manifest has one offer per row. Its Images column names the image files of each offer
+                (separated by ";"), which go into one ZIP archive. Imported offers start as drafts.{' '}
+                <button
+                  type="button"
+                  onClick={() => downloadBlob(new Blob([TEMPLATE_CSV], { type: 'text/csv' }), 'offers-import-template.csv')}
+                  style={{ background: 'none', border: 'none', padding: 0, color: '#667eea', fontWeight: '600', cursor: 'pointer' }}
+                >
+                  Download a template
+                </button>
+              </p>
+
+              <div className="form-group" style={{ marginBottom: '20px' }}>
+                <label htmlFor="import-manifest" style={labelStyle}>📄 Manifest (CSV)</label>
+                <input
+                  type="file"
+                  id="import-manifest"
+                  accept=".csv,text/csv"
+                  onChange={handleFileChange(setManifestFile)}
+                  style={fileInputStyle}
+                />
+              </div>
+
+              <div className="form-group" style={{ marginBottom: '24px' }}>
+                <label htmlFor="import-images" style={labelStyle}>🖼️ Images (ZIP)</label>
+                <input
+                  type="file"
+                  id="import-images"
+                  accept=".zip,application/zip"
+                  onChange={handleFileChange(setImagesFile)}
+                  style={fileInputStyle}
+                />
+              </div>
+
+              <button
+                type="submit"
+                className="btn btn-primary"
+                disabled={!manifestFile || !imagesFile || checking}
+              >
+                {checking ? '⏳ Checking...' : '🔍 Check files'}
+              </button>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {step === 2 && (
+        <div className="card" style={cardStyle}>
+          <div className="card-header" style={{ padding: '20px 24px', borderBottom: '1px solid #e5e7eb' }}>
+            <h2 className="card-title" style={{ margin: 0, fontSize: '1.3em' }}>
+              {preview.summary.invalid > 0
+                ? `⚠️ ${preview.summary.invalid} of ${preview.summary.total} row(s) need fixing`
+                : `✅ All ${preview.summary.total} row(s) are ready`}
+            </h2>
+            {preview.summary.ignoredColumns.length > 0 && (
+              <p style={{ margin: '8px 0 0', color: '#6b7280', fontSize: '0.9em' }}>
+                Ignored columns: {preview.summary.ignoredColumns.join(', ')}
+              </p>
+            )}
+          </div>
+          <div className="card-content">
+            <div className="table-responsive">
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>Row</th>
+                    <th>Title</th>
+                    <th>Images</th>
+                    <th>Result</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.rows.map(row => (
+                    <tr key={row.row} style={{ background: row.valid ? undefined : '#fef2f2' }}>
+                      <td>{row.row}</td>
+                      <td><strong>{row.title || '—'}</strong></td>
+                      <td style={{ fontSize: '0.9em', color: '#6b7280' }}>{row.images.join(', ') || '—'}</td>
+                      <td>
+                        {row.valid ? (
+                          <span style={{ color: '#047857', fontWeight: '600' }}>Ready</span>
+                        ) : (
+                          <ul style={{ margin: 0, paddingLeft: '18px', color: '#b91c1c', fontSize: '0.9em' }}>
+                            {row.errors.map(error => <li key={error}>{error}</li>)}
+                          </ul>
+                        )}
+                        {row.conflicts?.length > 0 && (
+                          <div style={{ marginTop: '6px', color: '#92400e', fontSize: '0.9em' }}>
+                            ⚠️ Overlaps{' '}
+                            {row.conflicts.map(({ item }, index) => (
+                              <span key={item._id}>
+                                {index > 0 && ', '}
+                                <Link to={`/items/edit/${item._id}`} target="_blank" rel="noopener noreferrer" style={{ color: '#92400e' }}>
+                                  {item.title}
+                                </Link>
+                              </span>
+                            ))}
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="d-flex gap-2" style={{ padding: '16px 24px', flexWrap: 'wrap' }}>
+              <button
+                onClick={handleImport}
+                className="btn btn-primary"
+                disabled={preview.summary.invalid > 0 || importing}
+              >
+                {importing ? '⏳ Importing...' : `📥 Import ${preview.summary.total} offer(s)`}
+              </button>
+              <button onClick={handleStartOver} className="btn btn-secondary" disabled={importing}>
+                Choose other files
+              </button>
+            </div>
+            {preview.summary.invalid > 0 && (
+              <p style={{ padding: '0 24px 16px', margin: 0, color: '#6b7280', fontSize: '0.9em' }}>
+                Nothing is imported until every row is valid. Fix the manifest or images and check again.
+              </p>
+            )}
+          </div>
+        </div>
+      )}
+
+      {step === 3 && (
+        <div className="card" style={cardStyle}>
+          <div className="card-content" style={{ padding: '24px' }}>
+            <h2 style={{ marginTop: 0, fontSize: '1.3em' }}>
+              {result.batch.status === 'undone'
+                ? `↺ Import undone: ${result.batch.itemCount} offer(s) moved to the trash`
+                : `✅ ${result.batch.itemCount} offer(s) imported as drafts`}
+            </h2>
+            {result.batch.status !== 'undone' && (
+              <ul style={{ paddingLeft: '18px' }}>
+                {result.rows.map(row => (
+                  <li key={row.row}>
+                    <Link to={`/items/edit/${row.itemId}`} style={{ color: '#11998e' }}>{row.title}</Link>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <div className="d-flex gap-2" style={{ flexWrap: 'wrap' }}>
+              {result.batch.canUndo && (
+                <button
+                  onClick={() => handleUndo(result.batch)}
+                  className="btn btn-danger"
+                  disabled={Boolean(undoingId)}
+                >
+                  {undoingId === result.batch._id ? '⏳ Undoing...' : '↺ Undo import'}
+                </button>
+              )}
+              <button onClick={handleStartOver} className="btn btn-secondary">
+                Import more
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <div className="card" style={cardStyle}>
+        <div className="card-header" style={{ padding: '20px 24px', borderBottom: '1px solid #e5e7eb' }}>
+          <h2 className="card-title" style={{ margin: 0, fontSize: '1.3em' }}>🕘 Recent imports</h2>
+        </div>
+        <div className="card-content">
+          {imports.length === 0 ? (
+            <p style={{ padding: '24px', margin: 0, color: '#6b7280' }}>No imports yet.</p>
+          ) : (
+            <div className="table-responsive">
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>Imported</th>
+                    <th>Manifest</th>
+                    <th>Offers</th>
+                    <th>Status</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {imports.map(batch => (
+                    <tr key={batch._id}>
+                      <td>
+                        {formatDateTime(batch.createdAt)}
+                        <div style={{ fontSize: '0.85em', color: '#6b7280' }}>by {batch.createdBy?.name || 'Unknown'}</div>
+                      </td>
+                      <td>{batch.fileName || '—'}</td>
+                      <td>{batch.itemCount}</td>
+                      <td>
+                        {batch.status === 'undone' ? (
+                          <>
+                            Undone {formatDateTime(batch.undoneAt)}
+                            <div style={{ fontSize: '0.85em', color: '#6b7280' }}>by {batch.undoneBy?.name || 'Unknown'}</div>
+                          </>
+                        ) : 'Imported'}
+                      </td>
+                      <td>
+                        {batch.canUndo && (
+                          <button
+                            onClick={() => handleUndo(batch)}
+                            className="btn btn-sm btn-danger"
+                            disabled={Boolean(undoingId)}
+                          >
+                            {undoingId === batch._id ? '⏳ Undoing...' : '↺ Undo'}
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportWizard;
@@ -2,20 +2,70 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import apiService from '../services/api';
 import { toast } from 'react-toastify';
+import { useAuth } from '../context/AuthContext';
+import RevisionHistory from './RevisionHistory';
+import WorkflowBadge from './WorkflowBadge';
+import WorkflowHistory from './WorkflowHistory';
+import RecurrenceEditor from './RecurrenceEditor';
+import ValidityWindowsEditor from './ValidityWindowsEditor';
+import TagInput from './TagInput';
+import AudienceEditor from './AudienceEditor';
+import ConflictWarning from './ConflictWarning';
+import { fromApiRecurrence, toApiRecurrence, MAX_RECURRENCE_COUNT } from '../utils/recurrence';
+import { getViewerTimezone, getTimezoneOptions, toZonedInputValue } from '../utils/dates';
+import { getCategoryOptions, getCategoryId } from '../utils/categories';
+import { canTakeWorkflowAction, editReopensReview } from '../utils/workflow';
+import { EMPTY_AUDIENCE, toApiAudience } from '../utils/audience';
+
+const TIMEZONE_OPTIONS = getTimezoneOptions();
+
+// Must match MAX_IMAGES_PER_ITEM on the backend
+const MAX_IMAGES = 10;
+
+// When and where an offer runs: the fields it is checked for conflicts by
+const getScheduleKey = (data) => JSON.stringify([
+  data.startDate,
+  data.endDate,
+  data.timezone,
+  toApiRecurrence(data.recurrence),
+  data.category,
+  data.location
+]);
 
 const ItemForm = () => {
   const { id } = useParams();
   const navigate = useNavigate();
   const isEditing = Boolean(id);
+  const { user } = useAuth();
 
   const [formData, setFormData] = useState({
+    title: '',
+    category: '',
+    location: '',
+    tags: [],
     startDate: '',
     endDate: '',
+    timezone: getViewerTimezone(),
     note: '',
-    image: null
+    recurrence: null,
+    validityWindows: [],
+    publishAt: '',
+    unpublishAt: '',
+    audience: EMPTY_AUDIENCE,
+    images: []
   });
   const [loading, setLoading] = useState(false);
   const [currentImage, setCurrentImage] = useState(null);
+  const [gallery, setGallery] = useState([]);
+  const [galleryBusy, setGalleryBusy] = useState(false);
+  const [duplicatedFrom, setDuplicatedFrom] = useState(null);
+  const [categories, setCategories] = useState([]);
+  // Approval state of the item being edited (new items start as drafts)
+  const [workflow, setWorkflow] = useState({ state: 'draft', reviewComment: '', history: [] });
+  // Offers found overlapping this one when saving, shown before it is saved
+  const [conflictCheck, setConflictCheck] = useState(null);
+  // Schedule of the item as loaded; saving it unchanged is not checked again
+  const [savedScheduleKey, setSavedScheduleKey] = useState(null);
 
   const fetchItem = useCallback(async () => {
     try {
@@ -23,13 +73,34 @@ const ItemForm = () => {
       const response = await apiService.getItem(id);
       const item = response.data.item;
       
-      setFormData({
-        startDate: new Date(item.dateRange.start).toISOString().split('T')[0],
-        endDate: new Date(item.dateRange.end).toISOString().split('T')[0],
+      // Dates are edited as wall-clock times in the offer's timezone
+      const timezone = item.timezone || 'UTC';
+      const loadedData = {
+        title: item.title || '',
+        category: getCategoryId(item.category),
+        location: item.location || '',
+        tags: item.tags || [],
+        startDate: toZonedInputValue(item.dateRange.start, timezone),
+        endDate: toZonedInputValue(item.dateRange.end, timezone),
+        timezone,
         note: item.note,
-        image: null
-      });
+        recurrence: fromApiRecurrence(item.recurrence, timezone),
+        validityWindows: item.validityWindows || [],
+        publishAt: item.publishAt ? toZonedInputValue(item.publishAt, timezone) : '',
+        unpublishAt: item.unpublishAt ? toZonedInputValue(item.unpublishAt, timezone) : '',
+        audience: { ...EMPTY_AUDIENCE, ...item.audience },
+        images: []
+      };
+      setFormData(loadedData);
+      setSavedScheduleKey(getScheduleKey(loadedData));
       setCurrentImage(item.imageUrl);
+      setGallery(item.images || []);
+      setDuplicatedFrom(item.duplicatedFrom || null);
+      setWorkflow({
+        state: item.workflowState,
+        reviewComment: item.reviewComment || '',
+        history: item.workflowHistory || []
+      });
     } catch (error) {
       toast.error('Failed to fetch item');
       navigate('/items');
@@ -44,37 +115,113 @@ const ItemForm = () => {
     }
   }, [isEditing, fetchItem]);
 
+  // Conflicts depend on when and where the offer runs; check again after changes
+  useEffect(() => {
+    setConflictCheck(null);
+  }, [formData.startDate, formData.endDate, formData.timezone, formData.recurrence, formData.category, formData.location]);
+
+  useEffect(() => {
+    const fetchCategories = async () => {
+      try {
+        const response = await apiService.getCategories();
+        setCategories(response.data.categories);
+      } catch (error) {
+        console.error('Fetch categories error:', error);
+      }
+    };
+    fetchCategories();
+  }, []);
+
   const handleChange = (e) => {
     const { name, value, files } = e.target;
     
-    if (name === 'image') {
-      const file = files[0];
-      if (file) {
+    if (name === 'images') {
+      const selectedFiles = Array.from(files);
+      // Reset the input so the same file can be picked again after removing it
+      e.target.value = '';
+      if (selectedFiles.length === 0) {
+        return;
+      }
+
+      const validTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'];
+      const maxSize = 5 * 1024 * 1024; // 5MB in bytes
+
+      for (const file of selectedFiles) {
         // Validate file type
-        const validTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'];
         if (!validTypes.includes(file.type)) {
-          toast.error('Please upload a valid image file (JPEG, PNG, GIF, or WebP)');
-          e.target.value = '';
+          toast.error(`${file.name}: please upload a valid image file (JPEG, PNG, GIF, or WebP)`);
           return;
         }
-        
+
         // Validate file size (max 5MB)
-        const maxSize = 5 * 1024 * 1024; // 5MB in bytes
         if (file.size > maxSize) {
-          toast.error('Image size must be less than 5MB');
-          e.target.value = '';
+          toast.error(`${file.name}: image size must be less than 5MB`);
           return;
         }
-        
-        setFormData({ ...formData, image: file });
-        toast.success('Image selected successfully');
       }
+
+      // Items from before galleries existed still count their single image
+      const existingCount = gallery.length || (currentImage ? 1 : 0);
+      const imageCount = existingCount + formData.images.length + selectedFiles.length;
+      if (imageCount > MAX_IMAGES) {
+        toast.error(`An item can have at most ${MAX_IMAGES} images`);
+        return;
+      }
+
+      setFormData({ ...formData, images: [...formData.images, ...selectedFiles] });
+      toast.success(`${selectedFiles.length} image(s) selected`);
     } else {
       setFormData({ ...formData, [name]: value });
     }
   };
 
+  const handleRemoveSelectedFile = (index) => {
+    setFormData({
+      ...formData,
+      images: formData.images.filter((_, fileIndex) => fileIndex !== index)
+    });
+  };
+
+  // Gallery changes on an existing item are saved immediately
+  const updateGallery = async (request, successMessage) => {
+    try {
+      setGalleryBusy(true);
+      const response = await request();
+      setGallery(response.data.item.images || []);
+      setCurrentImage(response.data.item.imageUrl);
+      toast.success(successMessage);
+    } catch (error) {
+      console.error('Gallery update error:', error);
+      toast.error(error.message || 'Failed to update images');
+    } finally {
+      setGalleryBusy(false);
+    }
+  };
+
+  const handleSetCover = (imageId) => {
+    updateGallery(() => apiService.setItemCoverImage(id, imageId), 'Cover image updated');
+  };
+
+  const handleMoveImage = (index, offset) => {
+    const imageIds = gallery.map(image => image._id);
+    const [moved] = imageIds.splice(index, 1);
+    imageIds.splice(index + offset, 0, moved);
+    updateGallery(() => apiService.reorderItemImages(id, imageIds), 'Images reordered');
+  };
+
+  const handleRemoveImage = (imageId) => {
+    if (!window.confirm('Are you sure you want to remove this image?')) {
+      return;
+    }
+    updateGallery(() => apiService.deleteItemImage(id, imageId), 'Image removed');
+  };
+
   const validateForm = () => {
+    if (!formData.title.trim()) {
+      toast.error('Title is required');
+      return false;
+    }
+
     if (!formData.startDate) {
       toast.error('Start date is required');
       return false;
@@ -93,6 +240,37 @@ const ItemForm = () => {
       return false;
     }
 
+    const { recurrence } = formData;
+    if (recurrence) {
+      const interval = parseInt(recurrence.interval, 10);
+      if (!interval || interval < 1 || interval > 99) {
+        toast.error('Repeat interval must be between 1 and 99');
+        return false;
+      }
+      if (recurrence.ends === 'until' && (!recurrence.until || recurrence.until < formData.startDate.split('T')[0])) {
+        toast.error('The recurrence must not end before the start date');
+        return false;
+      }
+      const count = parseInt(recurrence.count, 10);
+      if (recurrence.ends === 'count' && (!count || count < 1 || count > MAX_RECURRENCE_COUNT)) {
+        toast.error(`Number of occurrences must be between 1 and ${MAX_RECURRENCE_COUNT}`);
+        return false;
+      }
+    }
+
+    const invalidWindow = formData.validityWindows.find(window => (
+      window.days.length === 0 || !window.startTime || !window.endTime || window.startTime === window.endTime
+    ));
+    if (invalidWindow) {
+      toast.error('Each validity window needs at least one weekday and different start and end times');
+      return false;
+    }
+
+    if (formData.publishAt && formData.unpublishAt && new Date(formData.unpublishAt) <= new Date(formData.publishAt)) {
+      toast.error('Unpublish time must be after publish time');
+      return false;
+    }
+
     if (!formData.note.trim()) {
       toast.error('Note/description is required');
       return false;
@@ -103,15 +281,43 @@ const ItemForm = () => {
       return false;
     }
 
-    if (!isEditing && !formData.image) {
-      toast.error('Image is required when creating a new item');
+    if (!isEditing && formData.images.length === 0) {
+      toast.error('At least one image is required when creating a new item');
       return false;
     }
 
     return true;
   };
 
-  const handleSubmit = async (e) => {
+  // Saving can also submit the offer for review: drafts, rejected offers
+  // and published offers an admin edits (which go back to draft)
+  const canSubmitForReview = !isEditing
+    || canTakeWorkflowAction('submit', workflow.state, user?.role)
+    || editReopensReview(workflow.state, user?.role);
+
+  // Look for offers in the same category or location that overlap this one.
+  // Returns the check when there are conflicts to show, otherwise null.
+  const findConflicts = async () => {
+    try {
+      const response = await apiService.checkItemConflicts({
+        itemId: id,
+        startDate: formData.startDate,
+        endDate: formData.endDate,
+        timezone: formData.timezone,
+        recurrence: toApiRecurrence(formData.recurrence),
+        category: formData.category,
+        location: formData.location
+      });
+      return response.data.conflicts.length > 0 ? response.data : null;
+    } catch (error) {
+      // Saving checks again, so a failed check does not stop it
+      console.error('Check conflicts error:', error);
+      return null;
+    }
+  };
+
+  // overrideConflicts saves despite the conflicts the user was shown
+  const handleSubmit = async (e, submitForReview = false, overrideConflicts = false) => {
     e.preventDefault();
     
     if (!validateForm()) {
@@ -120,24 +326,63 @@ const ItemForm = () => {
 
     setLoading(true);
 
+    if (!overrideConflicts && getScheduleKey(formData) !== savedScheduleKey) {
+      const check = await findConflicts();
+      if (check) {
+        setConflictCheck({ ...check, submitForReview });
+        setLoading(false);
+        return;
+      }
+    }
+
     try {
       const submitData = new FormData();
+      submitData.append('title', formData.title);
+      // An empty category leaves the item uncategorised
+      submitData.append('category', formData.category);
+      submitData.append('location', formData.location);
+      submitData.append('tags', JSON.stringify(formData.tags));
       submitData.append('startDate', formData.startDate);
       submitData.append('endDate', formData.endDate);
+      submitData.append('timezone', formData.timezone);
       submitData.append('note', formData.note);
+      // An empty value makes the item a one-off offer
+      const recurrence = toApiRecurrence(formData.recurrence);
+      submitData.append('recurrence', recurrence ? JSON.stringify(recurrence) : '');
+      submitData.append('validityWindows', JSON.stringify(formData.validityWindows));
+      // Empty values show the offer right away and until it is deleted
+      submitData.append('publishAt', formData.publishAt);
+      submitData.append('unpublishAt', formData.unpublishAt);
+      // An empty audience makes the offer visible to everyone
+      submitData.append('audience', JSON.stringify(toApiAudience(formData.audience)));
       
-      if (formData.image) {
-        submitData.append('image', formData.image);
+      if (overrideConflicts) {
+        submitData.append('overrideConflicts', 'true');
       }
+      
+      formData.images.forEach(file => {
+        submitData.append('images', file);
+      });
 
+      let response;
       if (isEditing) {
-        await apiService.updateItem(id, submitData);
+        response = await apiService.updateItem(id, submitData);
         toast.success('✅ Item updated successfully');
       } else {
-        await apiService.createItem(submitData);
+        response = await apiService.createItem(submitData);
         toast.success('✅ Item created successfully');
       }
 
+      const savedItem = response.data.item;
+      if (!overrideConflicts && response.data.conflicts?.length > 0) {
+        toast.warning(`⚠️ This offer overlaps ${response.data.conflicts.length} other offer(s)`);
+      }
+      // An unchanged published offer stays published
+      if (submitForReview && canTakeWorkflowAction('submit', savedItem.workflowState, user?.role)) {
+        await apiService.updateItemWorkflow(savedItem._id, 'submit');
+        toast.success('📤 Submitted for review');
+      }
+
       navigate('/dashboard');
     } catch (error) {
       console.error('Form submission error:', error);
@@ -206,6 +451,16 @@ const ItemForm = () => {
         <p className="page-subtitle" style={{ color: '#6b7280' }}>
           {isEditing ? 'Update item details' : 'Add a new item to the system'}
         </p>
+        {isEditing && editReopensReview(workflow.state, user?.role) && (
+          <p style={{ color: '#b45309', fontSize: '0.9em' }}>
+            ⚠️ This offer is published. Saving changes takes it back to draft until it is approved again.
+          </p>
+        )}
+        {isEditing && duplicatedFrom && (
+          <p style={{ color: '#6b7280', fontSize: '0.9em' }}>
+            📋 Copied from <Link to={`/items/edit/${duplicatedFrom}`} style={{ color: '#11998e' }}>an earlier offer</Link>
+          </p>
+        )}
       </div>
 
       <div className="card" style={{
@@ -215,6 +470,126 @@ const ItemForm = () => {
       }}>
         <div className="card-content" style={{ padding: 'clamp(20px, 4vw, 32px)' }}>
           <form onSubmit={handleSubmit}>
+            <div className="form-group" style={{ marginBottom: '24px' }}>
+              <label htmlFor="title" className="form-label" style={{
+                display: 'block',
+                marginBottom: '8px',
+                fontWeight: '600',
+                color: '#374151',
+                fontSize: '0.95em'
+              }}>
+                🏷️ Title <span style={{ color: '#ef4444' }}>*</span>
+              </label>
+              <input
+                type="text"
+                id="title"
+                name="title"
+                className="form-input"
+                value={formData.title}
+                onChange={handleChange}
+                required
+                maxLength={120}
+                disabled={loading}
+                placeholder="e.g. Two-for-one lunch menu"
+                style={{
+                  width: '100%',
+                  padding: '12px 16px',
+                  fontSize: '1em',
+                  borderRadius: '10px',
+                  border: '2px solid #e5e7eb',
+                  transition: 'all 0.2s'
+                }}
+                onFocus={(e) => e.target.style.borderColor = '#667eea'}
+                onBlur={(e) => e.target.style.borderColor = '#e5e7eb'}
+              />
+            </div>
+
+            <div className="form-group" style={{ marginBottom: '24px' }}>
+              <label htmlFor="category" className="form-label" style={{
+                display: 'block',
+                marginBottom: '8px',
+                fontWeight: '600',
+                color: '#374151',
+                fontSize: '0.95em'
+              }}>
+                📂 Category
+              </label>
+              <select
+                id="category"
+                name="category"
+                className="form-input"
+                value={formData.category}
+                onChange={handleChange}
+                disabled={loading}
+                style={{
+                  width: '100%',
+                  padding: '12px 16px',
+                  fontSize: '1em',
+                  borderRadius: '10px',
+                  border: '2px solid #e5e7eb'
+                }}
+              >
+                <option value="">— No category —</option>
+                {getCategoryOptions(categories).map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="form-group" style={{ marginBottom: '24px' }}>
+              <label htmlFor="location" className="form-label" style={{
+                display: 'block',
+                marginBottom: '8px',
+                fontWeight: '600',
+                color: '#374151',
+                fontSize: '0.95em'
+              }}>
+                📍 Location
+              </label>
+              <input
+                type="text"
+                id="location"
+                name="location"
+                className="form-input"
+                value={formData.location}
+                onChange={handleChange}
+                maxLength={120}
+                disabled={loading}
+                placeholder="e.g. Downtown store"
+                style={{
+                  width: '100%',
+                  padding: '12px 16px',
+                  fontSize: '1em',
+                  borderRadius: '10px',
+                  border: '2px solid #e5e7eb',
+                  transition: 'all 0.2s'
+                }}
+                onFocus={(e) => e.target.style.borderColor = '#667eea'}
+                onBlur={(e) => e.target.style.borderColor = '#e5e7eb'}
+              />
+              <p className="form-help" style={{ color: '#6b7280', fontSize: '0.85em', marginTop: '6px' }}>
+                Offers in the same category or at the same location are checked for overlapping dates.
+              </p>
+            </div>
+
+            <div className="form-group" style={{ marginBottom: '24px' }}>
+              <label className="form-label" style={{
+                display: 'block',
+                marginBottom: '8px',
+                fontWeight: '600',
+                color: '#374151',
+                fontSize: '0.95em'
+              }}>
+                🔖 Tags
+                <span style={{ color: '#6b7280', fontWeight: 'normal', fontSize: '0.9em' }}> (press Enter or comma to add)</span>
+              </label>
+              <TagInput
+                value={formData.tags}
+                onChange={(tags) => setFormData({ ...formData, tags })}
+                disabled={loading}
+              />
+            </div>
+
             <div className="form-group" style={{ marginBottom: '24px' }}>
               <label htmlFor="startDate" className="form-label" style={{
                 display: 'block',
@@ -223,10 +598,10 @@ const ItemForm = () => {
                 color: '#374151',
                 fontSize: '0.95em'
               }}>
-                📅 Start Date <span style={{ color: '#ef4444' }}>*</span>
+                📅 Start <span style={{ color: '#ef4444' }}>*</span>
               </label>
               <input
-                type="date"
+                type="datetime-local"
                 id="startDate"
                 name="startDate"
                 className="form-input"
@@ -255,10 +630,10 @@ const ItemForm = () => {
                 color: '#374151',
                 fontSize: '0.95em'
               }}>
-                📅 End Date <span style={{ color: '#ef4444' }}>*</span>
+                📅 End <span style={{ color: '#ef4444' }}>*</span>
               </label>
               <input
-                type="date"
+                type="datetime-local"
                 id="endDate"
                 name="endDate"
                 className="form-input"
@@ -279,6 +654,107 @@ const ItemForm = () => {
               />
             </div>
 
+            <div className="form-group" style={{ marginBottom: '24px' }}>
+              <label htmlFor="timezone" className="form-label" style={{
+                display: 'block',
+                marginBottom: '8px',
+                fontWeight: '600',
+                color: '#374151',
+                fontSize: '0.95em'
+              }}>
+                🌍 Timezone <span style={{ color: '#ef4444' }}>*</span>
+              </label>
+              <select
+                id="timezone"
+                name="timezone"
+                className="form-input"
+                value={formData.timezone}
+                onChange={handleChange}
+                required
+                disabled={loading}
+                style={{
+                  width: '100%',
+                  padding: '12px 16px',
+                  fontSize: '1em',
+                  borderRadius: '10px',
+                  border: '2px solid #e5e7eb'
+                }}
+              >
+                {!TIMEZONE_OPTIONS.includes(formData.timezone) && (
+                  <option value={formData.timezone}>{formData.timezone}</option>
+                )}
+                {TIMEZONE_OPTIONS.map(timezone => (
+                  <option key={timezone} value={timezone}>{timezone}</option>
+                ))}
+              </select>
+              <p style={{ fontSize: '0.85em', color: '#6b7280', marginTop: '8px' }}>
+                Start, end, repeats and validity windows are local times in this timezone.
+                {isEditing && ' Changing it keeps the same local times.'}
+              </p>
+            </div>
+
+            <RecurrenceEditor
+              value={formData.recurrence}
+              onChange={(recurrence) => setFormData({ ...formData, recurrence })}
+              disabled={loading}
+            />
+
+            <ValidityWindowsEditor
+              value={formData.validityWindows}
+              onChange={(validityWindows) => setFormData({ ...formData, validityWindows })}
+              disabled={loading}
+            />
+
+            <div className="form-group" style={{ marginBottom: '24px' }}>
+              <span className="form-label" style={{
+                display: 'block',
+                marginBottom: '8px',
+                fontWeight: '600',
+                color: '#374151',
+                fontSize: '0.95em'
+              }}>
+                🗓️ Publishing schedule
+              </span>
+              <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))', gap: '12px' }}>
+                {[
+                  { name: 'publishAt', label: 'Show from' },
+                  { name: 'unpublishAt', label: 'Hide from' }
+                ].map(({ name, label }) => (
+                  <div key={name}>
+                    <label htmlFor={name} style={{ display: 'block', fontSize: '0.85em', color: '#6b7280', marginBottom: '4px' }}>
+                      {label}
+                    </label>
+                    <input
+                      type="datetime-local"
+                      id={name}
+                      name={name}
+                      className="form-input"
+                      value={formData[name]}
+                      onChange={handleChange}
+                      disabled={loading}
+                      style={{
+                        width: '100%',
+                        padding: '12px 16px',
+                        fontSize: '1em',
+                        borderRadius: '10px',
+                        border: '2px solid #e5e7eb'
+                      }}
+                    />
+                  </div>
+                ))}
+              </div>
+              <p style={{ fontSize: '0.85em', color: '#6b7280', marginTop: '8px' }}>
+                When users see the offer in their lists, independent of its start and end. Leave empty to show it as soon as
+                it is published and until it is deleted.
+              </p>
+            </div>
+
+            <AudienceEditor
+              value={formData.audience}
+              onChange={(audience) => setFormData({ ...formData, audience })}
+              disabled={loading}
+            />
+
             <div className="form-group" style={{ marginBottom: '24px' }}>
               <label htmlFor="note" className="form-label" style={{
                 display: 'block',
@@ -315,24 +791,25 @@ const ItemForm = () => {
             </div>
 
             <div className="form-group">
-              <label htmlFor="image" className="form-label">
-                Image {!isEditing && <span style={{ color: '#ef4444' }}>*</span>}
-                {isEditing && <span style={{ color: '#6b7280', fontSize: '0.9em' }}> (leave empty to keep current image)</span>}
+              <label htmlFor="images" className="form-label">
+                Images {!isEditing && <span style={{ color: '#ef4444' }}>*</span>}
+                {isEditing && <span style={{ color: '#6b7280', fontSize: '0.9em' }}> (selected images are added to the gallery)</span>}
               </label>
               <input
                 type="file"
-                id="image"
-                name="image"
+                id="images"
+                name="images"
                 className="form-input"
                 onChange={handleChange}
                 accept="image/jpeg,image/jpg,image/png,image/gif,image/webp"
+                multiple
                 disabled={loading}
-                {...(!isEditing && { required: true })}
               />
               <p style={{ fontSize: '0.85em', color: '#6b7280', marginTop: '8px' }}>
-                📸 Supported formats: JPEG, PNG, GIF, WebP | Max size: 5MB
+                📸 Supported formats: JPEG, PNG, GIF, WebP | Max size: 5MB per image | Up to {MAX_IMAGES} images
+                {!isEditing && ' | The first image becomes the cover'}
               </p>
-              {formData.image && (
+              {formData.images.length > 0 && (
                 <div style={{ 
                   marginTop: '12px', 
                   padding: '10px', 
@@ -341,10 +818,111 @@ const ItemForm = () => {
                   color: '#22c55e',
                   fontSize: '0.9em'
                 }}>
-                  ✅ Selected: {formData.image.name} ({(formData.image.size / 1024 / 1024).toFixed(2)} MB)
+                  {formData.images.map((file, index) => (
+                    <div key={`${file.name}-${index}`} style={{
+                      display: 'flex',
+                      alignItems: 'center',
+                      justifyContent: 'space-between',
+                      gap: '8px',
+                      padding: '4px 0'
+                    }}>
+                      <span>✅ {file.name} ({(file.size / 1024 / 1024).toFixed(2)} MB)</span>
+                      <button
+                        type="button"
+                        onClick={() => handleRemoveSelectedFile(index)}
+                        disabled={loading}
+                        style={{
+                          background: 'none',
+                          border: 'none',
+                          color: '#ef4444',
+                          cursor: 'pointer',
+                          fontWeight: '600'
+                        }}
+                      >
+                        ✕ Remove
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+              {isEditing && gallery.length > 0 && (
+                <div className="mt-2">
+                  <p className="form-help" style={{ fontWeight: '600', marginBottom: '8px' }}>Current images:</p>
+                  <div style={{ display: 'flex', flexWrap: 'wrap', gap: '12px' }}>
+                    {gallery.map((image, index) => (
+                      <div key={image._id} style={{
+                        width: '140px',
+                        border: image.isCover ? '2px solid #11998e' : '2px solid #e5e7eb',
+                        borderRadius: '8px',
+                        padding: '6px',
+                        background: 'white'
+                      }}>
+                        <img
+                          src={image.variants?.thumbnail?.url || image.url}
+                          alt={image.originalName || `Item image ${index + 1}`}
+                          style={{ 
+                            width: '100%', 
+                            height: '100px', 
+                            objectFit: 'cover',
+                            borderRadius: '6px'
+                          }}
+                        />
+                        <div style={{
+                          display: 'flex',
+                          justifyContent: 'space-between',
+                          alignItems: 'center',
+                          marginTop: '6px',
+                          fontSize: '0.8em'
+                        }}>
+                          {image.isCover ? (
+                            <span style={{ color: '#11998e', fontWeight: '600' }}>★ Cover</span>
+                          ) : (
+                            <button
+                              type="button"
+                              onClick={() => handleSetCover(image._id)}
+                              disabled={galleryBusy}
+                              title="Use as cover image"
+                              style={{ background: 'none', border: 'none', color: '#6b7280', cursor: 'pointer', padding: 0 }}
+                            >
+                              ☆ Cover
+                            </button>
+                          )}
+                          <span style={{ display: 'flex', gap: '4px' }}>
+                            <button
+                              type="button"
+                              onClick={() => handleMoveImage(index, -1)}
+                              disabled={galleryBusy || index === 0}
+                              title="Move left"
+                              style={{ background: 'none', border: 'none', cursor: 'pointer', padding: '0 2px' }}
+                            >
+                              ◀
+                            </button>
+                            <button
+                              type="button"
+                              onClick={() => handleMoveImage(index, 1)}
+                              disabled={galleryBusy || index === gallery.length - 1}
+                              title="Move right"
+                              style={{ background: 'none', border: 'none', cursor: 'pointer', padding: '0 2px' }}
+                            >
+                              ▶
+                            </button>
+                            <button
+                              type="button"
+                              onClick={() => handleRemoveImage(image._id)}
+                              disabled={galleryBusy || gallery.length === 1}
+                              title="Remove image"
+                              style={{ background: 'none', border: 'none', color: '#ef4444', cursor: 'pointer', padding: '0 2px' }}
+                            >
+                              ✕
+                            </button>
+                          </span>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
                 </div>
               )}
-              {currentImage && (
+              {isEditing && gallery.length === 0 && currentImage && (
                 <div className="mt-2">
                   <p className="form-help" style={{ fontWeight: '600', marginBottom: '8px' }}>Current image:</p>
                   <img
@@ -362,6 +940,15 @@ const ItemForm = () => {
               )}
             </div>
 
+            {conflictCheck && (
+              <ConflictWarning
+                check={conflictCheck}
+                onOverride={(e) => handleSubmit(e, conflictCheck.submitForReview, true)}
+                onCancel={() => setConflictCheck(null)}
+                disabled={loading}
+              />
+            )}
+
             <div className="d-flex gap-2">
               <button
                 type="submit"
@@ -373,6 +960,16 @@ const ItemForm = () => {
                   : `${isEditing ? 'Update' : 'Create'} Item`
                 }
               </button>
+              {canSubmitForReview && (
+                <button
+                  type="button"
+                  className="btn btn-secondary"
+                  onClick={(e) => handleSubmit(e, true)}
+                  disabled={loading}
+                >
+                  📤 Save &amp; Submit for Review
+                </button>
+              )}
               <Link to="/items" className="btn btn-secondary">
                 Cancel
               </Link>
@@ -380,6 +977,29 @@ const ItemForm = () => {
           </form>
         </div>
       </div>
+
+      {isEditing && (
+        <div className="card" style={{
+          borderRadius: '12px',
+          boxShadow: '0 4px 12px rgba(0, 0, 0, 0.08)',
+          border: 'none',
+          marginTop: '24px',
+          padding: 'clamp(20px, 4vw, 32px)'
+        }}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginBottom: '12px', flexWrap: 'wrap' }}>
+            <h2 style={{ fontSize: '1.2em', fontWeight: '600', margin: 0 }}>📝 Review</h2>
+            <WorkflowBadge state={workflow.state} />
+          </div>
+          {workflow.state === 'rejected' && workflow.reviewComment && (
+            <p style={{ background: '#fee2e2', color: '#991b1b', padding: '10px 14px', borderRadius: '8px', whiteSpace: 'pre-wrap' }}>
+              Reviewer: {workflow.reviewComment}
+            </p>
+          )}
+          <WorkflowHistory history={workflow.history} />
+        </div>
+      )}
+
+      {isEditing && <RevisionHistory itemId={id} onRestored={fetchItem} categories={categories} />}
     </div>
   );
 };
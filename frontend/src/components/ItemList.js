@@ -1,51 +1,277 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { Link } from 'react-router-dom';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { Link, useSearchParams, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import apiService from '../services/api';
 import { toast } from 'react-toastify';
 import { hasPermissions } from '../utils/permissions';
+import { getThumbnailUrl } from '../utils/images';
+import ImageLightbox from './ImageLightbox';
+import { showUndoToast } from './UndoToast';
+import StatusBadge from './StatusBadge';
+import WorkflowBadge from './WorkflowBadge';
+import BulkActionBar from './BulkActionBar';
+import RenewDialog from './RenewDialog';
+import CalendarFeedDialog from './CalendarFeedDialog';
+import { STATUS_TABS, DEFAULT_STATUS_TAB, getStatusParam } from '../utils/status';
+import { canTakeWorkflowAction } from '../utils/workflow';
+import { describeSchedule } from '../utils/schedule';
+import { isEveryone, describeAudience, parsePreviewAs } from '../utils/audience';
+import { describeRecurrence } from '../utils/recurrence';
+import { formatInTimezone } from '../utils/dates';
+import { describeValidityWindow } from '../utils/validityWindows';
+import LiveBadge from './LiveBadge';
+import ZonedDateRange from './ZonedDateRange';
+import TagInput from './TagInput';
+import HighlightedText, { getHighlight } from './HighlightedText';
+import FilterDrawer from './FilterDrawer';
+import LoadMoreSentinel from './LoadMoreSentinel';
+import { DEFAULT_SORT, DEFAULT_ORDER, DATE_FILTERS, getListQueryParams, countActiveFilters, getNextSort } from '../utils/itemFilters';
+import { getCategoryOptions, describeCategory } from '../utils/categories';
+import { parseTagList } from '../utils/tags';
+import { downloadBlob, getExportFilename } from '../utils/download';
+
+// Button that sorts the list by `column`, showing the current direction
+const SortButton = ({ label, column, sort, order, onSort }) => {
+  const active = sort === column;
+  return (
+    <button
+      type="button"
+      onClick={() => onSort(column)}
+      aria-label={`Sort by ${label.toLowerCase()}`}
+      style={{
+        background: 'none',
+        border: 'none',
+        padding: 0,
+        font: 'inherit',
+        fontWeight: active ? '700' : 'inherit',
+        color: 'inherit',
+        cursor: 'pointer'
+      }}
+    >
+      {label} {active ? (order === 'asc' ? '▲' : '▼') : <span style={{ color: '#d1d5db' }}>↕</span>}
+    </button>
+  );
+};
 
 const ItemList = () => {
   const [items, setItems] = useState([]);
   const [loading, setLoading] = useState(true);
   const [pagination, setPagination] = useState({});
   const [search, setSearch] = useState('');
-  const [page, setPage] = useState(1);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [selectedImage, setSelectedImage] = useState(null);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [bulkBusy, setBulkBusy] = useState(false);
+  const [renewingItem, setRenewingItem] = useState(null);
+  const [duplicating, setDuplicating] = useState(false);
+  const [submittingId, setSubmittingId] = useState(null);
+  const [categories, setCategories] = useState([]);
+  const [filtersOpen, setFiltersOpen] = useState(false);
+  const [users, setUsers] = useState([]);
+  const [groups, setGroups] = useState([]);
+  const [exporting, setExporting] = useState(null);
+  const [feedOpen, setFeedOpen] = useState(false);
+  const navigate = useNavigate();
   
   const { user } = useAuth();
 
+  // The status tab lives in the URL (?status=expired) so filtered lists can be linked to
+  const requestedTab = searchParams.get('status');
+  const statusTab = STATUS_TABS.some(tab => tab.value === requestedTab) ? requestedTab : DEFAULT_STATUS_TAB;
+  const activeTab = STATUS_TABS.find(tab => tab.value === statusTab);
+  // ?live=true narrows the list to offers that can be used right now
+  const liveOnly = searchParams.get('live') === 'true';
+  // ?schedule=scheduled is the admins' view of items not shown to users yet
+  const scheduledOnly = searchParams.get('schedule') === 'scheduled';
+  // ?category= includes subcategories, ?tags=a,b requires every tag
+  const categoryFilter = searchParams.get('category') || '';
+  const tagsParam = searchParams.get('tags');
+  const tagFilter = useMemo(() => parseTagList(tagsParam), [tagsParam]);
+  // Sort, date ranges and creator from the filter drawer and column headers
+  const listParams = useMemo(() => getListQueryParams(searchParams), [searchParams]);
+  const listParamsKey = JSON.stringify(listParams);
+  const sort = listParams.sort || (search ? 'relevance' : DEFAULT_SORT);
+  const order = listParams.order || DEFAULT_ORDER;
+  const activeFilterCount = countActiveFilters(searchParams);
+
   const canCreate = hasPermissions(user?.role, ['create']);
   const canUpdate = hasPermissions(user?.role, ['update']);
   const canDelete = hasPermissions(user?.role, ['delete']);
+  const canSelect = canUpdate || canDelete;
+
+  // ?previewAs=role:user, group:<name> or user:<id> shows admins the list as
+  // that audience sees it
+  const previewAs = canUpdate ? (searchParams.get('previewAs') || '') : '';
+  const preview = parsePreviewAs(previewAs);
+
+  // Query of the current list. Pages are fetched by cursor so that rows do not
+  // shift while scrolling, except relevance-ranked search results, which the
+  // API can only page by number.
+  const getListParams = useCallback(() => {
+    const params = { search, limit: 20, ...JSON.parse(listParamsKey) };
+    if (search && (params.sort || 'relevance') === 'relevance') {
+      params.page = 1;
+    } else {
+      params.pagination = 'cursor';
+    }
+    const status = getStatusParam(statusTab);
+    if (status) {
+      params.status = status;
+    }
+    if (liveOnly) {
+      params.validNow = true;
+    }
+    if (scheduledOnly) {
+      params.scheduleStatus = 'scheduled';
+    }
+    if (categoryFilter) {
+      params.category = categoryFilter;
+    }
+    if (tagFilter.length > 0) {
+      params.tags = tagFilter.join(',');
+    }
+    if (previewAs) {
+      params.previewAs = previewAs;
+    }
+    return params;
+  }, [search, statusTab, liveOnly, scheduledOnly, categoryFilter, tagFilter, previewAs, listParamsKey]);
 
+  // Load the first page again (after a filter change or an edit)
   const fetchItems = useCallback(async () => {
     try {
       setLoading(true);
-      const params = { page, search, limit: 10, showExpired: 'false' };
+      const params = getListParams();
       console.log('ItemList - Fetching with params:', params);
       const response = await apiService.getItems(params);
       console.log('ItemList - Items received:', response.data.items);
       setItems(response.data.items);
       setPagination(response.data.pagination);
     } catch (error) {
-      toast.error('Failed to fetch items');
+      // e.g. a search made only of excluded words
+      toast.error(error.message || 'Failed to fetch items');
       console.error('Fetch items error:', error);
     } finally {
       setLoading(false);
     }
-  }, [page, search]);
+  }, [getListParams]);
 
   useEffect(() => {
     fetchItems();
   }, [fetchItems]);
 
+  // Append the next page when the end of the list scrolls into view
+  const loadMoreItems = async () => {
+    if (loadingMore || !pagination.hasNext) {
+      return;
+    }
+    try {
+      setLoadingMore(true);
+      const params = getListParams();
+      if (pagination.nextCursor) {
+        params.after = pagination.nextCursor;
+      } else {
+        params.page = pagination.currentPage + 1;
+      }
+      const response = await apiService.getItems(params);
+      setItems(current => [...current, ...response.data.items]);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      toast.error(error.message || 'Failed to load more items');
+      console.error('Load more items error:', error);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  useEffect(() => {
+    const fetchCategories = async () => {
+      try {
+        const response = await apiService.getCategories();
+        setCategories(response.data.categories);
+      } catch (error) {
+        console.error('Fetch categories error:', error);
+      }
+    };
+    fetchCategories();
+  }, []);
+
+  // Groups to preview the list as
+  useEffect(() => {
+    if (!canUpdate) {
+      return;
+    }
+    const fetchGroups = async () => {
+      try {
+        const response = await apiService.getUserGroups();
+        setGroups(response.data.groups);
+      } catch (error) {
+        console.error('Fetch user groups error:', error);
+      }
+    };
+    fetchGroups();
+  }, [canUpdate]);
+
+  // Users for the "Created by" filter (only super admins can list them)
+  useEffect(() => {
+    if (!filtersOpen || user?.role !== 'super_admin' || users.length > 0) {
+      return;
+    }
+    const fetchUsers = async () => {
+      try {
+        const response = await apiService.getUsers({ limit: 100 });
+        setUsers(response.data.users);
+      } catch (error) {
+        console.error('Fetch users error:', error);
+      }
+    };
+    fetchUsers();
+  }, [filtersOpen, user?.role, users.length]);
+
+  // A selection only applies to the list it was made in
+  useEffect(() => {
+    setSelectedIds([]);
+  }, [search, statusTab, liveOnly, scheduledOnly, categoryFilter, tagFilter, previewAs, listParamsKey]);
+
   const handleSearch = (e) => {
     e.preventDefault();
-    setPage(1);
     fetchItems();
   };
 
+  // Change URL filters, keeping the others
+  const updateFilterParams = (changes) => {
+    const nextParams = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value) {
+        nextParams.set(key, value);
+      } else {
+        nextParams.delete(key);
+      }
+    });
+    setSearchParams(nextParams);
+  };
+
+  const handleTabChange = (tabValue) => {
+    updateFilterParams({ status: tabValue === DEFAULT_STATUS_TAB ? null : tabValue });
+  };
+
+  const handleTagFilterChange = (tags) => {
+    updateFilterParams({ tags: tags.join(',') });
+  };
+
+  const handleSort = (column) => {
+    updateFilterParams(getNextSort(column, sort, order));
+  };
+
+  const handleClearFilters = () => {
+    const changes = { sort: null, order: null, createdBy: null, workflowState: null };
+    DATE_FILTERS.forEach(({ from, to }) => {
+      changes[from] = null;
+      changes[to] = null;
+    });
+    updateFilterParams(changes);
+  };
+
   const handleDelete = async (itemId) => {
     if (!window.confirm('Are you sure you want to delete this item?')) {
       return;
@@ -53,7 +279,7 @@ const ItemList = () => {
 
     try {
       await apiService.deleteItem(itemId);
-      toast.success('Item deleted successfully');
+      showUndoToast('Item moved to the trash', () => handleUndoDelete(itemId));
       fetchItems();
     } catch (error) {
       toast.error('Failed to delete item');
@@ -61,6 +287,173 @@ const ItemList = () => {
     }
   };
 
+  const handleUndoDelete = async (itemId) => {
+    try {
+      await apiService.restoreItem(itemId);
+      toast.success('Item restored');
+      fetchItems();
+    } catch (error) {
+      toast.error('Failed to restore item');
+      console.error('Restore item error:', error);
+    }
+  };
+
+  // Download every item of the current list (all pages) as CSV or Excel
+  const handleExport = async (format) => {
+    const { page, pagination: paginationMode, limit, ...params } = getListParams();
+    try {
+      setExporting(format);
+      const file = await apiService.exportItems({ ...params, format });
+      downloadBlob(file, getExportFilename(`offers-${statusTab}`, format));
+    } catch (error) {
+      toast.error(error.message || 'Failed to export items');
+      console.error('Export items error:', error);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  // Filters of a calendar feed of the current list. Feeds always show the
+  // subscriber's own view, so an audience preview is left out.
+  const getFeedFilters = () => {
+    const { page, pagination: paginationMode, limit, previewAs: previewParam, ...params } = getListParams();
+    return params;
+  };
+
+  // Copy an item and open the copy for editing
+  const handleDuplicate = async (itemId) => {
+    try {
+      setDuplicating(true);
+      const response = await apiService.duplicateItem(itemId);
+      toast.success('Item duplicated');
+      if (response.data.conflicts?.length > 0) {
+        toast.warning(`⚠️ The copy overlaps ${response.data.conflicts.length} other offer(s)`);
+      }
+      navigate(`/items/edit/${response.data.item._id}`);
+    } catch (error) {
+      toast.error(error.message || 'Failed to duplicate item');
+      console.error('Duplicate item error:', error);
+    } finally {
+      setDuplicating(false);
+    }
+  };
+
+  // Send a draft (or a rejected offer) to the review queue
+  const handleSubmitForReview = async (item) => {
+    try {
+      setSubmittingId(item._id);
+      const response = await apiService.updateItemWorkflow(item._id, 'submit');
+      toast.success('Submitted for review');
+      setItems(prev => prev.map(i => (i._id === item._id ? { ...i, ...response.data.item } : i)));
+    } catch (error) {
+      toast.error(error.message || 'Failed to submit for review');
+      console.error('Submit for review error:', error);
+    } finally {
+      setSubmittingId(null);
+    }
+  };
+
+  // Create a copy of an expired item for a new period; like every new
+  // offer it is a draft until it has been reviewed
+  const handleRenew = async (period) => {
+    try {
+      setDuplicating(true);
+      const response = await apiService.duplicateItem(renewingItem._id, period);
+      toast.success('Offer renewed as a draft');
+      if (response.data.conflicts?.length > 0) {
+        toast.warning(`⚠️ The renewed offer overlaps ${response.data.conflicts.length} other offer(s)`);
+      }
+      setRenewingItem(null);
+      fetchItems();
+    } catch (error) {
+      toast.error(error.message || 'Failed to renew offer');
+      console.error('Renew item error:', error);
+    } finally {
+      setDuplicating(false);
+    }
+  };
+
+  const toggleSelected = (itemId) => {
+    setSelectedIds(current => (
+      current.includes(itemId) ? current.filter(id => id !== itemId) : [...current, itemId]
+    ));
+  };
+
+  const allSelected = items.length > 0 && items.every(item => selectedIds.includes(item._id));
+
+  const toggleSelectAll = () => {
+    setSelectedIds(allSelected ? [] : items.map(item => item._id));
+  };
+
+  // Run a bulk request and report its per-item results. Failed items stay
+  // selected so the action can be retried after fixing them.
+  const runBulkAction = async (request, onSuccess) => {
+    try {
+      setBulkBusy(true);
+      const response = await request(selectedIds);
+      const { succeeded, results } = response.data;
+      const failures = results.filter(result => !result.success);
+
+      if (succeeded > 0) {
+        if (onSuccess) {
+          onSuccess(results.filter(result => result.success).map(result => result.id), response.message);
+        } else {
+          toast.success(response.message);
+        }
+      }
+      if (failures.length > 0) {
+        const details = failures.slice(0, 3).map(failure => failure.message).join('; ');
+        toast.error(`${failures.length} item(s) failed: ${details}${failures.length > 3 ? '; ...' : ''}`);
+      }
+
+      setSelectedIds(failures.map(failure => failure.id));
+      fetchItems();
+    } catch (error) {
+      toast.error(error.message || 'Bulk action failed');
+      console.error('Bulk action error:', error);
+    } finally {
+      setBulkBusy(false);
+    }
+  };
+
+  const handleBulkSetEndDate = (endDate) => {
+    runBulkAction(itemIds => apiService.bulkUpdateEndDate(itemIds, { endDate }));
+  };
+
+  const handleBulkShiftEndDate = (shiftDays) => {
+    runBulkAction(itemIds => apiService.bulkUpdateEndDate(itemIds, { shiftDays }));
+  };
+
+  const handleBulkSetStatus = (status) => {
+    runBulkAction(itemIds => apiService.bulkUpdateStatus(itemIds, status));
+  };
+
+  const handleBulkSetCategory = (category) => {
+    runBulkAction(itemIds => apiService.bulkUpdateCategory(itemIds, category));
+  };
+
+  const handleBulkDelete = () => {
+    if (!window.confirm(`Are you sure you want to delete ${selectedIds.length} item(s)?`)) {
+      return;
+    }
+    runBulkAction(
+      itemIds => apiService.bulkDeleteItems(itemIds),
+      (deletedIds, message) => showUndoToast(message, () => handleUndoBulkDelete(deletedIds))
+    );
+  };
+
+  const handleUndoBulkDelete = async (itemIds) => {
+    try {
+      await Promise.all(itemIds.map(itemId => apiService.restoreItem(itemId)));
+      toast.success(`${itemIds.length} item(s) restored`);
+      fetchItems();
+    } catch (error) {
+      toast.error('Failed to restore some items');
+      console.error('Restore items error:', error);
+      fetchItems();
+    }
+  };
+
   if (loading) {
     return (
       <div className="loading-container">
@@ -105,22 +498,6 @@ const ItemList = () => {
             <p className="page-subtitle" style={{ color: '#6b7280', fontSize: 'clamp(0.9em, 2.5vw, 1em)' }}>Manage your items</p>
           </div>
           <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap' }}>
-            <Link to="/items/expired" className="btn" style={{
-              background: 'linear-gradient(135deg, #ef4444 0%, #dc2626 100%)',
-              border: 'none',
-              padding: '12px 24px',
-              borderRadius: '10px',
-              fontWeight: '600',
-              textDecoration: 'none',
-              color: 'white',
-              boxShadow: '0 4px 12px rgba(239, 68, 68, 0.3)',
-              transition: 'transform 0.2s'
-            }}
-            onMouseEnter={(e) => e.currentTarget.style.transform = 'translateY(-2px)'}
-            onMouseLeave={(e) => e.currentTarget.style.transform = 'translateY(0)'}
-            >
-              🚫 Currently No Offer
-            </Link>
             {canCreate && (
               <Link to="/items/create" className="btn btn-primary" style={{
                 background: 'linear-gradient(135deg, #11998e 0%, #38ef7d 100%)',
@@ -139,6 +516,16 @@ const ItemList = () => {
                 ➕ Create New Item
               </Link>
             )}
+            {canCreate && (
+              <Link to="/items/import" className="btn btn-secondary" style={{
+                padding: '12px 24px',
+                borderRadius: '10px',
+                fontWeight: '600',
+                textDecoration: 'none'
+              }}>
+                📥 Import
+              </Link>
+            )}
           </div>
         </div>
       </div>
@@ -154,7 +541,7 @@ const ItemList = () => {
             <input
               type="text"
               className="form-input"
-              placeholder="🔍 Search items by note..."
+              placeholder='🔍 Search title, tags and note ("exact phrase", -exclude)'
               value={search}
               onChange={(e) => setSearch(e.target.value)}
               style={{
@@ -189,9 +576,244 @@ const ItemList = () => {
               Search
             </button>
           </form>
+
+          {/* Category and tag filters */}
+          <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', marginTop: '12px' }}>
+            <select
+              value={categoryFilter}
+              onChange={(e) => updateFilterParams({ category: e.target.value })}
+              aria-label="Filter by category"
+              style={{
+                flex: '1 1 200px',
+                padding: '10px 14px',
+                fontSize: '0.95em',
+                borderRadius: '10px',
+                border: '2px solid #e5e7eb'
+              }}
+            >
+              <option value="">All categories</option>
+              {getCategoryOptions(categories).map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <div style={{ flex: '2 1 300px' }}>
+              <TagInput
+                value={tagFilter}
+                onChange={handleTagFilterChange}
+                placeholder="Filter by tags..."
+              />
+            </div>
+          </div>
         </div>
       </div>
 
+      {/* Status Tabs */}
+      <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', marginBottom: '20px' }}>
+        {STATUS_TABS.map(tab => (
+          <button
+            key={tab.value}
+            type="button"
+            onClick={() => handleTabChange(tab.value)}
+            style={{
+              padding: '8px 18px',
+              borderRadius: '20px',
+              border: tab.value === statusTab ? '2px solid #667eea' : '2px solid #e5e7eb',
+              background: tab.value === statusTab ? '#667eea' : 'white',
+              color: tab.value === statusTab ? 'white' : '#374151',
+              fontWeight: '600',
+              cursor: 'pointer',
+              transition: 'all 0.2s'
+            }}
+          >
+            {tab.label}
+          </button>
+        ))}
+        <button
+          type="button"
+          onClick={() => updateFilterParams({ live: liveOnly ? null : 'true' })}
+          aria-pressed={liveOnly}
+          title="Only offers inside their dates and validity windows right now"
+          style={{
+            padding: '8px 18px',
+            borderRadius: '20px',
+            border: liveOnly ? '2px solid #059669' : '2px solid #e5e7eb',
+            background: liveOnly ? '#059669' : 'white',
+            color: liveOnly ? 'white' : '#374151',
+            fontWeight: '600',
+            cursor: 'pointer',
+            transition: 'all 0.2s',
+            marginLeft: 'auto'
+          }}
+        >
+          ● Live now
+        </button>
+        {canUpdate && (
+          <button
+            type="button"
+            onClick={() => updateFilterParams({ schedule: scheduledOnly ? null : 'scheduled' })}
+            aria-pressed={scheduledOnly}
+            title="Offers with a publish time in the future, not shown to users yet"
+            style={{
+              padding: '8px 18px',
+              borderRadius: '20px',
+              border: scheduledOnly ? '2px solid #6d28d9' : '2px solid #e5e7eb',
+              background: scheduledOnly ? '#6d28d9' : 'white',
+              color: scheduledOnly ? 'white' : '#374151',
+              fontWeight: '600',
+              cursor: 'pointer',
+              transition: 'all 0.2s'
+            }}
+          >
+            🗓️ Scheduled
+          </button>
+        )}
+        {canUpdate && (
+          <select
+            value={previewAs}
+            onChange={(e) => updateFilterParams({ previewAs: e.target.value })}
+            aria-label="Preview the list as"
+            title="See the list as an audience sees it"
+            style={{
+              padding: '8px 14px',
+              borderRadius: '20px',
+              border: previewAs ? '2px solid #b45309' : '2px solid #e5e7eb',
+              background: 'white',
+              color: '#374151',
+              fontWeight: '600',
+              cursor: 'pointer'
+            }}
+          >
+            <option value="">👁️ Preview as…</option>
+            <option value="role:user">Any user</option>
+            {groups.map(group => (
+              <option key={group.name} value={`group:${group.name}`}>
+                Group #{group.name} ({group.count})
+              </option>
+            ))}
+            {preview && preview.kind === 'user' && (
+              <option value={previewAs}>A specific person</option>
+            )}
+            {preview && preview.kind === 'group' && !groups.some(group => group.name === preview.value) && (
+              <option value={previewAs}>Group #{preview.value}</option>
+            )}
+          </select>
+        )}
+        <button
+          type="button"
+          onClick={() => setFiltersOpen(true)}
+          style={{
+            padding: '8px 18px',
+            borderRadius: '20px',
+            border: activeFilterCount > 0 ? '2px solid #667eea' : '2px solid #e5e7eb',
+            background: 'white',
+            color: '#374151',
+            fontWeight: '600',
+            cursor: 'pointer',
+            transition: 'all 0.2s'
+          }}
+        >
+          ⚙️ Filters{activeFilterCount > 0 ? ` (${activeFilterCount})` : ''}
+        </button>
+        {[
+          { format: 'csv', label: 'CSV' },
+          { format: 'xlsx', label: 'Excel' }
+        ].map(({ format, label }) => (
+          <button
+            key={format}
+            type="button"
+            onClick={() => handleExport(format)}
+            disabled={Boolean(exporting)}
+            title="Download every offer matching the current filters"
+            style={{
+              padding: '8px 18px',
+              borderRadius: '20px',
+              border: '2px solid #e5e7eb',
+              background: 'white',
+              color: '#374151',
+              fontWeight: '600',
+              cursor: exporting ? 'wait' : 'pointer',
+              transition: 'all 0.2s'
+            }}
+          >
+            {exporting === format ? '⏳ Exporting...' : `⬇️ ${label}`}
+          </button>
+        ))}
+        <button
+          type="button"
+          onClick={() => setFeedOpen(true)}
+          title="Subscribe to the offers matching the current filters in a calendar app"
+          style={{
+            padding: '8px 18px',
+            borderRadius: '20px',
+            border: '2px solid #e5e7eb',
+            background: 'white',
+            color: '#374151',
+            fontWeight: '600',
+            cursor: 'pointer',
+            transition: 'all 0.2s'
+          }}
+        >
+          📅 Calendar
+        </button>
+      </div>
+
+      {preview && (
+        <div style={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: '12px',
+          flexWrap: 'wrap',
+          padding: '12px 16px',
+          marginBottom: '20px',
+          borderRadius: '10px',
+          background: '#fef3c7',
+          color: '#92400e',
+          fontWeight: '600'
+        }}>
+          <span style={{ flex: 1 }}>
+            👁️ Previewing {preview.kind === 'role' ? 'as any user'
+              : preview.kind === 'group' ? `as a member of #${preview.value}` : 'as a specific person'}: only the
+            published, visible offers meant for them are listed.
+          </span>
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={() => updateFilterParams({ previewAs: null })}
+          >
+            Exit preview
+          </button>
+        </div>
+      )}
+
+      {filtersOpen && (
+        <FilterDrawer
+          searchParams={searchParams}
+          onChange={updateFilterParams}
+          onClear={handleClearFilters}
+          onClose={() => setFiltersOpen(false)}
+          users={users}
+          currentUserId={user?.id}
+          searching={Boolean(search)}
+          showWorkflow={canUpdate}
+        />
+      )}
+
+      {canSelect && (
+        <BulkActionBar
+          selectedCount={selectedIds.length}
+          canUpdate={canUpdate}
+          canDelete={canDelete}
+          busy={bulkBusy}
+          onSetEndDate={handleBulkSetEndDate}
+          onShiftEndDate={handleBulkShiftEndDate}
+          onSetStatus={handleBulkSetStatus}
+          categories={categories}
+          onSetCategory={handleBulkSetCategory}
+          onDelete={handleBulkDelete}
+          onClear={() => setSelectedIds([])}
+        />
+      )}
+
       {/* Packages List */}
       <div className="card" style={{
         borderRadius: '12px',
@@ -210,14 +832,14 @@ const ItemList = () => {
             fontSize: '1.5em',
             fontWeight: '600'
           }}>
-            📋 Items ({pagination.totalItems || 0})
+            {scheduledOnly ? '🗓️ Scheduled' : '📋'} {activeTab.label} Items ({pagination.totalItems ?? `${items.length}${pagination.hasNext ? '+' : ''}`})
           </h2>
         </div>
         <div className="card-content">
           {items.length === 0 ? (
             <div className="text-center">
-              <p>No items found.</p>
-              {canCreate && (
+              <p>No {statusTab === 'all' ? '' : `${activeTab.label.toLowerCase()} `}items found.</p>
+              {canCreate && statusTab === DEFAULT_STATUS_TAB && (
                 <Link to="/items/create" className="btn btn-primary">
                   Create Your First Item
                 </Link>
@@ -229,24 +851,52 @@ const ItemList = () => {
                 <table className="table">
                   <thead>
                     <tr>
+                      {canSelect && (
+                        <th style={{ width: '40px' }}>
+                          <input
+                            type="checkbox"
+                            checked={allSelected}
+                            onChange={toggleSelectAll}
+                            aria-label="Select all loaded items"
+                          />
+                        </th>
+                      )}
                       <th>Image</th>
-                      <th>Note</th>
-                      <th>Date Range</th>
-                      <th>Duration</th>
-                      <th>Created By</th>
+                      <th>Offer</th>
+                      <th>Status</th>
+                      <th>
+                        Date Range
+                        <div style={{ display: 'flex', gap: '10px', fontSize: '0.85em', fontWeight: 'normal' }}>
+                          <SortButton label="Start" column="start" sort={sort} order={order} onSort={handleSort} />
+                          <SortButton label="End" column="end" sort={sort} order={order} onSort={handleSort} />
+                        </div>
+                      </th>
+                      <th><SortButton label="Duration" column="duration" sort={sort} order={order} onSort={handleSort} /></th>
+                      <th><SortButton label="Created" column="created" sort={sort} order={order} onSort={handleSort} /></th>
                       <th>Actions</th>
                     </tr>
                   </thead>
                   <tbody>
                     {items.map((item) => (
-                      <tr key={item._id}>
+                      <tr key={item._id} style={selectedIds.includes(item._id) ? { background: '#eef2ff' } : undefined}>
+                        {canSelect && (
+                          <td>
+                            <input
+                              type="checkbox"
+                              checked={selectedIds.includes(item._id)}
+                              onChange={() => toggleSelected(item._id)}
+                              aria-label="Select item"
+                            />
+                          </td>
+                        )}
                         <td>
                           {item.imageUrl ? (
                             <img
-                              src={item.imageUrl}
+                              src={getThumbnailUrl(item)}
                               alt="Item"
                               className="item-thumbnail"
-                              onClick={() => setSelectedImage(item.imageUrl)}
+                              loading="lazy"
+                              onClick={() => setSelectedImage(item)}
                               style={{ 
                                 width: '80px', 
                                 height: '80px', 
@@ -286,13 +936,85 @@ const ItemList = () => {
                             </div>
                           )}
                         </td>
-                        <td>{item.note}</td>
+                        <td style={{ maxWidth: '320px' }}>
+                          <strong><HighlightedText highlight={getHighlight(item, 'title')} fallback={item.title} /></strong>
+                          {item.category && (
+                            <div style={{ fontSize: '0.85em', color: '#667eea', marginTop: '2px' }}>
+                              📂 {describeCategory(item.category, categories)}
+                            </div>
+                          )}
+                          {/* Search results show the matching excerpt of the note */}
+                          <div style={{ fontSize: '0.9em', color: '#6b7280', marginTop: '4px' }}>
+                            <HighlightedText highlight={getHighlight(item, 'note')} fallback={item.note} />
+                          </div>
+                          {item.tags?.length > 0 && (
+                            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', marginTop: '6px' }}>
+                              {item.tags.map(tag => (
+                                <button
+                                  key={tag}
+                                  type="button"
+                                  onClick={() => !tagFilter.includes(tag) && handleTagFilterChange([...tagFilter, tag])}
+                                  title="Filter by this tag"
+                                  style={{
+                                    padding: '2px 8px',
+                                    borderRadius: '999px',
+                                    border: 'none',
+                                    background: '#eef2ff',
+                                    color: '#4338ca',
+                                    fontSize: '0.8em',
+                                    fontWeight: '600',
+                                    cursor: 'pointer'
+                                  }}
+                                >
+                                  #<HighlightedText highlight={getHighlight(item, 'tags', tag)} fallback={tag} />
+                                </button>
+                              ))}
+                            </div>
+                          )}
+                        </td>
+                        <td>
+                          <StatusBadge status={item.status} />
+                          <LiveBadge item={item} style={{ display: 'block', width: 'fit-content', marginTop: '6px' }} />
+                          {canUpdate && (
+                            <WorkflowBadge
+                              state={item.workflowState}
+                              style={{ display: 'block', width: 'fit-content', marginTop: '6px' }}
+                            />
+                          )}
+                          {canUpdate && describeSchedule(item) && (
+                            <div style={{ fontSize: '0.8em', color: item.scheduleStatus === 'visible' ? '#6b7280' : '#6d28d9', marginTop: '6px' }}>
+                              🗓️ {describeSchedule(item)}
+                            </div>
+                          )}
+                          {canUpdate && !isEveryone(item.audience) && (
+                            <div style={{ fontSize: '0.8em', color: '#047857', marginTop: '6px' }}>
+                              👥 {describeAudience(item.audience)}
+                            </div>
+                          )}
+                        </td>
                         <td>
-                          {new Date(item.dateRange.start).toLocaleDateString()} - {' '}
-                          {new Date(item.dateRange.end).toLocaleDateString()}
+                          <ZonedDateRange item={item} />
+                          {item.recurrence && (
+                            <div style={{ fontSize: '0.85em', color: '#6b7280', marginTop: '4px' }}>
+                              🔁 {describeRecurrence(item.recurrence, item.timezone)}
+                              {item.nextOccurrence && (
+                                <div>Next: {formatInTimezone(item.nextOccurrence.start, item.timezone)}</div>
+                              )}
+                            </div>
+                          )}
+                          {item.validityWindows?.map((window, index) => (
+                            <div key={index} style={{ fontSize: '0.85em', color: '#6b7280', marginTop: '4px' }}>
+                              🕒 {describeValidityWindow(window)}
+                            </div>
+                          ))}
                         </td>
                         <td>{item.durationDays} days</td>
-                        <td>{item.createdBy?.name || 'Unknown'}</td>
+                        <td>
+                          {item.createdBy?.name || 'Unknown'}
+                          <div style={{ fontSize: '0.85em', color: '#6b7280' }}>
+                            {new Date(item.createdAt).toLocaleDateString()}
+                          </div>
+                        </td>
                         <td>
                           <div className="d-flex gap-2">
                             {canUpdate && (
@@ -303,6 +1025,34 @@ const ItemList = () => {
                                 Edit
                               </Link>
                             )}
+                            {canTakeWorkflowAction('submit', item.workflowState, user?.role) && (
+                              <button
+                                onClick={() => handleSubmitForReview(item)}
+                                className="btn btn-sm btn-primary"
+                                disabled={submittingId === item._id}
+                                title={item.reviewComment ? `Reviewer: ${item.reviewComment}` : undefined}
+                              >
+                                📤 Submit
+                              </button>
+                            )}
+                            {canCreate && item.status === 'expired' && (
+                              <button
+                                onClick={() => setRenewingItem(item)}
+                                className="btn btn-sm btn-primary"
+                                disabled={duplicating}
+                              >
+                                ↻ Renew
+                              </button>
+                            )}
+                            {canCreate && item.status !== 'expired' && (
+                              <button
+                                onClick={() => handleDuplicate(item._id)}
+                                className="btn btn-sm btn-secondary"
+                                disabled={duplicating}
+                              >
+                                Duplicate
+                              </button>
+                            )}
                             {canDelete && (
                               <button
                                 onClick={() => handleDelete(item._id)}
@@ -319,91 +1069,34 @@ const ItemList = () => {
                 </table>
               </div>
 
-              {/* Pagination */}
-              {pagination.totalPages > 1 && (
-                <div className="d-flex justify-content-center mt-4">
-                  <div className="d-flex gap-2">
-                    <button
-                      onClick={() => setPage(page - 1)}
-                      disabled={!pagination.hasPrev}
-                      className="btn btn-outline btn-sm"
-                    >
-                      Previous
-                    </button>
-                    <span className="btn btn-sm">
-                      Page {pagination.currentPage} of {pagination.totalPages}
-                    </span>
-                    <button
-                      onClick={() => setPage(page + 1)}
-                      disabled={!pagination.hasNext}
-                      className="btn btn-outline btn-sm"
-                    >
-                      Next
-                    </button>
-                  </div>
-                </div>
-              )}
+              {/* Infinite scroll */}
+              <LoadMoreSentinel
+                hasMore={Boolean(pagination.hasNext)}
+                loading={loadingMore}
+                onLoadMore={loadMoreItems}
+                doneText={items.length > 20 ? `All ${items.length} items loaded` : null}
+              />
             </>
           )}
         </div>
       </div>
 
-      {/* Image Viewer Modal */}
+      {renewingItem && (
+        <RenewDialog
+          item={renewingItem}
+          busy={duplicating}
+          onRenew={handleRenew}
+          onClose={() => setRenewingItem(null)}
+        />
+      )}
+
+      {feedOpen && (
+        <CalendarFeedDialog filters={getFeedFilters()} onClose={() => setFeedOpen(false)} />
+      )}
+
+      {/* Image Gallery Lightbox */}
       {selectedImage && (
-        <div
-          onClick={() => setSelectedImage(null)}
-          style={{
-            position: 'fixed',
-            top: 0,
-            left: 0,
-            right: 0,
-            bottom: 0,
-            backgroundColor: 'rgba(0, 0, 0, 0.9)',
-            display: 'flex',
-            alignItems: 'center',
-            justifyContent: 'center',
-            zIndex: 9999,
-            padding: '20px',
-            cursor: 'pointer',
-            animation: 'fadeIn 0.2s ease-out'
-          }}
-        >
-          <button
-            onClick={() => setSelectedImage(null)}
-            style={{
-              position: 'absolute',
-              top: '20px',
-              right: '20px',
-              background: 'white',
-              border: 'none',
-              borderRadius: '50%',
-              width: '48px',
-              height: '48px',
-              fontSize: '24px',
-              cursor: 'pointer',
-              display: 'flex',
-              alignItems: 'center',
-              justifyContent: 'center',
-              boxShadow: '0 4px 12px rgba(0, 0, 0, 0.3)',
-              zIndex: 10000
-            }}
-          >
-            ✕
-          </button>
-          <img
-            src={selectedImage}
-            alt="Full size"
-            onClick={(e) => e.stopPropagation()}
-            style={{
-              maxWidth: '90%',
-              maxHeight: '90%',
-              objectFit: 'contain',
-              borderRadius: '12px',
-              boxShadow: '0 8px 32px rgba(0, 0, 0, 0.5)',
-              cursor: 'default'
-            }}
-          />
-        </div>
+        <ImageLightbox item={selectedImage} onClose={() => setSelectedImage(null)} />
       )}
     </div>
   );
@@ -161,6 +161,38 @@ const Header = () => {
             📋 Packages
           </Link>
 
+          <Link to="/items/calendar" style={{
+            color: 'white',
+            textDecoration: 'none',
+            fontWeight: '600',
+            padding: 'clamp(8px, 2vw, 10px) clamp(12px, 3vw, 16px)',
+            borderRadius: '10px',
+            transition: 'all 0.3s',
+            whiteSpace: 'nowrap',
+            fontSize: 'clamp(0.85em, 2vw, 0.95em)',
+            background: 'rgba(255, 255, 255, 0.1)',
+            backdropFilter: 'blur(10px)',
+            minHeight: '44px',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            touchAction: 'manipulation'
+          }}
+          onMouseEnter={(e) => {
+            e.currentTarget.style.background = 'rgba(255, 255, 255, 0.25)';
+            e.currentTarget.style.transform = 'translateY(-2px)';
+            e.currentTarget.style.boxShadow = '0 4px 12px rgba(0, 0, 0, 0.2)';
+          }}
+          onMouseLeave={(e) => {
+            e.currentTarget.style.background = 'rgba(255, 255, 255, 0.1)';
+            e.currentTarget.style.transform = 'translateY(0)';
+            e.currentTarget.style.boxShadow = 'none';
+          }}
+          onClick={() => setMobileMenuOpen(false)}
+          >
+            🗓️ Calendar
+          </Link>
+
           {(user?.role === 'admin' || user?.role === 'super_admin') && (
             <Link to="/items/create" style={{
               color: 'white',
@@ -228,6 +260,108 @@ const Header = () => {
               👥 Users
             </Link>
           )}
+
+          {user?.role === 'super_admin' && (
+            <Link to="/review" style={{
+              color: 'white',
+              textDecoration: 'none',
+              fontWeight: '600',
+              padding: 'clamp(8px, 2vw, 10px) clamp(12px, 3vw, 16px)',
+              borderRadius: '10px',
+              transition: 'all 0.3s',
+              whiteSpace: 'nowrap',
+              fontSize: 'clamp(0.85em, 2vw, 0.95em)',
+              background: 'rgba(255, 255, 255, 0.1)',
+              backdropFilter: 'blur(10px)',
+              minHeight: '44px',
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center',
+              touchAction: 'manipulation'
+            }}
+            onMouseEnter={(e) => {
+              e.currentTarget.style.background = 'rgba(255, 255, 255, 0.25)';
+              e.currentTarget.style.transform = 'translateY(-2px)';
+              e.currentTarget.style.boxShadow = '0 4px 12px rgba(0, 0, 0, 0.2)';
+            }}
+            onMouseLeave={(e) => {
+              e.currentTarget.style.background = 'rgba(255, 255, 255, 0.1)';
+              e.currentTarget.style.transform = 'translateY(0)';
+              e.currentTarget.style.boxShadow = 'none';
+            }}
+            onClick={() => setMobileMenuOpen(false)}
+            >
+              📝 Review
+            </Link>
+          )}
+
+          {user?.role === 'super_admin' && (
+            <Link to="/categories" style={{
+              color: 'white',
+              textDecoration: 'none',
+              fontWeight: '600',
+              padding: 'clamp(8px, 2vw, 10px) clamp(12px, 3vw, 16px)',
+              borderRadius: '10px',
+              transition: 'all 0.3s',
+              whiteSpace: 'nowrap',
+              fontSize: 'clamp(0.85em, 2vw, 0.95em)',
+              background: 'rgba(255, 255, 255, 0.1)',
+              backdropFilter: 'blur(10px)',
+              minHeight: '44px',
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center',
+              touchAction: 'manipulation'
+            }}
+            onMouseEnter={(e) => {
+              e.currentTarget.style.background = 'rgba(255, 255, 255, 0.25)';
+              e.currentTarget.style.transform = 'translateY(-2px)';
+              e.currentTarget.style.boxShadow = '0 4px 12px rgba(0, 0, 0, 0.2)';
+            }}
+            onMouseLeave={(e) => {
+              e.currentTarget.style.background = 'rgba(255, 255, 255, 0.1)';
+              e.currentTarget.style.transform = 'translateY(0)';
+              e.currentTarget.style.boxShadow = 'none';
+            }}
+            onClick={() => setMobileMenuOpen(false)}
+            >
+              🏷️ Categories
+            </Link>
+          )}
+
+          {user?.role === 'super_admin' && (
+            <Link to="/trash" style={{
+              color: 'white',
+              textDecoration: 'none',
+              fontWeight: '600',
+              padding: 'clamp(8px, 2vw, 10px) clamp(12px, 3vw, 16px)',
+              borderRadius: '10px',
+              transition: 'all 0.3s',
+              whiteSpace: 'nowrap',
+              fontSize: 'clamp(0.85em, 2vw, 0.95em)',
+              background: 'rgba(255, 255, 255, 0.1)',
+              backdropFilter: 'blur(10px)',
+              minHeight: '44px',
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center',
+              touchAction: 'manipulation'
+            }}
+            onMouseEnter={(e) => {
+              e.currentTarget.style.background = 'rgba(255, 255, 255, 0.25)';
+              e.currentTarget.style.transform = 'translateY(-2px)';
+              e.currentTarget.style.boxShadow = '0 4px 12px rgba(0, 0, 0, 0.2)';
+            }}
+            onMouseLeave={(e) => {
+              e.currentTarget.style.background = 'rgba(255, 255, 255, 0.1)';
+              e.currentTarget.style.transform = 'translateY(0)';
+              e.currentTarget.style.boxShadow = 'none';
+            }}
+            onClick={() => setMobileMenuOpen(false)}
+            >
+              🗑️ Trash
+            </Link>
+          )}
         </nav>
 
         {/* User Info & Logout */}
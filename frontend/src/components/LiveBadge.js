@@ -0,0 +1,29 @@
+import React from 'react';
+
+// Pill showing whether an offer can be used right now. Only meaningful for
+// running offers limited by validity windows or a recurrence, so it renders
+// nothing for the others.
+const LiveBadge = ({ item, style }) => {
+  const isLimited = item.validityWindows?.length > 0 || Boolean(item.recurrence);
+  if (!isLimited || !['active', 'expiring-soon'].includes(item.status)) {
+    return null;
+  }
+
+  return (
+    <span style={{
+      display: 'inline-block',
+      padding: '4px 10px',
+      borderRadius: '20px',
+      fontSize: '0.8em',
+      fontWeight: '600',
+      whiteSpace: 'nowrap',
+      background: item.isLive ? '#d1fae5' : '#f3f4f6',
+      color: item.isLive ? '#059669' : '#6b7280',
+      ...style
+    }}>
+      {item.isLive ? '● Live now' : '○ Not live now'}
+    </span>
+  );
+};
+
+export default LiveBadge;
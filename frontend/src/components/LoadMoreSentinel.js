@@ -0,0 +1,43 @@
+import React, { useEffect, useRef } from 'react';
+
+// Bottom of an infinitely scrolling list: calls onLoadMore when it scrolls
+// into view, with a button as a fallback (and for keyboard users)
+const LoadMoreSentinel = ({ hasMore, loading, onLoadMore, doneText }) => {
+  const sentinelRef = useRef(null);
+  // The latest callback, so the observer does not need to be recreated
+  const onLoadMoreRef = useRef(onLoadMore);
+  onLoadMoreRef.current = onLoadMore;
+
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !hasMore || loading || typeof IntersectionObserver === 'undefined') {
+      return undefined;
+    }
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        onLoadMoreRef.current();
+      }
+    }, { rootMargin: '200px' });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasMore, loading]);
+
+  return (
+    <div ref={sentinelRef} className="text-center" style={{ padding: '20px', color: '#6b7280' }}>
+      {loading && (
+        <span style={{ display: 'inline-flex', alignItems: 'center', gap: '8px' }}>
+          <span className="loading-spinner" style={{ width: '20px', height: '20px' }}></span>
+          Loading more...
+        </span>
+      )}
+      {!loading && hasMore && (
+        <button type="button" className="btn btn-outline btn-sm" onClick={onLoadMore}>
+          Load more
+        </button>
+      )}
+      {!loading && !hasMore && doneText}
+    </div>
+  );
+};
+
+export default LoadMoreSentinel;
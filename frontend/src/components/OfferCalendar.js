@@ -0,0 +1,369 @@
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { Link, useSearchParams, useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import apiService from '../services/api';
+import { toast } from 'react-toastify';
+import { hasPermissions } from '../utils/permissions';
+import { getCategoryOptions } from '../utils/categories';
+import { shiftRecurrence } from '../utils/recurrence';
+import { formatInTimezone, toZonedInputValue, shiftZonedInputValue } from '../utils/dates';
+import {
+  CALENDAR_VIEWS,
+  WEEKDAY_LABELS,
+  addDays,
+  daysBetween,
+  getDayKey,
+  parseDayKey,
+  getVisibleDays,
+  stepDate,
+  isOnDay,
+  describeVisiblePeriod,
+  getOfferColor
+} from '../utils/calendar';
+import OfferTimeline from './OfferTimeline';
+
+// Offers listed in a month cell before the rest collapse into "+N more"
+const MONTH_CELL_LIMIT = 3;
+
+const cardStyle = {
+  borderRadius: '12px',
+  boxShadow: '0 4px 12px rgba(0, 0, 0, 0.08)',
+  border: 'none',
+  overflow: 'hidden',
+  marginBottom: '24px'
+};
+
+const formatTime = (date, timezone) => new Date(date).toLocaleTimeString(undefined, {
+  timeZone: timezone,
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+// Calendar page: offers by their date range in a month or week grid, or as a
+// timeline. Users who can update offers move them by dragging them to
+// another day.
+const OfferCalendar = () => {
+  const [items, setItems] = useState([]);
+  const [occurrences, setOccurrences] = useState([]);
+  const [truncated, setTruncated] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [categories, setCategories] = useState([]);
+  const [dropDayKey, setDropDayKey] = useState(null);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const dragRef = useRef(null);
+  const { user } = useAuth();
+  const navigate = useNavigate();
+
+  const canUpdate = hasPermissions(user?.role, ['update']);
+
+  const view = CALENDAR_VIEWS.some(option => option.value === searchParams.get('view'))
+    ? searchParams.get('view')
+    : 'month';
+  const dateKey = searchParams.get('date');
+  const category = searchParams.get('category') || '';
+
+  const date = useMemo(() => parseDayKey(dateKey), [dateKey]);
+  const days = useMemo(() => getVisibleDays(view, date), [view, date]);
+
+  const updateParams = (changes) => {
+    const params = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value) {
+        params.set(key, value);
+      } else {
+        params.delete(key);
+      }
+    });
+    setSearchParams(params);
+  };
+
+  const fetchOccurrences = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await apiService.getItemOccurrences({
+        from: days[0].toISOString(),
+        to: addDays(days[days.length - 1], 1).toISOString(),
+        ...(category && { category })
+      });
+      setItems(response.data.items);
+      setOccurrences(response.data.occurrences);
+      setTruncated(response.data.truncated);
+    } catch (error) {
+      toast.error('Failed to load the calendar');
+      console.error('Fetch occurrences error:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [days, category]);
+
+  useEffect(() => {
+    fetchOccurrences();
+  }, [fetchOccurrences]);
+
+  useEffect(() => {
+    const fetchCategories = async () => {
+      try {
+        const response = await apiService.getCategories();
+        setCategories(response.data.categories);
+      } catch (error) {
+        console.error('Fetch categories error:', error);
+      }
+    };
+    fetchCategories();
+  }, []);
+
+  const itemsById = useMemo(() => new Map(items.map(item => [item._id, item])), [items]);
+
+  const handleOpen = (item) => {
+    if (canUpdate) {
+      navigate(`/items/edit/${item._id}`);
+    }
+  };
+
+  // Move an offer by whole days, keeping its times of day in its timezone.
+  // A recurring offer moves as a whole, with every occurrence and the date
+  // its recurrence ends on. Moving a published offer sends it back for
+  // review, as any other edit by an admin does.
+  const handleReschedule = async (item, shift) => {
+    const timezone = item.timezone || 'UTC';
+    const start = toZonedInputValue(item.dateRange.start, timezone);
+    const recurrence = item.recurrence ? shiftRecurrence(item.recurrence, start, shift, timezone) : null;
+    if (item.recurrence && !recurrence) {
+      toast.error(`"${item.title}" repeats every few weeks on weekdays that cannot move by ${shift} day(s). Edit its recurrence instead.`);
+      return;
+    }
+
+    const warnings = [];
+    if (item.recurrence) {
+      warnings.push(`"${item.title}" repeats. Every occurrence moves by ${shift} day(s).`);
+    }
+    if (item.workflowState === 'published' && user?.role !== 'super_admin') {
+      warnings.push(`"${item.title}" is published. Moving it sends it back for review, and users will not see it until it is approved again.`);
+    }
+    if (warnings.length > 0 && !window.confirm(`${warnings.join('\n\n')}\n\nMove it?`)) {
+      return;
+    }
+
+    const formData = new FormData();
+    formData.append('note', item.note);
+    formData.append('startDate', shiftZonedInputValue(start, shift));
+    formData.append('endDate', shiftZonedInputValue(toZonedInputValue(item.dateRange.end, timezone), shift));
+    if (recurrence) {
+      formData.append('recurrence', JSON.stringify(recurrence));
+    }
+
+    try {
+      const response = await apiService.updateItem(item._id, formData);
+      toast.success(`Moved "${item.title}" by ${shift} day(s)`);
+      if (response.data.conflicts?.length > 0) {
+        toast.warning(`⚠️ "${item.title}" now overlaps ${response.data.conflicts.length} other offer(s)`);
+      }
+    } catch (error) {
+      toast.error(error.message || 'Failed to move the offer');
+      console.error('Reschedule item error:', error);
+    } finally {
+      fetchOccurrences();
+    }
+  };
+
+  const handleDragStart = (e, item, day) => {
+    dragRef.current = { item, day };
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', item._id);
+  };
+
+  const handleDrop = (e, day) => {
+    e.preventDefault();
+    const drag = dragRef.current;
+    dragRef.current = null;
+    setDropDayKey(null);
+    if (drag) {
+      const shift = daysBetween(drag.day, day);
+      if (shift !== 0) {
+        handleReschedule(drag.item, shift);
+      }
+    }
+  };
+
+  // Occurrences on a day, with the offer they belong to
+  const getDayEntries = (day) => occurrences
+    .filter(occurrence => isOnDay(occurrence, day) && itemsById.has(occurrence.item))
+    .map(occurrence => ({ occurrence, item: itemsById.get(occurrence.item) }));
+
+  const renderChip = ({ occurrence, item }, day, showTime) => {
+    const published = !item.workflowState || item.workflowState === 'published';
+    return (
+      <div
+        key={`${item._id}-${occurrence.index}`}
+        draggable={canUpdate}
+        onDragStart={(e) => handleDragStart(e, item, day)}
+        onClick={() => handleOpen(item)}
+        title={`${item.title}\n${formatInTimezone(occurrence.start)} – ${formatInTimezone(occurrence.end)}${published ? '' : '\nNot published'}`}
+        style={{
+          background: published ? getOfferColor(item._id) : 'white',
+          color: published ? 'white' : getOfferColor(item._id),
+          border: `2px ${published ? 'solid' : 'dashed'} ${getOfferColor(item._id)}`,
+          borderRadius: '6px',
+          padding: '2px 6px',
+          marginBottom: '4px',
+          fontSize: '0.8em',
+          fontWeight: '600',
+          overflow: 'hidden',
+          textOverflow: 'ellipsis',
+          whiteSpace: 'nowrap',
+          cursor: canUpdate ? 'grab' : 'default'
+        }}
+      >
+        {showTime && `${formatTime(occurrence.start)} `}{item.title}
+      </div>
+    );
+  };
+
+  const todayKey = getDayKey(new Date());
+
+  const renderDayCell = (day, { limit, showTime, minHeight }) => {
+    const entries = getDayEntries(day);
+    const key = getDayKey(day);
+    const outsideMonth = view === 'month' && day.getMonth() !== date.getMonth();
+    const hidden = limit ? entries.length - limit : 0;
+    return (
+      <div
+        key={key}
+        onDragOver={canUpdate ? (e) => { e.preventDefault(); setDropDayKey(key); } : undefined}
+        onDragLeave={canUpdate ? () => setDropDayKey(null) : undefined}
+        onDrop={canUpdate ? (e) => handleDrop(e, day) : undefined}
+        style={{
+          minHeight,
+          padding: '6px',
+          borderRight: '1px solid #f3f4f6',
+          borderBottom: '1px solid #f3f4f6',
+          background: dropDayKey === key ? '#eef2ff' : (outsideMonth ? '#f9fafb' : 'white'),
+          minWidth: 0
+        }}
+      >
+        <div style={{
+          fontSize: '0.8em',
+          fontWeight: key === todayKey ? '700' : '500',
+          color: key === todayKey ? '#667eea' : (outsideMonth ? '#9ca3af' : '#374151'),
+          marginBottom: '4px'
+        }}>
+          {day.getDate()}
+        </div>
+        {(limit ? entries.slice(0, limit) : entries).map(entry => renderChip(entry, day, showTime))}
+        {hidden > 0 && (
+          <button
+            type="button"
+            onClick={() => updateParams({ view: 'week', date: key })}
+            style={{ background: 'none', border: 'none', padding: 0, color: '#667eea', fontSize: '0.8em', fontWeight: '600', cursor: 'pointer' }}
+          >
+            +{hidden} more
+          </button>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div style={{ padding: 'clamp(16px, 3vw, 24px)', maxWidth: '1400px', margin: '0 auto' }}>
+      <div className="page-header" style={{ marginBottom: '24px' }}>
+        <Link to="/items" style={{
+          display: 'inline-flex',
+          alignItems: 'center',
+          gap: '8px',
+          textDecoration: 'none',
+          color: '#667eea',
+          fontWeight: '600',
+          marginBottom: '15px',
+          padding: '10px 16px',
+          borderRadius: '8px',
+          background: '#f0f9ff'
+        }}>
+          ← Back to Items
+        </Link>
+        <h1 className="page-title" style={{ fontSize: 'clamp(1.5em, 5vw, 2em)', marginBottom: '8px' }}>🗓️ Offer Calendar</h1>
+        <p className="page-subtitle" style={{ color: '#6b7280', fontSize: 'clamp(0.9em, 2.5vw, 1em)' }}>
+          {canUpdate
+            ? 'Drag an offer to another day to move it. Dashed offers are not published yet.'
+            : 'Offers by the days they run.'}
+        </p>
+      </div>
+
+      <div className="d-flex gap-2" style={{ flexWrap: 'wrap', alignItems: 'center', marginBottom: '16px' }}>
+        <div className="d-flex" role="group" aria-label="Calendar view" style={{ gap: '4px' }}>
+          {CALENDAR_VIEWS.map(option => (
+            <button
+              key={option.value}
+              type="button"
+              onClick={() => updateParams({ view: option.value })}
+              className={`btn ${view === option.value ? 'btn-primary' : 'btn-outline'}`}
+              aria-pressed={view === option.value}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        <button type="button" className="btn btn-outline" onClick={() => updateParams({ date: getDayKey(stepDate(view, date, -1)) })} aria-label="Previous">
+          ‹
+        </button>
+        <button type="button" className="btn btn-outline" onClick={() => updateParams({ date: null })}>
+          Today
+        </button>
+        <button type="button" className="btn btn-outline" onClick={() => updateParams({ date: getDayKey(stepDate(view, date, 1)) })} aria-label="Next">
+          ›
+        </button>
+        <h2 style={{ margin: '0 8px', fontSize: '1.2em', flex: 1 }}>{describeVisiblePeriod(view, days, date)}</h2>
+        <select
+          className="form-input"
+          value={category}
+          onChange={(e) => updateParams({ category: e.target.value })}
+          aria-label="Category"
+          style={{ width: 'auto', minWidth: '180px' }}
+        >
+          <option value="">All categories</option>
+          {getCategoryOptions(categories).map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {truncated && (
+        <p style={{ color: '#b45309', fontSize: '0.9em' }}>
+          This period has too many occurrences to show them all; pick a shorter view or a category.
+        </p>
+      )}
+
+      <div className="card" style={{ ...cardStyle, opacity: loading ? 0.6 : 1 }}>
+        {view === 'timeline' ? (
+          <OfferTimeline
+            days={days}
+            items={items}
+            occurrences={occurrences}
+            canReschedule={canUpdate}
+            onReschedule={handleReschedule}
+            onOpen={handleOpen}
+          />
+        ) : (
+          <div style={{ overflowX: 'auto' }}>
+            <div style={{ minWidth: '700px' }}>
+              <div style={{ display: 'grid', gridTemplateColumns: 'repeat(7, 1fr)', borderBottom: '1px solid #e5e7eb' }}>
+                {(view === 'week' ? days : days.slice(0, 7)).map((day, index) => (
+                  <div key={WEEKDAY_LABELS[index]} style={{ padding: '8px', fontSize: '0.85em', fontWeight: '600', color: '#6b7280' }}>
+                    {WEEKDAY_LABELS[index]}
+                    {view === 'week' && ` ${day.toLocaleDateString(undefined, { day: 'numeric', month: 'short' })}`}
+                  </div>
+                ))}
+              </div>
+              <div style={{ display: 'grid', gridTemplateColumns: 'repeat(7, 1fr)' }}>
+                {days.map(day => (view === 'week'
+                  ? renderDayCell(day, { showTime: true, minHeight: '360px' })
+                  : renderDayCell(day, { limit: MONTH_CELL_LIMIT, minHeight: '110px' })))}
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default OfferCalendar;
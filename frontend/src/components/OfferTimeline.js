@@ -0,0 +1,190 @@
+import React, { useRef } from 'react';
+import { addDays, getDayKey, isOnDay, getOfferColor } from '../utils/calendar';
+import { formatInTimezone } from '../utils/dates';
+
+const LABEL_WIDTH = 220;
+const ROW_HEIGHT = 34;
+
+// Color of the coverage cell of a day: gaps red, overlaps amber
+const getCoverageStyle = (count) => {
+  if (count === 0) {
+    return { background: '#fee2e2', color: '#b91c1c' };
+  }
+  if (count > 1) {
+    return { background: '#fef3c7', color: '#b45309' };
+  }
+  return { background: '#ecfdf5', color: '#047857' };
+};
+
+// Gantt-style timeline: one row per offer with a bar per occurrence, and a
+// coverage row counting the offers running each day so that gaps and
+// overlaps stand out. Bars can be dragged sideways to move an offer by days.
+const OfferTimeline = ({ days, items, occurrences, canReschedule, onReschedule, onOpen }) => {
+  const trackRef = useRef(null);
+  const dragRef = useRef(null);
+
+  const windowStart = days[0].getTime();
+  const windowEnd = addDays(days[days.length - 1], 1).getTime();
+  const windowLength = windowEnd - windowStart;
+
+  // Position of an occurrence bar within the track, in percent
+  const getBarPosition = (occurrence) => {
+    const start = Math.max(new Date(occurrence.start).getTime(), windowStart);
+    const end = Math.min(new Date(occurrence.end).getTime(), windowEnd);
+    return {
+      left: `${((start - windowStart) / windowLength) * 100}%`,
+      width: `${Math.max(((end - start) / windowLength) * 100, 0.5)}%`
+    };
+  };
+
+  // Day column under the pointer
+  const getDayIndexAt = (clientX) => {
+    const rect = trackRef.current.getBoundingClientRect();
+    const index = Math.floor(((clientX - rect.left - LABEL_WIDTH) / (rect.width - LABEL_WIDTH)) * days.length);
+    return Math.min(Math.max(index, 0), days.length - 1);
+  };
+
+  const handleDragStart = (e, item) => {
+    dragRef.current = { item, dayIndex: getDayIndexAt(e.clientX) };
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', item._id);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (drag) {
+      const shift = getDayIndexAt(e.clientX) - drag.dayIndex;
+      if (shift !== 0) {
+        onReschedule(drag.item, shift);
+      }
+    }
+  };
+
+  const rows = items.map(item => ({
+    item,
+    occurrences: occurrences.filter(occurrence => occurrence.item === item._id)
+  }));
+  const coverage = days.map(day => new Set(
+    occurrences.filter(occurrence => isOnDay(occurrence, day)).map(occurrence => occurrence.item)
+  ).size);
+  const todayKey = getDayKey(new Date());
+
+  const gridColumns = `${LABEL_WIDTH}px repeat(${days.length}, minmax(28px, 1fr))`;
+
+  return (
+    <div style={{ overflowX: 'auto' }}>
+      <div
+        ref={trackRef}
+        onDragOver={canReschedule ? (e) => e.preventDefault() : undefined}
+        onDrop={canReschedule ? handleDrop : undefined}
+        style={{ minWidth: `${LABEL_WIDTH + days.length * 28}px` }}
+      >
+        {/* Day header */}
+        <div style={{ display: 'grid', gridTemplateColumns: gridColumns, borderBottom: '1px solid #e5e7eb' }}>
+          <div />
+          {days.map(day => {
+            const weekend = day.getDay() === 0 || day.getDay() === 6;
+            return (
+              <div key={getDayKey(day)} style={{
+                textAlign: 'center',
+                fontSize: '0.75em',
+                padding: '4px 0',
+                color: getDayKey(day) === todayKey ? '#667eea' : '#6b7280',
+                fontWeight: getDayKey(day) === todayKey ? '700' : '500',
+                background: weekend ? '#f9fafb' : 'white'
+              }}>
+                {day.toLocaleDateString(undefined, { weekday: 'narrow' })}
+                <div>{day.getDate()}</div>
+              </div>
+            );
+          })}
+        </div>
+
+        {/* Coverage */}
+        <div style={{ display: 'grid', gridTemplateColumns: gridColumns, borderBottom: '2px solid #e5e7eb' }}>
+          <div style={{ padding: '6px 10px', fontSize: '0.85em', fontWeight: '600', color: '#374151' }}>
+            Offers running
+          </div>
+          {coverage.map((count, index) => (
+            <div
+              key={getDayKey(days[index])}
+              title={count === 0 ? 'No offer running' : `${count} offer(s) running`}
+              style={{
+                ...getCoverageStyle(count),
+                textAlign: 'center',
+                fontSize: '0.8em',
+                fontWeight: '600',
+                padding: '6px 0',
+                borderLeft: '1px solid white'
+              }}
+            >
+              {count}
+            </div>
+          ))}
+        </div>
+
+        {rows.length === 0 && (
+          <p style={{ padding: '24px', color: '#6b7280', margin: 0 }}>No offers in this period.</p>
+        )}
+
+        {/* One row per offer */}
+        {rows.map(({ item, occurrences: itemOccurrences }) => (
+          <div key={item._id} style={{
+            display: 'flex',
+            alignItems: 'center',
+            height: `${ROW_HEIGHT}px`,
+            borderBottom: '1px solid #f3f4f6'
+          }}>
+            <button
+              type="button"
+              onClick={() => onOpen(item)}
+              title={item.title}
+              style={{
+                width: `${LABEL_WIDTH}px`,
+                flexShrink: 0,
+                padding: '0 10px',
+                background: 'none',
+                border: 'none',
+                textAlign: 'left',
+                fontSize: '0.85em',
+                fontWeight: '600',
+                color: '#374151',
+                overflow: 'hidden',
+                textOverflow: 'ellipsis',
+                whiteSpace: 'nowrap',
+                cursor: 'pointer'
+              }}
+            >
+              {item.title}
+            </button>
+            <div style={{ position: 'relative', flex: 1, height: '100%' }}>
+              {itemOccurrences.map(occurrence => (
+                <div
+                  key={`${item._id}-${occurrence.index}`}
+                  draggable={canReschedule}
+                  onDragStart={(e) => handleDragStart(e, item)}
+                  onClick={() => onOpen(item)}
+                  title={`${item.title}\n${formatInTimezone(occurrence.start)} – ${formatInTimezone(occurrence.end)}`}
+                  style={{
+                    position: 'absolute',
+                    top: '6px',
+                    bottom: '6px',
+                    ...getBarPosition(occurrence),
+                    background: getOfferColor(item._id),
+                    opacity: item.workflowState && item.workflowState !== 'published' ? 0.55 : 1,
+                    borderRadius: '6px',
+                    cursor: canReschedule ? 'grab' : 'pointer'
+                  }}
+                />
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default OfferTimeline;
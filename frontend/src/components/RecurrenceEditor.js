@@ -0,0 +1,179 @@
+import React from 'react';
+import {
+  RECURRENCE_FREQUENCIES,
+  WEEKDAYS,
+  MAX_RECURRENCE_COUNT,
+  getDefaultRecurrence,
+  toApiRecurrence,
+  describeRecurrence
+} from '../utils/recurrence';
+
+const controlStyle = {
+  padding: '8px 12px',
+  fontSize: '0.95em',
+  borderRadius: '8px',
+  border: '2px solid #e5e7eb'
+};
+
+// Recurrence section of ItemForm. The value is null for a one-off offer;
+// the date range above is the first occurrence.
+const RecurrenceEditor = ({ value, onChange, disabled }) => {
+  const update = (changes) => onChange({ ...value, ...changes });
+
+  const toggleWeekday = (day) => {
+    const byWeekday = value.byWeekday.includes(day)
+      ? value.byWeekday.filter(d => d !== day)
+      : [...value.byWeekday, day];
+    update({ byWeekday });
+  };
+
+  const unit = RECURRENCE_FREQUENCIES.find(f => f.value === value?.freq)?.unit || 'week';
+
+  return (
+    <div className="form-group" style={{ marginBottom: '24px' }}>
+      <label className="form-label" style={{
+        display: 'flex',
+        alignItems: 'center',
+        gap: '8px',
+        fontWeight: '600',
+        color: '#374151',
+        fontSize: '0.95em',
+        cursor: 'pointer'
+      }}>
+        <input
+          type="checkbox"
+          checked={Boolean(value)}
+          onChange={(e) => onChange(e.target.checked ? getDefaultRecurrence() : null)}
+          disabled={disabled}
+        />
+        🔁 Repeat this offer
+      </label>
+
+      {value && (
+        <div style={{
+          marginTop: '12px',
+          padding: '16px',
+          borderRadius: '10px',
+          background: '#f9fafb',
+          border: '2px solid #e5e7eb'
+        }}>
+          <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '10px', marginBottom: '12px' }}>
+            <select
+              value={value.freq}
+              onChange={(e) => update({ freq: e.target.value })}
+              disabled={disabled}
+              aria-label="Frequency"
+              style={controlStyle}
+            >
+              {RECURRENCE_FREQUENCIES.map(frequency => (
+                <option key={frequency.value} value={frequency.value}>{frequency.label}</option>
+              ))}
+            </select>
+            <span>every</span>
+            <input
+              type="number"
+              min="1"
+              max="99"
+              value={value.interval}
+              onChange={(e) => update({ interval: e.target.value })}
+              disabled={disabled}
+              aria-label="Interval"
+              style={{ ...controlStyle, width: '80px' }}
+            />
+            <span>{unit}(s)</span>
+          </div>
+
+          {value.freq === 'weekly' && (
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginBottom: '12px' }}>
+              {WEEKDAYS.map(day => {
+                const selected = value.byWeekday.includes(day.value);
+                return (
+                  <button
+                    key={day.value}
+                    type="button"
+                    onClick={() => toggleWeekday(day.value)}
+                    disabled={disabled}
+                    aria-pressed={selected}
+                    style={{
+                      padding: '6px 10px',
+                      borderRadius: '8px',
+                      border: selected ? '2px solid #11998e' : '2px solid #e5e7eb',
+                      background: selected ? '#11998e' : 'white',
+                      color: selected ? 'white' : '#374151',
+                      fontWeight: '600',
+                      cursor: 'pointer'
+                    }}
+                  >
+                    {day.label}
+                  </button>
+                );
+              })}
+              <span style={{ fontSize: '0.85em', color: '#6b7280', alignSelf: 'center' }}>
+                {value.byWeekday.length === 0 && 'Same weekday as the start date'}
+              </span>
+            </div>
+          )}
+
+          <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '16px' }}>
+            <strong style={{ fontSize: '0.9em', color: '#374151' }}>Ends:</strong>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+              <input
+                type="radio"
+                name="recurrenceEnds"
+                checked={value.ends === 'never'}
+                onChange={() => update({ ends: 'never' })}
+                disabled={disabled}
+              />
+              Never
+            </label>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+              <input
+                type="radio"
+                name="recurrenceEnds"
+                checked={value.ends === 'until'}
+                onChange={() => update({ ends: 'until' })}
+                disabled={disabled}
+              />
+              On
+              <input
+                type="date"
+                value={value.until}
+                onChange={(e) => update({ ends: 'until', until: e.target.value })}
+                disabled={disabled}
+                aria-label="Last occurrence starts on or before"
+                style={controlStyle}
+              />
+            </label>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+              <input
+                type="radio"
+                name="recurrenceEnds"
+                checked={value.ends === 'count'}
+                onChange={() => update({ ends: 'count' })}
+                disabled={disabled}
+              />
+              After
+              <input
+                type="number"
+                min="1"
+                max={MAX_RECURRENCE_COUNT}
+                value={value.count}
+                onChange={(e) => update({ ends: 'count', count: e.target.value })}
+                disabled={disabled}
+                aria-label="Number of occurrences"
+                style={{ ...controlStyle, width: '80px' }}
+              />
+              occurrences
+            </label>
+          </div>
+
+          <p style={{ fontSize: '0.85em', color: '#6b7280', marginTop: '12px', marginBottom: 0 }}>
+            {describeRecurrence(toApiRecurrence(value))}. Each occurrence lasts as long as the date range above.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RecurrenceEditor;
@@ -0,0 +1,102 @@
+import React, { useState } from 'react';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDateInput = (date) => date.toISOString().split('T')[0];
+
+// Dialog for renewing an expired offer: picks the new period, which defaults
+// to starting today and lasting as long as the original offer
+const RenewDialog = ({ item, busy, onRenew, onClose }) => {
+  const duration = new Date(item.dateRange.end) - new Date(item.dateRange.start);
+  const today = new Date();
+  const [startDate, setStartDate] = useState(toDateInput(today));
+  const [endDate, setEndDate] = useState(toDateInput(new Date(today.getTime() + Math.max(duration, DAY_MS))));
+
+  const isValid = startDate && endDate && new Date(endDate) > new Date(startDate);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (isValid) {
+      onRenew({ startDate, endDate });
+    }
+  };
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        backgroundColor: 'rgba(0, 0, 0, 0.5)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 9999,
+        padding: '20px'
+      }}
+    >
+      <form
+        onSubmit={handleSubmit}
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          background: 'white',
+          borderRadius: '12px',
+          padding: '28px',
+          width: '100%',
+          maxWidth: '420px',
+          boxShadow: '0 8px 32px rgba(0, 0, 0, 0.3)'
+        }}
+      >
+        <h2 style={{ fontSize: '1.3em', marginBottom: '8px' }}>↻ Renew Offer</h2>
+        <p style={{ color: '#6b7280', fontSize: '0.9em', marginBottom: '20px' }}>
+          Creates an active copy of "{item.note}" with its images for the new period.
+        </p>
+
+        <label htmlFor="renewStartDate" className="form-label" style={{ display: 'block', fontWeight: '600', marginBottom: '6px' }}>
+          📅 Start Date
+        </label>
+        <input
+          type="date"
+          id="renewStartDate"
+          className="form-input"
+          value={startDate}
+          onChange={(e) => setStartDate(e.target.value)}
+          disabled={busy}
+          required
+          style={{ width: '100%', marginBottom: '16px' }}
+        />
+
+        <label htmlFor="renewEndDate" className="form-label" style={{ display: 'block', fontWeight: '600', marginBottom: '6px' }}>
+          📅 End Date
+        </label>
+        <input
+          type="date"
+          id="renewEndDate"
+          className="form-input"
+          value={endDate}
+          onChange={(e) => setEndDate(e.target.value)}
+          disabled={busy}
+          required
+          style={{ width: '100%', marginBottom: '8px' }}
+        />
+        {!isValid && (
+          <p style={{ color: '#ef4444', fontSize: '0.85em' }}>End date must be after start date</p>
+        )}
+
+        <div className="d-flex gap-2" style={{ marginTop: '20px' }}>
+          <button type="submit" className="btn btn-primary" disabled={busy || !isValid}>
+            {busy ? 'Renewing...' : 'Renew'}
+          </button>
+          <button type="button" className="btn btn-secondary" onClick={onClose} disabled={busy}>
+            Cancel
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default RenewDialog;
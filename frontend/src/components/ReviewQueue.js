@@ -0,0 +1,234 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import apiService from '../services/api';
+import { toast } from 'react-toastify';
+import ZonedDateRange from './ZonedDateRange';
+import WorkflowHistory from './WorkflowHistory';
+import LoadMoreSentinel from './LoadMoreSentinel';
+import { getMediumUrl } from '../utils/images';
+import { describeCategory } from '../utils/categories';
+import { describeSchedule } from '../utils/schedule';
+import { isEveryone, describeAudience } from '../utils/audience';
+
+// Offers waiting for review, oldest first
+const QUEUE_PARAMS = {
+  workflowState: 'pending_review',
+  sort: 'updated',
+  order: 'asc',
+  pagination: 'cursor',
+  limit: 20
+};
+
+const ReviewQueue = () => {
+  const [items, setItems] = useState([]);
+  const [pagination, setPagination] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [categories, setCategories] = useState([]);
+  // Reviewer comments being typed, by item id
+  const [comments, setComments] = useState({});
+  const [busyId, setBusyId] = useState(null);
+
+  const fetchQueue = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await apiService.getItems(QUEUE_PARAMS);
+      setItems(response.data.items);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      toast.error('Failed to fetch the review queue');
+      console.error('Fetch review queue error:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchQueue();
+  }, [fetchQueue]);
+
+  useEffect(() => {
+    const fetchCategories = async () => {
+      try {
+        const response = await apiService.getCategories();
+        setCategories(response.data.categories);
+      } catch (error) {
+        console.error('Fetch categories error:', error);
+      }
+    };
+    fetchCategories();
+  }, []);
+
+  const loadMore = async () => {
+    if (loadingMore || !pagination.hasNext) {
+      return;
+    }
+    try {
+      setLoadingMore(true);
+      const response = await apiService.getItems({ ...QUEUE_PARAMS, after: pagination.nextCursor });
+      setItems(prev => [...prev, ...response.data.items]);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      toast.error('Failed to fetch the review queue');
+      console.error('Fetch review queue error:', error);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const handleReview = async (item, action) => {
+    const comment = (comments[item._id] || '').trim();
+    if (action === 'reject' && !comment) {
+      toast.error('Please explain why the offer is rejected');
+      return;
+    }
+
+    try {
+      setBusyId(item._id);
+      await apiService.updateItemWorkflow(item._id, action, comment || undefined);
+      toast.success(action === 'approve' ? `"${item.title}" is published` : `"${item.title}" was sent back`);
+      setItems(prev => prev.filter(i => i._id !== item._id));
+      setComments(prev => {
+        const next = { ...prev };
+        delete next[item._id];
+        return next;
+      });
+    } catch (error) {
+      // e.g. another reviewer got there first
+      toast.error(error.message || 'Failed to review the offer');
+      console.error('Review offer error:', error);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="loading-container">
+        <div className="loading-spinner"></div>
+        <p>Loading review queue...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ padding: 'clamp(16px, 3vw, 24px)', maxWidth: '1000px', margin: '0 auto' }}>
+      <div className="page-header" style={{ marginBottom: '24px' }}>
+        <h1 className="page-title" style={{ fontSize: 'clamp(1.5em, 5vw, 2em)', marginBottom: '8px' }}>📝 Review Queue</h1>
+        <p className="page-subtitle" style={{ color: '#6b7280', fontSize: 'clamp(0.9em, 2.5vw, 1em)' }}>
+          Offers submitted by admins. Approving publishes an offer to every user; rejecting sends it back with your comment.
+        </p>
+      </div>
+
+      {items.length === 0 ? (
+        <div className="card text-center" style={{ padding: '40px 20px', borderRadius: '12px' }}>
+          <div style={{ fontSize: '3em', marginBottom: '12px' }}>🎉</div>
+          <p style={{ color: '#6b7280' }}>Nothing waiting for review.</p>
+        </div>
+      ) : (
+        <>
+          {items.map(item => (
+            <div key={item._id} className="card" style={{
+              borderRadius: '12px',
+              boxShadow: '0 4px 12px rgba(0, 0, 0, 0.08)',
+              border: 'none',
+              marginBottom: '20px',
+              padding: '20px',
+              display: 'flex',
+              gap: '20px',
+              flexWrap: 'wrap'
+            }}>
+              {item.imageUrl && (
+                <img
+                  src={getMediumUrl(item)}
+                  alt={item.title}
+                  loading="lazy"
+                  style={{ width: '220px', maxWidth: '100%', height: '160px', objectFit: 'cover', borderRadius: '8px' }}
+                />
+              )}
+              <div style={{ flex: '1 1 300px', minWidth: 0 }}>
+                <h2 style={{ fontSize: '1.2em', fontWeight: '700', margin: '0 0 6px' }}>{item.title}</h2>
+                <div style={{ fontSize: '0.9em', color: '#6b7280', marginBottom: '8px' }}>
+                  {item.category && <span>📂 {describeCategory(item.category, categories)} · </span>}
+                  By {item.createdBy?.name || 'Unknown'}
+                </div>
+                <div style={{ fontSize: '0.9em', marginBottom: '8px' }}>
+                  <ZonedDateRange item={item} />
+                  {describeSchedule(item) && (
+                    <div style={{ color: '#6d28d9', marginTop: '4px' }}>🗓️ {describeSchedule(item)}</div>
+                  )}
+                  {!isEveryone(item.audience) && (
+                    <div style={{ color: '#047857', marginTop: '4px' }}>👥 For {describeAudience(item.audience)}</div>
+                  )}
+                </div>
+                <p style={{ whiteSpace: 'pre-wrap', margin: '0 0 8px' }}>{item.note}</p>
+                {item.tags?.length > 0 && (
+                  <div style={{ display: 'flex', gap: '4px', flexWrap: 'wrap', marginBottom: '8px' }}>
+                    {item.tags.map(tag => (
+                      <span key={tag} style={{
+                        padding: '2px 8px',
+                        borderRadius: '999px',
+                        background: '#eef2ff',
+                        color: '#4338ca',
+                        fontSize: '0.8em',
+                        fontWeight: '600'
+                      }}>
+                        #{tag}
+                      </span>
+                    ))}
+                  </div>
+                )}
+                <details style={{ marginBottom: '12px' }}>
+                  <summary style={{ cursor: 'pointer', color: '#6b7280', fontSize: '0.9em' }}>Review history</summary>
+                  <WorkflowHistory history={item.workflowHistory} />
+                </details>
+
+                <label htmlFor={`review-comment-${item._id}`} style={{ display: 'block', fontWeight: '600', marginBottom: '6px' }}>
+                  Comment <span style={{ color: '#6b7280', fontWeight: '400' }}>(required to reject)</span>
+                </label>
+                <textarea
+                  id={`review-comment-${item._id}`}
+                  value={comments[item._id] || ''}
+                  onChange={(e) => setComments(prev => ({ ...prev, [item._id]: e.target.value }))}
+                  maxLength={1000}
+                  rows={2}
+                  disabled={busyId === item._id}
+                  style={{ width: '100%', padding: '8px 12px', borderRadius: '8px', border: '2px solid #e5e7eb', marginBottom: '10px' }}
+                />
+                <div className="d-flex gap-2">
+                  <button
+                    type="button"
+                    className="btn btn-primary"
+                    onClick={() => handleReview(item, 'approve')}
+                    disabled={Boolean(busyId)}
+                  >
+                    ✓ Approve
+                  </button>
+                  <button
+                    type="button"
+                    className="btn btn-danger"
+                    onClick={() => handleReview(item, 'reject')}
+                    disabled={Boolean(busyId)}
+                  >
+                    ✕ Reject
+                  </button>
+                  <Link to={`/items/edit/${item._id}`} className="btn btn-secondary">
+                    Open
+                  </Link>
+                </div>
+              </div>
+            </div>
+          ))}
+
+          <LoadMoreSentinel
+            hasMore={Boolean(pagination.hasNext)}
+            loading={loadingMore}
+            onLoadMore={loadMore}
+          />
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ReviewQueue;
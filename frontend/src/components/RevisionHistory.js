@@ -0,0 +1,261 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import apiService from '../services/api';
+import { toast } from 'react-toastify';
+import { describeRecurrence } from '../utils/recurrence';
+import { describeValidityWindow } from '../utils/validityWindows';
+import { describeCategory } from '../utils/categories';
+import { describeAudience } from '../utils/audience';
+
+const FIELD_LABELS = {
+  title: 'Title',
+  note: 'Note',
+  category: 'Category',
+  tags: 'Tags',
+  location: 'Location',
+  dateRange: 'Date range',
+  recurrence: 'Recurrence',
+  validityWindows: 'Validity windows',
+  publishAt: 'Show from',
+  unpublishAt: 'Hide from',
+  audience: 'Audience',
+  images: 'Images',
+  coverImage: 'Cover image'
+};
+
+const ACTION_LABELS = {
+  create: 'Created',
+  update: 'Updated',
+  restore: 'Restored'
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '—');
+
+// Describe a gallery change from the image id lists before and after it
+const describeImageChange = (from = [], to = []) => {
+  const added = to.filter(id => !from.includes(id)).length;
+  const removed = from.filter(id => !to.includes(id)).length;
+  const parts = [];
+  if (added > 0) {
+    parts.push(`${added} added`);
+  }
+  if (removed > 0) {
+    parts.push(`${removed} removed`);
+  }
+  if (parts.length === 0) {
+    parts.push('reordered');
+  }
+  return `${parts.join(', ')} (${from.length} → ${to.length} images)`;
+};
+
+// Format one side of a change for display
+const formatValue = (field, value, categories) => {
+  if (value === null || value === undefined || value === '') {
+    return '—';
+  }
+  if (field === 'category') {
+    // Revisions store the category id; deleted categories cannot be named
+    return describeCategory(value, categories) || 'Deleted category';
+  }
+  if (field === 'tags') {
+    return value.length > 0 ? value.map(tag => `#${tag}`).join(' ') : '—';
+  }
+  if (field === 'dateRange') {
+    return `${formatDate(value.start)} – ${formatDate(value.end)}`;
+  }
+  if (field === 'publishAt' || field === 'unpublishAt') {
+    return new Date(value).toLocaleString();
+  }
+  if (field === 'audience') {
+    // Revisions store user ids, so people are counted rather than named
+    const people = (value.users || []).length;
+    const description = describeAudience({ ...value, users: [] });
+    if (people === 0) {
+      return description;
+    }
+    const peopleLabel = `${people} ${people === 1 ? 'person' : 'people'}`;
+    return description === 'Everyone' ? peopleLabel : `${description} · ${peopleLabel}`;
+  }
+  if (field === 'recurrence') {
+    return describeRecurrence(value);
+  }
+  if (field === 'validityWindows') {
+    return value.length > 0 ? value.map(describeValidityWindow).join('; ') : 'All day';
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+};
+
+// A single field-level difference between a revision and the one before it
+const ChangeRow = ({ change, categories }) => {
+  const label = FIELD_LABELS[change.field] || change.field;
+
+  if (change.field === 'images') {
+    return (
+      <div style={{ marginTop: '6px', fontSize: '0.9em' }}>
+        <strong>{label}:</strong> {describeImageChange(change.from || [], change.to || [])}
+      </div>
+    );
+  }
+
+  if (change.field === 'coverImage') {
+    return (
+      <div style={{ marginTop: '6px', fontSize: '0.9em' }}>
+        <strong>{label}:</strong> changed
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ marginTop: '6px', fontSize: '0.9em' }}>
+      <strong>{label}:</strong>
+      <div style={{
+        background: '#fee2e2',
+        color: '#991b1b',
+        textDecoration: 'line-through',
+        padding: '4px 8px',
+        borderRadius: '6px',
+        marginTop: '4px',
+        whiteSpace: 'pre-wrap',
+        wordBreak: 'break-word'
+      }}>
+        {formatValue(change.field, change.from, categories)}
+      </div>
+      <div style={{
+        background: '#dcfce7',
+        color: '#166534',
+        padding: '4px 8px',
+        borderRadius: '6px',
+        marginTop: '4px',
+        whiteSpace: 'pre-wrap',
+        wordBreak: 'break-word'
+      }}>
+        {formatValue(change.field, change.to, categories)}
+      </div>
+    </div>
+  );
+};
+
+// History panel for the item edit screen: every revision with its changes,
+// and a button to restore the item to any earlier revision
+const RevisionHistory = ({ itemId, onRestored, categories = [] }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [currentRevision, setCurrentRevision] = useState(null);
+  const [pagination, setPagination] = useState({});
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [restoringId, setRestoringId] = useState(null);
+
+  const fetchRevisions = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await apiService.getItemRevisions(itemId, { page, limit: 10 });
+      const { revisions: pageRevisions, currentRevision: latest, pagination: pageInfo } = response.data;
+      setRevisions(previous => (page === 1 ? pageRevisions : [...previous, ...pageRevisions]));
+      setCurrentRevision(latest);
+      setPagination(pageInfo);
+    } catch (error) {
+      toast.error('Failed to fetch revision history');
+      console.error('Fetch revisions error:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [itemId, page]);
+
+  useEffect(() => {
+    fetchRevisions();
+  }, [fetchRevisions]);
+
+  const handleRestore = async (revision) => {
+    if (!window.confirm(`Restore this item to revision ${revision.revision}? The current values are kept in the history.`)) {
+      return;
+    }
+
+    try {
+      setRestoringId(revision._id);
+      await apiService.restoreItemRevision(itemId, revision._id);
+      toast.success(`Item restored to revision ${revision.revision}`);
+      if (onRestored) {
+        onRestored();
+      }
+    } catch (error) {
+      toast.error(error.message || 'Failed to restore revision');
+      console.error('Restore revision error:', error);
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  return (
+    <div className="card" style={{
+      borderRadius: '12px',
+      boxShadow: '0 4px 12px rgba(0, 0, 0, 0.08)',
+      border: 'none',
+      marginTop: '24px'
+    }}>
+      <div className="card-content" style={{ padding: 'clamp(20px, 4vw, 32px)' }}>
+        <h2 style={{ fontSize: '1.3em', marginBottom: '16px' }}>🕘 History</h2>
+
+        {revisions.length === 0 && !loading && (
+          <p style={{ color: '#6b7280' }}>No changes have been recorded for this item yet.</p>
+        )}
+
+        {revisions.map(revision => (
+          <div key={revision._id} style={{
+            borderLeft: revision.revision === currentRevision ? '3px solid #11998e' : '3px solid #e5e7eb',
+            padding: '8px 0 8px 16px',
+            marginBottom: '16px'
+          }}>
+            <div style={{
+              display: 'flex',
+              justifyContent: 'space-between',
+              alignItems: 'center',
+              gap: '12px',
+              flexWrap: 'wrap'
+            }}>
+              <div>
+                <strong>#{revision.revision} {ACTION_LABELS[revision.action] || revision.action}</strong>
+                {revision.action === 'restore' && revision.restoredFrom && (
+                  <span style={{ color: '#6b7280' }}> from #{revision.restoredFrom}</span>
+                )}
+                <div style={{ fontSize: '0.85em', color: '#6b7280' }}>
+                  {revision.changedBy?.name || 'Unknown'} · {new Date(revision.createdAt).toLocaleString()}
+                </div>
+              </div>
+              {revision.revision === currentRevision ? (
+                <span style={{ fontSize: '0.85em', color: '#11998e', fontWeight: '600' }}>Current</span>
+              ) : (
+                <button
+                  type="button"
+                  className="btn btn-sm btn-secondary"
+                  onClick={() => handleRestore(revision)}
+                  disabled={Boolean(restoringId)}
+                >
+                  {restoringId === revision._id ? 'Restoring...' : '↺ Restore'}
+                </button>
+              )}
+            </div>
+            {revision.action !== 'create' && revision.changes.map(change => (
+              <ChangeRow key={change.field} change={change} categories={categories} />
+            ))}
+          </div>
+        ))}
+
+        {loading && <p style={{ color: '#6b7280' }}>Loading history...</p>}
+
+        {!loading && pagination.hasNext && (
+          <button
+            type="button"
+            className="btn btn-outline btn-sm"
+            onClick={() => setPage(page + 1)}
+          >
+            Show older revisions
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RevisionHistory;
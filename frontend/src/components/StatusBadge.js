@@ -0,0 +1,25 @@
+import React from 'react';
+import { getStatusInfo } from '../utils/status';
+
+// Pill showing the lifecycle status of an item
+const StatusBadge = ({ status, style }) => {
+  const { label, icon, color, background } = getStatusInfo(status);
+
+  return (
+    <span style={{
+      display: 'inline-block',
+      padding: '6px 12px',
+      borderRadius: '20px',
+      fontSize: '0.85em',
+      fontWeight: '600',
+      whiteSpace: 'nowrap',
+      background,
+      color,
+      ...style
+    }}>
+      {icon} {label}
+    </span>
+  );
+};
+
+export default StatusBadge;
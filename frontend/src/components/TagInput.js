@@ -0,0 +1,188 @@
+import React, { useState, useEffect } from 'react';
+import apiService from '../services/api';
+import { MAX_TAGS_PER_ITEM, MAX_TAG_LENGTH, normalizeTag } from '../utils/tags';
+
+// Item tags in use that start with the search term
+const fetchTagSuggestions = async (search) => {
+  const response = await apiService.getItemTags({ search, limit: 8 });
+  return response.data.tags.map(t => t.name);
+};
+
+// Free-form tag input: tags are shown as chips and existing tags are
+// suggested while typing. Enter or a comma adds the typed tag. Other lists of
+// lowercase names (e.g. user groups) can pass their own suggestions and prefix.
+const TagInput = ({
+  value,
+  onChange,
+  disabled,
+  placeholder = 'Add a tag...',
+  maxTags = MAX_TAGS_PER_ITEM,
+  fetchSuggestions = fetchTagSuggestions,
+  prefix = '#',
+  noun = 'tag'
+}) => {
+  const [input, setInput] = useState('');
+  const [suggestions, setSuggestions] = useState([]);
+
+  // Look up existing tags once typing pauses
+  useEffect(() => {
+    const search = input.trim();
+    if (!search) {
+      setSuggestions([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const names = await fetchSuggestions(search);
+        if (!cancelled) {
+          setSuggestions(names.filter(tag => !value.includes(tag)));
+        }
+      } catch (error) {
+        console.error(`Fetch ${noun} suggestions error:`, error);
+      }
+    }, 250);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [input, value, fetchSuggestions, noun]);
+
+  const addTag = (tag) => {
+    const normalized = normalizeTag(tag);
+    if (normalized && !value.includes(normalized) && value.length < maxTags) {
+      onChange([...value, normalized]);
+    }
+    setInput('');
+    setSuggestions([]);
+  };
+
+  const removeTag = (tag) => {
+    onChange(value.filter(t => t !== tag));
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      if (input.trim()) {
+        addTag(input);
+      }
+    } else if (e.key === 'Backspace' && !input && value.length > 0) {
+      removeTag(value[value.length - 1]);
+    }
+  };
+
+  return (
+    <div style={{ position: 'relative' }}>
+      <div style={{
+        display: 'flex',
+        flexWrap: 'wrap',
+        alignItems: 'center',
+        gap: '6px',
+        padding: '6px 10px',
+        borderRadius: '10px',
+        border: '2px solid #e5e7eb',
+        background: disabled ? '#f9fafb' : 'white',
+        minHeight: '44px'
+      }}>
+        {value.map(tag => (
+          <span key={tag} style={{
+            display: 'inline-flex',
+            alignItems: 'center',
+            gap: '4px',
+            padding: '3px 10px',
+            borderRadius: '999px',
+            background: '#eef2ff',
+            color: '#4338ca',
+            fontSize: '0.85em',
+            fontWeight: '600'
+          }}>
+            {prefix}{tag}
+            {!disabled && (
+              <button
+                type="button"
+                onClick={() => removeTag(tag)}
+                aria-label={`Remove ${noun} ${tag}`}
+                style={{
+                  background: 'none',
+                  border: 'none',
+                  color: '#6366f1',
+                  cursor: 'pointer',
+                  padding: 0,
+                  lineHeight: 1
+                }}
+              >
+                ✕
+              </button>
+            )}
+          </span>
+        ))}
+        {value.length < maxTags && (
+          <input
+            type="text"
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+            onKeyDown={handleKeyDown}
+            onBlur={() => input.trim() && addTag(input)}
+            disabled={disabled}
+            placeholder={value.length === 0 ? placeholder : ''}
+            maxLength={MAX_TAG_LENGTH}
+            aria-label={`Add a ${noun}`}
+            style={{
+              flex: 1,
+              minWidth: '120px',
+              border: 'none',
+              outline: 'none',
+              fontSize: '0.95em',
+              background: 'transparent'
+            }}
+          />
+        )}
+      </div>
+
+      {suggestions.length > 0 && (
+        <ul style={{
+          position: 'absolute',
+          top: '100%',
+          left: 0,
+          right: 0,
+          zIndex: 10,
+          margin: '4px 0 0',
+          padding: '4px 0',
+          listStyle: 'none',
+          background: 'white',
+          borderRadius: '10px',
+          boxShadow: '0 4px 12px rgba(0, 0, 0, 0.12)'
+        }}>
+          {suggestions.map(tag => (
+            <li key={tag}>
+              <button
+                type="button"
+                // Keep the input focused so its blur does not add the partial tag
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  addTag(tag);
+                }}
+                style={{
+                  width: '100%',
+                  textAlign: 'left',
+                  padding: '6px 12px',
+                  background: 'none',
+                  border: 'none',
+                  cursor: 'pointer',
+                  fontSize: '0.9em'
+                }}
+              >
+                {prefix}{tag}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TagInput;
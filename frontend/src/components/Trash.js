@@ -0,0 +1,215 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import apiService from '../services/api';
+import { toast } from 'react-toastify';
+
+const Trash = () => {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [pagination, setPagination] = useState({});
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [page, setPage] = useState(1);
+  const [busyId, setBusyId] = useState(null);
+
+  const fetchTrash = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await apiService.getTrash({ page, limit: 10 });
+      setItems(response.data.items);
+      setPagination(response.data.pagination);
+      setRetentionDays(response.data.retentionDays);
+    } catch (error) {
+      toast.error('Failed to fetch trash');
+      console.error('Fetch trash error:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [page]);
+
+  useEffect(() => {
+    fetchTrash();
+  }, [fetchTrash]);
+
+  const handleRestore = async (itemId) => {
+    try {
+      setBusyId(itemId);
+      await apiService.restoreItem(itemId);
+      toast.success('Item restored');
+      fetchTrash();
+    } catch (error) {
+      toast.error('Failed to restore item');
+      console.error('Restore item error:', error);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handlePurge = async (itemId) => {
+    if (!window.confirm('Permanently delete this item, its images and its history? This cannot be undone.')) {
+      return;
+    }
+
+    try {
+      setBusyId(itemId);
+      await apiService.purgeItem(itemId);
+      toast.success('Item permanently deleted');
+      fetchTrash();
+    } catch (error) {
+      toast.error('Failed to delete item permanently');
+      console.error('Purge item error:', error);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    return dateString ? new Date(dateString).toLocaleDateString() : '—';
+  };
+
+  if (loading) {
+    return (
+      <div className="loading-container">
+        <div className="loading-spinner"></div>
+        <p>Loading trash...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ padding: 'clamp(16px, 3vw, 24px)', maxWidth: '1400px', margin: '0 auto' }}>
+      <div className="page-header" style={{ marginBottom: '24px' }}>
+        <Link to="/items" style={{
+          display: 'inline-flex',
+          alignItems: 'center',
+          gap: '8px',
+          textDecoration: 'none',
+          color: '#667eea',
+          fontWeight: '600',
+          marginBottom: '15px',
+          padding: '10px 16px',
+          borderRadius: '8px',
+          background: '#f0f9ff'
+        }}>
+          ← Back to Items
+        </Link>
+        <h1 className="page-title" style={{ fontSize: 'clamp(1.5em, 5vw, 2em)', marginBottom: '8px' }}>🗑️ Trash</h1>
+        <p className="page-subtitle" style={{ color: '#6b7280', fontSize: 'clamp(0.9em, 2.5vw, 1em)' }}>
+          Deleted items can be restored until they are purged
+          {retentionDays ? ` ${retentionDays} days after deletion` : ''}.
+        </p>
+      </div>
+
+      <div className="card" style={{
+        borderRadius: '12px',
+        boxShadow: '0 4px 12px rgba(0, 0, 0, 0.08)',
+        border: 'none',
+        overflow: 'hidden'
+      }}>
+        <div className="card-header" style={{
+          background: 'linear-gradient(135deg, #6b7280 0%, #374151 100%)',
+          padding: '24px',
+          borderBottom: 'none'
+        }}>
+          <h2 className="card-title" style={{
+            color: 'white',
+            margin: 0,
+            fontSize: '1.5em',
+            fontWeight: '600'
+          }}>
+            🗑️ Deleted Items ({pagination.totalItems || 0})
+          </h2>
+        </div>
+        <div className="card-content">
+          {items.length === 0 ? (
+            <div className="text-center" style={{ padding: '40px 20px' }}>
+              <div style={{ fontSize: '3em', marginBottom: '12px' }}>✨</div>
+              <p style={{ color: '#6b7280' }}>The trash is empty.</p>
+            </div>
+          ) : (
+            <>
+              <div className="table-responsive">
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th>Offer</th>
+                      <th>Date Range</th>
+                      <th>Deleted</th>
+                      <th>Purged On</th>
+                      <th>Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {items.map((item) => (
+                      <tr key={item._id}>
+                        <td style={{ maxWidth: '300px' }}>
+                          <strong>{item.title}</strong>
+                          <div style={{ fontSize: '0.9em', color: '#6b7280' }}>{item.note}</div>
+                        </td>
+                        <td>
+                          {formatDate(item.dateRange.start)} - {' '}
+                          {formatDate(item.dateRange.end)}
+                        </td>
+                        <td>
+                          {formatDate(item.deletedAt || item.updatedAt)}
+                          <div style={{ fontSize: '0.85em', color: '#6b7280' }}>
+                            by {item.deletedBy?.name || item.updatedBy?.name || 'Unknown'}
+                          </div>
+                        </td>
+                        <td>{formatDate(item.purgeAt)}</td>
+                        <td>
+                          <div className="d-flex gap-2">
+                            <button
+                              onClick={() => handleRestore(item._id)}
+                              className="btn btn-sm btn-secondary"
+                              disabled={Boolean(busyId)}
+                            >
+                              ↺ Restore
+                            </button>
+                            <button
+                              onClick={() => handlePurge(item._id)}
+                              className="btn btn-sm btn-danger"
+                              disabled={Boolean(busyId)}
+                            >
+                              Delete Forever
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {/* Pagination */}
+              {pagination.totalPages > 1 && (
+                <div className="d-flex justify-content-center mt-4">
+                  <div className="d-flex gap-2">
+                    <button
+                      onClick={() => setPage(page - 1)}
+                      disabled={!pagination.hasPrev}
+                      className="btn btn-outline btn-sm"
+                    >
+                      Previous
+                    </button>
+                    <span className="btn btn-sm">
+                      Page {pagination.currentPage} of {pagination.totalPages}
+                    </span>
+                    <button
+                      onClick={() => setPage(page + 1)}
+                      disabled={!pagination.hasNext}
+                      className="btn btn-outline btn-sm"
+                    >
+                      Next
+                    </button>
+                  </div>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Trash;
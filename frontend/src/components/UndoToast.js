@@ -0,0 +1,41 @@
+import React from 'react';
+import { toast } from 'react-toastify';
+
+// Toast content with an "Undo" button
+const UndoToast = ({ message, onUndo, closeToast }) => (
+  <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '12px' }}>
+    <span>{message}</span>
+    <button
+      type="button"
+      onClick={() => {
+        closeToast();
+        onUndo();
+      }}
+      style={{
+        background: 'none',
+        border: '2px solid currentColor',
+        borderRadius: '6px',
+        padding: '4px 12px',
+        fontWeight: '600',
+        color: '#11998e',
+        cursor: 'pointer',
+        whiteSpace: 'nowrap'
+      }}
+    >
+      ↺ Undo
+    </button>
+  </div>
+);
+
+/**
+ * Show a success toast with an "Undo" button
+ * @param {string} message - Message to show
+ * @param {Function} onUndo - Called when the user clicks "Undo"
+ */
+export const showUndoToast = (message, onUndo) => {
+  toast.success(({ closeToast }) => (
+    <UndoToast message={message} onUndo={onUndo} closeToast={closeToast} />
+  ), { autoClose: 8000 });
+};
+
+export default UndoToast;
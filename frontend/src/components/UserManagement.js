@@ -1,36 +1,46 @@
 import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import apiService from '../services/api';
+import LoadMoreSentinel from './LoadMoreSentinel';
+import TagInput from './TagInput';
+import { fetchGroupSuggestions } from './AudienceEditor';
+import { MAX_GROUPS_PER_USER } from '../utils/audience';
+
+// Users fetched per request
+const PAGE_SIZE = 20;
 
 const UserManagement = () => {
   const [users, setUsers] = useState([]);
   const [stats, setStats] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [pagination, setPagination] = useState({
-    currentPage: 1,
-    totalPages: 1,
-    totalUsers: 0,
-    limit: 10
+    hasNext: false,
+    nextCursor: null
   });
   const [filters, setFilters] = useState({
     search: '',
     role: '',
+    group: '',
     isActive: ''
   });
 
-  // Fetch users
+  // Query parameters of the user list
+  const getListParams = () => ({
+    pagination: 'cursor',
+    limit: PAGE_SIZE,
+    ...(filters.search && { search: filters.search }),
+    ...(filters.role && { role: filters.role }),
+    ...(filters.group && { group: filters.group }),
+    ...(filters.isActive !== '' && { isActive: filters.isActive })
+  });
+
+  // Fetch the first page of users
   const fetchUsers = async () => {
     try {
       setLoading(true);
-      const params = {
-        page: pagination.currentPage,
-        limit: pagination.limit,
-        ...(filters.search && { search: filters.search }),
-        ...(filters.role && { role: filters.role }),
-        ...(filters.isActive !== '' && { isActive: filters.isActive })
-      };
-      
-      const response = await apiService.getUsers(params);
+      const response = await apiService.getUsers(getListParams());
       if (response.success) {
         setUsers(response.data.users);
         setPagination(response.data.pagination);
@@ -42,6 +52,25 @@ const UserManagement = () => {
     }
   };
 
+  // Append the next page of users when the list is scrolled to the end
+  const loadMoreUsers = async () => {
+    if (loadingMore || !pagination.hasNext) {
+      return;
+    }
+    try {
+      setLoadingMore(true);
+      const response = await apiService.getUsers({ ...getListParams(), after: pagination.nextCursor });
+      if (response.success) {
+        setUsers(prev => [...prev, ...response.data.users]);
+        setPagination(response.data.pagination);
+      }
+    } catch (error) {
+      toast.error('Failed to fetch users');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
   // Fetch user statistics
   const fetchStats = async () => {
     try {
@@ -74,6 +103,18 @@ const UserManagement = () => {
     }
   };
 
+  // Update the groups of a user in place, so the list keeps its scroll position
+  const handleGroupsChange = async (userId, groups) => {
+    try {
+      const response = await apiService.updateUserGroups(userId, groups);
+      if (response.success) {
+        setUsers(prev => prev.map(u => (u._id === userId ? { ...u, groups: response.data.user.groups } : u)));
+      }
+    } catch (error) {
+      toast.error(error.message || 'Failed to update user groups');
+    }
+  };
+
   // Toggle user activation
   const handleToggleActivation = async (userId) => {
     try {
@@ -95,18 +136,12 @@ const UserManagement = () => {
       ...prev,
       [name]: value
     }));
-    setPagination(prev => ({ ...prev, currentPage: 1 }));
-  };
-
-  // Handle page change
-  const handlePageChange = (newPage) => {
-    setPagination(prev => ({ ...prev, currentPage: newPage }));
   };
 
   useEffect(() => {
     fetchUsers();
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [pagination.currentPage, filters]);
+  }, [filters]);
 
   useEffect(() => {
     fetchStats();
@@ -274,6 +309,26 @@ const UserManagement = () => {
                 <option value="super_admin">Super Admin</option>
               </select>
             </div>
+            <div className="form-group" style={{ margin: 0 }}>
+              <label className="form-label" style={{ fontWeight: '500', marginBottom: '8px', display: 'block', color: '#374151' }}>
+                👥 Group Filter
+              </label>
+              <input
+                type="text"
+                name="group"
+                className="form-input"
+                placeholder="Group name..."
+                value={filters.group}
+                onChange={handleFilterChange}
+                style={{ 
+                  padding: '10px 12px',
+                  borderRadius: '8px',
+                  border: '1px solid #d1d5db',
+                  fontSize: '0.95em',
+                  transition: 'border-color 0.2s'
+                }}
+              />
+            </div>
             <div className="form-group" style={{ margin: 0 }}>
               <label className="form-label" style={{ fontWeight: '500', marginBottom: '8px', display: 'block', color: '#374151' }}>
                 ⚡ Status Filter
@@ -341,6 +396,9 @@ const UserManagement = () => {
                       <th style={{ padding: '16px 12px', textAlign: 'left', fontWeight: '600', color: '#374151', fontSize: '0.9em', textTransform: 'uppercase', letterSpacing: '0.5px' }}>
                         🎭 Role
                       </th>
+                      <th style={{ padding: '16px 12px', textAlign: 'left', fontWeight: '600', color: '#374151', fontSize: '0.9em', textTransform: 'uppercase', letterSpacing: '0.5px' }}>
+                        👥 Groups
+                      </th>
                       <th style={{ padding: '16px 12px', textAlign: 'center', fontWeight: '600', color: '#374151', fontSize: '0.9em', textTransform: 'uppercase', letterSpacing: '0.5px' }}>
                         ⚡ Status
                       </th>
@@ -390,6 +448,16 @@ const UserManagement = () => {
                             <option value="super_admin">⭐ Super Admin</option>
                           </select>
                         </td>
+                        <td style={{ padding: '16px 12px', minWidth: '220px' }}>
+                          <TagInput
+                            value={user.groups || []}
+                            onChange={(groups) => handleGroupsChange(user._id, groups)}
+                            placeholder="Add a group..."
+                            maxTags={MAX_GROUPS_PER_USER}
+                            fetchSuggestions={fetchGroupSuggestions}
+                            noun="group"
+                          />
+                        </td>
                         <td style={{ padding: '16px 12px', textAlign: 'center' }}>
                           <span
                             style={{ 
@@ -425,6 +493,15 @@ const UserManagement = () => {
                           >
                             {user.isActive ? '🚫 Deactivate' : '✓ Activate'}
                           </button>
+                          {user.role === 'user' && (
+                            <Link
+                              to={`/items?previewAs=user:${user._id}`}
+                              title="See the offers this user sees"
+                              style={{ display: 'block', marginTop: '8px', fontSize: '0.85em', color: '#3b82f6' }}
+                            >
+                              👁️ Preview offers
+                            </Link>
+                          )}
                         </td>
                       </tr>
                     ))}
@@ -432,59 +509,11 @@ const UserManagement = () => {
                 </table>
               </div>
 
-              {/* Pagination */}
-              {pagination.totalPages > 1 && (
-                <div style={{ 
-                  display: 'flex', 
-                  justifyContent: 'center', 
-                  alignItems: 'center', 
-                  gap: '12px', 
-                  marginTop: '30px', 
-                  padding: '20px 0',
-                  borderTop: '1px solid #e5e7eb'
-                }}>
-                  <button
-                    className="btn btn-secondary"
-                    onClick={() => handlePageChange(pagination.currentPage - 1)}
-                    disabled={!pagination.hasPrev}
-                    style={{ 
-                      padding: '10px 20px',
-                      borderRadius: '8px',
-                      fontWeight: '600',
-                      transition: 'all 0.2s',
-                      opacity: !pagination.hasPrev ? 0.5 : 1,
-                      cursor: !pagination.hasPrev ? 'not-allowed' : 'pointer'
-                    }}
-                  >
-                    ← Previous
-                  </button>
-                  <div style={{ 
-                    padding: '10px 20px',
-                    background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
-                    color: 'white',
-                    borderRadius: '8px',
-                    fontWeight: '600',
-                    fontSize: '0.95em'
-                  }}>
-                    Page {pagination.currentPage} of {pagination.totalPages}
-                  </div>
-                  <button
-                    className="btn btn-secondary"
-                    onClick={() => handlePageChange(pagination.currentPage + 1)}
-                    disabled={!pagination.hasNext}
-                    style={{ 
-                      padding: '10px 20px',
-                      borderRadius: '8px',
-                      fontWeight: '600',
-                      transition: 'all 0.2s',
-                      opacity: !pagination.hasNext ? 0.5 : 1,
-                      cursor: !pagination.hasNext ? 'not-allowed' : 'pointer'
-                    }}
-                  >
-                    Next →
-                  </button>
-                </div>
-              )}
+              <LoadMoreSentinel
+                hasMore={pagination.hasNext}
+                loading={loadingMore}
+                onLoadMore={loadMoreUsers}
+              />
 
               <div style={{ 
                 textAlign: 'center', 
@@ -493,7 +522,7 @@ const UserManagement = () => {
                 fontSize: '0.9em',
                 fontWeight: '500'
               }}>
-                📊 Showing <span style={{ color: '#3b82f6', fontWeight: '600' }}>{users.length}</span> of <span style={{ color: '#3b82f6', fontWeight: '600' }}>{pagination.totalUsers}</span> total users
+                📊 Showing <span style={{ color: '#3b82f6', fontWeight: '600' }}>{users.length}{pagination.hasNext ? '+' : ''}</span> users
               </div>
             </>
           )}
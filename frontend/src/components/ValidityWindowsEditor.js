@@ -0,0 +1,130 @@
+import React from 'react';
+import { WEEKDAYS } from '../utils/recurrence';
+import { MAX_VALIDITY_WINDOWS, getDefaultValidityWindow } from '../utils/validityWindows';
+
+const controlStyle = {
+  padding: '8px 12px',
+  fontSize: '0.95em',
+  borderRadius: '8px',
+  border: '2px solid #e5e7eb'
+};
+
+// Validity windows section of ItemForm. Without windows the offer is valid
+// all day; with them, only on the chosen weekdays and hours.
+const ValidityWindowsEditor = ({ value, onChange, disabled }) => {
+  const updateWindow = (index, changes) => {
+    onChange(value.map((window, windowIndex) => (windowIndex === index ? { ...window, ...changes } : window)));
+  };
+
+  const toggleDay = (index, day) => {
+    const { days } = value[index];
+    updateWindow(index, { days: days.includes(day) ? days.filter(d => d !== day) : [...days, day] });
+  };
+
+  return (
+    <div className="form-group" style={{ marginBottom: '24px' }}>
+      <label className="form-label" style={{
+        display: 'block',
+        marginBottom: '8px',
+        fontWeight: '600',
+        color: '#374151',
+        fontSize: '0.95em'
+      }}>
+        🕒 Validity Windows
+        <span style={{ color: '#6b7280', fontWeight: 'normal', fontSize: '0.9em' }}> (optional, e.g. happy hours)</span>
+      </label>
+
+      {value.length === 0 && (
+        <p style={{ fontSize: '0.85em', color: '#6b7280', marginBottom: '8px' }}>
+          Valid all day during the date range.
+        </p>
+      )}
+
+      {value.map((window, index) => (
+        <div key={index} style={{
+          marginBottom: '10px',
+          padding: '12px',
+          borderRadius: '10px',
+          background: '#f9fafb',
+          border: '2px solid #e5e7eb'
+        }}>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginBottom: '10px' }}>
+            {WEEKDAYS.map(day => {
+              const selected = window.days.includes(day.value);
+              return (
+                <button
+                  key={day.value}
+                  type="button"
+                  onClick={() => toggleDay(index, day.value)}
+                  disabled={disabled}
+                  aria-pressed={selected}
+                  style={{
+                    padding: '6px 10px',
+                    borderRadius: '8px',
+                    border: selected ? '2px solid #11998e' : '2px solid #e5e7eb',
+                    background: selected ? '#11998e' : 'white',
+                    color: selected ? 'white' : '#374151',
+                    fontWeight: '600',
+                    cursor: 'pointer'
+                  }}
+                >
+                  {day.label}
+                </button>
+              );
+            })}
+          </div>
+          <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '10px' }}>
+            <input
+              type="time"
+              value={window.startTime}
+              onChange={(e) => updateWindow(index, { startTime: e.target.value })}
+              disabled={disabled}
+              aria-label="Window start time"
+              style={controlStyle}
+            />
+            <span>to</span>
+            <input
+              type="time"
+              value={window.endTime}
+              onChange={(e) => updateWindow(index, { endTime: e.target.value })}
+              disabled={disabled}
+              aria-label="Window end time"
+              style={controlStyle}
+            />
+            {window.endTime && window.endTime < window.startTime && (
+              <span style={{ fontSize: '0.85em', color: '#6b7280' }}>ends the next day</span>
+            )}
+            <button
+              type="button"
+              onClick={() => onChange(value.filter((_, windowIndex) => windowIndex !== index))}
+              disabled={disabled}
+              style={{
+                marginLeft: 'auto',
+                background: 'none',
+                border: 'none',
+                color: '#ef4444',
+                cursor: 'pointer',
+                fontWeight: '600'
+              }}
+            >
+              ✕ Remove
+            </button>
+          </div>
+        </div>
+      ))}
+
+      {value.length < MAX_VALIDITY_WINDOWS && (
+        <button
+          type="button"
+          className="btn btn-sm btn-secondary"
+          onClick={() => onChange([...value, getDefaultValidityWindow()])}
+          disabled={disabled}
+        >
+          + Add window
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ValidityWindowsEditor;
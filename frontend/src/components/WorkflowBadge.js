@@ -0,0 +1,25 @@
+import React from 'react';
+import { getWorkflowInfo } from '../utils/workflow';
+
+// Pill showing the approval workflow state of an item
+const WorkflowBadge = ({ state, style }) => {
+  const { label, icon, color, background } = getWorkflowInfo(state);
+
+  return (
+    <span style={{
+      display: 'inline-block',
+      padding: '6px 12px',
+      borderRadius: '20px',
+      fontSize: '0.85em',
+      fontWeight: '600',
+      whiteSpace: 'nowrap',
+      background,
+      color,
+      ...style
+    }}>
+      {icon} {label}
+    </span>
+  );
+};
+
+export default WorkflowBadge;
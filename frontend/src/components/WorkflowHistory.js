@@ -0,0 +1,30 @@
+import React from 'react';
+import { describeWorkflowEvent } from '../utils/workflow';
+
+// Review history of an item, newest first: who submitted, approved or
+// rejected it and when, with the reviewer's comments
+const WorkflowHistory = ({ history = [], limit }) => {
+  const events = [...history].reverse().slice(0, limit || history.length);
+
+  if (events.length === 0) {
+    return <p style={{ color: '#6b7280', fontSize: '0.9em', margin: 0 }}>Not submitted for review yet.</p>;
+  }
+
+  return (
+    <ul style={{ listStyle: 'none', padding: 0, margin: 0 }}>
+      {events.map((event, index) => (
+        <li key={index} style={{ padding: '8px 0', borderBottom: '1px solid #f3f4f6', fontSize: '0.9em' }}>
+          <strong>{describeWorkflowEvent(event)}</strong>
+          <span style={{ color: '#6b7280' }}>
+            {' '}by {event.actor?.name || 'Unknown'} · {new Date(event.at).toLocaleString()}
+          </span>
+          {event.comment && (
+            <div style={{ color: '#374151', marginTop: '4px', whiteSpace: 'pre-wrap' }}>“{event.comment}”</div>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default WorkflowHistory;
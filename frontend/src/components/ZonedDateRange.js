@@ -0,0 +1,24 @@
+import React from 'react';
+import { formatInTimezone, getViewerTimezone } from '../utils/dates';
+
+// Date range of an offer in the offer's timezone, with the viewer's local
+// time alongside when the two zones differ
+const ZonedDateRange = ({ item }) => {
+  const timezone = item.timezone || 'UTC';
+  const viewerTimezone = getViewerTimezone();
+  const { start, end } = item.dateRange;
+
+  return (
+    <span>
+      {formatInTimezone(start, timezone)} – {formatInTimezone(end, timezone)}
+      <span style={{ color: '#9ca3af', fontSize: '0.85em' }}> ({timezone})</span>
+      {timezone !== viewerTimezone && (
+        <span style={{ display: 'block', fontSize: '0.85em', color: '#6b7280' }}>
+          Your time: {formatInTimezone(start, viewerTimezone)} – {formatInTimezone(end, viewerTimezone)}
+        </span>
+      )}
+    </span>
+  );
+};
+
+export default ZonedDateRange;
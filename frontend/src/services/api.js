@@ -136,6 +136,35 @@ class ApiService {
     }
   }
 
+  // Calendar feed link of the current user. Creating a link revokes the
+  // previous one; the token is only returned on creation.
+  async getCalendarFeed() {
+    try {
+      const response = await this.api.get('/auth/calendar-feed');
+      return this.handleResponse(response);
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
+
+  async createCalendarFeed() {
+    try {
+      const response = await this.api.post('/auth/calendar-feed');
+      return this.handleResponse(response);
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
+
+  async revokeCalendarFeed() {
+    try {
+      const response = await this.api.delete('/auth/calendar-feed');
+      return this.handleResponse(response);
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
+
   // Item endpoints
   async getItems(params = {}) {
     try {
@@ -146,6 +175,69 @@ class ApiService {
     }
   }
 
+  // Download every item matching the list filters as a CSV or Excel file.
+  // Exports can take longer than the usual request timeout.
+  async exportItems(params = {}) {
+    try {
+      const response = await this.api.get('/items/export', { params, responseType: 'blob', timeout: 0 });
+      return response.data;
+    } catch (error) {
+      // Error responses arrive as blobs too
+      if (error.response?.data instanceof Blob) {
+        try {
+          error.response.data = JSON.parse(await error.response.data.text());
+        } catch (parseError) {
+          // Not JSON; fall back to the status text
+        }
+      }
+      this.handleError(error);
+    }
+  }
+
+  // Bulk import: formData carries the "manifest" CSV and the "images" ZIP.
+  // A dry run checks every row without creating anything.
+  async importItems(formData, { dryRun = false } = {}) {
+    try {
+      const response = await this.api.post('/items/import', formData, {
+        params: dryRun ? { dryRun: true } : {},
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+        timeout: 0,
+      });
+      return this.handleResponse(response);
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
+
+  async getImports(params = {}) {
+    try {
+      const response = await this.api.get('/items/imports', { params });
+      return this.handleResponse(response);
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
+
+  async undoImport(batchId) {
+    try {
+      const response = await this.api.post(`/items/imports/${batchId}/undo`);
+      return this.handleResponse(response);
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
+
+  async getItemOccurrences(params = {}) {
+    try {
+      const response = await this.api.get('/items/occurrences', { params });
+      return this.handleResponse(response);
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
+
   async getItem(id) {
     try {
       const response = await this.api.get(`/items/${id}`);
@@ -168,6 +260,15 @@ class ApiService {
     }
   }
 
+  async checkItemConflicts(data) {
+    try {
+      const response = await this.api.post('/items/conflicts', data);
+      return this.handleResponse(response);
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
+
   async updateItem(id, formData) {
     try {
       const response = await this.api.put(`/items/${id}`, formData, {
@@ -190,6 +291,159 @@ class ApiService {
     }
   }
 
+  async duplicateItem(id, data = {}) {
+    try {
+      const response = await this.api.post(`/items/${id}/duplicate`, data);
+      return this.handleResponse(response);
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
+
+  // Item gallery endpoints
+  async addItemImages(id, formData) {
+    try {
+      const response = await this.api.post(`/items/${id}/images`, formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+      });
+      return this.handleResponse(response);
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
+
+  async reorderItemImages(id, imageIds) {
+    try {
+      const response = await this.api.put(`/items/${id}/images/order`, { imageIds });
+      return this.handleResponse(response);
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
+
+  async setItemCoverImage(id, imageId) {
+    try {
+      const response = await this.api.put(`/items/${id}/images/${imageId}/cover`);
+      return this.handleResponse(response);
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
+
+  async deleteItemImage(id, imageId) {
+    try {
+      const response = await this.api.delete(`/items/${id}/images/${imageId}`);
+      return this.handleResponse(response);
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
+
+  // Item revision endpoints
+  async getItemRevisions(id, params = {}) {
+    try {
+      const response = await this.api.get(`/items/${id}/revisions`, { params });
+      return this.handleResponse(response);
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
+
+  async restoreItemRevision(id, revisionId) {
+    try {
+      const response = await this.api.post(`/items/${id}/revisions/${revisionId}/restore`);
+      return this.handleResponse(response);
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
+
+  // Approval workflow endpoint: submit, withdraw, approve, reject or unpublish
+  async updateItemWorkflow(id, action, comment) {
+    try {
+      const response = await this.api.post(`/items/${id}/workflow`, { action, comment });
+      return this.handleResponse(response);
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
+
+  // Trash endpoints (super admin only)
+  async getTrash(params = {}) {
+    try {
+      const response = await this.api.get('/items/trash', { params });
+      return this.handleResponse(response);
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
+
+  async restoreItem(id) {
+    try {
+      const response = await this.api.post(`/items/${id}/restore`);
+      return this.handleResponse(response);
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
+
+  async purgeItem(id) {
+    try {
+      const response = await this.api.delete(`/items/${id}/purge`);
+      return this.handleResponse(response);
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
+
+  // Bulk item endpoints
+  async bulkDeleteItems(itemIds) {
+    try {
+      const response = await this.api.post('/items/bulk/delete', { itemIds });
+      return this.handleResponse(response);
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
+
+  async bulkUpdateEndDate(itemIds, { endDate, shiftDays }) {
+    try {
+      const response = await this.api.put('/items/bulk/end-date', { itemIds, endDate, shiftDays });
+      return this.handleResponse(response);
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
+
+  async bulkUpdateStatus(itemIds, status) {
+    try {
+      const response = await this.api.put('/items/bulk/status', { itemIds, status });
+      return this.handleResponse(response);
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
+
+  async bulkUpdateCategory(itemIds, category) {
+    try {
+      const response = await this.api.put('/items/bulk/category', { itemIds, category });
+      return this.handleResponse(response);
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
+
+  async getItemTags(params = {}) {
+    try {
+      const response = await this.api.get('/items/tags', { params });
+      return this.handleResponse(response);
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
+
   async getMyItems(params = {}) {
     try {
       const response = await this.api.get('/items/my/items', { params });
@@ -199,6 +453,43 @@ class ApiService {
     }
   }
 
+  // Category endpoints (changes are super admin only)
+  async getCategories() {
+    try {
+      const response = await this.api.get('/categories');
+      return this.handleResponse(response);
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
+
+  async createCategory(categoryData) {
+    try {
+      const response = await this.api.post('/categories', categoryData);
+      return this.handleResponse(response);
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
+
+  async updateCategory(id, categoryData) {
+    try {
+      const response = await this.api.put(`/categories/${id}`, categoryData);
+      return this.handleResponse(response);
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
+
+  async deleteCategory(id) {
+    try {
+      const response = await this.api.delete(`/categories/${id}`);
+      return this.handleResponse(response);
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
+
   // User management endpoints (super admin only)
   async getUsers(params = {}) {
     try {
@@ -227,6 +518,34 @@ class ApiService {
     }
   }
 
+  async updateUserGroups(userId, groups) {
+    try {
+      const response = await this.api.put(`/users/${userId}/groups`, { groups });
+      return this.handleResponse(response);
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
+
+  // Audience endpoints (admins pick groups and users for an item)
+  async getUserGroups(params = {}) {
+    try {
+      const response = await this.api.get('/users/groups', { params });
+      return this.handleResponse(response);
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
+
+  async searchUserDirectory(params = {}) {
+    try {
+      const response = await this.api.get('/users/directory', { params });
+      return this.handleResponse(response);
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
+
   async getUserStats() {
     try {
       const response = await this.api.get('/users/stats/overview');
@@ -0,0 +1,63 @@
+// Audience helpers. An item can be limited to roles, user groups and/or
+// individual users; an empty audience means everyone. Only read-only users
+// are filtered by audience: admins always see every offer.
+
+// Must match the limits of backend/utils/audience.js
+export const MAX_AUDIENCE_GROUPS = 20;
+export const MAX_AUDIENCE_USERS = 100;
+export const MAX_GROUPS_PER_USER = 20;
+
+// Must match AUDIENCE_ROLES of backend/utils/audience.js: only roles that are
+// filtered by audience can be targeted
+export const AUDIENCE_ROLES = [
+  { value: 'user', label: 'Users' }
+];
+
+export const EMPTY_AUDIENCE = { roles: [], groups: [], users: [] };
+
+/**
+ * Check if an audience is empty, i.e. the offer is for everyone
+ * @param {object} audience - { roles, groups, users }
+ * @returns {boolean} - True for everyone
+ */
+export const isEveryone = (audience) => {
+  return !audience || ['roles', 'groups', 'users'].every(part => !audience[part] || audience[part].length === 0);
+};
+
+/**
+ * Describe an audience in one line
+ * @param {object} audience - { roles, groups, users } with populated users
+ * @returns {string} - e.g. "Users · #sales · Jane Doe", or "Everyone"
+ */
+export const describeAudience = (audience) => {
+  if (isEveryone(audience)) {
+    return 'Everyone';
+  }
+  return [
+    ...(audience.roles || []).map(role => (AUDIENCE_ROLES.find(r => r.value === role) || { label: role }).label),
+    ...(audience.groups || []).map(group => `#${group}`),
+    ...(audience.users || []).map(user => user.name || user.email || 'Unknown user')
+  ].join(' · ');
+};
+
+/**
+ * Convert an audience to the shape the API stores (user ids only)
+ * @param {object} audience - { roles, groups, users } with populated users
+ * @returns {object} - { roles, groups, users }
+ */
+export const toApiAudience = (audience) => ({
+  // Offers saved when admin roles could be targeted may still list them
+  roles: (audience.roles || []).filter(role => AUDIENCE_ROLES.some(r => r.value === role)),
+  groups: audience.groups || [],
+  users: (audience.users || []).map(user => user._id || user)
+});
+
+/**
+ * Parse a previewAs value (role:<role>, group:<name> or user:<id>)
+ * @param {string|null} value - previewAs query parameter
+ * @returns {object|null} - { kind, value }, or null for none
+ */
+export const parsePreviewAs = (value) => {
+  const match = (value || '').match(/^(role|group|user):(.+)$/);
+  return match ? { kind: match[1], value: match[2] } : null;
+};
@@ -0,0 +1,156 @@
+// Helpers for the calendar and timeline views. Days are local days of the
+// viewer's browser; weeks start on Monday like recurrence rules.
+
+export const CALENDAR_VIEWS = [
+  { value: 'month', label: 'Month' },
+  { value: 'week', label: 'Week' },
+  { value: 'timeline', label: 'Timeline' }
+];
+
+// Weeks shown by the timeline view at once
+export const TIMELINE_WEEKS = 4;
+
+export const WEEKDAY_LABELS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+/**
+ * Get the start of the local day of a date
+ * @param {Date|string} date - Any date
+ * @returns {Date} - Midnight of that day
+ */
+export const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Add calendar days to a date, keeping its local time across DST changes
+ * @param {Date} date - Start date
+ * @param {number} days - Days to add (may be negative)
+ * @returns {Date} - New date
+ */
+export const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+/**
+ * Get the Monday starting the week of a date
+ * @param {Date} date - Any date
+ * @returns {Date} - Midnight of that Monday
+ */
+export const startOfWeek = (date) => {
+  const day = startOfDay(date);
+  return addDays(day, -((day.getDay() + 6) % 7));
+};
+
+/**
+ * Count the calendar days from one date to another
+ * @param {Date} from - Earlier date
+ * @param {Date} to - Later date
+ * @returns {number} - Whole days between their local days
+ */
+export const daysBetween = (from, to) => {
+  // Rounding absorbs the hour gained or lost at DST changes
+  return Math.round((startOfDay(to) - startOfDay(from)) / (24 * 60 * 60 * 1000));
+};
+
+/**
+ * Get a key for a local day, e.g. "2026-06-01"
+ * @param {Date} date - Any date
+ * @returns {string} - Day key
+ */
+export const getDayKey = (date) => {
+  const day = new Date(date);
+  return [
+    day.getFullYear(),
+    String(day.getMonth() + 1).padStart(2, '0'),
+    String(day.getDate()).padStart(2, '0')
+  ].join('-');
+};
+
+/**
+ * Parse a day key back into a date
+ * @param {string|null} key - Day key from the URL
+ * @returns {Date} - Midnight of that day, or today for a missing or bad key
+ */
+export const parseDayKey = (key) => {
+  const match = (key || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : startOfDay(new Date());
+};
+
+/**
+ * Get the days a view shows around a date: six full weeks for a month, one
+ * week, or TIMELINE_WEEKS weeks for the timeline
+ * @param {string} view - month, week or timeline
+ * @param {Date} date - Day the view is showing
+ * @returns {Date[]} - Midnight of every day shown, in order
+ */
+export const getVisibleDays = (view, date) => {
+  let first;
+  let count;
+  if (view === 'month') {
+    first = startOfWeek(new Date(date.getFullYear(), date.getMonth(), 1));
+    count = 42;
+  } else if (view === 'week') {
+    first = startOfWeek(date);
+    count = 7;
+  } else {
+    first = startOfWeek(date);
+    count = TIMELINE_WEEKS * 7;
+  }
+  return Array.from({ length: count }, (_, index) => addDays(first, index));
+};
+
+/**
+ * Move the date of a view one page back or forward
+ * @param {string} view - month, week or timeline
+ * @param {Date} date - Day the view is showing
+ * @param {number} direction - -1 for back, 1 for forward
+ * @returns {Date} - Day to show next
+ */
+export const stepDate = (view, date, direction) => {
+  if (view === 'month') {
+    return new Date(date.getFullYear(), date.getMonth() + direction, 1);
+  }
+  return addDays(date, direction * (view === 'week' ? 7 : TIMELINE_WEEKS * 7));
+};
+
+/**
+ * Check whether an occurrence runs on a local day
+ * @param {object} occurrence - { start, end }
+ * @param {Date} day - Midnight of the day
+ * @returns {boolean} - True if any part of the occurrence falls on the day
+ */
+export const isOnDay = (occurrence, day) => {
+  return new Date(occurrence.start) < addDays(day, 1) && new Date(occurrence.end) > day;
+};
+
+/**
+ * Describe the period a view shows
+ * @param {string} view - month, week or timeline
+ * @param {Date[]} days - Days shown by the view
+ * @param {Date} date - Day the view is showing
+ * @returns {string} - e.g. "June 2026" or "1 Jun – 7 Jun 2026"
+ */
+export const describeVisiblePeriod = (view, days, date) => {
+  if (view === 'month') {
+    return date.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+  }
+  const first = days[0].toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
+  const last = days[days.length - 1].toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+  return `${first} – ${last}`;
+};
+
+const OFFER_COLORS = ['#11998e', '#667eea', '#f59e0b', '#ef4444', '#8b5cf6', '#0ea5e9', '#ec4899', '#84cc16'];
+
+/**
+ * Pick a stable color for an offer, so it looks the same in every view
+ * @param {string} itemId - Item id
+ * @returns {string} - CSS color
+ */
+export const getOfferColor = (itemId) => {
+  const hash = String(itemId).split('').reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) % 9973, 0);
+  return OFFER_COLORS[hash % OFFER_COLORS.length];
+};
@@ -0,0 +1,49 @@
+// Category taxonomy helpers (the API returns categories in tree order)
+
+/**
+ * Build select options from the category list, indented by depth
+ * @param {object[]} categories - Categories returned by the API, in tree order
+ * @param {string|null} excludeId - Category to leave out together with its branch
+ * @returns {object[]} - Options { value, label }
+ */
+export const getCategoryOptions = (categories, excludeId = null) => {
+  return categories
+    .filter(category => !excludeId || (
+      category._id !== excludeId && !(category.ancestors || []).includes(excludeId)
+    ))
+    .map(category => ({
+      value: category._id,
+      // Options collapse ordinary spaces, so indent with non-breaking ones
+      label: `${'\u00a0\u00a0\u00a0'.repeat(category.depth || 0)}${category.name}`
+    }));
+};
+
+/**
+ * Get the id of an item's category, whether it is populated or not
+ * @param {object|string|null} category - Category of an item
+ * @returns {string} - Category id, or an empty string
+ */
+export const getCategoryId = (category) => {
+  if (!category) {
+    return '';
+  }
+  return typeof category === 'string' ? category : category._id;
+};
+
+/**
+ * Describe an item's category with its full path, e.g. "Food › Drinks"
+ * @param {object|null} category - Populated category of an item
+ * @param {object[]} categories - Categories returned by the API
+ * @returns {string} - Category path, or an empty string
+ */
+export const describeCategory = (category, categories = []) => {
+  if (!category) {
+    return '';
+  }
+  const id = getCategoryId(category);
+  const known = categories.find(c => c._id === id);
+  if (known) {
+    return known.path;
+  }
+  return typeof category === 'string' ? '' : category.name;
+};
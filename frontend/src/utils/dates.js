@@ -0,0 +1,87 @@
+// Date helpers for offers, whose dates are wall-clock times in their own timezone
+
+// Shown when the browser cannot list the zones it supports
+const FALLBACK_TIMEZONES = [
+  'UTC',
+  'America/Los_Angeles',
+  'America/Denver',
+  'America/Chicago',
+  'America/New_York',
+  'America/Sao_Paulo',
+  'Europe/London',
+  'Europe/Berlin',
+  'Europe/Istanbul',
+  'Asia/Dubai',
+  'Asia/Kolkata',
+  'Asia/Singapore',
+  'Asia/Tokyo',
+  'Australia/Sydney'
+];
+
+/**
+ * Get the timezone of the viewer's browser
+ * @returns {string} - IANA timezone name
+ */
+export const getViewerTimezone = () => {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+};
+
+/**
+ * Get the timezones an offer can be set to
+ * @returns {string[]} - IANA timezone names, including UTC
+ */
+export const getTimezoneOptions = () => {
+  const timezones = typeof Intl.supportedValuesOf === 'function'
+    ? Intl.supportedValuesOf('timeZone')
+    : FALLBACK_TIMEZONES;
+  return timezones.includes('UTC') ? timezones : ['UTC', ...timezones];
+};
+
+/**
+ * Get the value of a datetime-local input for an instant in a timezone
+ * @param {string|Date} date - Date returned by the API
+ * @param {string} timezone - IANA timezone name
+ * @returns {string} - Wall-clock time as "YYYY-MM-DDTHH:mm"
+ */
+export const toZonedInputValue = (date, timezone = 'UTC') => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(new Date(date)).forEach(part => {
+    parts[part.type] = part.value;
+  });
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}`;
+};
+
+/**
+ * Format an instant as a date and time in a timezone
+ * @param {string|Date} date - Date returned by the API
+ * @param {string} timezone - IANA timezone name (defaults to the viewer's)
+ * @returns {string} - Localized date and time
+ */
+export const formatInTimezone = (date, timezone) => {
+  return new Date(date).toLocaleString(undefined, {
+    timeZone: timezone || getViewerTimezone(),
+    dateStyle: 'medium',
+    timeStyle: 'short'
+  });
+};
+
+/**
+ * Move a wall-clock input value by whole days, keeping its time of day
+ * @param {string} value - Wall-clock time as "YYYY-MM-DDTHH:mm"
+ * @param {number} days - Days to move (may be negative)
+ * @returns {string} - Moved wall-clock time
+ */
+export const shiftZonedInputValue = (value, days) => {
+  const [datePart, timePart] = value.split('T');
+  const [year, month, day] = datePart.split('-').map(Number);
+  const shifted = new Date(Date.UTC(year, month - 1, day + days));
+  return `${shifted.toISOString().slice(0, 10)}T${timePart}`;
+};
@@ -0,0 +1,28 @@
+// File download helpers
+
+/**
+ * Save a blob as a file through a temporary link
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Build a dated export file name, e.g. "offers-2026-06-01.csv"
+ * @param {string} prefix - Start of the name
+ * @param {string} extension - File extension without the dot
+ * @returns {string} - File name
+ */
+export const getExportFilename = (prefix, extension) => {
+  return `${prefix}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+};
@@ -0,0 +1,91 @@
+// Image URL helpers for items
+
+/**
+ * Get the best URL for a small preview of an item image
+ * @param {object} item - Item returned by the API
+ * @returns {string} - Thumbnail URL, or the original image URL if no thumbnail exists
+ */
+export const getThumbnailUrl = (item) => {
+  return item?.imageVariants?.thumbnail?.url || item?.imageUrl;
+};
+
+/**
+ * Get the best URL for a medium-sized item image (cards)
+ * @param {object} item - Item returned by the API
+ * @returns {string} - Medium rendition URL, or the original image URL
+ */
+export const getMediumUrl = (item) => {
+  return item?.imageVariants?.medium?.url || item?.imageUrl;
+};
+
+// Variants of each format, smallest first. A srcset only lists one format,
+// since the browser picks its candidates by width alone.
+const ORIGINAL_FORMAT_VARIANTS = ['thumbnail', 'medium'];
+const WEBP_VARIANTS = ['thumbnailWebp', 'mediumWebp', 'webp'];
+
+// Build a srcset value from some of a set of variants
+const buildSrcSet = (variants = {}, names = ORIGINAL_FORMAT_VARIANTS) => {
+  const candidates = names
+    .map(name => variants[name])
+    .filter(variant => variant?.url && variant?.width)
+    .map(variant => `${variant.url} ${variant.width}w`);
+
+  return candidates.length > 0 ? candidates.join(', ') : undefined;
+};
+
+/**
+ * Build a srcset attribute from the generated image variants
+ * @param {object} item - Item returned by the API
+ * @returns {string|undefined} - srcset value, or undefined if the item has no variants
+ */
+export const getImageSrcSet = (item) => {
+  return buildSrcSet(item?.imageVariants);
+};
+
+/**
+ * Build a srcset attribute for a WebP <source> from the generated image variants
+ * @param {object} item - Item returned by the API
+ * @returns {string|undefined} - srcset value, or undefined if the item has no WebP variants
+ */
+export const getImageWebpSrcSet = (item) => {
+  return buildSrcSet(item?.imageVariants, WEBP_VARIANTS);
+};
+
+/**
+ * Get the images of an item gallery, in display order.
+ * Items created before galleries existed only have a single (cover) image.
+ * @param {object} item - Item returned by the API
+ * @returns {Array<{_id: string, url: string, variants: object, isCover: boolean}>}
+ */
+export const getGalleryImages = (item) => {
+  if (item?.images?.length > 0) {
+    return item.images;
+  }
+  if (!item?.imageUrl) {
+    return [];
+  }
+  return [{
+    _id: 'cover',
+    url: item.imageUrl,
+    variants: item.imageVariants || {},
+    isCover: true
+  }];
+};
+
+/**
+ * Build a srcset attribute for a single gallery image
+ * @param {object} image - Entry of item.images (or of getGalleryImages)
+ * @returns {string|undefined} - srcset value, or undefined if the image has no variants
+ */
+export const getGalleryImageSrcSet = (image) => {
+  return buildSrcSet(image?.variants);
+};
+
+/**
+ * Build a srcset attribute for a WebP <source> of a single gallery image
+ * @param {object} image - Entry of item.images (or of getGalleryImages)
+ * @returns {string|undefined} - srcset value, or undefined if the image has no WebP variants
+ */
+export const getGalleryImageWebpSrcSet = (image) => {
+  return buildSrcSet(image?.variants, WEBP_VARIANTS);
+};
@@ -0,0 +1,26 @@
+import { getImageSrcSet, getImageWebpSrcSet } from './images';
+
+const item = {
+  imageVariants: {
+    thumbnail: { url: '/thumbnail.jpg', width: 200 },
+    medium: { url: '/medium.jpg', width: 800 },
+    thumbnailWebp: { url: '/thumbnail.webp', width: 200 },
+    mediumWebp: { url: '/medium.webp', width: 800 },
+    webp: { url: '/full.webp', width: 2400 }
+  }
+};
+
+describe('image srcsets', () => {
+  it('lists only the variants in the original format for the img', () => {
+    expect(getImageSrcSet(item)).toBe('/thumbnail.jpg 200w, /medium.jpg 800w');
+  });
+
+  it('lists only the WebP variants for the WebP source', () => {
+    expect(getImageWebpSrcSet(item)).toBe('/thumbnail.webp 200w, /medium.webp 800w, /full.webp 2400w');
+  });
+
+  it('has no srcset for items without variants', () => {
+    expect(getImageSrcSet({})).toBeUndefined();
+    expect(getImageWebpSrcSet({})).toBeUndefined();
+  });
+});
@@ -0,0 +1,91 @@
+// Sorting and date range filters of the item lists. They live in the URL
+// (?sort=end&order=asc&endTo=2026-12-31) so filtered lists can be linked to.
+
+import { WORKFLOW_STATES } from './workflow';
+
+export const SORT_OPTIONS = [
+  { value: 'created', label: 'Created' },
+  { value: 'updated', label: 'Last updated' },
+  { value: 'start', label: 'Start date' },
+  { value: 'end', label: 'End date' },
+  { value: 'duration', label: 'Duration' }
+];
+
+export const DEFAULT_SORT = 'created';
+export const DEFAULT_ORDER = 'desc';
+
+// Date range filters; "to" bounds include the whole day
+export const DATE_FILTERS = [
+  { from: 'startFrom', to: 'startTo', label: 'Starts' },
+  { from: 'endFrom', to: 'endTo', label: 'Ends' }
+];
+
+// URL parameters counted as filters of the drawer
+const DRAWER_PARAMS = ['startFrom', 'startTo', 'endFrom', 'endTo', 'createdBy', 'workflowState'];
+
+/**
+ * Convert a date input value into the instant sent to the API
+ * @param {string} value - Date as "YYYY-MM-DD" in the viewer's timezone
+ * @param {boolean} endOfDay - Use the last moment of the day instead of the first
+ * @returns {string} - ISO 8601 instant
+ */
+export const toRangeBoundary = (value, endOfDay = false) => {
+  return new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00'}`).toISOString();
+};
+
+/**
+ * Build the sort and filter API parameters from the URL
+ * @param {URLSearchParams} searchParams - Current URL parameters
+ * @returns {object} - Parameters for getItems/getMyItems
+ */
+export const getListQueryParams = (searchParams) => {
+  const params = {};
+  const sort = searchParams.get('sort');
+  if (sort && (sort === 'relevance' || SORT_OPTIONS.some(option => option.value === sort))) {
+    params.sort = sort;
+  }
+  const order = searchParams.get('order');
+  if (order === 'asc' || order === 'desc') {
+    params.order = order;
+  }
+  DATE_FILTERS.forEach(({ from, to }) => {
+    if (searchParams.get(from)) {
+      params[from] = toRangeBoundary(searchParams.get(from));
+    }
+    if (searchParams.get(to)) {
+      params[to] = toRangeBoundary(searchParams.get(to), true);
+    }
+  });
+  if (searchParams.get('createdBy')) {
+    params.createdBy = searchParams.get('createdBy');
+  }
+  const workflowState = searchParams.get('workflowState');
+  if (workflowState && WORKFLOW_STATES[workflowState]) {
+    params.workflowState = workflowState;
+  }
+  return params;
+};
+
+/**
+ * Count the drawer filters set in the URL
+ * @param {URLSearchParams} searchParams - Current URL parameters
+ * @returns {number} - Number of active filters
+ */
+export const countActiveFilters = (searchParams) => {
+  return DRAWER_PARAMS.filter(name => searchParams.get(name)).length;
+};
+
+/**
+ * Get the URL changes for clicking a sortable column: the first click sorts
+ * by the column, the next ones flip the order
+ * @param {string} column - Sort value of the column
+ * @param {string} currentSort - Current sort value
+ * @param {string} currentOrder - Current order
+ * @returns {object} - { sort, order } for the URL
+ */
+export const getNextSort = (column, currentSort, currentOrder) => {
+  return {
+    sort: column,
+    order: column === currentSort && currentOrder === 'desc' ? 'asc' : 'desc'
+  };
+};
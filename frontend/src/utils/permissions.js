@@ -8,6 +8,7 @@ const PERMISSIONS = {
     update: false,
     delete: false,
     manageUsers: false,
+    review: false,
   },
   admin: {
     read: true,
@@ -15,6 +16,7 @@ const PERMISSIONS = {
     update: true,
     delete: false,
     manageUsers: false,
+    review: false,
   },
   super_admin: {
     read: true,
@@ -22,6 +24,7 @@ const PERMISSIONS = {
     update: true,
     delete: true,
     manageUsers: true,
+    review: true,
   },
 };
 
@@ -92,6 +95,9 @@ export const canAccessRoute = (role, route) => {
     '/items/create': ['create'],
     '/items/edit': ['update'],
     '/users': ['manageUsers'],
+    '/categories': ['manageUsers'],
+    '/review': ['review'],
+    '/trash': ['delete'],
   };
 
   // Check if route requires specific permissions
@@ -0,0 +1,154 @@
+// Recurrence rule helpers (occurrences themselves are expanded by the API)
+
+import { toZonedInputValue, shiftZonedInputValue } from './dates';
+
+export const RECURRENCE_FREQUENCIES = [
+  { value: 'daily', label: 'Daily', unit: 'day' },
+  { value: 'weekly', label: 'Weekly', unit: 'week' },
+  { value: 'monthly', label: 'Monthly', unit: 'month' }
+];
+
+// Monday-first, matching the weekday codes of the API
+export const WEEKDAYS = [
+  { value: 'MO', label: 'Mon' },
+  { value: 'TU', label: 'Tue' },
+  { value: 'WE', label: 'Wed' },
+  { value: 'TH', label: 'Thu' },
+  { value: 'FR', label: 'Fri' },
+  { value: 'SA', label: 'Sat' },
+  { value: 'SU', label: 'Sun' }
+];
+
+// Must match MAX_RECURRENCE_COUNT on the backend
+export const MAX_RECURRENCE_COUNT = 500;
+
+/**
+ * Default editor value when an offer is made recurring
+ * @returns {object} - Editor value { freq, interval, byWeekday, ends, until, count }
+ */
+export const getDefaultRecurrence = () => ({
+  freq: 'weekly',
+  interval: 1,
+  byWeekday: [],
+  ends: 'never',
+  until: '',
+  count: 10
+});
+
+/**
+ * Convert a recurrence rule from the API into an editor value
+ * @param {object|null} rule - Rule returned by the API
+ * @param {string} timezone - Timezone of the offer
+ * @returns {object|null} - Editor value, or null for a one-off offer
+ */
+export const fromApiRecurrence = (rule, timezone = 'UTC') => {
+  if (!rule) {
+    return null;
+  }
+  let ends = 'never';
+  if (rule.until) {
+    ends = 'until';
+  } else if (rule.count) {
+    ends = 'count';
+  }
+  return {
+    ...getDefaultRecurrence(),
+    freq: rule.freq,
+    interval: rule.interval || 1,
+    byWeekday: rule.byWeekday || [],
+    ends,
+    until: rule.until ? toZonedInputValue(rule.until, timezone).split('T')[0] : '',
+    count: rule.count || 10
+  };
+};
+
+/**
+ * Convert an editor value into the rule sent to the API
+ * @param {object|null} value - Editor value
+ * @returns {object|null} - { freq, interval, byWeekday, until?, count? }, or null
+ */
+export const toApiRecurrence = (value) => {
+  if (!value) {
+    return null;
+  }
+  const rule = {
+    freq: value.freq,
+    interval: parseInt(value.interval, 10) || 1,
+    byWeekday: value.freq === 'weekly' ? value.byWeekday : []
+  };
+  if (value.ends === 'until') {
+    rule.until = value.until;
+  } else if (value.ends === 'count') {
+    rule.count = parseInt(value.count, 10);
+  }
+  return rule;
+};
+
+/**
+ * Move a recurrence rule with an offer moved by whole days, so that every
+ * occurrence moves by the same number of days
+ * @param {object} rule - Rule returned by the API
+ * @param {string} start - Wall-clock start of the offer before the move, as "YYYY-MM-DDTHH:mm"
+ * @param {number} days - Days to move (may be negative)
+ * @param {string} timezone - Timezone of the offer
+ * @returns {object|null} - Rule to send to the API, or null if the weekdays
+ *   of a rule repeating every few weeks cannot move with the offer
+ */
+export const shiftRecurrence = (rule, start, days, timezone = 'UTC') => {
+  const value = fromApiRecurrence(rule, timezone);
+  if (value.until) {
+    value.until = shiftZonedInputValue(`${value.until}T00:00`, days).split('T')[0];
+  }
+
+  if (value.freq === 'weekly' && value.byWeekday.length > 0) {
+    // Weeks start on Monday, and a rule repeating every few weeks counts
+    // them from the week of the start
+    const [year, month, day] = start.split('T')[0].split('-').map(Number);
+    const startOffset = (new Date(Date.UTC(year, month - 1, day)).getUTCDay() + 6) % 7;
+    const weeksMoved = Math.floor((startOffset + days) / 7);
+    const offsets = value.byWeekday.map(code => WEEKDAYS.findIndex(weekday => weekday.value === code));
+    // Weekdays that would land in another week than the start would fall
+    // into the weeks the rule skips
+    if (value.interval > 1 && offsets.some(offset => Math.floor((offset + days) / 7) !== weeksMoved)) {
+      return null;
+    }
+    const moved = offsets.map(offset => (((offset + days) % 7) + 7) % 7);
+    value.byWeekday = WEEKDAYS.filter((weekday, offset) => moved.includes(offset)).map(weekday => weekday.value);
+  }
+
+  return toApiRecurrence(value);
+};
+
+/**
+ * Describe a recurrence rule for display, e.g. "Every 2 weeks on Sat, Sun, until 12/31/2026"
+ * @param {object|null} rule - Rule returned by the API, or built by the editor
+ * @param {string} timezone - Timezone of the offer
+ * @returns {string} - Description, or an empty string for a one-off offer
+ */
+export const describeRecurrence = (rule, timezone = 'UTC') => {
+  if (!rule) {
+    return '';
+  }
+  const frequency = RECURRENCE_FREQUENCIES.find(f => f.value === rule.freq);
+  if (!frequency) {
+    return '';
+  }
+
+  const interval = rule.interval || 1;
+  let description = interval === 1 ? `Every ${frequency.unit}` : `Every ${interval} ${frequency.unit}s`;
+
+  if (rule.freq === 'weekly' && rule.byWeekday && rule.byWeekday.length > 0) {
+    const days = WEEKDAYS.filter(day => rule.byWeekday.includes(day.value)).map(day => day.label);
+    description += ` on ${days.join(', ')}`;
+  }
+  if (rule.until) {
+    // The editor holds a bare date, the API an instant
+    const until = /^\d{4}-\d{2}-\d{2}$/.test(rule.until)
+      ? new Date(`${rule.until}T00:00`).toLocaleDateString()
+      : new Date(rule.until).toLocaleDateString(undefined, { timeZone: timezone });
+    description += `, until ${until}`;
+  } else if (rule.count) {
+    description += `, ${rule.count} times`;
+  }
+  return description;
+};
@@ -0,0 +1,33 @@
+import { shiftRecurrence } from './recurrence';
+
+describe('shiftRecurrence', () => {
+  it('moves the weekdays of a weekly rule dragged by one day', () => {
+    // Wednesday 3 June 2026, repeating on Mondays, Wednesdays and Sundays
+    const rule = { freq: 'weekly', interval: 1, byWeekday: ['MO', 'WE', 'SU'], count: 6 };
+    expect(shiftRecurrence(rule, '2026-06-03T09:00', 1, 'Europe/Berlin')).toEqual({
+      freq: 'weekly',
+      interval: 1,
+      byWeekday: ['MO', 'TU', 'TH'],
+      count: 6
+    });
+    expect(shiftRecurrence(rule, '2026-06-03T09:00', -1, 'Europe/Berlin').byWeekday).toEqual(['TU', 'SA', 'SU']);
+  });
+
+  it('keeps the weekdays of a weekly rule moved by whole weeks', () => {
+    const rule = { freq: 'weekly', interval: 2, byWeekday: ['TU', 'FR'] };
+    expect(shiftRecurrence(rule, '2026-06-02T09:00', 14).byWeekday).toEqual(['TU', 'FR']);
+  });
+
+  it('moves the until date with the offer', () => {
+    const rule = { freq: 'daily', interval: 1, byWeekday: [], until: '2026-06-30T21:59:59.999Z' };
+    expect(shiftRecurrence(rule, '2026-06-03T09:00', 3, 'Europe/Berlin').until).toBe('2026-07-03');
+  });
+
+  it('refuses to move weekdays of a rule repeating every few weeks into skipped weeks', () => {
+    const rule = { freq: 'weekly', interval: 2, byWeekday: ['MO', 'FR'] };
+    // Wednesday to Thursday keeps Monday and Friday in the same week
+    expect(shiftRecurrence(rule, '2026-06-03T09:00', 1).byWeekday).toEqual(['TU', 'SA']);
+    // Wednesday to Sunday would move Friday's occurrences into the next week
+    expect(shiftRecurrence(rule, '2026-06-03T09:00', 4)).toBeNull();
+  });
+});
@@ -0,0 +1,21 @@
+// Publishing schedule helpers. publishAt/unpublishAt decide when users see an
+// offer, independently of its own start and end dates.
+import { formatInTimezone } from './dates';
+
+/**
+ * Describe the publishing schedule of an item in its own timezone
+ * @param {object} item - Item returned by the API
+ * @returns {string} - e.g. "Appears 01/06/2026, 09:00 · Disappears 30/06/2026, 18:00",
+ *   or an empty string for items without a schedule
+ */
+export const describeSchedule = (item) => {
+  const timezone = item.timezone || 'UTC';
+  const parts = [];
+  if (item.publishAt) {
+    parts.push(`${item.scheduleStatus === 'scheduled' ? 'Appears' : 'Appeared'} ${formatInTimezone(item.publishAt, timezone)}`);
+  }
+  if (item.unpublishAt) {
+    parts.push(`${item.scheduleStatus === 'unpublished' ? 'Disappeared' : 'Disappears'} ${formatInTimezone(item.unpublishAt, timezone)}`);
+  }
+  return parts.join(' · ');
+};
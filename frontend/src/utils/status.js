@@ -0,0 +1,39 @@
+// Offer lifecycle status helpers (the status itself is computed by the API)
+
+export const ITEM_STATUSES = {
+  upcoming: { label: 'Upcoming', icon: '🕒', color: '#2563eb', background: '#dbeafe' },
+  active: { label: 'Active', icon: '✅', color: '#059669', background: '#d1fae5' },
+  'expiring-soon': { label: 'Expiring Soon', icon: '⏳', color: '#d97706', background: '#fef3c7' },
+  expired: { label: 'Expired', icon: '⏰', color: '#dc2626', background: '#fee2e2' }
+};
+
+// Filter tabs shown above item lists. "Current" hides expired offers and is the default.
+export const STATUS_TABS = [
+  { value: 'current', label: 'Current', statuses: ['upcoming', 'active', 'expiring-soon'] },
+  { value: 'upcoming', label: 'Upcoming', statuses: ['upcoming'] },
+  { value: 'active', label: 'Active', statuses: ['active'] },
+  { value: 'expiring-soon', label: 'Expiring Soon', statuses: ['expiring-soon'] },
+  { value: 'expired', label: 'Expired', statuses: ['expired'] },
+  { value: 'all', label: 'All', statuses: [] }
+];
+
+export const DEFAULT_STATUS_TAB = 'current';
+
+/**
+ * Get the status query parameter for a filter tab
+ * @param {string} tabValue - Value of one of STATUS_TABS
+ * @returns {string|undefined} - Comma-separated statuses, or undefined for all items
+ */
+export const getStatusParam = (tabValue) => {
+  const tab = STATUS_TABS.find(t => t.value === tabValue);
+  return tab && tab.statuses.length > 0 ? tab.statuses.join(',') : undefined;
+};
+
+/**
+ * Get display information for a status
+ * @param {string} status - Status returned by the API
+ * @returns {object} - { label, icon, color, background }
+ */
+export const getStatusInfo = (status) => {
+  return ITEM_STATUSES[status] || { label: 'Unknown', icon: '❔', color: '#6b7280', background: '#f3f4f6' };
+};
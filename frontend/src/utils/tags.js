@@ -0,0 +1,24 @@
+// Tag helpers (tags are stored lowercase and trimmed by the API)
+
+// Must match the limits of backend/utils/tags.js
+export const MAX_TAGS_PER_ITEM = 20;
+export const MAX_TAG_LENGTH = 30;
+
+/**
+ * Normalize a typed tag the way the API stores it
+ * @param {string} tag - Tag as typed
+ * @returns {string} - Lowercase, trimmed tag
+ */
+export const normalizeTag = (tag) => tag.trim().toLowerCase().slice(0, MAX_TAG_LENGTH);
+
+/**
+ * Parse a comma-separated tag list, e.g. from the URL
+ * @param {string|null} value - Comma-separated tags
+ * @returns {string[]} - Unique normalized tags
+ */
+export const parseTagList = (value) => {
+  if (!value) {
+    return [];
+  }
+  return [...new Set(value.split(',').map(normalizeTag).filter(Boolean))];
+};
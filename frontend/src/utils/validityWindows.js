@@ -0,0 +1,53 @@
+// Validity window helpers (whether an offer is live is computed by the API)
+
+import { WEEKDAYS } from './recurrence';
+
+// Must match MAX_VALIDITY_WINDOWS on the backend
+export const MAX_VALIDITY_WINDOWS = 10;
+
+/**
+ * Default window added by the editor: weekdays, 15:00–18:00
+ * @returns {object} - { days, startTime, endTime }
+ */
+export const getDefaultValidityWindow = () => ({
+  days: ['MO', 'TU', 'WE', 'TH', 'FR'],
+  startTime: '15:00',
+  endTime: '18:00'
+});
+
+// Describe a set of weekdays, collapsing runs: ["MO","TU","WE"] -> "Mon–Wed"
+const describeDays = (days = []) => {
+  const indexes = WEEKDAYS
+    .map((day, index) => (days.includes(day.value) ? index : -1))
+    .filter(index => index >= 0);
+  if (indexes.length === WEEKDAYS.length) {
+    return 'Every day';
+  }
+
+  const runs = [];
+  indexes.forEach(index => {
+    const run = runs[runs.length - 1];
+    if (run && run.end === index - 1) {
+      run.end = index;
+    } else {
+      runs.push({ start: index, end: index });
+    }
+  });
+
+  return runs.map(run => {
+    if (run.end - run.start >= 2) {
+      return `${WEEKDAYS[run.start].label}–${WEEKDAYS[run.end].label}`;
+    }
+    return WEEKDAYS.slice(run.start, run.end + 1).map(day => day.label).join(', ');
+  }).join(', ');
+};
+
+/**
+ * Describe a validity window for display, e.g. "Mon–Fri 15:00–18:00"
+ * @param {object} window - Window returned by the API
+ * @returns {string} - Description
+ */
+export const describeValidityWindow = (window) => {
+  const overnight = window.endTime < window.startTime ? ' (next day)' : '';
+  return `${describeDays(window.days)} ${window.startTime}–${window.endTime}${overnight}`;
+};
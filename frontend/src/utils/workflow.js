@@ -0,0 +1,79 @@
+// Approval workflow helpers. Admins submit offers for review; super admins
+// approve (publish) or reject them. Users only ever see published offers.
+
+export const WORKFLOW_STATES = {
+  draft: { label: 'Draft', icon: '📝', color: '#4b5563', background: '#f3f4f6' },
+  pending_review: { label: 'Pending Review', icon: '⏳', color: '#b45309', background: '#fef3c7' },
+  published: { label: 'Published', icon: '🌐', color: '#047857', background: '#d1fae5' },
+  rejected: { label: 'Rejected', icon: '↩️', color: '#b91c1c', background: '#fee2e2' }
+};
+
+// Must match WORKFLOW_ACTIONS on the backend
+const WORKFLOW_ACTIONS = {
+  submit: { label: 'Submit for review', from: ['draft', 'rejected'], roles: ['admin', 'super_admin'] },
+  withdraw: { label: 'Withdraw', from: ['pending_review'], roles: ['admin', 'super_admin'] },
+  approve: { label: 'Approve', from: ['pending_review'], roles: ['super_admin'] },
+  reject: { label: 'Reject', from: ['pending_review'], roles: ['super_admin'] },
+  unpublish: { label: 'Unpublish', from: ['published'], roles: ['super_admin'] }
+};
+
+// Past-tense descriptions of history entries; "edit" is recorded when an
+// admin changes a published offer, which takes it back to draft
+const HISTORY_LABELS = {
+  submit: 'Submitted for review',
+  withdraw: 'Withdrawn from review',
+  approve: 'Approved and published',
+  reject: 'Rejected',
+  unpublish: 'Unpublished',
+  edit: 'Edited, back to draft'
+};
+
+/**
+ * Get display information for a workflow state
+ * @param {string} state - Workflow state returned by the API
+ * @returns {object} - { label, icon, color, background }
+ */
+export const getWorkflowInfo = (state) => {
+  return WORKFLOW_STATES[state] || { label: 'Unknown', icon: '❔', color: '#6b7280', background: '#f3f4f6' };
+};
+
+/**
+ * Check if a role may take a workflow action on an item in a state
+ * @param {string} action - Workflow action, e.g. "submit"
+ * @param {string} state - Current workflow state of the item
+ * @param {string} role - User role
+ * @returns {boolean} - True if the action is available
+ */
+export const canTakeWorkflowAction = (action, state, role) => {
+  const transition = WORKFLOW_ACTIONS[action];
+  return Boolean(transition && transition.from.includes(state) && transition.roles.includes(role));
+};
+
+/**
+ * Get the label of a workflow action button
+ * @param {string} action - Workflow action
+ * @returns {string} - Button label
+ */
+export const getWorkflowActionLabel = (action) => {
+  return WORKFLOW_ACTIONS[action] ? WORKFLOW_ACTIONS[action].label : action;
+};
+
+/**
+ * Describe an entry of an item's workflow history
+ * @param {object} event - { action, from, to, comment, actor, at }
+ * @returns {string} - Description such as "Rejected"
+ */
+export const describeWorkflowEvent = (event) => {
+  return HISTORY_LABELS[event.action] || event.action;
+};
+
+/**
+ * Check if saving changes to an item takes it back to draft. Admin edits of
+ * published offers need another review; super admins review their own.
+ * @param {string} state - Current workflow state of the item
+ * @param {string} role - User role
+ * @returns {boolean} - True if a content change unpublishes the item
+ */
+export const editReopensReview = (state, role) => {
+  return state === 'published' && role !== 'super_admin';
+};